@@ -3,13 +3,18 @@ import { renderMachines } from "./ui/machines.js";
 import { renderHeroes } from "./ui/heroes.js";
 import { renderArtifacts, resetAllArtifacts } from "./ui/artifacts.js";
 import { renderTavernCards } from "./ui/tavern.js";
-import { renderResults } from "./ui/results.js";
+import { renderResults, markResultsStale } from "./ui/results.js";
+import { renderResultHistory } from "./ui/resultHistory.js";
+import { renderProfileComparison } from "./ui/profileComparison.js";
 import { machinesData } from "./data/machines.js";
 import { heroesData } from "./data/heroes.js";
 import { abilitiesData } from "./data/abilities.js";
 import { Calculator } from "./calculator.js";
 import { SaveLoad } from "./saveload.js";
-import { autoSave, autoLoad, resetAll } from "./storage.js";
+import { clearImportPreview } from "./ui/importPreview.js";
+import { autoSave, autoLoad, resetAll, applyStateToStore, updateUIInputs, renderAllPanels } from "./storage.js";
+import { sandbox } from "./sandbox.js";
+import { renderSandboxBanner } from "./ui/sandbox.js";
 import { showToast } from "./ui/notifications.js";
 import { AppConfig } from "./config.js";
 import { db } from "./db.js";
@@ -17,6 +22,9 @@ import Decimal from "./vendor/break_eternity.esm.js";
 import { initializeProfiles, renderProfileManagement } from "./profiles.js";
 import { SettingsManager } from "./ui/settings.js";
 import { initPWA } from "./pwa.js";
+import { hashObject } from "./utils/utils.js";
+import { WorkerManager, OptimizationTimeoutError } from "./workerManager.js";
+import { setOptimizeProgressVisible, updateOptimizeProgress, setOptimizeProgressCancelling, onOptimizeCancel } from "./ui/optimizeProgress.js";
 
 // ─────────────────────────────────────────────
 // Types
@@ -53,6 +61,7 @@ import { initPWA } from "./pwa.js";
  * @property {StatBlock}         battleStats      - Cached campaign stats; recomputed by optimizer
  * @property {StatBlock}         arenaStats       - Cached arena stats; recomputed by optimizer
  * @property {Object[]}          crew             - Assigned heroes; populated by optimizer
+ * @property {boolean}           locked           - Always kept in the formation
  */
 
 /**
@@ -68,6 +77,8 @@ import { initPWA } from "./pwa.js";
  * @property {string}          name
  * @property {string}          image
  * @property {HeroPercentages} percentages
+ * @property {boolean}         excluded        - Left out of every crew
+ * @property {number|null}     pinnedMachineId - Always crews this machine when set
  */
 
 /**
@@ -104,7 +115,7 @@ export function createInitialStore() {
 		machines: machinesData.map((machine) => ({
 			...machine,
 			ability: abilitiesData[machine.ability.key],
-			rarity: d.RARITY,
+			rarity: AppConfig.getRarityLabel(d.RARITY),
 			level: d.LEVEL,
 			blueprints: {
 				damage: d.BLUEPRINT_LEVEL,
@@ -116,6 +127,7 @@ export function createInitialStore() {
 			battleStats: { damage: 0, health: 0, armor: 0, maxHealth: 0 },
 			arenaStats: { damage: 0, health: 0, armor: 0, maxHealth: 0 },
 			crew: [],
+			locked: false,
 		})),
 		heroes: heroesData.map((hero) => ({
 			...hero,
@@ -124,6 +136,8 @@ export function createInitialStore() {
 				health: d.HERO_PERCENTAGE,
 				armor: d.HERO_PERCENTAGE,
 			},
+			excluded: false,
+			pinnedMachineId: null,
 		})),
 		artifacts: {
 			damage: Object.fromEntries(AppConfig.ARTIFACT_PERCENTAGES.map((p) => [p, 0])),
@@ -160,11 +174,72 @@ let _autoSaveTimer = null;
  * Schedules an auto-save 500 ms after the last call.
  * Exported for use by ui/machines.js and ui/heroes.js after each user input.
  * The debounce prevents a DB write on every keystroke.
+ * In sandbox mode nothing is written; the sandbox banner is updated instead.
  * @param {AppStore} appStore
  */
 export function triggerAutoSave(appStore) {
 	clearTimeout(_autoSaveTimer);
-	_autoSaveTimer = setTimeout(() => autoSave(appStore), 500);
+	_autoSaveTimer = setTimeout(() => {
+		if (sandbox.active) refreshSandboxBanner();
+		else autoSave(appStore);
+		_checkResultsFreshness();
+	}, 500);
+}
+
+// ─────────────────────────────────────────────
+// What-if sandbox
+// ─────────────────────────────────────────────
+
+/**
+ * Shows or hides the sandbox banner for the current sandbox state.
+ */
+export function refreshSandboxBanner() {
+	renderSandboxBanner(sandbox.overrides(store), { onCommit: _commitSandbox, onDiscard: _discardSandbox });
+}
+
+/**
+ * Starts layering overrides on the live store.
+ */
+function _enterSandbox() {
+	if (sandbox.active) return;
+	sandbox.enter(store);
+	refreshSandboxBanner();
+	showToast("Sandbox on — edits are not saved until you commit them", "info");
+}
+
+/**
+ * Persists the sandbox values to the active profile.
+ */
+async function _commitSandbox() {
+	clearTimeout(_autoSaveTimer);
+	sandbox.commit();
+	await autoSave(store);
+	refreshSandboxBanner();
+	showToast("Sandbox changes saved to the profile", "success");
+}
+
+/**
+ * Puts the real values back and re-renders every panel.
+ */
+function _discardSandbox() {
+	clearTimeout(_autoSaveTimer);
+	sandbox.discard(store);
+	updateUIInputs(store);
+	renderAllPanels(store);
+	refreshSandboxBanner();
+	_checkResultsFreshness();
+	showToast("Sandbox discarded", "info");
+}
+
+/**
+ * Warns and returns true if an action that writes the profile directly has
+ * to wait until the sandbox is committed or discarded.
+ * @returns {boolean}
+ */
+function _blockedBySandbox() {
+	if (!sandbox.active) return false;
+	showToast("Commit or discard the sandbox first", "warning");
+	return true;
 }
 
 // ─────────────────────────────────────────────
@@ -252,10 +327,11 @@ function _resolveAbilities(machines) {
  * Returns all machines the user has configured (any non-default value).
  * Used to decide whether optimization can proceed and to compute global
  * rarity levels for the worker payload.
+ * @param {AppStore} [appStore=store] - Another store, e.g. a profile loaded for comparison
  * @returns {Machine[]}
  */
-function _getOwnedMachines() {
-	return store.machines.filter(({ rarity, level, blueprints, inscriptionLevel, sacredLevel }) => {
+function _getOwnedMachines(appStore = store) {
+	return appStore.machines.filter(({ rarity, level, blueprints, inscriptionLevel, sacredLevel }) => {
 		const hasBlueprints = Object.values(blueprints).some((v) => v > 0);
 		const hasCards = inscriptionLevel > 0 || sacredLevel > 0;
 		return hasBlueprints || hasCards || level > 0 || rarity.toLowerCase() !== "common";
@@ -264,65 +340,109 @@ function _getOwnedMachines() {
 
 /**
  * Returns all heroes with at least one non-zero percentage.
+ * @param {AppStore} [appStore=store]
  * @returns {Hero[]}
  */
-function _getOwnedHeroes() {
-	return store.heroes.filter((hero) => Object.values(hero.percentages).some((v) => v > 0));
+function _getOwnedHeroes(appStore = store) {
+	return appStore.heroes.filter((hero) => Object.values(hero.percentages).some((v) => v > 0));
 }
 
 /**
  * Converts the artifact store to the array format expected by the optimizer
  * and upgrade analyzer.
+ * @param {AppStore} [appStore=store]
  * @returns {Array<{stat: string, values: Object}>}
  */
-function _getArtifactArray() {
-	return Object.keys(store.artifacts).map((stat) => ({
+function _getArtifactArray(appStore = store) {
+	return Object.keys(appStore.artifacts).map((stat) => ({
 		stat,
-		values: store.artifacts[stat],
+		values: appStore.artifacts[stat],
 	}));
 }
 
+/**
+ * Collects the lock, exclude and pin toggles of owned machines and heroes
+ * into the constraints the optimizer expects.
+ * @param {AppStore} [appStore=store]
+ * @returns {import('./optimizer.js').CrewConstraints}
+ */
+function _getCrewConstraints(appStore = store) {
+	const ownedMachines = _getOwnedMachines(appStore);
+	const ownedMachineIds = new Set(ownedMachines.map((m) => m.id));
+	const ownedHeroes = _getOwnedHeroes(appStore);
+
+	return {
+		lockedMachineIds: ownedMachines.filter((m) => m.locked).map((m) => m.id),
+		excludedHeroIds: ownedHeroes.filter((h) => h.excluded).map((h) => h.id),
+		pins: ownedHeroes.filter((h) => !h.excluded && ownedMachineIds.has(h.pinnedMachineId)).map((h) => ({ heroId: h.id, machineId: h.pinnedMachineId })),
+	};
+}
+
 /**
  * Checks that the user has configured at least one machine and one hero.
+ * @param {AppStore} [appStore=store]
  * @returns {{valid: boolean, message: string}}
  */
-function _validateOptimizationInputs() {
-	if (_getOwnedMachines().length === 0) {
+function _validateOptimizationInputs(appStore = store) {
+	if (_getOwnedMachines(appStore).length === 0) {
 		return {
 			valid: false,
 			message: "Please configure at least one machine before optimizing. Set its level, rarity, or blueprints in the Machines tab.",
 		};
 	}
 
-	if (_getOwnedHeroes().length === 0) {
+	if (_getOwnedHeroes(appStore).length === 0) {
 		return {
 			valid: false,
 			message: "Please configure at least one hero before optimizing. Set percentage bonuses in the Heroes tab.",
 		};
 	}
 
+	if (_getOwnedHeroes(appStore).every((hero) => hero.excluded)) {
+		return {
+			valid: false,
+			message: "Every configured hero is excluded from crews. Include at least one in the Heroes tab.",
+		};
+	}
+
 	return { valid: true, message: "" };
 }
 
+/**
+ * Returns the battle RNG seed for the next run.
+ * A `?seed=<integer>` URL parameter replays a reported run exactly;
+ * otherwise a fresh time-based seed is used.
+ * @returns {number}
+ */
+function _resolveSeed() {
+	const param = new URLSearchParams(window.location.search).get("seed");
+	const seed = Number.parseInt(param, 10);
+	return Number.isSafeInteger(seed) && seed >= 0 ? seed : Date.now();
+}
+
 /**
  * Assembles the payload object for the optimizer worker.
  * Extracted from the click handler so the shape is visible at a glance.
+ * @param {AppStore} [appStore=store]
+ * @param {number}   [seed]          - Defaults to _resolveSeed()
  * @returns {Object}
  */
-function _buildWorkerPayload() {
-	const ownedMachines = _getOwnedMachines();
+function _buildWorkerPayload(appStore = store, seed = _resolveSeed()) {
+	const ownedMachines = _getOwnedMachines(appStore);
 	const globalRarityLevels = Calculator.getGlobalRarityLevels(ownedMachines);
 
 	return {
-		mode: store.optimizeMode,
-		ownedMachines: _resolveAbilities(store.machines),
-		ownedHeroes: _getOwnedHeroes(),
+		mode: appStore.optimizeMode,
+		ownedMachines: _resolveAbilities(appStore.machines),
+		ownedHeroes: _getOwnedHeroes(appStore),
 		maxMission: 90,
 		globalRarityLevels,
-		engineerLevel: store.engineerLevel,
-		scarabLevel: store.scarabLevel,
-		artifactArray: _getArtifactArray(),
-		riftRank: store.riftRank,
+		engineerLevel: appStore.engineerLevel,
+		scarabLevel: appStore.scarabLevel,
+		artifactArray: _getArtifactArray(appStore),
+		riftRank: appStore.riftRank,
+		seed,
+		winThreshold: AppConfig.MONTE_CARLO_WIN_THRESHOLD,
 		heroScoring: {
 			campaign: {
 				tank: { ...AppConfig.HERO_SCORING.CAMPAIGN.TANK },
@@ -333,6 +453,9 @@ function _buildWorkerPayload() {
 				dps: { ...AppConfig.HERO_SCORING.ARENA.DPS },
 			},
 		},
+		crewScoring: { ...AppConfig.CREW_SCORING },
+		enemyRosters: structuredClone(AppConfig.ENEMY_ROSTERS),
+		constraints: _getCrewConstraints(appStore),
 	};
 }
 
@@ -340,19 +463,11 @@ function _buildWorkerPayload() {
 // Optimization — worker lifecycle
 // ─────────────────────────────────────────────
 
-/** @type {Worker|null} Active optimizer worker, or null when idle. */
-let _currentWorker = null;
+/** Single gateway to the optimizer worker; queues, times out and retries runs. */
+const workerManager = new WorkerManager();
 
-/**
- * Removes event listeners and terminates a worker instance.
- * @param {Worker} worker
- */
-function _disposeWorker(worker) {
-	if (!worker) return;
-	worker.onmessage = null;
-	worker.onerror = null;
-	worker.terminate();
-}
+/** @type {string|null} Input hash of the result on screen; null when none or already stale. */
+let _displayedInputHash = null;
 
 /**
  * Updates the optimize button and body cursor to reflect loading state.
@@ -364,6 +479,7 @@ function _setLoading(isLoading) {
 
 	document.body.style.cursor = isLoading ? "wait" : "default";
 	btn.disabled = isLoading;
+	setOptimizeProgressVisible(isLoading);
 
 	if (isLoading) {
 		btn.textContent = "Optimizing...";
@@ -392,74 +508,216 @@ function _switchToResultsTab() {
 }
 
 /**
- * Validates inputs, spawns a worker, and orchestrates the optimization run.
+ * Validates inputs and runs the optimization through the WorkerManager.
  * Cancels any in-progress run before starting a new one.
  */
-function _runOptimization() {
+async function _runOptimization() {
 	const validation = _validateOptimizationInputs();
 	if (!validation.valid) {
 		showToast(validation.message, "warning");
 		return;
 	}
 
-	if (_currentWorker) {
-		_disposeWorker(_currentWorker);
-		_currentWorker = null;
+	if (workerManager.isRunning) {
+		workerManager.terminate();
 		showToast("Previous optimization cancelled", "info");
 	}
 
 	_setLoading(true);
 
-	const worker = new Worker("./js/optimizerWorker.js", { type: "module" });
-	_currentWorker = worker;
+	try {
+		// The mode toggle stays usable during a run; file the result under the mode it ran in
+		const mode = store.optimizeMode;
+		const inputs = _snapshotInputs();
+		const inputHash = hashObject(inputs);
+		const rawResult = await workerManager.run(_buildWorkerPayload(), { onProgress: updateOptimizeProgress });
+		if (rawResult.cancelled) {
+			showToast("Optimization cancelled — showing the best result found so far", "info");
+		}
 
-	worker.postMessage(_buildWorkerPayload());
+		// Sandbox runs are hypothetical; keep them out of the stored history
+		if (!sandbox.active) {
+			try {
+				await db.saveResult(mode, rawResult, inputs, inputHash);
+				await refreshResultHistory();
+			} catch (err) {
+				console.warn("Failed to cache result:", err);
+			}
+		}
 
-	worker.onmessage = async (e) => {
-		const workerRef = _currentWorker;
-		_currentWorker = null;
+		const result = _reconstructDecimals(rawResult);
 
-		const rawResult = e.data;
+		renderResults(result, mode, _buildUpgradeConfig(rawResult.seed));
+		_displayedInputHash = inputHash;
+		_switchToResultsTab();
+	} catch (err) {
+		// Superseded by a newer run, which owns the loading state
+		if (err?.name === "AbortError") return;
+
+		console.error(err);
+		showToast(err instanceof OptimizationTimeoutError ? err.message : "Optimization failed. Please try again.", "danger");
+	} finally {
+		if (!workerManager.isRunning) _setLoading(false);
+	}
+}
 
-		if (rawResult.error) {
-			console.error(new Error("Optimization failed", { cause: rawResult.error }));
-			showToast("Optimization failed. Please try again.", "danger");
-			_setLoading(false);
-			_disposeWorker(workerRef);
-			return;
-		}
+/**
+ * Builds the upgrade analyzer config for a rendered result from the current store.
+ * @param {number} seed - Seed of the run, so suggestions replay its battles
+ * @returns {Object}
+ */
+function _buildUpgradeConfig(seed) {
+	return {
+		engineerLevel: store.engineerLevel,
+		scarabLevel: store.scarabLevel,
+		artifactArray: _getArtifactArray(),
+		globalRarityLevels: Calculator.getGlobalRarityLevels(_getOwnedMachines()),
+		riftRank: store.riftRank,
+		seed,
+	};
+}
+
+/**
+ * Captures what a run is computed from: stored with it in the result
+ * history, and hashed to tell when a shown result has gone stale.
+ * @returns {Object}
+ */
+function _snapshotInputs() {
+	return {
+		engineerLevel: store.engineerLevel,
+		scarabLevel: store.scarabLevel,
+		riftRank: store.riftRank,
+		machines: _getOwnedMachines().map((m) => ({
+			id: m.id,
+			rarity: m.rarity,
+			level: m.level,
+			blueprints: { ...m.blueprints },
+			inscriptionLevel: m.inscriptionLevel,
+			sacredLevel: m.sacredLevel,
+		})),
+		heroes: _getOwnedHeroes().map((h) => ({ id: h.id, percentages: { ...h.percentages } })),
+		artifacts: structuredClone(store.artifacts),
+		winThreshold: AppConfig.MONTE_CARLO_WIN_THRESHOLD,
+		heroScoring: structuredClone(AppConfig.HERO_SCORING),
+		crewScoring: { ...AppConfig.CREW_SCORING },
+		enemyRosters: structuredClone(AppConfig.ENEMY_ROSTERS),
+		constraints: _getCrewConstraints(),
+	};
+}
+
+/**
+ * Re-renders the latest stored result for the current mode, e.g. after a
+ * reload. Flagged stale when the inputs no longer match the ones it was
+ * computed from; upgrade suggestions are then left out, since they would
+ * mix the old formation with the new inputs.
+ */
+async function _restoreLastResult() {
+	try {
+		const mode = store.optimizeMode;
+		const record = await db.getLatestRecord(mode);
+		if (!record?.result?.formation) return;
+
+		const stale = record.inputHash !== hashObject(_snapshotInputs());
+		const result = _reconstructDecimals(record.result);
 
-		try {
-			await db.saveResult(store.optimizeMode, rawResult);
-		} catch (err) {
-			console.warn("Failed to cache result:", err);
+		renderResults(result, mode, stale ? null : _buildUpgradeConfig(result.seed), { restoredAt: record.createdAt, stale });
+		_displayedInputHash = stale ? null : record.inputHash;
+	} catch (err) {
+		console.warn("Failed to restore last result:", err);
+	}
+}
+
+/**
+ * Flags the shown result stale once the inputs drift from the ones it was
+ * computed from. Runs after each debounced auto-save.
+ */
+function _checkResultsFreshness() {
+	if (_displayedInputHash === null) return;
+	if (hashObject(_snapshotInputs()) === _displayedInputHash) return;
+
+	_displayedInputHash = null;
+	markResultsStale();
+}
+
+/**
+ * Re-renders the run history for the active profile and current mode.
+ */
+export async function refreshResultHistory() {
+	try {
+		renderResultHistory(await db.getResultHistory(store.optimizeMode));
+	} catch (err) {
+		console.warn("Failed to load result history:", err);
+	}
+}
+
+/**
+ * Optimizes two saved profiles with the same seed and the current mode,
+ * without touching the live store, the active profile or the result history.
+ * @param {number} profileIdA
+ * @param {number} profileIdB
+ * @returns {Promise<Object[]|null>} Both results, or null if a profile cannot be optimized or the run was superseded
+ */
+async function _compareProfiles(profileIdA, profileIdB) {
+	const stores = [];
+	for (const profileId of [profileIdA, profileIdB]) {
+		const [profile, state] = await Promise.all([db.profiles.get(profileId), db.loadState(profileId)]);
+		const profileStore = createInitialStore();
+		if (state) applyStateToStore(profileStore, state);
+		profileStore.optimizeMode = store.optimizeMode;
+
+		const validation = _validateOptimizationInputs(profileStore);
+		if (!validation.valid) {
+			showToast(`${profile?.name ?? "Profile"}: ${validation.message}`, "warning");
+			return null;
 		}
+		stores.push(profileStore);
+	}
 
-		const upgradeConfig = {
-			engineerLevel: store.engineerLevel,
-			scarabLevel: store.scarabLevel,
-			artifactArray: _getArtifactArray(),
-			globalRarityLevels: Calculator.getGlobalRarityLevels(_getOwnedMachines()),
-			riftRank: store.riftRank,
-		};
+	if (workerManager.isRunning) {
+		workerManager.terminate();
+		showToast("Previous optimization cancelled", "info");
+	}
 
-		const result = _reconstructDecimals(rawResult);
+	_setLoading(true);
 
-		renderResults(result, store.optimizeMode, upgradeConfig);
-		_switchToResultsTab();
-		_setLoading(false);
-		_disposeWorker(workerRef);
-	};
+	try {
+		const seed = _resolveSeed();
+		const results = await workerManager.runAll(
+			stores.map((profileStore) => _buildWorkerPayload(profileStore, seed)),
+			{ onProgress: updateOptimizeProgress },
+		);
+		return results.map(_reconstructDecimals);
+	} catch (err) {
+		if (err?.name === "AbortError") return null;
+
+		console.error(err);
+		showToast(err instanceof OptimizationTimeoutError ? err.message : "Comparison failed. Please try again.", "danger");
+		return null;
+	} finally {
+		if (!workerManager.isRunning) _setLoading(false);
+	}
+}
 
-	worker.onerror = (err) => {
-		const workerRef = _currentWorker;
-		_currentWorker = null;
+/**
+ * Re-renders the profile comparison panel with the current profile list.
+ */
+export async function refreshProfileComparison() {
+	try {
+		const [profiles, active] = await Promise.all([db.getAllProfiles(), db.getActiveProfile()]);
+		renderProfileComparison(profiles, active?.id ?? null, store.optimizeMode, _compareProfiles);
+	} catch (err) {
+		console.warn("Failed to render profile comparison:", err);
+	}
+}
 
-		console.error(new Error("Worker error", { cause: err }));
-		showToast("Optimization failed. Please try again.", "danger");
-		_setLoading(false);
-		_disposeWorker(workerRef);
-	};
+/**
+ * Asks the running job to stop after its current step.
+ * The run then resolves with the best partial result as usual.
+ */
+function _cancelOptimization() {
+	if (!workerManager.isRunning) return;
+	workerManager.cancel();
+	setOptimizeProgressCancelling();
 }
 
 // ─────────────────────────────────────────────
@@ -527,12 +785,16 @@ function _setupEventListeners() {
 			if (e.target.checked) {
 				store.optimizeMode = "campaign";
 				_updateOptimizeButtonText();
+				refreshResultHistory();
+				refreshProfileComparison();
 			}
 		});
 		arenaRadio.addEventListener("change", (e) => {
 			if (e.target.checked) {
 				store.optimizeMode = "arena";
 				_updateOptimizeButtonText();
+				refreshResultHistory();
+				refreshProfileComparison();
 			}
 		});
 	}
@@ -563,6 +825,7 @@ function _setupEventListeners() {
 
 	const optimizeBtn = document.getElementById("optimizeBtn");
 	if (optimizeBtn) optimizeBtn.addEventListener("click", _runOptimization);
+	onOptimizeCancel(_cancelOptimization);
 
 	// ── Save / Load modal focus management ───────
 	// Restores focus to the triggering element after the modal closes,
@@ -579,6 +842,7 @@ function _setupEventListeners() {
 		saveLoadModal.addEventListener("hide.bs.modal", () => {
 			const textarea = document.getElementById("saveLoadBox");
 			if (textarea) textarea.value = "";
+			clearImportPreview();
 			if (saveLoadModal.contains(document.activeElement)) document.activeElement.blur();
 		});
 
@@ -592,6 +856,10 @@ function _setupEventListeners() {
 		saveLoadModal.addEventListener("shown.bs.modal", () => {
 			document.getElementById("saveLoadBox")?.focus();
 		});
+
+		// A preview only describes the text and options it was built from
+		document.getElementById("saveLoadBox")?.addEventListener("input", clearImportPreview);
+		document.getElementById("saveSectionOptions")?.addEventListener("change", clearImportPreview);
 	}
 
 	// ── Profile management modal ─────────────────
@@ -610,12 +878,46 @@ function _setupEventListeners() {
 
 	const loadBtn = document.getElementById("loadBtn");
 	if (loadBtn) {
-		loadBtn.addEventListener("click", async () => {
-			await SaveLoad.load(store);
-			triggerAutoSave(store);
+		loadBtn.addEventListener("click", () => {
+			if (!_blockedBySandbox()) SaveLoad.load(store, { onImported: () => triggerAutoSave(store) });
+		});
+	}
+
+	// ── Save files and share links ───────────────
+
+	document.getElementById("downloadSaveBtn")?.addEventListener("click", () => SaveLoad.download());
+	document.getElementById("shareLinkBtn")?.addEventListener("click", () => SaveLoad.copyShareLink());
+
+	const uploadSaveInput = document.getElementById("uploadSaveInput");
+	if (uploadSaveInput) {
+		uploadSaveInput.addEventListener("change", async () => {
+			const [file] = uploadSaveInput.files;
+			uploadSaveInput.value = "";
+			if (file && !_blockedBySandbox()) await SaveLoad.readFile(file, store, { onImported: () => triggerAutoSave(store) });
+		});
+	}
+
+	const saveLoadBox = document.getElementById("saveLoadBox");
+	if (saveLoadBox) {
+		const dropHighlight = ["border-primary", "border-2"];
+		saveLoadBox.addEventListener("dragover", (e) => {
+			if (!e.dataTransfer?.types.includes("Files")) return;
+			e.preventDefault();
+			saveLoadBox.classList.add(...dropHighlight);
+		});
+		saveLoadBox.addEventListener("dragleave", () => saveLoadBox.classList.remove(...dropHighlight));
+		saveLoadBox.addEventListener("drop", async (e) => {
+			saveLoadBox.classList.remove(...dropHighlight);
+			const [file] = e.dataTransfer?.files ?? [];
+			if (!file) return;
+			e.preventDefault();
+			if (_blockedBySandbox()) return;
+			await SaveLoad.readFile(file, store, { onImported: () => triggerAutoSave(store) });
 		});
 	}
 
+	window.addEventListener("hashchange", () => SaveLoad.importFromShareLink(store));
+
 	// ── Reset artifacts ──────────────────────────
 
 	const resetArtifactsBtn = document.getElementById("resetArtifacts");
@@ -629,11 +931,16 @@ function _setupEventListeners() {
 		});
 	}
 
+	// ── Sandbox ──────────────────────────────────
+
+	document.getElementById("sandboxBtn")?.addEventListener("click", _enterSandbox);
+
 	// ── Reset all ────────────────────────────────
 
 	const resetAllBtn = document.getElementById("resetAllBtn");
 	if (resetAllBtn) {
 		resetAllBtn.addEventListener("click", () => {
+			if (_blockedBySandbox()) return;
 			if (confirm("Reset ALL data in this profile to default values? This cannot be undone.")) {
 				resetAll(store, createInitialStore);
 			}
@@ -701,6 +1008,8 @@ function _setupEventListeners() {
  *   6. Load the active profile's saved state into the store
  *   7. Render all panels
  *   8. Wire event listeners
+ *   9. Restore the last result, the result history and the profile comparison for the current mode
+ *  10. Offer to import a shared setup if the URL carries a share link
  */
 async function init() {
 	try {
@@ -724,6 +1033,10 @@ async function init() {
 
 		_setupEventListeners();
 		_updateOptimizeButtonText();
+		await _restoreLastResult();
+		await refreshResultHistory();
+		await refreshProfileComparison();
+		await SaveLoad.importFromShareLink(store);
 
 		await initPWA();
 	} catch (error) {
@@ -2,12 +2,14 @@
 import { Calculator } from "./calculator.js";
 import Decimal from "./vendor/break_eternity.esm.js";
 import { AppConfig } from "./config.js";
+import { Xorshift64 } from "./utils/rng.js";
 
 /**
  * @typedef {Object} BattleMember
  * @property {string}  name
  * @property {boolean} isPlayer
  * @property {boolean} isDead
+ * @property {number}  slot - Index in the team array (stable across the battle)
  * @property {Object|null} ability
  * @property {{damage: Decimal, health: Decimal, maxHealth: Decimal, armor: Decimal}} battleStats
  */
@@ -20,6 +22,27 @@ import { AppConfig } from "./config.js";
  * @property {BattleMember[]} enemyTeam
  * @property {Decimal}       playerTotalHP
  * @property {Decimal}       enemyTotalHP
+ * @property {BattleRound[]} [log] - Only present when `recordLog` was requested
+ */
+
+/**
+ * A single thing that happened during a battle.
+ * `side` and `source` always identify the acting unit; `target` is a slot on
+ * the opposing team for attack/damage/death and on the actor's own team for heal.
+ * @typedef {Object} BattleEvent
+ * @property {"attack"|"ability"|"damage"|"heal"|"death"} type
+ * @property {"player"|"enemy"} side
+ * @property {number}      source
+ * @property {number|null} target - null for "ability" (the proc itself)
+ * @property {Decimal}     amount - Damage dealt, HP healed, or the ability's raw value
+ */
+
+/**
+ * @typedef {Object} BattleRound
+ * @property {number}        round    - 1-based round number
+ * @property {BattleEvent[]} events   - In the order they happened
+ * @property {Decimal[]}     playerHP - Per-slot HP at the end of the round
+ * @property {Decimal[]}     enemyHP
  */
 
 /**
@@ -29,6 +52,10 @@ import { AppConfig } from "./config.js";
  * inputs and outputs are explicit — no implicit closure captures.
  * Only `runBattle` is an instance method because `BattleEngine` is
  * instantiated by Optimizer and UpgradeAnalyzer.
+ *
+ * All randomness (overdrive rolls, random targeting) is drawn from the
+ * instance's seeded Xorshift64, which mirrors the Rust engine. A battle
+ * sequence can therefore be replayed exactly from its seed.
  */
 export class BattleEngine {
 	/** @type {Decimal} */
@@ -37,6 +64,16 @@ export class BattleEngine {
 	/** @type {number[]} */
 	static TARGET_ORDER = AppConfig.ATTACK_ORDER;
 
+	/**
+	 * @param {Object}    [options]
+	 * @param {number|bigint} [options.seed] - Seed for a fresh Xorshift64 (defaults to Date.now())
+	 * @param {Xorshift64}    [options.rng]  - Pre-built generator; takes precedence over `seed`
+	 */
+	constructor({ seed, rng } = {}) {
+		/** @type {Xorshift64} */
+		this.rng = rng ?? new Xorshift64(seed);
+	}
+
 	// ─────────────────────────────────────────────
 	// Public battle entry point
 	// ─────────────────────────────────────────────
@@ -47,9 +84,11 @@ export class BattleEngine {
 	 * @param {Object[]} enemyTeam  - Raw enemy objects with battleStats
 	 * @param {number}   [maxRounds=AppConfig.MAX_BATTLE_ROUNDS]
 	 * @param {boolean}  [enableAbilities=true]
+	 * @param {Object}   [options]
+	 * @param {boolean}  [options.recordLog=false] - Record a round-by-round event log (slower; off for Monte Carlo)
 	 * @returns {BattleResult}
 	 */
-	runBattle(playerTeam, enemyTeam, maxRounds = AppConfig.MAX_BATTLE_ROUNDS, enableAbilities = true) {
+	runBattle(playerTeam, enemyTeam, maxRounds = AppConfig.MAX_BATTLE_ROUNDS, enableAbilities = true, { recordLog = false } = {}) {
 		if (!Array.isArray(playerTeam) || !Array.isArray(enemyTeam)) {
 			throw new Error("Teams must be arrays");
 		}
@@ -60,17 +99,24 @@ export class BattleEngine {
 		const players = BattleEngine._cloneTeam(playerTeam, true);
 		const enemies = BattleEngine._cloneTeam(enemyTeam, false);
 
+		const log = recordLog ? [] : null;
+
 		let round = 0;
 		while (round < maxRounds && BattleEngine._hasAlive(players) && BattleEngine._hasAlive(enemies)) {
-			BattleEngine._attackPhase(players, enemies, players, enableAbilities);
-			if (!BattleEngine._hasAlive(enemies)) break;
-			BattleEngine._attackPhase(enemies, players, enemies, enableAbilities);
+			const events = log ? [] : null;
+			BattleEngine._attackPhase(players, enemies, players, enableAbilities, this.rng, events);
+			const enemiesDown = !BattleEngine._hasAlive(enemies);
+			if (!enemiesDown) {
+				BattleEngine._attackPhase(enemies, players, enemies, enableAbilities, this.rng, events);
+			}
+			if (log) log.push(BattleEngine._snapshotRound(round + 1, events, players, enemies));
+			if (enemiesDown) break;
 			round++;
 		}
 
 		const playerWon = !BattleEngine._hasAlive(enemies) && BattleEngine._hasAlive(players);
 
-		return {
+		const result = {
 			playerWon,
 			rounds: round,
 			playerTeam: players,
@@ -78,6 +124,9 @@ export class BattleEngine {
 			playerTotalHP: BattleEngine._totalHP(players),
 			enemyTotalHP: BattleEngine._totalHP(enemies),
 		};
+		if (log) result.log = log;
+
+		return result;
 	}
 
 	// ─────────────────────────────────────────────
@@ -89,9 +138,10 @@ export class BattleEngine {
 	 * @param {BattleMember[]} team
 	 * @param {Object} ability
 	 * @param {BattleMember} caster
+	 * @param {Xorshift64}   rng - Used by "random" targeting
 	 * @returns {BattleMember[]}
 	 */
-	static selectAbilityTargets(team, ability, caster) {
+	static selectAbilityTargets(team, ability, caster, rng) {
 		if (!ability || !team) return [];
 
 		const alive = team.filter((m) => !m.isDead);
@@ -103,12 +153,7 @@ export class BattleEngine {
 
 			case "random": {
 				const count = Math.min(ability.numTargets || 1, alive.length);
-				const shuffled = [...alive];
-				for (let i = shuffled.length - 1; i > 0; i--) {
-					const j = Math.floor(Math.random() * (i + 1));
-					[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-				}
-				return shuffled.slice(0, count);
+				return rng.shuffle([...alive]).slice(0, count);
 			}
 
 			case "all":
@@ -137,15 +182,18 @@ export class BattleEngine {
 	 * Applies healing to targets, capped at maxHealth.
 	 * @param {BattleMember[]} targets
 	 * @param {Decimal}        healAmount
+	 * @param {((target: BattleMember, healed: Decimal, killed: boolean) => void)|null} [onApply=null] - Called per target with the HP actually restored
 	 */
-	static applyHealing(targets, healAmount) {
+	static applyHealing(targets, healAmount, onApply = null) {
 		if (!targets?.length) return;
 		const heal = Calculator.toDecimal(healAmount);
 
 		for (let i = 0; i < targets.length; i++) {
 			const t = targets[i];
 			if (t.isDead) continue;
-			t.battleStats.health = Decimal.min(t.battleStats.health.add(heal), t.battleStats.maxHealth);
+			const before = t.battleStats.health;
+			t.battleStats.health = Decimal.min(before.add(heal), t.battleStats.maxHealth);
+			if (onApply) onApply(t, t.battleStats.health.sub(before), false);
 		}
 	}
 
@@ -153,8 +201,9 @@ export class BattleEngine {
 	 * Applies damage to targets, marking dead at ≤ 0 HP.
 	 * @param {BattleMember[]} targets
 	 * @param {Decimal}        damageAmount
+	 * @param {((target: BattleMember, dealt: Decimal, killed: boolean) => void)|null} [onApply=null] - Called per target that took damage
 	 */
-	static applyDamage(targets, damageAmount) {
+	static applyDamage(targets, damageAmount, onApply = null) {
 		if (!targets?.length) return;
 		const ZERO = BattleEngine.ZERO;
 
@@ -172,6 +221,7 @@ export class BattleEngine {
 			} else {
 				t.battleStats.health = newHP;
 			}
+			if (onApply) onApply(t, actual, t.isDead);
 		}
 	}
 
@@ -180,8 +230,10 @@ export class BattleEngine {
 	 * @param {BattleMember}   caster
 	 * @param {BattleMember[]} playerTeam
 	 * @param {BattleMember[]} enemyTeam
+	 * @param {Xorshift64}     rng
+	 * @param {BattleEvent[]|null} [events=null] - Event sink when a log is being recorded
 	 */
-	static executeAbility(caster, playerTeam, enemyTeam) {
+	static executeAbility(caster, playerTeam, enemyTeam, rng, events = null) {
 		const { ability } = caster;
 		if (!ability) {
 			console.warn("Caster has no ability:", caster.name);
@@ -198,7 +250,7 @@ export class BattleEngine {
 			return;
 		}
 
-		const targets = BattleEngine.selectAbilityTargets(targetTeam, ability, caster);
+		const targets = BattleEngine.selectAbilityTargets(targetTeam, ability, caster, rng);
 		if (targets.length === 0) return;
 
 		let baseValue;
@@ -213,10 +265,19 @@ export class BattleEngine {
 
 		const abilityValue = baseValue.mul(ability.multiplier || 1);
 
+		let onApply = null;
+		if (events) {
+			BattleEngine._logEvent(events, "ability", caster, null, abilityValue);
+			onApply = (target, amount, killed) => {
+				BattleEngine._logEvent(events, ability.effect, caster, target, amount);
+				if (killed) BattleEngine._logEvent(events, "death", caster, target, BattleEngine.ZERO);
+			};
+		}
+
 		if (ability.effect === "heal") {
-			BattleEngine.applyHealing(targets, abilityValue);
+			BattleEngine.applyHealing(targets, abilityValue, onApply);
 		} else if (ability.effect === "damage") {
-			BattleEngine.applyDamage(targets, abilityValue);
+			BattleEngine.applyDamage(targets, abilityValue, onApply);
 		} else {
 			console.warn("Unknown ability effect:", ability.effect);
 		}
@@ -235,13 +296,14 @@ export class BattleEngine {
 	 * @private
 	 */
 	static _cloneTeam(team, isPlayer) {
-		return team.map((m) => {
+		return team.map((m, slot) => {
 			if (!m.battleStats) throw new Error(`Machine missing battleStats: ${JSON.stringify(m)}`);
 			const { battleStats: bs } = m;
 			const health = Calculator.toDecimal(bs.health);
 			return {
 				...m,
 				isPlayer,
+				slot,
 				ability: m.ability ? { ...m.ability } : null,
 				battleStats: {
 					health,
@@ -294,20 +356,59 @@ export class BattleEngine {
 		return sum;
 	}
 
+	/**
+	 * Appends an event to the log sink. No-op when no log is being recorded.
+	 * @param {BattleEvent[]|null}  events
+	 * @param {BattleEvent["type"]} type
+	 * @param {BattleMember}        actor
+	 * @param {BattleMember|null}   target
+	 * @param {Decimal}             amount
+	 * @private
+	 */
+	static _logEvent(events, type, actor, target, amount) {
+		if (!events) return;
+		events.push({
+			type,
+			side: actor.isPlayer ? "player" : "enemy",
+			source: actor.slot,
+			target: target ? target.slot : null,
+			amount,
+		});
+	}
+
+	/**
+	 * Captures a round's events and the per-slot HP of both teams after it.
+	 * @param {number}         round
+	 * @param {BattleEvent[]}  events
+	 * @param {BattleMember[]} players
+	 * @param {BattleMember[]} enemies
+	 * @returns {BattleRound}
+	 * @private
+	 */
+	static _snapshotRound(round, events, players, enemies) {
+		return {
+			round,
+			events,
+			playerHP: players.map((m) => m.battleStats.health),
+			enemyHP: enemies.map((m) => m.battleStats.health),
+		};
+	}
+
 	/**
 	 * Runs one attack phase: each living attacker (in TARGET_ORDER) hits the
 	 * next living defender, then optionally triggers an ability.
-	 * Abilities are only triggered for the player team.
+	 * Both sides can trigger abilities; uniform enemy teams simply have none.
 	 * @param {BattleMember[]} attackers
 	 * @param {BattleMember[]} defenders
 	 * @param {BattleMember[]} attackersTeam - Full attacker team (for ability resolution)
 	 * @param {boolean}        enableAbilities
+	 * @param {Xorshift64}     rng - Overdrive rolls; drawn in the same order as the Rust engine
+	 * @param {BattleEvent[]|null} [events=null] - Event sink when a log is being recorded
 	 * @private
 	 */
-	static _attackPhase(attackers, defenders, attackersTeam, enableAbilities) {
+	static _attackPhase(attackers, defenders, attackersTeam, enableAbilities, rng, events = null) {
 		const ZERO = BattleEngine.ZERO;
 		const ORDER = BattleEngine.TARGET_ORDER;
-		const isPlayerPhase = attackersTeam === attackers && attackers[0]?.isPlayer;
 
 		for (let i = 0; i < ORDER.length; i++) {
 			if (!BattleEngine._hasAlive(defenders)) break;
@@ -329,11 +430,16 @@ export class BattleEngine {
 					target.battleStats.health = newHP;
 				}
 			}
-
-			if (enableAbilities && attacker.ability && isPlayerPhase) {
-				if (Math.random() < Calculator.calculateOverdrive(attacker)) {
+			BattleEngine._logEvent(events, "attack", attacker, target, damage);
+			if (target.isDead) BattleEngine._logEvent(events, "death", attacker, target, ZERO);
+
+			if (enableAbilities && attacker.ability) {
+				if (rng.nextFloat() < Calculator.calculateOverdrive(attacker)) {
+					// executeAbility takes (playerTeam, enemyTeam) in absolute terms
+					const playerSide = attacker.isPlayer ? attackersTeam : defenders;
+					const enemySide = attacker.isPlayer ? defenders : attackersTeam;
 					try {
-						BattleEngine.executeAbility(attacker, attackersTeam, defenders);
+						BattleEngine.executeAbility(attacker, playerSide, enemySide, rng, events);
 					} catch (error) {
 						console.error("Ability execution failed:", error, "Attacker:", attacker.name, "Ability:", attacker.ability);
 					}
@@ -1,6 +1,8 @@
 // calculator.js
 import Decimal from "./vendor/break_eternity.esm.js";
 import { AppConfig } from "./config.js";
+import { abilitiesData } from "./data/abilities.js";
+import { enemyRostersData } from "./data/enemies.js";
 
 /**
  * @typedef {Object} BasicAttributeParams
@@ -136,17 +138,25 @@ export class Calculator {
 	}
 
 	/**
-	 * Creates a 5-enemy team for a given mission and difficulty.
-	 * All enemies are identical; each gets a shallow-spread of the template
-	 * so their battleStats objects are independent.
+	 * Creates the enemy team for a given mission and difficulty.
+	 * Uses the mission's roster (see getEnemyRoster) when one exists (mixed
+	 * stat spreads and enemy abilities); otherwise all five enemies are
+	 * identical, each getting a shallow-spread of the template so their
+	 * battleStats objects are independent.
 	 * @param {number} missionNumber
 	 * @param {string} difficulty
 	 * @param {number} [milestoneBase=AppConfig.MILESTONE_SCALE_FACTOR]
+	 * @param {boolean} [useRoster=true] - False forces the uniform team (power requirements)
 	 * @returns {Object[]}
 	 */
-	static getEnemyTeamForMission(missionNumber, difficulty, milestoneBase = AppConfig.MILESTONE_SCALE_FACTOR) {
+	static getEnemyTeamForMission(missionNumber, difficulty, milestoneBase = AppConfig.MILESTONE_SCALE_FACTOR, useRoster = true) {
 		const s = Calculator.enemyAttributes(missionNumber, difficulty, milestoneBase);
 
+		const roster = useRoster ? Calculator.getEnemyRoster(missionNumber, difficulty) : null;
+		if (roster?.length) {
+			return roster.slice(0, AppConfig.FORMATION_SIZE).map((spec, i) => Calculator._buildRosterEnemy(spec, s, i));
+		}
+
 		const template = {
 			baseStats: { damage: s.damage, health: s.health, armor: s.armor },
 			battleStats: { damage: s.damage, health: s.health, maxHealth: s.health, armor: s.armor },
@@ -159,6 +169,51 @@ export class Calculator {
 		}));
 	}
 
+	/**
+	 * Returns the roster for a mission: the user's entry in
+	 * AppConfig.ENEMY_ROSTERS, else the one in enemyRostersData.
+	 * @param {number} missionNumber
+	 * @param {string} difficulty
+	 * @returns {import('./data/enemies.js').EnemyUnitSpec[]|null} Null when the mission uses uniform enemies
+	 */
+	static getEnemyRoster(missionNumber, difficulty) {
+		return AppConfig.ENEMY_ROSTERS[difficulty]?.[missionNumber] ?? enemyRostersData[difficulty]?.[missionNumber] ?? null;
+	}
+
+	/**
+	 * Returns every mission's roster as getEnemyRoster resolves it, in the
+	 * enemyRostersData shape (for the WASM engine config).
+	 * @returns {Object<string, Object<number, import('./data/enemies.js').EnemyUnitSpec[]>>}
+	 */
+	static getEnemyRosters() {
+		return Object.fromEntries(AppConfig.DIFFICULTY_KEYS.map((key) => [key, { ...enemyRostersData[key], ...AppConfig.ENEMY_ROSTERS[key] }]));
+	}
+
+	/**
+	 * Builds one battle-ready enemy from a roster spec and the mission's uniform stats.
+	 * @param {import('./data/enemies.js').EnemyUnitSpec} spec
+	 * @param {StatTriple} stats - Uniform enemy stats for the mission
+	 * @param {number} index - Formation slot (used for the fallback name)
+	 * @returns {Object}
+	 * @private
+	 */
+	static _buildRosterEnemy(spec, stats, index) {
+		const scale = spec.statScale ?? {};
+		const damage = stats.damage.mul(scale.damage ?? 1);
+		const health = stats.health.mul(scale.health ?? 1);
+		const armor = stats.armor.mul(scale.armor ?? 1);
+
+		return {
+			name: spec.name ?? `Enemy${index + 1}`,
+			machineId: spec.machineId ?? null,
+			rarity: spec.rarity ?? "common",
+			ability: spec.ability ? (abilitiesData[spec.ability.key] ?? null) : null,
+			baseStats: { damage, health, armor },
+			battleStats: { damage, health, maxHealth: health, armor },
+			isDead: false,
+		};
+	}
+
 	/**
 	 * Returns the minimum power a team must reach to attempt a mission.
 	 * @param {number} missionNumber
@@ -166,7 +221,8 @@ export class Calculator {
 	 * @returns {Decimal}
 	 */
 	static requiredPowerForMission(missionNumber, difficulty) {
-		const enemyTeam = Calculator.getEnemyTeamForMission(missionNumber, difficulty, AppConfig.POWER_REQUIREMENT_MILESTONE_FACTOR);
+		// Requirements follow the uniform scaling curve, not the mission roster
+		const enemyTeam = Calculator.getEnemyTeamForMission(missionNumber, difficulty, AppConfig.POWER_REQUIREMENT_MILESTONE_FACTOR, false);
 		const enemyPower = Calculator.computeSquadPower(enemyTeam, "campaign");
 
 		let reqPct = AppConfig.POWER_REQUIREMENTS.DEFAULT.percentage;
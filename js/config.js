@@ -94,6 +94,12 @@ export const AppConfig = {
 	/** @type {number} */
 	MAX_PROFILES: 5,
 
+	/**
+	 * Optimization runs kept per profile and mode for the results history.
+	 * @type {number}
+	 */
+	RESULT_HISTORY_LIMIT: 30,
+
 	/** @type {string} */
 	DEFAULT_PROFILE_NAME: "Main Account",
 
@@ -117,6 +123,13 @@ export const AppConfig = {
 	/** @type {number} */
 	MAX_MISSIONS_PER_DIFFICULTY: 90,
 
+	/**
+	 * Most stars one upgrade roadmap plans for (see UpgradeAnalyzer.planRoadmap).
+	 * Every candidate plan is battle-tested against each of them.
+	 * @type {number}
+	 */
+	UPGRADE_ROADMAP_MAX_STARS: 10,
+
 	/**
 	 * Total possible stars across all difficulties and missions.
 	 * @returns {number}
@@ -165,9 +178,78 @@ export const AppConfig = {
 	/** @type {number} */
 	REOPTIMIZE_INTERVAL: 5,
 
+	/**
+	 * Time limit (ms) for one optimizer worker job; 0 disables it.
+	 * @type {number}
+	 */
+	WORKER_TIMEOUT_MS: 20 * 60 * 1000,
+
 	/** @type {number} */
 	MONTE_CARLO_SIMULATIONS: 20000,
 
+	/**
+	 * Battles always run before a Monte Carlo estimate may stop early.
+	 * @type {number}
+	 */
+	MONTE_CARLO_MIN_SIMULATIONS: 500,
+
+	/**
+	 * z-score for the Wilson confidence interval around a win rate (95%).
+	 * @type {number}
+	 */
+	MONTE_CARLO_CONFIDENCE_Z: 1.96,
+
+	/**
+	 * Minimum win rate (0–1) for a Monte Carlo mission to count as a star.
+	 * 0 keeps the original "won at least once" behaviour.
+	 * Mutable so SettingsManager can apply user overrides at runtime.
+	 * @type {number}
+	 */
+	MONTE_CARLO_WIN_THRESHOLD: 0,
+
+	/**
+	 * Monte Carlo worker pool (SimulationPool). One worker per logical core,
+	 * up to MAX_WORKERS; each runs POOL_BATCH battles per round before the
+	 * merged counts are checked against the early-stop interval.
+	 * @type {number}
+	 */
+	MONTE_CARLO_MAX_WORKERS: 16,
+
+	/** @type {number} */
+	MONTE_CARLO_POOL_BATCH: 100,
+
+	/**
+	 * Formation permutation search (Optimizer.searchFormation).
+	 * Every ordering is screened with a few battles; the best FINALISTS
+	 * (plus the arrangeByRole ordering) get SIMULATIONS more each.
+	 * @type {number}
+	 */
+	FORMATION_SEARCH_SCREEN_SIMULATIONS: 20,
+
+	/** @type {number} */
+	FORMATION_SEARCH_FINALISTS: 8,
+
+	/** @type {number} */
+	FORMATION_SEARCH_SIMULATIONS: 200,
+
+	/**
+	 * Team composition search (Optimizer.searchTeam), run when the top-five
+	 * team loses. Subsets are drawn from the POOL_SIZE strongest machines;
+	 * those below POWER_RATIO of the strongest subset are pruned, and at most
+	 * MAX_CANDIDATES are crewed and simulated.
+	 * @type {number}
+	 */
+	TEAM_SEARCH_POOL_SIZE: 10,
+
+	/** @type {number} */
+	TEAM_SEARCH_POWER_RATIO: 0.8,
+
+	/** @type {number} */
+	TEAM_SEARCH_MAX_CANDIDATES: 12,
+
+	/** @type {number} */
+	TEAM_SEARCH_SIMULATIONS: 20,
+
 	// ─────────────────────────────────────────────
 	// Crew & Hero
 	// ─────────────────────────────────────────────
@@ -207,6 +289,30 @@ export const AppConfig = {
 		},
 	},
 
+	/**
+	 * Crew scoring model used on top of HERO_SCORING.
+	 * "percentages" scores heroes on their percentage bonuses only; "role" also
+	 * multiplies by ROLE_AFFINITY when a hero's role matches the machine's
+	 * (tank heroes on tank machines) and nudges near-ties with the hero's base
+	 * and advanced stats, scaled by TIEBREAK_WEIGHT.
+	 * Mutable so SettingsManager can apply user overrides at runtime.
+	 */
+	CREW_SCORING: {
+		MODEL: "percentages",
+		ROLE_AFFINITY: 1.5,
+		TIEBREAK_WEIGHT: 0.001,
+	},
+
+	/**
+	 * User overrides for the per-mission enemy rosters in data/enemies.js:
+	 * difficulty key → mission number → up to FORMATION_SIZE EnemyUnitSpec, in
+	 * formation order. A mission listed here replaces its built-in roster (an
+	 * empty list forces five identical enemies); see Calculator.getEnemyRoster.
+	 * Mutable so SettingsManager can apply user overrides at runtime.
+	 * @type {Object<string, Object<number, import('./data/enemies.js').EnemyUnitSpec[]>>}
+	 */
+	ENEMY_ROSTERS: {},
+
 	// ─────────────────────────────────────────────
 	// Stat calculation constants
 	// ─────────────────────────────────────────────
@@ -413,6 +519,21 @@ export const AppConfig = {
 		starlight_plus: { "1star": 750, "2star": 950, "3star": 1100, "4star": 1250, "5star": 1450, "1crown": 1300, "2crown": 1450, "3crown": 1600, "4crown": 1750, "5crown": 1950 },
 	},
 
+	/**
+	 * Guardian stat growth used by GuardianDps.
+	 * Every evolution (rank step on the star-then-crown path) multiplies attack
+	 * by ATTACK_PER_EVOLUTION and adds the flat crit values; each level within
+	 * a rank adds ATTACK_PER_LEVEL of the evolved attack. Attack speed is the
+	 * guardian's fixed maximum.
+	 */
+	GUARDIAN_STAT_GROWTH: {
+		ATTACK_PER_EVOLUTION: 1.1,
+		ATTACK_PER_LEVEL: 0.02,
+		CRIT_CHANCE_PER_EVOLUTION: 0.005,
+		CRIT_CHANCE_CAP: 1,
+		CRIT_DAMAGE_PER_EVOLUTION: 0.05,
+	},
+
 	/**
 	 * Returns the numeric rarity level for a machine rarity key (0–8).
 	 * @param {string} rarityKey
@@ -431,6 +552,16 @@ export const AppConfig = {
 		return lookup(this.GUARDIAN_RARITIES, rarityKey, "level", 0);
 	},
 
+	/**
+	 * Returns the display label for a machine rarity key or label in any case —
+	 * the form the UI stores on machines. Unknown values are returned unchanged.
+	 * @param {string} rarity
+	 * @returns {string}
+	 */
+	getRarityLabel(rarity) {
+		return lookup(this.RARITIES, rarity, "label", rarity);
+	},
+
 	/** @returns {string[]} */
 	get RARITY_LABELS() {
 		return this.RARITIES.map((r) => r.label);
@@ -446,6 +577,44 @@ export const AppConfig = {
 		return this.GUARDIAN_EVOLUTIONS.map((e) => e.label);
 	},
 
+	// ─────────────────────────────────────────────
+	// Upgrade costs
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Resources spent on machine upgrades, in display order.
+	 * @type {Array<{key: string, label: string}>}
+	 */
+	UPGRADE_RESOURCES: [
+		{ key: "gold", label: "Gold" },
+		{ key: "blueprints", label: "Blueprints" },
+		{ key: "parts", label: "Machine Parts" },
+		{ key: "sacredCards", label: "Sacred Cards" },
+		{ key: "inscriptionCards", label: "Inscription Cards" },
+	],
+
+	/**
+	 * Default price tables for the cost model (see utils/costModel.js).
+	 * Editable in Settings → Costs; SettingsManager writes user values in place.
+	 *
+	 * LEVEL / BLUEPRINT / SACRED / INSCRIPTION: one step from n to n + 1 costs
+	 * round(base × growth^(n − 1)).
+	 * RARITY: cost to reach each rarity from the one below it.
+	 * VALUES: worth of one unit of each resource, used to rank paths that
+	 * spend different resources against each other.
+	 */
+	UPGRADE_COSTS: {
+		LEVEL: { resource: "gold", base: 100, growth: 1.08 },
+		BLUEPRINT: { resource: "blueprints", base: 10, growth: 1.05 },
+		SACRED: { resource: "sacredCards", base: 1, growth: 1.1 },
+		INSCRIPTION: { resource: "inscriptionCards", base: 1, growth: 1.1 },
+		RARITY: {
+			resource: "parts",
+			costs: { uncommon: 10, rare: 25, epic: 50, legendary: 100, mythic: 200, titan: 400, angel: 800, celestial: 1600 },
+		},
+		VALUES: { gold: 1, blueprints: 20, parts: 500, sacredCards: 300, inscriptionCards: 300 },
+	},
+
 	// ─────────────────────────────────────────────
 	// Chaos Rift
 	// ─────────────────────────────────────────────
@@ -497,6 +666,9 @@ export const AppConfig = {
 	/** EXP granted by 20 Strange Dust. @type {number} */
 	STRANGE_DUST_EXP: 120,
 
+	/** Longest time-to-target GuardianCalculator.planTimeline will project. @type {number} */
+	GUARDIAN_PLAN_MAX_DAYS: 3650,
+
 	// ─────────────────────────────────────────────
 	// Defaults
 	// ─────────────────────────────────────────────
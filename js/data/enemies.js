@@ -0,0 +1,42 @@
+/**
+ * One enemy war machine in a mission roster.
+ *
+ * Stats are expressed as multipliers on the mission's uniform enemy stats
+ * (Calculator.enemyAttributes), so a roster keeps scaling with mission and
+ * difficulty exactly like the uniform fallback does.
+ *
+ * @typedef {Object} EnemyUnitSpec
+ * @property {string} [name]
+ * @property {number} [machineId] - machinesData id when the enemy is a known war machine
+ * @property {{damage?: number, health?: number, armor?: number}} [statScale] - Per-stat multipliers (default 1)
+ * @property {{key: string}|null} [ability] - abilitiesData key, same shape as machinesData
+ * @property {string} [rarity="common"] - Drives overdrive chance, same as player machines
+ */
+
+/**
+ * Per-mission enemy rosters: difficulty key → mission number → up to
+ * FORMATION_SIZE units, listed in formation order. Read by both engines
+ * through Calculator.getEnemyRosters(); a mission in the user's
+ * AppConfig.ENEMY_ROSTERS (Settings → Enemies) replaces the entry here.
+ *
+ * Missions without an entry use five identical enemies from
+ * Calculator.enemyAttributes (the original behaviour).
+ *
+ * @example
+ * hard: {
+ * 	47: [
+ * 		{ name: "Sentinel", machineId: 13, statScale: { damage: 0.6, health: 1.8, armor: 1.5 }, ability: null, rarity: "epic" },
+ * 		{ name: "Raider", machineId: 1, statScale: { damage: 1.4, health: 0.8, armor: 0.8 }, ability: { key: "dmg_1x_160" }, rarity: "epic" },
+ * 		...
+ * 	],
+ * },
+ *
+ * @type {Object<string, Object<number, EnemyUnitSpec[]>>}
+ */
+export const enemyRostersData = {
+	easy: {},
+	normal: {},
+	hard: {},
+	insane: {},
+	nightmare: {},
+};
@@ -1,6 +1,7 @@
 // db.js
 import Dexie from "./vendor/dexie.min.mjs";
 import { AppConfig } from "./config.js";
+import { SAVE_VERSION, SAVE_SECTIONS, SaveValidationError, validateSave } from "./saveSchema.js";
 
 /**
  * War Machine Optimizer Database with Profile Support
@@ -18,6 +19,26 @@ class WMDatabase extends Dexie {
 			artifacts: "[profileId+stat], profileId, stat",
 			results: "++id, [profileId+mode], profileId, mode",
 		});
+
+		// Result history: keep every run (up to RESULT_HISTORY_LIMIT) with a timestamp
+		this.version(2)
+			.stores({
+				results: "++id, [profileId+mode], [profileId+mode+createdAt], profileId, mode",
+			})
+			.upgrade((tx) =>
+				tx
+					.table("results")
+					.toCollection()
+					.modify((record) => {
+						record.createdAt ??= Date.now();
+						record.inputs ??= null;
+					}),
+			);
+
+		// Guardian roster, kept per profile next to machines
+		this.version(3).stores({
+			guardians: "[profileId+id], profileId, id",
+		});
 	}
 
 	// ========================================
@@ -59,6 +80,40 @@ class WMDatabase extends Dexie {
 		return profileId;
 	}
 
+	// Copies a profile's data (not its result history) into a new inactive profile
+	async duplicateProfile(sourceId, name) {
+		const count = await this.profiles.count();
+		if (count >= AppConfig.MAX_PROFILES) {
+			throw new Error(`Maximum ${AppConfig.MAX_PROFILES} profiles allowed`);
+		}
+
+		const source = await this.profiles.get(sourceId);
+		if (!source) throw new Error("Profile not found");
+
+		return await this.transaction("rw", [this.profiles, this.general, this.machines, this.heroes, this.artifacts, this.guardians], async () => {
+			const profileId = await this.profiles.add({ name, isActive: 0 });
+			const copy = (records) => records.map((record) => ({ ...record, profileId }));
+
+			const [general, machines, heroes, artifacts, guardians] = await Promise.all([
+				this.general.get(sourceId),
+				this.machines.where("profileId").equals(sourceId).toArray(),
+				this.heroes.where("profileId").equals(sourceId).toArray(),
+				this.artifacts.where("profileId").equals(sourceId).toArray(),
+				this.guardians.where("profileId").equals(sourceId).toArray(),
+			]);
+
+			await Promise.all([
+				general ? this.general.put({ ...general, profileId }) : Promise.resolve(),
+				this.machines.bulkPut(copy(machines)),
+				this.heroes.bulkPut(copy(heroes)),
+				this.artifacts.bulkPut(copy(artifacts)),
+				this.guardians.bulkPut(copy(guardians)),
+			]);
+
+			return profileId;
+		});
+	}
+
 	async switchProfile(profileId) {
 		await this.transaction("rw", this.profiles, async () => {
 			await this.profiles.toCollection().modify({ isActive: 0 });
@@ -74,13 +129,14 @@ class WMDatabase extends Dexie {
 		const profile = await this.profiles.get(profileId);
 		if (!profile) throw new Error("Profile not found");
 
-		await this.transaction("rw", [this.profiles, this.general, this.machines, this.heroes, this.artifacts, this.results], async () => {
+		await this.transaction("rw", [this.profiles, this.general, this.machines, this.heroes, this.artifacts, this.results, this.guardians], async () => {
 			await this.profiles.delete(profileId);
 			await this.general.where("profileId").equals(profileId).delete();
 			await this.machines.where("profileId").equals(profileId).delete();
 			await this.heroes.where("profileId").equals(profileId).delete();
 			await this.artifacts.where("profileId").equals(profileId).delete();
 			await this.results.where("profileId").equals(profileId).delete();
+			await this.guardians.where("profileId").equals(profileId).delete();
 
 			if (profile.isActive) {
 				const remaining = await this.profiles.toArray();
@@ -116,12 +172,15 @@ class WMDatabase extends Dexie {
 				blueprints: m.blueprints,
 				inscriptionLevel: m.inscriptionLevel || AppConfig.DEFAULTS.CARD_LEVEL,
 				sacredLevel: m.sacredLevel || AppConfig.DEFAULTS.CARD_LEVEL,
+				locked: m.locked ?? false,
 			}));
 
 			const heroRecords = state.heroes.map((h) => ({
 				profileId: profile.id,
 				id: h.id,
 				percentages: h.percentages,
+				excluded: h.excluded ?? false,
+				pinnedMachineId: h.pinnedMachineId ?? null,
 			}));
 
 			const artifactRecords = Object.keys(state.artifacts).map((stat) => ({
@@ -135,8 +194,9 @@ class WMDatabase extends Dexie {
 		});
 	}
 
-	async loadState() {
-		const profile = await this.getActiveProfile();
+	// Loads the active profile, or the given one (e.g. for comparisons)
+	async loadState(profileId = null) {
+		const profile = profileId === null ? await this.getActiveProfile() : await this.profiles.get(profileId);
 		if (!profile) return null;
 
 		const count = await this.machines.where("profileId").equals(profile.id).count();
@@ -166,153 +226,156 @@ class WMDatabase extends Dexie {
 		};
 	}
 
-	async exportData() {
+	// Exports the given sections of the active profile (all by default)
+	async exportData(sections = SAVE_SECTIONS) {
 		const state = await this.loadState();
-
-		if (!state) {
-			return JSON.stringify(
-				{
-					version: 1,
-					appVersion: AppConfig.APP_VERSION,
-					general: {
-						engineerLevel: 0,
-						scarabLevel: 0,
-						riftRank: "bronze",
-					},
-					machines: [],
-					heroes: [],
-					artifacts: Object.fromEntries(AppConfig.ARTIFACT_STATS.map((s) => [s, Object.fromEntries(AppConfig.ARTIFACT_PERCENTAGES.map((p) => [p, 0]))])),
-				},
-				null,
-				2,
-			);
-		}
-
-		return JSON.stringify(
-			{
-				version: 1,
-				appVersion: AppConfig.APP_VERSION,
-				general: {
-					engineerLevel: state.engineerLevel,
-					scarabLevel: state.scarabLevel,
-					riftRank: state.riftRank,
-				},
-				machines: state.machines.map((m) => ({
+		const emptyArtifacts = () => Object.fromEntries(AppConfig.ARTIFACT_PERCENTAGES.map((p) => [p, 0]));
+
+		const all = {
+			general: () => ({
+				engineerLevel: state?.engineerLevel ?? AppConfig.DEFAULTS.ENGINEER_LEVEL,
+				scarabLevel: state?.scarabLevel ?? AppConfig.DEFAULTS.SCARAB_LEVEL,
+				riftRank: state?.riftRank ?? AppConfig.DEFAULTS.RIFT_RANK,
+			}),
+			machines: () =>
+				(state?.machines ?? []).map((m) => ({
 					id: m.id,
-					rarity: m.rarity,
+					rarity: AppConfig.getRarityLabel(m.rarity),
 					level: m.level,
 					blueprints: m.blueprints,
-					inscriptionLevel: m.inscriptionLevel,
-					sacredLevel: m.sacredLevel,
+					inscriptionLevel: m.inscriptionLevel ?? AppConfig.DEFAULTS.CARD_LEVEL,
+					sacredLevel: m.sacredLevel ?? AppConfig.DEFAULTS.CARD_LEVEL,
+					locked: m.locked ?? false,
 				})),
-				heroes: state.heroes.map((h) => ({
+			heroes: () =>
+				(state?.heroes ?? []).map((h) => ({
 					id: h.id,
 					percentages: h.percentages,
+					excluded: h.excluded ?? false,
+					pinnedMachineId: h.pinnedMachineId ?? null,
 				})),
-				artifacts: state.artifacts,
+			artifacts: () => Object.fromEntries(AppConfig.ARTIFACT_STATS.map((s) => [s, { ...emptyArtifacts(), ...state?.artifacts?.[s] }])),
+		};
+
+		const included = SAVE_SECTIONS.filter((section) => sections.includes(section));
+		return JSON.stringify(
+			{
+				version: SAVE_VERSION,
+				appVersion: AppConfig.APP_VERSION,
+				exportedAt: new Date().toISOString(),
+				sections: included,
+				...Object.fromEntries(included.map((section) => [section, all[section]()])),
 			},
 			null,
 			2,
 		);
 	}
 
-	async importData(jsonString) {
+	// Expects current-version data; saveload.js migrates older saves first.
+	// Only `sections` (default: every section in the data) are written. Replace
+	// clears a section before writing it; merge keeps machines and heroes
+	// whose ids are not in the data, and the crew constraints of those that
+	// are when the data leaves them out.
+	async importData(jsonString, { sections = null, merge = false } = {}) {
 		const data = JSON.parse(jsonString);
 
-		if (data.version !== 1) {
-			throw new Error("Incompatible save data version");
+		const errors = validateSave(data);
+		if (errors.length > 0) {
+			throw new SaveValidationError("Incompatible save data", errors);
 		}
 
 		const profile = await this.getActiveProfile();
 		if (!profile) throw new Error("No active profile");
 
-		await this.transaction("rw", [this.general, this.machines, this.heroes, this.artifacts], async () => {
-			// Clear existing data in parallel
-			await Promise.all([
-				this.general.where("profileId").equals(profile.id).delete(),
-				this.machines.where("profileId").equals(profile.id).delete(),
-				this.heroes.where("profileId").equals(profile.id).delete(),
-				this.artifacts.where("profileId").equals(profile.id).delete(),
-			]);
+		const included = new Set(data.sections.filter((section) => !sections || sections.includes(section)));
+		const tables = { general: this.general, machines: this.machines, heroes: this.heroes, artifacts: this.artifacts };
+
+		await this.transaction("rw", Object.values(tables), async () => {
+			const [storedMachines, storedHeroes] = merge
+				? await Promise.all([this.machines.where("profileId").equals(profile.id).toArray(), this.heroes.where("profileId").equals(profile.id).toArray()])
+				: [[], []];
+			const machinesById = new Map(storedMachines.map((m) => [m.id, m]));
+			const heroesById = new Map(storedHeroes.map((h) => [h.id, h]));
+
+			// Clear replaced sections in parallel; general and artifacts are keyed
+			// so that every record is overwritten anyway
+			if (!merge) {
+				await Promise.all([...included].map((section) => tables[section].where("profileId").equals(profile.id).delete()));
+			}
 
 			// Prepare new records
-			const generalRecord = {
-				profileId: profile.id,
-				engineerLevel: data.general.engineerLevel,
-				scarabLevel: data.general.scarabLevel,
-				riftRank: data.general.riftRank,
-			};
+			const operations = [];
+
+			if (included.has("general")) {
+				operations.push(
+					this.general.put({
+						profileId: profile.id,
+						engineerLevel: data.general.engineerLevel,
+						scarabLevel: data.general.scarabLevel,
+						riftRank: data.general.riftRank,
+					}),
+				);
+			}
 
-			const machineRecords =
-				data.machines.length > 0
-					? data.machines.map((m) => ({
+			if (included.has("machines") && data.machines.length > 0) {
+				operations.push(
+					this.machines.bulkPut(
+						data.machines.map((m) => ({
 							profileId: profile.id,
 							id: m.id,
 							rarity: m.rarity,
 							level: m.level,
 							blueprints: m.blueprints,
-							inscriptionLevel: m.inscriptionLevel || AppConfig.DEFAULTS.CARD_LEVEL,
-							sacredLevel: m.sacredLevel || AppConfig.DEFAULTS.CARD_LEVEL,
-						}))
-					: [];
-
-			const heroRecords =
-				data.heroes.length > 0
-					? data.heroes.map((h) => ({
+							inscriptionLevel: m.inscriptionLevel,
+							sacredLevel: m.sacredLevel,
+							locked: m.locked ?? machinesById.get(m.id)?.locked ?? false,
+						})),
+					),
+				);
+			}
+
+			if (included.has("heroes") && data.heroes.length > 0) {
+				operations.push(
+					this.heroes.bulkPut(
+						data.heroes.map((h) => ({
 							profileId: profile.id,
 							id: h.id,
 							percentages: h.percentages,
-						}))
-					: [];
-
-			const artifactRecords = Object.keys(data.artifacts).map((stat) => ({
-				profileId: profile.id,
-				stat,
-				values: data.artifacts[stat],
-			}));
-
-			// Import all data in parallel
-			const operations = [this.general.put(generalRecord), this.artifacts.bulkPut(artifactRecords)];
-
-			if (machineRecords.length > 0) {
-				operations.push(this.machines.bulkPut(machineRecords));
+							excluded: h.excluded ?? heroesById.get(h.id)?.excluded ?? false,
+							// null is a saved "no pin", not a missing value
+							pinnedMachineId: h.pinnedMachineId !== undefined ? h.pinnedMachineId : (heroesById.get(h.id)?.pinnedMachineId ?? null),
+						})),
+					),
+				);
 			}
 
-			if (heroRecords.length > 0) {
-				operations.push(this.heroes.bulkPut(heroRecords));
+			if (included.has("artifacts")) {
+				operations.push(
+					this.artifacts.bulkPut(
+						Object.keys(data.artifacts).map((stat) => ({
+							profileId: profile.id,
+							stat,
+							values: data.artifacts[stat],
+						})),
+					),
+				);
 			}
 
+			// Import all data in parallel
 			await Promise.all(operations);
 		});
 	}
 
-	async saveResult(mode, result) {
-		const profile = await this.getActiveProfile();
-		if (!profile) throw new Error("No active profile");
-
-		await this.transaction("rw", this.results, async () => {
-			await this.results.where("[profileId+mode]").equals([profile.id, mode]).delete();
-			await this.results.add({ profileId: profile.id, mode, result });
-		});
-	}
-
-	async getLatestResult(mode) {
-		const profile = await this.getActiveProfile();
-		if (!profile) return null;
-
-		const result = await this.results.where("[profileId+mode]").equals([profile.id, mode]).first();
-		return result ? result.result : null;
-	}
-
 	async clearProfileData() {
 		const profile = await this.getActiveProfile();
 		if (!profile) throw new Error("No active profile");
 
-		await this.transaction("rw", [this.general, this.machines, this.heroes, this.artifacts], async () => {
+		await this.transaction("rw", [this.general, this.machines, this.heroes, this.artifacts, this.guardians], async () => {
 			await this.general.where("profileId").equals(profile.id).delete();
 			await this.machines.where("profileId").equals(profile.id).delete();
 			await this.heroes.where("profileId").equals(profile.id).delete();
 			await this.artifacts.where("profileId").equals(profile.id).delete();
+			await this.guardians.where("profileId").equals(profile.id).delete();
 		});
 
 		// Reinitialize
@@ -330,6 +393,86 @@ class WMDatabase extends Dexie {
 		}));
 		await this.artifacts.bulkPut(artifactRecords);
 	}
+
+	// ========================================
+	// Guardian Roster
+	// ========================================
+
+	// Roster records of the active profile; guardians never saved are left out
+	async getGuardians() {
+		const profile = await this.getActiveProfile();
+		if (!profile) return [];
+		return await this.guardians.where("profileId").equals(profile.id).toArray();
+	}
+
+	async saveGuardian(guardian) {
+		const profile = await this.getActiveProfile();
+		if (!profile) throw new Error("No active profile");
+
+		await this.guardians.put({
+			profileId: profile.id,
+			id: guardian.id,
+			evolution: guardian.evolution,
+			rank: guardian.rank,
+			level: guardian.level,
+			currentExp: guardian.currentExp,
+			shards: guardian.shards,
+			target: guardian.target,
+		});
+	}
+
+	// ========================================
+	// Result History
+	// ========================================
+
+	// Appends a run to the (profile, mode) history; the oldest runs beyond
+	// RESULT_HISTORY_LIMIT are dropped. `inputs` snapshots what the run used;
+	// `inputHash` identifies it, so a restored result can be flagged stale.
+	async saveResult(mode, result, inputs = null, inputHash = null) {
+		const profile = await this.getActiveProfile();
+		if (!profile) throw new Error("No active profile");
+
+		return await this.transaction("rw", this.results, async () => {
+			const id = await this.results.add({ profileId: profile.id, mode, createdAt: Date.now(), result, inputs, inputHash });
+
+			const count = await this._resultHistory(profile.id, mode).count();
+			if (count > AppConfig.RESULT_HISTORY_LIMIT) {
+				const stale = await this._resultHistory(profile.id, mode)
+					.limit(count - AppConfig.RESULT_HISTORY_LIMIT)
+					.primaryKeys();
+				await this.results.bulkDelete(stale);
+			}
+
+			return id;
+		});
+	}
+
+	async getLatestResult(mode) {
+		const record = await this.getLatestRecord(mode);
+		return record ? record.result : null;
+	}
+
+	// Latest history record of { id, mode, createdAt, result, inputs, inputHash }
+	async getLatestRecord(mode) {
+		const profile = await this.getActiveProfile();
+		if (!profile) return null;
+
+		return (await this._resultHistory(profile.id, mode).last()) ?? null;
+	}
+
+	// Records of { id, mode, createdAt, result, inputs }, newest first
+	async getResultHistory(mode) {
+		const profile = await this.getActiveProfile();
+		if (!profile) return [];
+
+		return await this._resultHistory(profile.id, mode).reverse().toArray();
+	}
+
+	// Results of one (profile, mode), oldest first
+	_resultHistory(profileId, mode) {
+		return this.results.where("[profileId+mode+createdAt]").between([profileId, mode, Dexie.minKey], [profileId, mode, Dexie.maxKey]);
+	}
+
 }
 
 export const db = new WMDatabase();
@@ -1,5 +1,53 @@
 // js/guardian-app.js
+import { db } from "./db.js";
+import { AppConfig } from "./config.js";
+import { guardianData } from "./data/guardians.js";
 import { renderGuardianCalculator } from "./ui/guardian.js";
+import { renderGuardianRoster, renderDustPlanner } from "./ui/guardianRoster.js";
+import { renderGuardianDps } from "./ui/guardianDps.js";
+import { showToast } from "./ui/notifications.js";
+
+/**
+ * Returns the active profile, creating the default one when the optimizer
+ * page has never been opened.
+ * @returns {Promise<Object>}
+ */
+async function ensureActiveProfile() {
+	const active = await db.getActiveProfile();
+	if (active) return active;
+
+	const profiles = await db.getAllProfiles();
+	if (profiles.length > 0) {
+		await db.switchProfile(profiles[0].id);
+	} else {
+		await db.createProfile(AppConfig.DEFAULT_PROFILE_NAME);
+	}
+	return await db.getActiveProfile();
+}
+
+/**
+ * Builds the roster from guardianData, filled in with the profile's saved records.
+ * @returns {Promise<import('./guardianCalculator.js').RosterGuardian[]>}
+ */
+async function loadRoster() {
+	const saved = new Map((await db.getGuardians()).map((g) => [g.id, g]));
+
+	return guardianData.map((guardian) => {
+		const record = saved.get(guardian.id);
+		return {
+			id: guardian.id,
+			name: guardian.name,
+			image: guardian.image,
+			baseStats: guardian.baseStats,
+			evolution: record?.evolution ?? "bronze",
+			rank: record?.rank ?? "1star",
+			level: record?.level ?? 1,
+			currentExp: record?.currentExp ?? 0,
+			shards: record?.shards ?? 0,
+			target: record?.target ?? { evolution: "bronze", rank: "1star", level: 1 },
+		};
+	});
+}
 
 /**
  * Initializes the Guardian Calculator page
@@ -8,6 +56,21 @@ async function init() {
 	try {
 		console.log("Initializing Guardian Calculator...");
 
+		// Roster and planner
+		const profile = await ensureActiveProfile();
+		const roster = await loadRoster();
+		renderGuardianRoster(roster, profile.name, async (guardian) => {
+			renderGuardianDps(roster);
+			try {
+				await db.saveGuardian(guardian);
+			} catch (error) {
+				console.error("Failed to save guardian:", error);
+				showToast("Failed to save guardian", "danger");
+			}
+		});
+		renderDustPlanner(() => roster);
+		renderGuardianDps(roster);
+
 		// Render the calculator
 		renderGuardianCalculator();
 
@@ -18,7 +81,6 @@ async function init() {
 		// Show error toast if available
 		const toastRoot = document.getElementById("toastRoot");
 		if (toastRoot) {
-			const { showToast } = await import("./ui/notifications.js");
 			showToast("Failed to initialize Guardian Calculator. Please refresh.", "danger");
 		}
 	}
@@ -1,6 +1,9 @@
 // guardianCalculator.js
 import { AppConfig } from "./config.js";
 
+/** Strange Dust spent per use; each use grants AppConfig.STRANGE_DUST_EXP */
+const DUST_PER_ITEM = 20;
+
 /**
  * @typedef {Object} GuardianPosition
  * @property {string} category  - Evolution category key (e.g. "bronze")
@@ -16,6 +19,61 @@ import { AppConfig } from "./config.js";
  * @property {Array<{from: string, to: string, category: string, cost: number}>} evolutionsNeeded
  */
 
+/**
+ * A roster guardian: where it is, what it is working towards and its shards.
+ * @typedef {Object} RosterGuardian
+ * @property {number}           id
+ * @property {string}           name
+ * @property {string}           evolution  - Evolution category key
+ * @property {string}           rank
+ * @property {number}           level
+ * @property {number}           currentExp
+ * @property {number}           shards     - Shards owned, spent on evolutions
+ * @property {{evolution: string, rank: string, level: number}} target
+ */
+
+/**
+ * @typedef {Object} DustAllocation
+ * @property {number}           id
+ * @property {string}           name
+ * @property {number}           dustNeeded    - Strange Dust to reach the target
+ * @property {number}           dustAllocated
+ * @property {boolean}          reachesTarget
+ * @property {GuardianPosition} reached       - Position after spending the allocated dust
+ * @property {number}           shardsNeeded  - For the evolutions on the way to the target
+ * @property {number}           shardsShort   - Shards still missing (0 when the inventory covers it)
+ * @property {string}           [error]       - Set when the target is behind the current position
+ */
+
+/**
+ * Owned resources and daily income for timeline planning.
+ * @typedef {Object} GuardianInventory
+ * @property {number} shards
+ * @property {number} dust          - Strange Dust
+ * @property {number} shardsPerDay
+ * @property {number} dustPerDay
+ */
+
+/**
+ * @typedef {Object} TimelineMilestone
+ * @property {number}           day        - 0 is today
+ * @property {Date}             date
+ * @property {GuardianPosition} position   - Position at the end of the day
+ * @property {number}           evolutions - Evolutions completed that day
+ */
+
+/**
+ * @typedef {Object} GuardianTimeline
+ * @property {number}              dustNeeded
+ * @property {number}              shardsNeeded
+ * @property {number}              dustShort     - Missing beyond the current inventory
+ * @property {number}              shardsShort
+ * @property {number|null}         days          - Days until the target, null when income never gets there
+ * @property {Date|null}           targetDate
+ * @property {TimelineMilestone[]} milestones    - Days on which the guardian progresses
+ * @property {string}              [error]
+ */
+
 /**
  * Pure calculator for guardian EXP, Strange Dust costs, and evolution paths.
  * All methods are static — no instance state.
@@ -238,11 +296,208 @@ export class GuardianCalculator {
 
 		return {
 			expNeeded,
-			strangeDustNeeded: Math.max(0, dustItems * 20),
+			strangeDustNeeded: Math.max(0, dustItems * DUST_PER_ITEM),
 			evolutionsNeeded: this.calculateEvolutionsNeeded(current, target),
 		};
 	}
 
+	// ─────────────────────────────────────────────
+	// Dust budget planning
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Splits a Strange Dust budget across roster guardians.
+	 * Guardians are funded fully from the cheapest remaining need upwards,
+	 * which gets the most guardians to their target; what is left goes to the
+	 * next guardian as a partial allocation. Evolutions are paid in shards, so
+	 * they are checked against each guardian's inventory instead of the budget.
+	 * @param {RosterGuardian[]} guardians
+	 * @param {number}           budget - Strange Dust available
+	 * @returns {{allocations: DustAllocation[], dustLeft: number}}
+	 */
+	static planDustBudget(guardians, budget) {
+		const needs = guardians.map((guardian) => {
+			const current = { category: guardian.evolution, rank: guardian.rank, level: guardian.level, currentExp: guardian.currentExp };
+			const target = { category: guardian.target.evolution, rank: guardian.target.rank, level: guardian.target.level };
+			const result = this.calculateExpNeeded(current, target);
+			const shardsNeeded = result.evolutionsNeeded.reduce((sum, evolution) => sum + evolution.cost, 0);
+			// "Already at desired level" is not a problem for planning
+			const error = result.error && result.expNeeded === 0 && this._samePosition(current, target) ? undefined : result.error;
+			return { guardian, current, target, dustNeeded: result.strangeDustNeeded, shardsNeeded, error };
+		});
+
+		const allocated = new Map();
+		let remaining = Math.max(0, Math.floor(budget));
+		for (const need of [...needs].filter((n) => !n.error && n.dustNeeded > 0).sort((a, b) => a.dustNeeded - b.dustNeeded)) {
+			const dust = Math.min(need.dustNeeded, Math.floor(remaining / DUST_PER_ITEM) * DUST_PER_ITEM);
+			if (dust <= 0) break;
+			allocated.set(need.guardian.id, dust);
+			remaining -= dust;
+		}
+
+		const allocations = needs.map(({ guardian, current, target, dustNeeded, shardsNeeded, error }) => {
+			const dustAllocated = allocated.get(guardian.id) ?? 0;
+			const reachesTarget = !error && dustAllocated >= dustNeeded;
+			const exp = (dustAllocated / DUST_PER_ITEM) * AppConfig.STRANGE_DUST_EXP + (current.currentExp || 0);
+			return {
+				id: guardian.id,
+				name: guardian.name,
+				dustNeeded,
+				dustAllocated,
+				reachesTarget,
+				reached: error ? current : reachesTarget ? { ...target, currentExp: 0 } : this.positionAfterExp(current, exp, target),
+				shardsNeeded,
+				shardsShort: Math.max(0, shardsNeeded - (guardian.shards || 0)),
+				...(error ? { error } : {}),
+			};
+		});
+
+		return { allocations, dustLeft: remaining };
+	}
+
+	// ─────────────────────────────────────────────
+	// Inventory & income planning
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Projects when `target` is reached from the owned shards and Strange Dust
+	 * plus daily income. Each day the income is added and spent straight away:
+	 * dust on levels, shards on the evolution at the end of each rank.
+	 * @param {GuardianPosition}  current
+	 * @param {GuardianPosition}  target
+	 * @param {GuardianInventory} inventory
+	 * @param {Date}              [start=new Date()] - Date of day 0
+	 * @returns {GuardianTimeline}
+	 */
+	static planTimeline(current, target, inventory, start = new Date()) {
+		const result = this.calculateExpNeeded(current, target);
+		const dustNeeded = result.strangeDustNeeded;
+		const shardsNeeded = result.evolutionsNeeded.reduce((sum, evolution) => sum + evolution.cost, 0);
+		const dustShort = Math.max(0, dustNeeded - inventory.dust);
+		const shardsShort = Math.max(0, shardsNeeded - inventory.shards);
+		const base = { dustNeeded, shardsNeeded, dustShort, shardsShort };
+
+		if (result.error) return { ...base, days: null, targetDate: null, milestones: [], error: result.error };
+
+		// Each resource is only ever spent towards the target, so the slower one sets the day
+		const daysFor = (short, perDay) => (short === 0 ? 0 : perDay > 0 ? Math.ceil(short / perDay) : Infinity);
+		const days = Math.max(daysFor(dustShort, inventory.dustPerDay), daysFor(shardsShort, inventory.shardsPerDay));
+		const reachable = days <= AppConfig.GUARDIAN_PLAN_MAX_DAYS;
+
+		const dateOf = (day) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + day);
+		const milestones = [];
+		const state = { position: { category: current.category, rank: current.rank, level: current.level }, exp: current.currentExp || 0, dust: inventory.dust, shards: inventory.shards };
+		const lastDay = reachable ? days : AppConfig.GUARDIAN_PLAN_MAX_DAYS;
+
+		for (let day = 0; day <= lastDay; day++) {
+			if (day > 0) {
+				state.dust += inventory.dustPerDay;
+				state.shards += inventory.shardsPerDay;
+			}
+			const before = state.position;
+			const evolutions = this._advance(state, target);
+			if (!this._samePosition(before, state.position)) {
+				milestones.push({ day, date: dateOf(day), position: { ...state.position, currentExp: state.exp }, evolutions });
+			}
+			if (this._samePosition(state.position, target)) break;
+			// Nothing more arrives without income; stop rather than walk empty days
+			if (inventory.dustPerDay <= 0 && inventory.shardsPerDay <= 0) break;
+		}
+
+		return { ...base, days: reachable ? days : null, targetDate: reachable ? dateOf(days) : null, milestones };
+	}
+
+	/**
+	 * Spends `state.dust` and `state.shards` on levels and evolutions towards
+	 * `target` until one of them runs out.
+	 * @param {{position: GuardianPosition, exp: number, dust: number, shards: number}} state - Updated in place
+	 * @param {GuardianPosition} target
+	 * @returns {number} Evolutions completed
+	 * @private
+	 */
+	static _advance(state, target) {
+		let evolutions = 0;
+
+		while (!this._samePosition(state.position, target)) {
+			const { category, rank, level } = state.position;
+			if (level < 10) {
+				const cost = this.calculateExpForLevel(category, rank, level);
+				const items = Math.max(0, Math.ceil((cost - state.exp) / AppConfig.STRANGE_DUST_EXP));
+				if (items * DUST_PER_ITEM > state.dust) break;
+				state.dust -= items * DUST_PER_ITEM;
+				state.exp += items * AppConfig.STRANGE_DUST_EXP - cost;
+				state.position = { category, rank, level: level + 1 };
+			} else {
+				const next = this.nextRank(category, rank);
+				const cost = AppConfig.GUARDIAN_EVOLUTION_COSTS[category][rank];
+				if (!next || cost > state.shards) break;
+				state.shards -= cost;
+				state.position = { ...next, level: 1 };
+				evolutions++;
+			}
+		}
+
+		return evolutions;
+	}
+
+	/**
+	 * Follows the level and rank path from `current` towards `target`, spending
+	 * `exp` one level at a time. Evolutions cost no EXP, so the walk moves
+	 * straight on to level 1 of the next rank.
+	 * @param {GuardianPosition} current
+	 * @param {number}           exp    - EXP available, including current.currentExp
+	 * @param {GuardianPosition} target
+	 * @returns {GuardianPosition} Position reached, with the leftover EXP as currentExp
+	 */
+	static positionAfterExp(current, exp, target) {
+		let position = { category: current.category, rank: current.rank, level: current.level };
+		let left = exp;
+
+		while (!this._samePosition(position, target)) {
+			if (position.level < 10) {
+				const cost = this.calculateExpForLevel(position.category, position.rank, position.level);
+				if (left < cost) break;
+				left -= cost;
+				position = { ...position, level: position.level + 1 };
+			} else {
+				const next = this.nextRank(position.category, position.rank);
+				if (!next) break;
+				position = { ...next, level: 1 };
+			}
+		}
+
+		return { ...position, currentExp: left };
+	}
+
+	/**
+	 * The rank after (category, rank) on the star-then-crown path, or null at the end.
+	 * @param {string} category
+	 * @param {string} rank
+	 * @returns {{category: string, rank: string}|null}
+	 */
+	static nextRank(category, rank) {
+		const categories = AppConfig.GUARDIAN_EVOLUTION_CATEGORIES;
+		const ranks = AppConfig.GUARDIAN_RANK_PROGRESSION;
+		const catIdx = categories.indexOf(category);
+		const rankIdx = ranks.findIndex((r) => r.key === rank);
+		const lastCat = catIdx === categories.length - 1;
+
+		if (rankIdx !== 4 && rankIdx !== 9) return { category, rank: ranks[rankIdx + 1].key };
+		if (!lastCat) return { category: categories[catIdx + 1], rank: ranks[rankIdx - 4].key }; // 5star → next 1star, 5crown → next 1crown
+		if (rankIdx === 4) return { category: categories[0], rank: ranks[5].key }; // last 5star → first 1crown
+		return null;
+	}
+
+	/**
+	 * @param {GuardianPosition} a
+	 * @param {GuardianPosition} b
+	 * @returns {boolean}
+	 * @private
+	 */
+	static _samePosition(a, b) {
+		return a.category === b.category && a.rank === b.rank && a.level === b.level;
+	}
+
 	// ─────────────────────────────────────────────
 	// Evolution path — private phase helpers
 	// ─────────────────────────────────────────────
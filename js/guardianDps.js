@@ -0,0 +1,139 @@
+// guardianDps.js
+import { AppConfig } from "./config.js";
+import { GuardianCalculator } from "./guardianCalculator.js";
+
+/**
+ * @typedef {Object} GuardianStats
+ * @property {number} attack
+ * @property {number} critChance  - 0–1
+ * @property {number} critDamage  - Damage multiplier on a critical hit
+ * @property {number} attackSpeed - Attacks per second
+ */
+
+/**
+ * @typedef {Object} GuardianDpsResult
+ * @property {number}        id
+ * @property {string}        name
+ * @property {GuardianStats} stats
+ * @property {number}        dps
+ */
+
+/**
+ * @typedef {Object} EvolutionGain
+ * @property {number}  id
+ * @property {string}  name
+ * @property {{category: string, rank: string}|null} next - Null at the last rank
+ * @property {number}  dps      - At the current position
+ * @property {number}  nextDps  - After the next evolution (same level)
+ * @property {number}  gain     - nextDps − dps
+ * @property {number}  gainPercent
+ * @property {number}  shards   - Shard cost of the evolution
+ */
+
+/**
+ * Pure calculator for guardian damage from guardianData base stats.
+ * All methods are static — no instance state.
+ */
+export class GuardianDps {
+	// ─────────────────────────────────────────────
+	// Stats
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Scales a guardian's base stats to an evolution, rank and level using
+	 * AppConfig.GUARDIAN_STAT_GROWTH.
+	 * @param {{attack: number, critical_chance: number, critical_damage: number, max_attack_speed: number}} baseStats
+	 * @param {string} category - Evolution category key
+	 * @param {string} rank
+	 * @param {number} [level=1]
+	 * @returns {GuardianStats}
+	 */
+	static calculateStats(baseStats, category, rank, level = 1) {
+		const growth = AppConfig.GUARDIAN_STAT_GROWTH;
+		const evolutions = this.evolutionIndex(category, rank);
+		if (evolutions < 0) throw new Error(`Unknown guardian rank: ${category} ${rank}`);
+
+		const evolvedAttack = baseStats.attack * growth.ATTACK_PER_EVOLUTION ** evolutions;
+		return {
+			attack: evolvedAttack * (1 + growth.ATTACK_PER_LEVEL * (level - 1)),
+			critChance: Math.min(baseStats.critical_chance + growth.CRIT_CHANCE_PER_EVOLUTION * evolutions, growth.CRIT_CHANCE_CAP),
+			critDamage: baseStats.critical_damage + growth.CRIT_DAMAGE_PER_EVOLUTION * evolutions,
+			attackSpeed: baseStats.max_attack_speed,
+		};
+	}
+
+	/**
+	 * Expected damage per second: attack × attacks per second, with crits
+	 * averaged in as (1 + critChance × (critDamage − 1)).
+	 * @param {GuardianStats} stats
+	 * @returns {number}
+	 */
+	static calculateDps({ attack, critChance, critDamage, attackSpeed }) {
+		return attack * attackSpeed * (1 + critChance * (critDamage - 1));
+	}
+
+	/**
+	 * Number of evolutions from Bronze 1 Star to (category, rank) on the
+	 * star-then-crown path, or -1 if the position is unknown.
+	 * @param {string} category
+	 * @param {string} rank
+	 * @returns {number}
+	 */
+	static evolutionIndex(category, rank) {
+		const categories = AppConfig.GUARDIAN_EVOLUTION_CATEGORIES;
+		const catIdx = categories.indexOf(category);
+		const rankIdx = AppConfig.GUARDIAN_RANK_PROGRESSION.findIndex((r) => r.key === rank);
+		if (catIdx < 0 || rankIdx < 0) return -1;
+
+		// Stars run through every category before crowns start again at Bronze
+		if (rankIdx < 5) return catIdx * 5 + rankIdx;
+		return categories.length * 5 + catIdx * 5 + (rankIdx - 5);
+	}
+
+	// ─────────────────────────────────────────────
+	// Comparison
+	// ─────────────────────────────────────────────
+
+	/**
+	 * DPS of each guardian at its position, highest first.
+	 * @param {Array<{id: number, name: string, baseStats: Object, evolution: string, rank: string, level: number}>} guardians
+	 * @returns {GuardianDpsResult[]}
+	 */
+	static compareGuardians(guardians) {
+		return guardians
+			.map(({ id, name, baseStats, evolution, rank, level }) => {
+				const stats = this.calculateStats(baseStats, evolution, rank, level);
+				return { id, name, stats, dps: this.calculateDps(stats) };
+			})
+			.sort((a, b) => b.dps - a.dps);
+	}
+
+	/**
+	 * DPS gained by each guardian's next evolution, biggest gain first.
+	 * Guardians at the last rank are listed last with no gain.
+	 * @param {Array<{id: number, name: string, baseStats: Object, evolution: string, rank: string, level: number}>} guardians
+	 * @returns {EvolutionGain[]}
+	 */
+	static rankNextEvolutions(guardians) {
+		return guardians
+			.map(({ id, name, baseStats, evolution, rank, level }) => {
+				const dps = this.calculateDps(this.calculateStats(baseStats, evolution, rank, level));
+				const next = GuardianCalculator.nextRank(evolution, rank);
+				if (!next) return { id, name, next, dps, nextDps: dps, gain: 0, gainPercent: 0, shards: 0 };
+
+				const nextDps = this.calculateDps(this.calculateStats(baseStats, next.category, next.rank, level));
+				const gain = nextDps - dps;
+				return {
+					id,
+					name,
+					next,
+					dps,
+					nextDps,
+					gain,
+					gainPercent: dps > 0 ? (gain / dps) * 100 : 0,
+					shards: AppConfig.GUARDIAN_EVOLUTION_COSTS[evolution]?.[rank] ?? 0,
+				};
+			})
+			.sort((a, b) => b.gain - a.gain);
+	}
+}
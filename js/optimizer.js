@@ -20,6 +20,89 @@ const GOLIATH_NAME = "Goliath";
  * @property {Array}    artifactArray
  * @property {number}   globalRarityLevels
  * @property {string}   riftRank
+ * @property {number}   [seed] - BattleEngine RNG seed; same seed ⇒ same Monte Carlo outcome
+ * @property {number}   [winThreshold=AppConfig.MONTE_CARLO_WIN_THRESHOLD] - Minimum win rate for a Monte Carlo star
+ * @property {boolean}  [parallelMonteCarlo=false] - Step-wise runs yield Monte Carlo estimates to the caller (a worker pool) instead of simulating inline
+ * @property {CrewConstraints} [constraints] - User locks, exclusions and pins; none by default
+ */
+
+/**
+ * User constraints on team and crew selection.
+ * @typedef {Object} CrewConstraints
+ * @property {number[]} [lockedMachineIds] - Always fielded
+ * @property {number[]} [excludedHeroIds]  - Never assigned as crew
+ * @property {Array<{heroId: number, machineId: number}>} [pins] - Hero crews only that machine
+ */
+
+/**
+ * @typedef {Object} WinEstimate
+ * @property {number} wins
+ * @property {number} simulations - Battles actually run (may stop early once the interval clears the threshold)
+ * @property {number} winRate     - wins / simulations
+ * @property {number} lower       - Wilson score interval lower bound
+ * @property {number} upper       - Wilson score interval upper bound
+ */
+
+/**
+ * @typedef {Object} FormationCandidate
+ * @property {Object[]} formation
+ * @property {number}   wins
+ * @property {number}   simulations
+ * @property {number}   winRate
+ */
+
+/**
+ * A star gained by Monte Carlo, labelled with its estimated win probability.
+ * @typedef {WinEstimate & {difficulty: string, mission: number}} MonteCarloStar
+ */
+
+/**
+ * One slot of a planned formation: the machine and the heroes crewing it.
+ * Ids only, so plans stay small when results are persisted.
+ * @typedef {Object} PlanSlot
+ * @property {number}   id      - machinesData id
+ * @property {number[]} heroIds - heroesData ids
+ */
+
+/**
+ * What to field for one cleared (difficulty, mission), in slot order.
+ * @typedef {Object} MissionPlanEntry
+ * @property {string}      difficulty
+ * @property {number}      mission
+ * @property {PlanSlot[]}  formation
+ * @property {number|null} winRate - Monte Carlo estimate, or null for a deterministic clear
+ */
+
+/**
+ * Progress snapshot yielded by the step-wise campaign run.
+ * @typedef {Object} CampaignProgress
+ * @property {"campaign"|"monteCarlo"} phase - Deterministic mission sweep, then Monte Carlo star pushes
+ * @property {string|null} difficulty - Difficulty last worked on
+ * @property {number} mission
+ * @property {number} stars                - Stars found so far
+ * @property {number} monteCarloIterations - Monte Carlo battles run so far
+ * @property {number} completed            - Work units done in this phase
+ * @property {number} total                - Work units in this phase (missions, or Monte Carlo candidates)
+ */
+
+/**
+ * A Monte Carlo estimate handed to the caller when `parallelMonteCarlo` is
+ * set. The step-wise run yields `{ simulate: SimulationRequest }` and expects
+ * the WinEstimate back from next().
+ * @typedef {Object} SimulationRequest
+ * @property {string}   difficulty
+ * @property {number}   mission
+ * @property {Object[]} player - Arranged, crewed team in slot order
+ * @property {Object[]} enemy  - Enemy formation
+ */
+
+/**
+ * @typedef {Object} MonteCarloPush
+ * @property {number} additionalStars
+ * @property {Object} lastMissionByDifficulty
+ * @property {MonteCarloStar[]} monteCarloStars
+ * @property {MissionPlanEntry[]} plan
+ * @property {boolean} cancelled
  */
 
 /**
@@ -29,6 +112,10 @@ const GOLIATH_NAME = "Goliath";
  * @property {Object[]} formation
  * @property {Decimal}  battlePower
  * @property {Decimal}  arenaPower
+ * @property {MonteCarloStar[]} monteCarloStars
+ * @property {number}   winThreshold
+ * @property {MissionPlanEntry[]} missionPlan - Sorted by difficulty, then mission
+ * @property {boolean}  cancelled - True when the run was stopped early; the result is the best found so far
  */
 
 /**
@@ -45,7 +132,7 @@ export class Optimizer {
 	/**
 	 * @param {OptimizerConfig} config
 	 */
-	constructor({ ownedMachines, heroes, engineerLevel, scarabLevel, artifactArray, globalRarityLevels, riftRank }) {
+	constructor({ ownedMachines, heroes, engineerLevel, scarabLevel, artifactArray, globalRarityLevels, riftRank, seed, winThreshold = AppConfig.MONTE_CARLO_WIN_THRESHOLD, parallelMonteCarlo = false, constraints = {} }) {
 		this.ownedMachines = ownedMachines;
 		this.heroes = heroes;
 		this.engineerLevel = engineerLevel;
@@ -53,8 +140,13 @@ export class Optimizer {
 		this.artifactArray = artifactArray;
 		this.globalRarityLevels = globalRarityLevels;
 		this.riftRank = riftRank;
-		this.battleEngine = new BattleEngine();
+		this.battleEngine = new BattleEngine({ seed });
+		this.winThreshold = winThreshold;
+		this.parallelMonteCarlo = parallelMonteCarlo;
 		this.maxSlots = Calculator.maxCrewSlots(engineerLevel);
+		this.lockedMachineIds = new Set(constraints.lockedMachineIds ?? []);
+		this.excludedHeroIds = new Set(constraints.excludedHeroIds ?? []);
+		this.pins = new Map((constraints.pins ?? []).map(({ heroId, machineId }) => [heroId, machineId]));
 	}
 
 	// ─────────────────────────────────────────────
@@ -63,6 +155,8 @@ export class Optimizer {
 
 	/**
 	 * Scores a hero for a machine slot based on role weights and machine power.
+	 * With the "role" crew-scoring model the score also favours heroes whose
+	 * role matches the machine's, and near-ties go to the stronger hero.
 	 * @param {Object} hero
 	 * @param {Object} machine
 	 * @param {Object} machineStats - Pre-computed stats for this machine in the current mode
@@ -77,16 +171,43 @@ export class Optimizer {
 		const dmgScore = new Decimal(hero.percentages.damage).div(100).mul(weights.damage);
 		const hpScore = new Decimal(hero.percentages.health).div(100).mul(weights.health);
 		const armScore = new Decimal(hero.percentages.armor).div(100).mul(weights.armor);
-		const base = dmgScore.add(hpScore).add(armScore);
+		let base = dmgScore.add(hpScore).add(armScore);
 
 		if (base.lte(0)) return new Decimal(0);
 
+		if (AppConfig.CREW_SCORING.MODEL === "role") {
+			const { ROLE_AFFINITY, TIEBREAK_WEIGHT } = AppConfig.CREW_SCORING;
+			const isTank = role === "TANK";
+			const affinity = (hero.role === "tank") === isTank ? ROLE_AFFINITY : 1;
+			const tiebreak = 1 + TIEBREAK_WEIGHT * Math.log10(1 + Optimizer.heroStatValue(hero, isTank));
+			base = base.mul(affinity * tiebreak);
+		}
+
 		const power = Calculator.computeMachinePower(machineStats);
 		const logPower = power.gt(0) ? power.log10().add(1) : new Decimal(1);
 
 		return mode === "campaign" ? base.mul(logPower).pow(2) : base.mul(logPower);
 	}
 
+	/**
+	 * A hero's own stats as one number for the slot's role: effective health
+	 * for tank slots, expected attack output otherwise. Used by the "role"
+	 * crew-scoring model to break ties between heroes with equal percentages.
+	 * Heroes without baseStats/advancedStats score 0.
+	 * @param {Object}  hero
+	 * @param {boolean} isTank
+	 * @returns {number}
+	 */
+	static heroStatValue(hero, isTank) {
+		const base = hero.baseStats ?? {};
+		const advanced = hero.advancedStats ?? {};
+		if (isTank) {
+			const dodge = Math.min(advanced.dodge ?? 0, 0.95);
+			return ((base.health ?? 0) * (1 + (base.armor ?? 0) / 100)) / (1 - dodge);
+		}
+		return (base.attack ?? 0) * (advanced.attack_speed ?? 0) * (1 + (advanced.critical_chance ?? 0) * (advanced.critical_damage ?? 0));
+	}
+
 	// ─────────────────────────────────────────────
 	// Stat calculation
 	// ─────────────────────────────────────────────
@@ -236,6 +357,8 @@ export class Optimizer {
 
 	/**
 	 * Assigns the globally optimal crew to each machine in the formation.
+	 * Excluded heroes are left out; pinned heroes crew their machine ahead of
+	 * the matching when it is in the formation, and nothing otherwise.
 	 * @param {Object[]} machines
 	 * @param {"campaign"|"arena"} [mode="campaign"]
 	 * @returns {Object[]} Machines with crew and stats populated
@@ -243,19 +366,21 @@ export class Optimizer {
 	optimizeCrewGlobally(machines, mode = "campaign") {
 		if (!this.heroes?.length || !machines?.length) return machines;
 
-		const requiredSlots = machines.length * this.maxSlots;
+		const available = this.heroes.filter((hero) => !this.excludedHeroIds.has(hero.id));
+		const pinned = new Map(machines.map((machine) => [machine.id, available.filter((hero) => this.pins.get(hero.id) === machine.id).slice(0, this.maxSlots)]));
+		const free = available.filter((hero) => !this.pins.has(hero.id));
+
+		// Expand each machine into one slot-entry per crew slot left after its pins
+		const machineSlots = machines.flatMap((machine) => Array.from({ length: this.maxSlots - pinned.get(machine.id).length }, (_, s) => ({ machine, slotIndex: s })));
 
 		// Pre-select heroes with highest combined damage+health potential
-		const sortedHeroes = [...this.heroes]
+		const sortedHeroes = free
 			.sort((a, b) => {
 				const sumA = new Decimal(a.percentages.damage).add(a.percentages.health);
 				const sumB = new Decimal(b.percentages.damage).add(b.percentages.health);
 				return sumB.cmp(sumA);
 			})
-			.slice(0, requiredSlots + 20);
-
-		// Expand each machine into one slot-entry per crew slot
-		const machineSlots = machines.flatMap((machine) => Array.from({ length: this.maxSlots }, (_, s) => ({ machine, slotIndex: s })));
+			.slice(0, machineSlots.length + 20);
 
 		// Compute baseline stats (no crew) for each machine to seed scoring
 		const modeStats = new Map();
@@ -267,7 +392,7 @@ export class Optimizer {
 		const crewMap = this.kmAssignment(sortedHeroes, machineSlots, modeStats, mode);
 
 		return machines.map((machine) => {
-			const crew = crewMap.get(machine.id) ?? [];
+			const crew = [...pinned.get(machine.id), ...(crewMap.get(machine.id) ?? [])];
 			const stats = this.calculateAllStats(machine, crew);
 			return { ...machine, crew, battleStats: stats.battleStats, arenaStats: stats.arenaStats };
 		});
@@ -278,8 +403,8 @@ export class Optimizer {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Returns the five highest-power machines from the owned collection.
-	 * Power is computed using the requested mode's stats.
+	 * Returns the five highest-power machines from the owned collection,
+	 * locked machines first. Power is computed using the requested mode's stats.
 	 * @param {Object[]} ownedMachines
 	 * @param {"campaign"|"arena"} [mode="campaign"]
 	 * @returns {Object[]}
@@ -295,7 +420,7 @@ export class Optimizer {
 				const power = Calculator.computeMachinePower(useArena ? stats.arenaStats : stats.battleStats);
 				return { machine, stats, power };
 			})
-			.sort((a, b) => b.power.cmp(a.power))
+			.sort((a, b) => this._lockedFirst(a.machine, b.machine) || b.power.cmp(a.power))
 			.slice(0, 5)
 			.map(({ machine, stats }) => ({
 				...machine,
@@ -375,28 +500,263 @@ export class Optimizer {
 		return formation;
 	}
 
+	// ─────────────────────────────────────────────
+	// Team composition search
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Looks for a five-machine subset that beats `enemyFormation` when the
+	 * top-five-by-power team does not — e.g. a healer or AoE machine that
+	 * ranks lower on raw power.
+	 *
+	 * Pruning: only the TEAM_SEARCH_POOL_SIZE strongest machines are
+	 * considered (locked machines first, and in every subset), subsets under TEAM_SEARCH_POWER_RATIO of the strongest
+	 * subset's (uncrewed) power are dropped, and at most
+	 * TEAM_SEARCH_MAX_CANDIDATES subsets are crewed and simulated.
+	 * Subsets that fail the mission's power requirement once crewed are skipped.
+	 * @param {Object[]} ownedMachines
+	 * @param {Object[]} enemyFormation
+	 * @param {number}   mission
+	 * @param {string}   difficulty
+	 * @returns {FormationCandidate|null} Best arranged, crewed team, or null if no subset qualifies
+	 */
+	searchTeam(ownedMachines, enemyFormation, mission, difficulty) {
+		const pool = ownedMachines
+			.map((machine) => {
+				const stats = this.calculateAllStats(machine, []);
+				return { machine, stats, power: Calculator.computeMachinePower(stats.battleStats) };
+			})
+			.sort((a, b) => this._lockedFirst(a.machine, b.machine) || b.power.cmp(a.power))
+			.slice(0, AppConfig.TEAM_SEARCH_POOL_SIZE);
+
+		if (pool.length <= AppConfig.FORMATION_SIZE) return null;
+
+		// Locked machines sit at the front of the pool; fill the rest of each subset
+		const fixed = pool.slice(0, AppConfig.FORMATION_SIZE).filter(({ machine }) => this.lockedMachineIds.has(machine.id));
+		const subsets = Optimizer._combinations(pool.slice(fixed.length), AppConfig.FORMATION_SIZE - fixed.length)
+			.map((rest) => [...fixed, ...rest])
+			.map((members) => ({ members, power: members.reduce((sum, m) => sum.add(m.power), new Decimal(0)) }))
+			.sort((a, b) => b.power.cmp(a.power));
+		if (subsets.length === 0) return null;
+
+		const powerFloor = subsets[0].power.mul(AppConfig.TEAM_SEARCH_POWER_RATIO);
+		const candidates = subsets.filter((s) => s.power.gte(powerFloor)).slice(0, AppConfig.TEAM_SEARCH_MAX_CANDIDATES);
+
+		const enemyStats = Calculator.enemyAttributes(mission, difficulty);
+		const requiredPower = Calculator.requiredPowerForMission(mission, difficulty);
+
+		let best = null;
+		for (const { members } of candidates) {
+			const team = this.optimizeCrewGlobally(
+				members.map(({ machine, stats }) => ({ ...machine, crew: [], battleStats: stats.battleStats, arenaStats: stats.arenaStats })),
+				"campaign",
+			);
+			const arranged = this.arrangeByRole(team, mission, difficulty, enemyStats);
+			if (Calculator.computeSquadPower(arranged, "campaign").lt(requiredPower)) continue;
+
+			const candidate = { formation: arranged, wins: 0, simulations: 0, winRate: 0 };
+			this._simulateCandidate(candidate, enemyFormation, AppConfig.TEAM_SEARCH_SIMULATIONS);
+			if (!best || candidate.winRate > best.winRate) best = candidate;
+		}
+
+		return best;
+	}
+
+	/**
+	 * Sort comparator term that puts locked machines ahead of the rest.
+	 * @private
+	 * @param {Object} a
+	 * @param {Object} b
+	 * @returns {number} Negative when only `a` is locked, positive when only `b` is
+	 */
+	_lockedFirst(a, b) {
+		return Number(this.lockedMachineIds.has(b.id)) - Number(this.lockedMachineIds.has(a.id));
+	}
+
+	/**
+	 * Returns every k-element subset of `items` in lexicographic index order.
+	 * Matches `combinations` in src/optimizer.rs.
+	 * @template T
+	 * @param {T[]}    items
+	 * @param {number} k
+	 * @returns {T[][]}
+	 */
+	static _combinations(items, k) {
+		const result = [];
+		const current = [];
+
+		const recurse = (start) => {
+			if (current.length === k) {
+				result.push([...current]);
+				return;
+			}
+			for (let i = start; i <= items.length - (k - current.length); i++) {
+				current.push(items[i]);
+				recurse(i + 1);
+				current.pop();
+			}
+		};
+
+		recurse(0);
+		return result;
+	}
+
+	/**
+	 * Identity of a team regardless of order or crew.
+	 * @param {Object[]} team
+	 * @returns {string}
+	 * @private
+	 */
+	static _teamKey(team) {
+		return team
+			.map((m) => m.id)
+			.sort((a, b) => a - b)
+			.join(",");
+	}
+
+	// ─────────────────────────────────────────────
+	// Formation search
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Searches every ordering of `arranged` (120 for a full team) for the one
+	 * with the best simulated win rate against `enemyFormation`.
+	 *
+	 * Two-stage pruning keeps this tractable: each ordering is screened with
+	 * FORMATION_SEARCH_SCREEN_SIMULATIONS battles, then the top
+	 * FORMATION_SEARCH_FINALISTS (and the input ordering) get
+	 * FORMATION_SEARCH_SIMULATIONS more. Ties keep the input ordering, so the
+	 * arrangeByRole heuristic is only replaced when something actually beats it.
+	 * @param {Object[]} arranged       - Team in its heuristic (arrangeByRole) order
+	 * @param {Object[]} enemyFormation
+	 * @returns {FormationCandidate}
+	 */
+	searchFormation(arranged, enemyFormation) {
+		const candidates = Optimizer._permutations(arranged).map((formation) => ({ formation, wins: 0, simulations: 0, winRate: 0 }));
+		const baseline = candidates[0]; // identity permutation = input order
+
+		for (const candidate of candidates) {
+			this._simulateCandidate(candidate, enemyFormation, AppConfig.FORMATION_SEARCH_SCREEN_SIMULATIONS);
+		}
+
+		const ranked = candidates.toSorted((a, b) => b.wins - a.wins);
+		if (ranked[0].wins === 0) return baseline;
+
+		const finalists = ranked.slice(0, AppConfig.FORMATION_SEARCH_FINALISTS);
+		if (!finalists.includes(baseline)) finalists.push(baseline);
+
+		let best = baseline;
+		for (const candidate of finalists) {
+			this._simulateCandidate(candidate, enemyFormation, AppConfig.FORMATION_SEARCH_SIMULATIONS);
+		}
+		for (const candidate of finalists) {
+			if (candidate.winRate > best.winRate) best = candidate;
+		}
+
+		return best;
+	}
+
+	/**
+	 * Runs `count` more battles for a candidate and updates its tallies in place.
+	 * @param {FormationCandidate} candidate
+	 * @param {Object[]} enemyFormation
+	 * @param {number}   count
+	 * @private
+	 */
+	_simulateCandidate(candidate, enemyFormation, count) {
+		for (let i = 0; i < count; i++) {
+			if (this.battleEngine.runBattle(candidate.formation, enemyFormation, AppConfig.MAX_BATTLE_ROUNDS, true).playerWon) {
+				candidate.wins++;
+			}
+		}
+		candidate.simulations += count;
+		candidate.winRate = candidate.wins / candidate.simulations;
+	}
+
+	/**
+	 * Returns every ordering of `items` in lexicographic index order
+	 * (the identity ordering first). Matches `permutations` in src/optimizer.rs.
+	 * @template T
+	 * @param {T[]} items
+	 * @returns {T[][]}
+	 */
+	static _permutations(items) {
+		const result = [];
+		const current = [];
+		const used = new Array(items.length).fill(false);
+
+		const recurse = () => {
+			if (current.length === items.length) {
+				result.push([...current]);
+				return;
+			}
+			for (let i = 0; i < items.length; i++) {
+				if (used[i]) continue;
+				used[i] = true;
+				current.push(items[i]);
+				recurse();
+				current.pop();
+				used[i] = false;
+			}
+		};
+
+		recurse();
+		return result;
+	}
+
 	// ─────────────────────────────────────────────
 	// Monte Carlo simulation
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Runs up to `maxSimulations` battles; returns true on the first win.
+	 * Estimates the win rate of a team against a mission.
+	 * Runs at least MONTE_CARLO_MIN_SIMULATIONS battles, then stops as soon as
+	 * the confidence interval lies entirely above or below `threshold`.
 	 * @param {Object[]}    team
 	 * @param {number}      mission
 	 * @param {string}      difficulty
 	 * @param {number}      [maxSimulations=AppConfig.MONTE_CARLO_SIMULATIONS]
 	 * @param {Object[]|null} [enemyFormation=null]
-	 * @returns {boolean}
+	 * @param {number}      [threshold=this.winThreshold]
+	 * @returns {WinEstimate}
 	 */
-	runMonteCarloSimulation(team, mission, difficulty, maxSimulations = AppConfig.MONTE_CARLO_SIMULATIONS, enemyFormation = null) {
+	runMonteCarloSimulation(team, mission, difficulty, maxSimulations = AppConfig.MONTE_CARLO_SIMULATIONS, enemyFormation = null, threshold = this.winThreshold) {
 		const enemies = enemyFormation || Calculator.getEnemyTeamForMission(mission, difficulty);
+		const minSimulations = Math.min(AppConfig.MONTE_CARLO_MIN_SIMULATIONS, maxSimulations);
+
+		let wins = 0;
+		let simulations = 0;
+		while (simulations < maxSimulations) {
+			if (this.battleEngine.runBattle(team, enemies, AppConfig.MAX_BATTLE_ROUNDS, true).playerWon) wins++;
+			simulations++;
 
-		for (let i = 0; i < maxSimulations; i++) {
-			if (this.battleEngine.runBattle(team, enemies, AppConfig.MAX_BATTLE_ROUNDS, true).playerWon) {
-				return true;
+			if (simulations >= minSimulations) {
+				const { lower, upper } = Optimizer.wilsonInterval(wins, simulations);
+				if (lower > threshold || upper < threshold) break;
 			}
 		}
-		return false;
+
+		return { wins, simulations, winRate: simulations > 0 ? wins / simulations : 0, ...Optimizer.wilsonInterval(wins, simulations) };
+	}
+
+	/**
+	 * Wilson score interval for a binomial proportion.
+	 * Behaves well at 0 and 1 wins, unlike the normal approximation.
+	 * @param {number} wins
+	 * @param {number} n
+	 * @param {number} [z=AppConfig.MONTE_CARLO_CONFIDENCE_Z]
+	 * @returns {{lower: number, upper: number}}
+	 */
+	static wilsonInterval(wins, n, z = AppConfig.MONTE_CARLO_CONFIDENCE_Z) {
+		if (n === 0) return { lower: 0, upper: 1 };
+
+		const p = wins / n;
+		const z2 = z * z;
+		const denom = 1 + z2 / n;
+		const centre = (p + z2 / (2 * n)) / denom;
+		const margin = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denom;
+
+		return { lower: Math.max(0, centre - margin), upper: Math.min(1, centre + margin) };
 	}
 
 	// ─────────────────────────────────────────────
@@ -405,19 +765,51 @@ export class Optimizer {
 
 	/**
 	 * Extends the deterministic campaign result with Monte Carlo star pushes.
+	 * These are the borderline missions, so each one first gets a formation
+	 * permutation search; the best ordering is then estimated by Monte Carlo.
+	 * A mission counts only when its estimated win rate reaches `winThreshold`.
 	 * Stops attempting a difficulty as soon as a power check fails.
 	 * @param {Object[]} formation
 	 * @param {Object}   lastMissionByDifficulty
 	 * @param {string[]} [difficulties=AppConfig.DIFFICULTY_KEYS]
-	 * @returns {{additionalStars: number, lastMissionByDifficulty: Object}}
+	 * @returns {MonteCarloPush}
 	 */
 	pushStarsWithMonteCarlo(formation, lastMissionByDifficulty, difficulties = AppConfig.DIFFICULTY_KEYS) {
-		if (formation.length === 0) return { additionalStars: 0, lastMissionByDifficulty };
+		return Optimizer._drain(this._monteCarloRun(formation, lastMissionByDifficulty, difficulties, 0));
+	}
+
+	/**
+	 * Step-wise pushStarsWithMonteCarlo: yields a CampaignProgress after each
+	 * mission estimate. Passing `true` to next() stops early; the stars found
+	 * so far are still returned. With `parallelMonteCarlo` each estimate is
+	 * first yielded as `{ simulate }` and its WinEstimate read back from next().
+	 * @param {Object[]} formation
+	 * @param {Object}   lastMissionByDifficulty
+	 * @param {string[]} difficulties
+	 * @param {number}   starsSoFar - Deterministic stars, for progress reporting
+	 * @returns {Generator<CampaignProgress|{simulate: SimulationRequest}, MonteCarloPush, boolean|WinEstimate|undefined>}
+	 * @private
+	 */
+	*_monteCarloRun(formation, lastMissionByDifficulty, difficulties, starsSoFar) {
+		if (formation.length === 0) return { additionalStars: 0, lastMissionByDifficulty, monteCarloStars: [], plan: [], cancelled: false };
 
 		let additionalStars = 0;
+		let iterations = 0;
+		let completed = 0;
+		const monteCarloStars = [];
+		const plan = [];
 		const updatedLastMissions = { ...lastMissionByDifficulty };
 		const ourPower = Calculator.computeSquadPower(formation, "campaign");
 
+		// Candidate count is known up front: the power gate does not depend on results
+		let total = 0;
+		for (const difficulty of difficulties) {
+			for (let mission = (updatedLastMissions[difficulty] || 0) + 1; mission <= AppConfig.MAX_MISSIONS_PER_DIFFICULTY; mission++) {
+				if (ourPower.lt(Calculator.requiredPowerForMission(mission, difficulty))) break;
+				total++;
+			}
+		}
+
 		for (const difficulty of difficulties) {
 			const lastMission = updatedLastMissions[difficulty] || 0;
 
@@ -425,30 +817,93 @@ export class Optimizer {
 				if (ourPower.lt(Calculator.requiredPowerForMission(mission, difficulty))) break;
 
 				const enemyFormation = Calculator.getEnemyTeamForMission(mission, difficulty);
-				const enemyStats = enemyFormation[0].baseStats;
+				const enemyStats = Calculator.enemyAttributes(mission, difficulty);
 				const arranged = this.arrangeByRole(formation, mission, difficulty, enemyStats);
+				const ordered = this.searchFormation(arranged, enemyFormation).formation;
 
-				if (this.runMonteCarloSimulation(arranged, mission, difficulty, AppConfig.MONTE_CARLO_SIMULATIONS, enemyFormation)) {
+				const estimate = this.parallelMonteCarlo
+					? yield { simulate: { difficulty, mission, player: ordered, enemy: enemyFormation } }
+					: this.runMonteCarloSimulation(ordered, mission, difficulty, AppConfig.MONTE_CARLO_SIMULATIONS, enemyFormation);
+				if (estimate.wins > 0 && estimate.winRate >= this.winThreshold) {
 					additionalStars++;
 					updatedLastMissions[difficulty] = mission;
+					monteCarloStars.push({ difficulty, mission, ...estimate });
+					plan.push(Optimizer._planEntry(difficulty, mission, ordered, estimate.winRate));
+				}
+
+				iterations += estimate.simulations;
+				completed++;
+
+				const stop = yield { phase: "monteCarlo", difficulty, mission, stars: starsSoFar + additionalStars, monteCarloIterations: iterations, completed, total };
+				if (stop) {
+					return { additionalStars, lastMissionByDifficulty: updatedLastMissions, monteCarloStars, plan, cancelled: true };
 				}
 			}
 		}
 
-		return { additionalStars, lastMissionByDifficulty: updatedLastMissions };
+		return { additionalStars, lastMissionByDifficulty: updatedLastMissions, monteCarloStars, plan, cancelled: false };
+	}
+
+	/**
+	 * Snapshots a formation into a mission plan entry.
+	 * @param {string}   difficulty
+	 * @param {number}   mission
+	 * @param {Object[]} formation - Arranged, crewed team in slot order
+	 * @param {number|null} [winRate=null]
+	 * @returns {MissionPlanEntry}
+	 * @private
+	 */
+	static _planEntry(difficulty, mission, formation, winRate = null) {
+		return {
+			difficulty,
+			mission,
+			formation: formation.map((m) => ({ id: m.id, heroIds: (m.crew ?? []).map((h) => h.id) })),
+			winRate,
+		};
+	}
+
+	/**
+	 * Runs a step-wise optimisation generator to completion.
+	 * @template T
+	 * @param {Generator<CampaignProgress, T>} run
+	 * @returns {T}
+	 * @private
+	 */
+	static _drain(run) {
+		let step = run.next();
+		while (!step.done) step = run.next();
+		return step.value;
 	}
 
 	/**
 	 * Finds the formation that earns the most campaign stars.
-	 * Reoptimizes crew every REOPTIMIZE_INTERVAL missions.
+	 * Reoptimizes crew every REOPTIMIZE_INTERVAL missions. When the top-five
+	 * team loses, a team composition search (searchTeam) runs once per
+	 * difficulty per reoptimization window; a subset that then wins the
+	 * mission replaces the current team.
 	 * @param {Object} config
 	 * @param {Object[]} config.ownedMachines
 	 * @param {number}   [config.maxMission=AppConfig.MAX_MISSIONS_PER_DIFFICULTY]
 	 * @param {string[]} [config.difficulties=AppConfig.DIFFICULTY_KEYS]
 	 * @returns {CampaignResult}
 	 */
-	optimizeCampaignMaxStars({ ownedMachines, maxMission = AppConfig.MAX_MISSIONS_PER_DIFFICULTY, difficulties = AppConfig.DIFFICULTY_KEYS }) {
-		const empty = { totalStars: 0, lastCleared: 0, formation: [], battlePower: new Decimal(0), arenaPower: new Decimal(0) };
+	optimizeCampaignMaxStars(config) {
+		return Optimizer._drain(this.campaignRun(config));
+	}
+
+	/**
+	 * Step-wise optimizeCampaignMaxStars for callers that report progress.
+	 *
+	 * Yields a CampaignProgress after every mission of the deterministic sweep
+	 * and after every Monte Carlo estimate. Passing `true` to next() cancels
+	 * cooperatively: the generator returns the best result found so far,
+	 * flagged `cancelled: true`. With `parallelMonteCarlo` the Monte Carlo
+	 * estimates are also yielded, as `{ simulate }` (see _monteCarloRun).
+	 * @param {Object} config - Same as optimizeCampaignMaxStars
+	 * @returns {Generator<CampaignProgress|{simulate: SimulationRequest}, CampaignResult, boolean|WinEstimate|undefined>}
+	 */
+	*campaignRun({ ownedMachines, maxMission = AppConfig.MAX_MISSIONS_PER_DIFFICULTY, difficulties = AppConfig.DIFFICULTY_KEYS }) {
+		const empty = { totalStars: 0, lastCleared: 0, formation: [], battlePower: new Decimal(0), arenaPower: new Decimal(0), monteCarloStars: [], winThreshold: this.winThreshold, missionPlan: [], cancelled: false };
 
 		if (!ownedMachines?.length) return empty;
 
@@ -456,6 +911,9 @@ export class Optimizer {
 		let lastWinningTeam = [];
 		let currentBestTeam = null;
 		let lastOptimizedMission = 0;
+		let teamSearched = new Set();
+		let cancelled = false;
+		const missionPlan = [];
 
 		const lastMissionByDifficulty = Object.fromEntries(difficulties.map((d) => [d, null]));
 
@@ -467,34 +925,65 @@ export class Optimizer {
 				currentBestTeam = this.optimizeCrewGlobally(top, "campaign");
 				if (currentBestTeam.length === 0) break;
 				lastOptimizedMission = mission;
+				teamSearched = new Set();
 			}
 
 			let missionHasClears = false;
+			let lastDifficulty = null;
 
 			for (const difficulty of difficulties) {
+				lastDifficulty = difficulty;
 				const enemyFormation = Calculator.getEnemyTeamForMission(mission, difficulty);
-				const enemyStats = enemyFormation[0].baseStats;
-				const arranged = this.arrangeByRole(currentBestTeam, mission, difficulty, enemyStats);
+				const enemyStats = Calculator.enemyAttributes(mission, difficulty);
+				let arranged = this.arrangeByRole(currentBestTeam, mission, difficulty, enemyStats);
 
 				if (Calculator.computeSquadPower(arranged, "campaign").lt(Calculator.requiredPowerForMission(mission, difficulty))) {
 					break;
 				}
 
-				if (this.battleEngine.runBattle(arranged, enemyFormation, AppConfig.MAX_BATTLE_ROUNDS, true).playerWon) {
+				let won = this.battleEngine.runBattle(arranged, enemyFormation, AppConfig.MAX_BATTLE_ROUNDS, true).playerWon;
+
+				if (!won && !teamSearched.has(difficulty)) {
+					teamSearched.add(difficulty);
+					const alternative = this.searchTeam(ownedMachines, enemyFormation, mission, difficulty);
+					if (alternative?.wins > 0 && Optimizer._teamKey(alternative.formation) !== Optimizer._teamKey(arranged)) {
+						won = this.battleEngine.runBattle(alternative.formation, enemyFormation, AppConfig.MAX_BATTLE_ROUNDS, true).playerWon;
+						if (won) {
+							currentBestTeam = alternative.formation;
+							arranged = alternative.formation;
+						}
+					}
+				}
+
+				if (won) {
 					totalStars++;
 					missionHasClears = true;
 					lastMissionByDifficulty[difficulty] = mission;
 					lastWinningTeam = arranged.map((m) => ({ ...m, crew: [...m.crew] }));
+					missionPlan.push(Optimizer._planEntry(difficulty, mission, arranged));
 				} else {
 					break;
 				}
 			}
 
 			if (!missionHasClears && mission > 1) break;
+
+			const stop = yield { phase: "campaign", difficulty: lastDifficulty, mission, stars: totalStars, monteCarloIterations: 0, completed: mission, total: maxMission };
+			if (stop) {
+				cancelled = true;
+				break;
+			}
+		}
+
+		let mc = { additionalStars: 0, lastMissionByDifficulty, monteCarloStars: [], plan: [], cancelled: false };
+		if (!cancelled) {
+			mc = yield* this._monteCarloRun(lastWinningTeam, lastMissionByDifficulty, difficulties, totalStars);
+			cancelled = mc.cancelled;
 		}
 
-		const mc = this.pushStarsWithMonteCarlo(lastWinningTeam, lastMissionByDifficulty, difficulties);
 		totalStars += mc.additionalStars;
+		missionPlan.push(...mc.plan);
+		missionPlan.sort((a, b) => difficulties.indexOf(a.difficulty) - difficulties.indexOf(b.difficulty) || a.mission - b.mission);
 
 		return {
 			totalStars,
@@ -502,6 +991,10 @@ export class Optimizer {
 			formation: lastWinningTeam,
 			battlePower: Calculator.computeSquadPower(lastWinningTeam, "campaign"),
 			arenaPower: Calculator.computeSquadPower(lastWinningTeam, "arena"),
+			monteCarloStars: mc.monteCarloStars,
+			winThreshold: this.winThreshold,
+			missionPlan,
+			cancelled,
 		};
 	}
 
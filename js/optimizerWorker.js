@@ -1,60 +1,85 @@
 // js/optimizerWorker.js
 //
-// All optimization runs entirely in WASM (Rust).
-// JS is responsible only for:
-//   1. Serializing owned machines into FlatMachine structs
-//   2. Pre-computing artifact bonuses (same formula as JS Calculator)
-//   3. Passing OptimizeConfig with all user-configurable values
-//   4. Reconstructing full machine objects from the WASM result
+// Runs one optimization at a time on either engine:
+//   - WASM (Rust), when it loads: owned machines are flattened into
+//     FlatMachine structs, artifact bonuses pre-computed (same formula as the
+//     JS Calculator) and every user-configurable value passed in
+//     OptimizeConfig; the result is rebuilt into full machine objects.
+//   - JS Optimizer, when WASM fails to load, the build in js/wasm/ is older
+//     than the Rust sources (see wasmLoader.js), or the payload asks for
+//     engine "js" (WorkerManager's retry after a WASM error).
 //
-// Fallback: if WASM fails to load, falls back to the JS Optimizer unchanged.
+// Campaign runs on either engine are driven step by step (driveJob), which
+// streams progress, checks for cancel between steps and hands Monte Carlo
+// estimates to the simulation pool when one is available. Arena runs, and
+// campaign runs on WASM builds without CampaignJob, run in one pass.
+//
+// Message protocol (driven by WorkerManager; `id` is echoed on every reply)
+//   main → worker   { type: "start", id, payload }     begin a run
+//                   { type: "cancel", id }             stop after the current step;
+//                                                      the best partial result is posted
+//                                                      (one-pass runs finish regardless)
+//   worker → main   { type: "progress", id, progress } CampaignProgress + elapsedMs/etaMs, throttled
+//                   { type: "result", id, result }     final (or partial, `cancelled`) result
+//                   { type: "error", id, error, engine } engine: "wasm" | "js"
 
-import Decimal from "./vendor/break_eternity.esm.js";
 import { AppConfig } from "./config.js";
+import { Calculator } from "./calculator.js";
+import { abilitiesData } from "./data/abilities.js";
+import { loadWasmEngine } from "./wasmLoader.js";
+import { toDecimalDto, dtoToDecimal, encodeEffect, encodeTargeting, encodeScaleStat } from "./wasmCodec.js";
 
 // ---------------------------------------------------------------------------
 // WASM bootstrap
 // ---------------------------------------------------------------------------
 
-let wasmEngine = null;
+// The engine class is kept rather than a single instance: every run builds a
+// fresh WmoEngine from the payload seed so results are reproducible.
+let WmoEngine = null;
+// Step-wise campaign export; absent from engine builds that predate it
+let CampaignJob = null;
 let wasmFailed = false;
 
+// Set by a { type: "cancel" } message, checked between optimization steps
+let cancelRequested = false;
+
+// Id of the run in progress, echoed on every reply
+let activeId = null;
+
+// Minimum time between progress messages (and event-loop yields)
+const PROGRESS_INTERVAL_MS = 100;
+
+// Monte Carlo worker pool, created on the first campaign run. Stays null when
+// parallelism is unavailable (one core, no nested workers) or after it failed;
+// Monte Carlo then runs inline as before.
+let pool = null;
+let poolFailed = false;
+
 async function ensureWasm() {
-	if (wasmEngine || wasmFailed) return;
- 
-	try {
-		// ── Step 1: fetch the JS glue module as text and eval it as a blob ──
-		// fetch() goes through the service worker, unlike dynamic import().
-		// We convert it to a blob URL so we can import it as a module.
-		const jsUrl    = new URL("./wasm/wmo_engine.js", import.meta.url).href;
-		const jsResp   = await fetch(jsUrl);
-		if (!jsResp.ok) throw new Error(`Failed to fetch wmo_engine.js: ${jsResp.status}`);
- 
-		const jsText   = await jsResp.text();
-		const blob     = new Blob([jsText], { type: "text/javascript" });
-		const blobUrl  = URL.createObjectURL(blob);
- 
-		const { default: init, WmoEngine: WmoEngineClass } = await import(blobUrl);
-		URL.revokeObjectURL(blobUrl);
- 
-		// ── Step 2: fetch the WASM binary as an ArrayBuffer ──────────────────
-		// Also goes through the SW. Pass the buffer directly to init() so
-		// WebAssembly.instantiate receives bytes rather than a URL — this avoids
-		// a second fetch that might bypass the SW.
-		const wasmUrl  = new URL("./wasm/wmo_engine_bg.wasm", import.meta.url).href;
-		const wasmResp = await fetch(wasmUrl);
-		if (!wasmResp.ok) throw new Error(`Failed to fetch wmo_engine_bg.wasm: ${wasmResp.status}`);
- 
-		const wasmBuffer = await wasmResp.arrayBuffer();
- 
-		await init({ module_or_path: wasmBuffer });
- 
-		wasmEngine = new WmoEngineClass(BigInt(Date.now()));
-		console.log("[WMO] WASM engine loaded");
-	} catch (err) {
-		console.warn("[WMO] WASM failed, using JS fallback:", err);
+	if (WmoEngine || wasmFailed) return;
+
+	const wasm = await loadWasmEngine();
+	if (!wasm) {
 		wasmFailed = true;
+		return;
 	}
+	WmoEngine = wasm.WmoEngine;
+	CampaignJob = wasm.CampaignJob;
+}
+
+async function ensurePool() {
+	if (pool || poolFailed) return pool;
+
+	const { SimulationPool } = await import("./simulationPool.js");
+	pool = SimulationPool.create();
+	if (!pool) poolFailed = true;
+	return pool;
+}
+
+function disposePool() {
+	pool?.terminate();
+	pool = null;
+	poolFailed = true;
 }
 
 // ---------------------------------------------------------------------------
@@ -62,6 +87,23 @@ async function ensureWasm() {
 // ---------------------------------------------------------------------------
 
 self.onmessage = async function (e) {
+	const { type, id, payload } = e.data ?? {};
+	if (type === "cancel") {
+		if (id === activeId) cancelRequested = true;
+		return;
+	}
+	if (type === "start") await runOptimization(id, payload);
+};
+
+function reply(message) {
+	self.postMessage({ ...message, id: activeId });
+}
+
+async function runOptimization(id, payload) {
+	activeId = id;
+	cancelRequested = false;
+	let engineUsed = "js";
+
 	try {
 		const {
 			mode = AppConfig.DEFAULTS.OPTIMIZE_MODE,
@@ -74,14 +116,25 @@ self.onmessage = async function (e) {
 			artifactArray = [],
 			riftRank = AppConfig.DEFAULTS.RIFT_RANK,
 			heroScoring,
-		} = e.data;
-
-		await ensureWasm();
-
-		if (wasmFailed || !wasmEngine) {
-			// JS fallback — original Optimizer unchanged
+			crewScoring,
+			enemyRosters = {},
+			constraints = {},
+			seed = Date.now(),
+			winThreshold = AppConfig.MONTE_CARLO_WIN_THRESHOLD,
+			engine = "auto",
+		} = payload;
+
+		// User roster overrides, read by both engines through Calculator.getEnemyRosters()
+		AppConfig.ENEMY_ROSTERS = enemyRosters;
+
+		if (engine !== "js") await ensureWasm();
+		const simulationPool = mode === "campaign" ? await ensurePool() : null;
+
+		if (engine === "js" || wasmFailed || !WmoEngine) {
+			// JS fallback — original Optimizer, Monte Carlo on the pool when available
 			const { Optimizer } = await import("./optimizer.js");
 			if (heroScoring) applyHeroScoring(heroScoring);
+			if (crewScoring) applyCrewScoring(crewScoring);
 			const optimizer = new Optimizer({
 				ownedMachines,
 				heroes: ownedHeroes,
@@ -90,23 +143,35 @@ self.onmessage = async function (e) {
 				artifactArray,
 				globalRarityLevels,
 				riftRank,
+				seed,
+				winThreshold,
+				parallelMonteCarlo: simulationPool !== null,
+				constraints,
 			});
 			let result;
 			if (mode === "arena") {
 				result = optimizer.optimizeForArena(ownedMachines);
 				result.mode = "arena";
 			} else {
-				result = optimizer.optimizeCampaignMaxStars({ ownedMachines, maxMission });
+				simulationPool?.reset({ engine: "js", seed });
+				result = await driveJob(generatorJob(optimizer.campaignRun({ ownedMachines, maxMission })), poolSimulator(simulationPool, winThreshold));
 				result.mode = "campaign";
 			}
-			self.postMessage(serializeForTransfer(result));
+			result.seed = seed;
+			reply({ type: "result", result: serializeForTransfer(result) });
 			return;
 		}
 
+		engineUsed = "wasm";
+
 		// ---------------------
 		// WASM path
 		// ---------------------
 
+		// Engine builds that predate the pool exports (the job's pending_simulation
+		// and WmoEngine.simulate, which pool workers call) simulate inline
+		const parallel = simulationPool !== null && typeof CampaignJob?.prototype.pending_simulation === "function" && typeof WmoEngine.prototype.simulate === "function";
+
 		const flatMachines = ownedMachines.map(flattenMachine);
 		const config = buildConfig({
 			engineerLevel,
@@ -116,23 +181,185 @@ self.onmessage = async function (e) {
 			artifactArray,
 			maxMission,
 			heroScoring,
+			crewScoring,
+			enemyRosters: Calculator.getEnemyRosters(),
+			constraints,
 			ownedHeroes,
+			winThreshold,
+			parallel,
 		});
 
 		let wasmResult;
-		if (mode === "arena") {
-			wasmResult = wasmEngine.optimize_arena(flatMachines, config);
+		if (mode === "campaign" && CampaignJob) {
+			if (parallel) simulationPool.reset({ engine: "wasm", seed });
+			wasmResult = await driveJob(
+				wasmCampaignJob(new CampaignJob(flatMachines, config, BigInt(seed))),
+				parallel ? poolSimulator(simulationPool, winThreshold) : null,
+			);
 		} else {
-			wasmResult = wasmEngine.optimize_campaign(flatMachines, config);
+			// Arena is a single pass; older engine builds have no step-wise
+			// campaign export, so they run to completion without progress.
+			const wasmEngine = new WmoEngine(BigInt(seed));
+			try {
+				if (mode === "arena") {
+					wasmResult = wasmEngine.optimize_arena(flatMachines, config);
+				} else {
+					wasmResult = wasmEngine.optimize_campaign(flatMachines, config);
+				}
+			} finally {
+				wasmEngine.free();
+			}
 		}
 
 		const result = reconstructResult(wasmResult, ownedMachines, ownedHeroes);
-		self.postMessage(serializeForTransfer(result));
+		result.seed = seed;
+		reply({ type: "result", result: serializeForTransfer(result) });
 	} catch (err) {
 		console.error("[WMO] Worker error:", err);
-		self.postMessage({ error: err?.message || String(err) });
+		reply({ type: "error", error: err?.message || String(err), engine: engineUsed });
 	}
-};
+}
+
+// ---------------------------------------------------------------------------
+// Step-wise runs — progress streaming and cooperative cancel
+//
+// A job is { step(): boolean, progress(): CampaignProgress, finish(): result }.
+// step() does one mission (or one Monte Carlo estimate) and returns false when
+// the run is complete; finish() returns the result so far.
+//
+// Jobs built for the pool also have pendingSimulation(), the estimate the last
+// step left for the pool (or null), and resolveSimulation(estimate).
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs a job to completion or until cancelled, posting throttled progress.
+ * Yields to the event loop between progress reports so a cancel message
+ * can be delivered while the run is in flight.
+ * @param {Object}        job
+ * @param {Function|null} [simulate=null] - SimulationRequest → Promise<WinEstimate>, for pool jobs
+ */
+async function driveJob(job, simulate = null) {
+	const startedAt = performance.now();
+	let phase = null;
+	let phaseStartedAt = startedAt;
+	let lastStepAt = startedAt;
+	let lastReport = startedAt;
+
+	try {
+		while (!cancelRequested && job.step()) {
+			const request = simulate && job.pendingSimulation();
+			if (request) job.resolveSimulation(await simulate(request));
+
+			const now = performance.now();
+			const progress = job.progress();
+			if (progress.phase !== phase) {
+				phase = progress.phase;
+				phaseStartedAt = lastStepAt;
+			}
+			lastStepAt = now;
+
+			if (now - lastReport < PROGRESS_INTERVAL_MS) continue;
+			lastReport = now;
+
+			reply({ type: "progress", progress: withTiming(progress, now - startedAt, now - phaseStartedAt) });
+			await new Promise((resolve) => setTimeout(resolve, 0));
+		}
+		return job.finish();
+	} catch (err) {
+		job.dispose?.();
+		throw err;
+	}
+}
+
+/**
+ * Adds elapsed time and an ETA to a progress snapshot.
+ * The ETA covers the Monte Carlo phase only: until the deterministic sweep
+ * ends it is unknown how many borderline missions there will be.
+ */
+function withTiming(progress, elapsedMs, phaseElapsedMs) {
+	const { phase, completed, total } = progress;
+	const etaMs = phase === "monteCarlo" && completed > 0 ? (phaseElapsedMs / completed) * (total - completed) : null;
+	return { ...progress, elapsedMs, etaMs };
+}
+
+/**
+ * Runs pool estimates for driveJob. A pool failure disposes the pool, so the
+ * retry (and later runs) simulate inline.
+ * @returns {Function|null}
+ */
+function poolSimulator(simulationPool, threshold) {
+	if (!simulationPool) return null;
+	return async (request) => {
+		try {
+			return await simulationPool.estimate(request, { threshold });
+		} catch (err) {
+			disposePool();
+			throw err;
+		}
+	};
+}
+
+/** Adapts Optimizer.campaignRun (a generator) to the job interface. */
+function generatorJob(run) {
+	let state = null;
+	return {
+		step() {
+			state = run.next();
+			return !state.done;
+		},
+		pendingSimulation() {
+			// Machine objects carry Decimals; pool messages need plain data
+			const request = state.value?.simulate;
+			return request ? serializeForTransfer(request) : null;
+		},
+		resolveSimulation(estimate) {
+			state = run.next(estimate);
+		},
+		progress() {
+			return state.value;
+		},
+		finish() {
+			// next(true) asks the generator to stop and return its partial result
+			while (!state?.done) state = run.next(true);
+			return state.value;
+		},
+	};
+}
+
+/** Adapts a WASM CampaignJob to the job interface (camelCase progress). */
+function wasmCampaignJob(wasmJob) {
+	let finished = false;
+	return {
+		step() {
+			return wasmJob.step();
+		},
+		pendingSimulation() {
+			return wasmJob.pending_simulation();
+		},
+		resolveSimulation(estimate) {
+			wasmJob.resolve_simulation(estimate.wins, estimate.simulations);
+		},
+		progress() {
+			const p = wasmJob.progress();
+			return {
+				phase: p.phase,
+				difficulty: p.difficulty == null ? null : AppConfig.DIFFICULTY_KEYS[p.difficulty],
+				mission: p.mission,
+				stars: p.stars,
+				monteCarloIterations: p.monte_carlo_iterations,
+				completed: p.completed,
+				total: p.total,
+			};
+		},
+		finish() {
+			finished = true;
+			return wasmJob.finish();
+		},
+		dispose() {
+			if (!finished) wasmJob.free();
+		},
+	};
+}
 
 // ---------------------------------------------------------------------------
 // flattenMachine — JS machine object → FlatMachine for WASM
@@ -170,21 +397,48 @@ function flattenMachine(machine) {
 	};
 }
 
-function encodeEffect(e) {
-	return e === "damage" ? 1 : e === "heal" ? 2 : 0;
-}
-function encodeTargeting(t) {
-	return t === "random" ? 0 : t === "all" ? 1 : t === "lowest" ? 2 : t === "last" ? 3 : t === "self" ? 4 : 0;
+// ---------------------------------------------------------------------------
+// flattenEnemyRosters — Calculator.getEnemyRosters() shape → Vec<EnemyRosterDto> for WASM
+// ---------------------------------------------------------------------------
+
+function flattenEnemyRosters(enemyRosters) {
+	const rosters = [];
+	AppConfig.DIFFICULTY_KEYS.forEach((key, difficulty) => {
+		for (const [mission, units] of Object.entries(enemyRosters[key] ?? {})) {
+			if (!units?.length) continue;
+			rosters.push({
+				difficulty,
+				mission: Number(mission),
+				units: units.slice(0, AppConfig.FORMATION_SIZE).map(flattenEnemyUnit),
+			});
+		}
+	});
+	return rosters;
 }
-function encodeScaleStat(s) {
-	return s === "health" ? 1 : 0;
+
+function flattenEnemyUnit(spec) {
+	const ab = spec.ability ? (abilitiesData[spec.ability.key] ?? null) : null;
+	const rarityLevel = AppConfig.getRarityLevel(spec.rarity?.toLowerCase() ?? "common");
+
+	return {
+		damage_scale: spec.statScale?.damage ?? 1,
+		health_scale: spec.statScale?.health ?? 1,
+		armor_scale: spec.statScale?.armor ?? 1,
+
+		ability_effect: ab ? encodeEffect(ab.effect) : 0,
+		ability_targeting: ab ? encodeTargeting(ab.targeting) : 0,
+		ability_num_targets: ab?.numTargets ?? 0,
+		ability_scale_stat: ab ? encodeScaleStat(ab.scaleStat) : 0,
+		ability_multiplier: ab?.multiplier ?? 0,
+		overdrive_chance: AppConfig.OVERDRIVE_BASE + rarityLevel * AppConfig.OVERDRIVE_PER_RARITY,
+	};
 }
 
 // ---------------------------------------------------------------------------
 // buildConfig — assembles OptimizeConfig for WASM
 // ---------------------------------------------------------------------------
 
-function buildConfig({ engineerLevel, scarabLevel, globalRarityLevels, riftRank, artifactArray, maxMission, heroScoring, ownedHeroes }) {
+function buildConfig({ engineerLevel, scarabLevel, globalRarityLevels, riftRank, artifactArray, maxMission, heroScoring, crewScoring, enemyRosters = {}, constraints = {}, ownedHeroes, winThreshold, parallel = false }) {
 	const scoring = {
 		campaign_tank: heroScoring?.campaign?.tank ?? AppConfig.HERO_SCORING.CAMPAIGN.TANK,
 		campaign_dps: heroScoring?.campaign?.dps ?? AppConfig.HERO_SCORING.CAMPAIGN.DPS,
@@ -204,8 +458,19 @@ function buildConfig({ engineerLevel, scarabLevel, globalRarityLevels, riftRank,
 			damage_pct: h.percentages?.damage ?? 0,
 			health_pct: h.percentages?.health ?? 0,
 			armor_pct: h.percentages?.armor ?? 0,
+			// used by the "role" crew-scoring model (matches Optimizer.heroStatValue)
+			is_tank: h.role === "tank",
+			base_attack: h.baseStats?.attack ?? 0,
+			base_health: h.baseStats?.health ?? 0,
+			base_armor: h.baseStats?.armor ?? 0,
+			attack_speed: h.advancedStats?.attack_speed ?? 0,
+			crit_chance: h.advancedStats?.critical_chance ?? 0,
+			crit_damage: h.advancedStats?.critical_damage ?? 0,
+			dodge: h.advancedStats?.dodge ?? 0,
 		}));
 
+	const crew = crewScoring ?? AppConfig.CREW_SCORING;
+
 	return {
 		engineer_level: engineerLevel,
 		scarab_level: scarabLevel,
@@ -213,6 +478,16 @@ function buildConfig({ engineerLevel, scarabLevel, globalRarityLevels, riftRank,
 		rift_bonus: AppConfig.getRiftBonus(riftRank),
 		max_mission: maxMission,
 		monte_carlo_simulations: AppConfig.MONTE_CARLO_SIMULATIONS,
+		monte_carlo_min_simulations: AppConfig.MONTE_CARLO_MIN_SIMULATIONS,
+		formation_search_screen_simulations: AppConfig.FORMATION_SEARCH_SCREEN_SIMULATIONS,
+		formation_search_finalists: AppConfig.FORMATION_SEARCH_FINALISTS,
+		formation_search_simulations: AppConfig.FORMATION_SEARCH_SIMULATIONS,
+		team_search_pool_size: AppConfig.TEAM_SEARCH_POOL_SIZE,
+		team_search_power_ratio: AppConfig.TEAM_SEARCH_POWER_RATIO,
+		team_search_max_candidates: AppConfig.TEAM_SEARCH_MAX_CANDIDATES,
+		team_search_simulations: AppConfig.TEAM_SEARCH_SIMULATIONS,
+		win_threshold: winThreshold,
+		parallel_monte_carlo: parallel,
 		max_crew_slots: AppConfig.getMaxCrewSlots(engineerLevel),
 		reoptimize_interval: AppConfig.REOPTIMIZE_INTERVAL,
 
@@ -225,7 +500,19 @@ function buildConfig({ engineerLevel, scarabLevel, globalRarityLevels, riftRank,
 		hero_scoring_arena_tank: scoring.arena_tank,
 		hero_scoring_arena_dps: scoring.arena_dps,
 
+		crew_scoring: {
+			role_model: crew.MODEL === "role",
+			role_affinity: crew.ROLE_AFFINITY,
+			tiebreak_weight: crew.TIEBREAK_WEIGHT,
+		},
+
+		locked_machine_ids: constraints.lockedMachineIds ?? [],
+		excluded_hero_ids: constraints.excludedHeroIds ?? [],
+		hero_pins: (constraints.pins ?? []).map(({ heroId, machineId }) => ({ hero_id: heroId, machine_id: machineId })),
+
 		heroes: sortedHeroes,
+
+		enemy_rosters: flattenEnemyRosters(enemyRosters),
 	};
 }
 
@@ -255,11 +542,6 @@ function computeArtifactBonusFraction(artifactArray, stat) {
 //     battlePower: Decimal, arenaPower: Decimal, mode }
 // ---------------------------------------------------------------------------
 
-function dtoToDecimal(dto) {
-	if (!dto) return new Decimal(0);
-	return Decimal.fromComponents(dto.sign, dto.layer, dto.mag);
-}
-
 function reconstructResult(wasmResult, ownedMachines, ownedHeroes) {
 	const heroMap = new Map((ownedHeroes ?? []).map((h) => [h.id, h]));
 	const machineMap = new Map((ownedMachines ?? []).map((m) => [m.id, m]));
@@ -300,28 +582,28 @@ function reconstructResult(wasmResult, ownedMachines, ownedHeroes) {
 	if (wasmResult.mode === "campaign") {
 		result.totalStars = wasmResult.total_stars ?? 0;
 		result.lastCleared = wasmResult.last_cleared ?? {};
+		result.monteCarloStars = (wasmResult.monte_carlo_stars ?? []).map((s) => ({
+			difficulty: AppConfig.DIFFICULTY_KEYS[s.difficulty],
+			mission: s.mission,
+			wins: s.wins,
+			simulations: s.simulations,
+			winRate: s.win_rate,
+			lower: s.lower,
+			upper: s.upper,
+		}));
+		result.winThreshold = wasmResult.win_threshold ?? 0;
+		result.cancelled = wasmResult.cancelled ?? false;
+		result.missionPlan = (wasmResult.mission_plan ?? []).map((e) => ({
+			difficulty: AppConfig.DIFFICULTY_KEYS[e.difficulty],
+			mission: e.mission,
+			formation: e.machine_ids.map((id, slot) => ({ id, heroIds: e.hero_ids[slot] ?? [] })),
+			winRate: e.win_rate ?? null,
+		}));
 	}
 
 	return result;
 }
 
-// ---------------------------------------------------------------------------
-// toDecimalDto
-// ---------------------------------------------------------------------------
-
-function toDecimalDto(value) {
-	if (value === null || value === undefined) return { sign: 0, layer: 0, mag: 0 };
-	if (typeof value === "number") {
-		const d = new Decimal(value);
-		return { sign: d.sign, layer: d.layer, mag: d.mag };
-	}
-	if (typeof value === "object" && "mag" in value) {
-		return { sign: Number(value.sign), layer: Number(value.layer), mag: Number(value.mag) };
-	}
-	const d = new Decimal(value);
-	return { sign: d.sign, layer: d.layer, mag: d.mag };
-}
-
 // ---------------------------------------------------------------------------
 // serializeForTransfer — safe for postMessage structured clone
 // ---------------------------------------------------------------------------
@@ -360,3 +642,11 @@ function applyHeroScoring(heroScoring) {
 		if (heroScoring.ARENA.DPS) AppConfig.HERO_SCORING.ARENA.DPS = heroScoring.ARENA.DPS;
 	}
 }
+
+// ---------------------------------------------------------------------------
+// applyCrewScoring — for JS fallback path only
+// ---------------------------------------------------------------------------
+
+function applyCrewScoring(crewScoring) {
+	Object.assign(AppConfig.CREW_SCORING, crewScoring);
+}
@@ -2,8 +2,9 @@
 import { db } from "./db.js";
 import { AppConfig } from "./config.js";
 import { showToast } from "./ui/notifications.js";
-import { autoLoad } from "./storage.js";
-import { createInitialStore } from "./app.js";
+import { autoLoad, autoSave, applyStateToStore, updateUIInputs, renderAllPanels } from "./storage.js";
+import { createInitialStore, refreshResultHistory, refreshProfileComparison, refreshSandboxBanner } from "./app.js";
+import { sandbox } from "./sandbox.js";
 import { renderMachines } from "./ui/machines.js";
 import { renderHeroes } from "./ui/heroes.js";
 import { renderArtifacts } from "./ui/artifacts.js";
@@ -40,7 +41,28 @@ async function _refreshProfileUI(store) {
 	await renderProfileSelector(store);
 	// Re-render management list only when it is visible
 	const container = document.getElementById("profileManagementList");
-	if (container) await renderProfileManagement();
+	if (container) await renderProfileManagement(store);
+	await refreshResultHistory();
+	await refreshProfileComparison();
+	refreshSandboxBanner();
+}
+
+/**
+ * Asks before an action that replaces the store throws away sandbox overrides.
+ * The real values go back into the store first, so if the action then fails
+ * no override is left behind for the next auto-save.
+ * @param {Object} store
+ * @returns {boolean} False if the user wants to keep the sandbox
+ * @private
+ */
+function _leaveSandbox(store) {
+	if (!sandbox.active) return true;
+	if (!confirm("Discard the sandbox changes? They have not been saved.")) return false;
+	sandbox.discard(store);
+	updateUIInputs(store);
+	renderAllPanels(store);
+	refreshSandboxBanner();
+	return true;
 }
 
 // ─────────────────────────────────────────────
@@ -116,6 +138,20 @@ export async function renderProfileSelector(store) {
 		});
 		newProfileLi.appendChild(newProfileLink);
 		dropdownMenu.appendChild(newProfileLi);
+
+		if (activeProfile) {
+			const duplicateLi = document.createElement("li");
+			const duplicateLink = document.createElement("a");
+			duplicateLink.className = "dropdown-item";
+			duplicateLink.href = "#";
+			duplicateLink.innerHTML = '<i class="bi bi-copy me-2"></i>Duplicate Profile';
+			duplicateLink.addEventListener("click", async (e) => {
+				e.preventDefault();
+				await duplicateProfile(activeProfile.id, store);
+			});
+			duplicateLi.appendChild(duplicateLink);
+			dropdownMenu.appendChild(duplicateLi);
+		}
 	} else {
 		const maxLi = document.createElement("li");
 		const maxItem = document.createElement("span");
@@ -187,6 +223,17 @@ export async function renderProfileManagement(store) {
 		renameBtn.addEventListener("click", () => renameProfile(profile.id, store));
 		buttonSection.appendChild(renameBtn);
 
+		const canDuplicate = profiles.length < AppConfig.MAX_PROFILES;
+		const duplicateBtn = document.createElement("button");
+		duplicateBtn.className = "btn btn-outline-secondary";
+		duplicateBtn.innerHTML = '<i class="bi bi-copy"></i>';
+		duplicateBtn.title = canDuplicate ? "Duplicate" : `Max ${AppConfig.MAX_PROFILES} profiles`;
+		duplicateBtn.disabled = !canDuplicate;
+		duplicateBtn.addEventListener("click", () => {
+			if (canDuplicate) duplicateProfile(profile.id, store);
+		});
+		buttonSection.appendChild(duplicateBtn);
+
 		const canDelete = profiles.length > 1;
 		const deleteBtn = document.createElement("button");
 		deleteBtn.className = "btn btn-outline-danger";
@@ -216,6 +263,8 @@ export async function renderProfileManagement(store) {
  * @param {Object} store
  */
 async function switchToProfile(profileId, store) {
+	if (!_leaveSandbox(store)) return;
+
 	try {
 		await db.switchProfile(profileId);
 		const profile = await db.getActiveProfile();
@@ -241,6 +290,7 @@ async function switchToProfile(profileId, store) {
  * @param {Object} store
  */
 async function createNewProfile(store) {
+	if (!_leaveSandbox(store)) return;
 	const existingCount = (await db.getAllProfiles()).length;
 	const name = prompt(`Enter name for new profile (${AppConfig.MAX_PROFILES} max):`, `Profile ${existingCount + 1}`);
 
@@ -256,6 +306,73 @@ async function createNewProfile(store) {
 	}
 }
 
+/**
+ * Creates a profile, fills it with imported save data and switches to it.
+ * The previously active profile is left untouched; if the import fails the
+ * new profile is removed again and the previous one reloaded into the store.
+ * @param {Object} store
+ * @param {Object} data - Current-version save data (see migrateSave)
+ * @param {string} name
+ * @returns {Promise<boolean>} True on success
+ */
+export async function importIntoNewProfile(store, data, name) {
+	if (!_leaveSandbox(store)) return false;
+	const previous = await db.getActiveProfile();
+	let profileId = null;
+
+	try {
+		profileId = await db.createProfile(name);
+		await db.switchProfile(profileId);
+		await db.importData(JSON.stringify(data));
+
+		// Shared saves may hold only some sections; start from defaults and
+		// persist the full store so the new profile is complete
+		_resetStoreUI(store);
+		applyStateToStore(store, { ...data.general, machines: data.machines, heroes: data.heroes, artifacts: data.artifacts });
+		updateUIInputs(store);
+		renderAllPanels(store);
+		await autoSave(store);
+		await _refreshProfileUI(store);
+		showToast(`Imported into new profile: ${name}`, "success");
+		return true;
+	} catch (error) {
+		console.error("Failed to import into new profile:", error);
+		if (profileId !== null) {
+			await db.deleteProfile(profileId);
+			if (previous) await db.switchProfile(previous.id);
+			// The store may already hold the defaults or the half-imported
+			// data; load the previous profile back before it gets auto-saved
+			if (!(await autoLoad(store))) _resetStoreUI(store);
+			await _refreshProfileUI(store);
+		}
+		showToast(error.message || "Failed to import profile", "danger");
+		return false;
+	}
+}
+
+/**
+ * Prompts for a name and copies a profile's data into a new profile, then
+ * switches to the copy so it can be edited as a what-if sandbox.
+ * @param {number} profileId
+ * @param {Object} store
+ */
+async function duplicateProfile(profileId, store) {
+	if (!_leaveSandbox(store)) return;
+	const source = await db.profiles.get(profileId);
+	const name = prompt("Enter name for the copy:", `${source.name} (copy)`);
+
+	if (!name?.trim()) return;
+
+	try {
+		const copyId = await db.duplicateProfile(profileId, name.trim());
+		showToast(`Duplicated ${source.name} as ${name.trim()}`, "success");
+		await switchToProfile(copyId, store);
+	} catch (error) {
+		console.error("Failed to duplicate profile:", error);
+		showToast(error.message || "Failed to duplicate profile", "danger");
+	}
+}
+
 /**
  * Prompts for a new name and renames the given profile.
  * @param {number} profileId
@@ -285,6 +402,7 @@ async function renameProfile(profileId, store) {
  */
 async function deleteProfile(profileId, profileName, store) {
 	if (!confirm(`Delete profile "${profileName}"? This cannot be undone.`)) return;
+	if (!_leaveSandbox(store)) return;
 
 	try {
 		await db.deleteProfile(profileId);
@@ -0,0 +1,113 @@
+// sandbox.js
+import { SAVE_SECTIONS } from "./saveSchema.js";
+import { applyStateToStore } from "./storage.js";
+import { diffSaveData } from "./utils/saveDiff.js";
+
+/**
+ * What-if sandbox over the live store.
+ *
+ * While active, the live store is the overridden view: the UI keeps editing
+ * it and the optimizer and UpgradeAnalyzer read it as usual, but auto-save
+ * is suspended (see triggerAutoSave in app.js). The real values are kept
+ * here as a base snapshot, so the overrides are simply the differences
+ * between the base and the store.
+ *
+ *   enter()   snapshot the real values and start overriding
+ *   discard() put the real values back into the store
+ *   commit()  keep the overridden values; the caller persists the store
+ */
+export class Sandbox {
+	constructor() {
+		/** @type {Object|null} Store-shaped copy of the real values */
+		this._base = null;
+	}
+
+	/**
+	 * True while overrides are being layered on the store.
+	 * @returns {boolean}
+	 */
+	get active() {
+		return this._base !== null;
+	}
+
+	/**
+	 * Starts a sandbox from the store's current (real) values.
+	 * @param {Object} store
+	 */
+	enter(store) {
+		this._base = Sandbox._snapshot(store);
+	}
+
+	/**
+	 * Lists what the sandbox overrides, as changes from the real values.
+	 * @param {Object} store
+	 * @returns {import('./utils/saveDiff.js').SaveDiff|null} Null when inactive
+	 */
+	overrides(store) {
+		if (!this._base) return null;
+		return diffSaveData(this._base, Sandbox._toSaveData(store));
+	}
+
+	/**
+	 * Restores the real values into the store and ends the sandbox.
+	 * The caller re-renders the panels.
+	 * @param {Object} store
+	 */
+	discard(store) {
+		if (!this._base) return;
+		applyStateToStore(store, this._base);
+		this._base = null;
+	}
+
+	/**
+	 * Ends the sandbox keeping the overridden values in the store.
+	 * The caller persists them.
+	 */
+	commit() {
+		this._base = null;
+	}
+
+	// ─────────────────────────────────────────────
+	// Private helpers
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Copies the persisted fields of the store, in the shape applyStateToStore reads.
+	 * @private
+	 * @param {Object} store
+	 * @returns {Object}
+	 */
+	static _snapshot(store) {
+		return {
+			engineerLevel: store.engineerLevel,
+			scarabLevel: store.scarabLevel,
+			riftRank: store.riftRank,
+			machines: store.machines.map((m) => ({
+				id: m.id,
+				name: m.name,
+				rarity: m.rarity,
+				level: m.level,
+				blueprints: { ...m.blueprints },
+				inscriptionLevel: m.inscriptionLevel,
+				sacredLevel: m.sacredLevel,
+				locked: m.locked,
+			})),
+			heroes: store.heroes.map((h) => ({ id: h.id, name: h.name, percentages: { ...h.percentages }, excluded: h.excluded, pinnedMachineId: h.pinnedMachineId })),
+			artifacts: structuredClone(store.artifacts),
+		};
+	}
+
+	/**
+	 * The store in save format, for diffSaveData.
+	 * @private
+	 * @param {Object} store
+	 * @returns {Object}
+	 */
+	static _toSaveData(store) {
+		const { engineerLevel, scarabLevel, riftRank, machines, heroes, artifacts } = Sandbox._snapshot(store);
+		return { sections: SAVE_SECTIONS, general: { engineerLevel, scarabLevel, riftRank }, machines, heroes, artifacts };
+	}
+}
+
+/** Sandbox of the app's live store */
+export const sandbox = new Sandbox();
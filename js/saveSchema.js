@@ -0,0 +1,365 @@
+// saveSchema.js
+import { AppConfig } from "./config.js";
+import { validateSchema, formatSchemaError } from "./utils/schema.js";
+
+/**
+ * Version written by db.exportData and the only one db.importData accepts.
+ * Bump it together with a new SAVE_SCHEMAS entry and a migration step.
+ * @type {number}
+ */
+export const SAVE_VERSION = 3;
+
+/**
+ * Parts of a profile that can be exported and imported on their own.
+ * @typedef {"general"|"machines"|"heroes"|"artifacts"} SaveSection
+ * @type {SaveSection[]}
+ */
+export const SAVE_SECTIONS = ["general", "machines", "heroes", "artifacts"];
+
+/**
+ * Save formats, oldest first:
+ *   legacy       — original localStorage layout, flat general fields, no version
+ *   intermediate — first Dexie export: { version: 1, config: [{key, value}], artifacts: [{stat, values}], timestamp }
+ *   v1           — { version: 1, general, machines, heroes, artifacts }
+ *   v2           — v1 with card levels on every machine and every artifact stat/percentage present
+ *   v3           — v2 where sections may be left out; `sections` lists the ones present.
+ *                  Crew constraints (machine `locked`, hero `excluded`/`pinnedMachineId`) are optional
+ * @typedef {"legacy"|"intermediate"|"v1"|"v2"|"v3"|"unknown"} SaveFormat
+ */
+
+/**
+ * Raised when save data cannot be read: unknown or newer format, or schema
+ * violations before or after migration.
+ */
+export class SaveValidationError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {import('./utils/schema.js').SchemaError[]} [errors=[]]
+	 */
+	constructor(message, errors = []) {
+		super(errors.length > 0 ? `${message}: ${formatSchemaError(errors[0])}` : message);
+		this.name = "SaveValidationError";
+		this.errors = errors;
+	}
+}
+
+// ─────────────────────────────────────────────
+// Schemas
+// ─────────────────────────────────────────────
+
+const count = { type: "integer", minimum: 0 };
+const statKeys = ["damage", "health", "armor"];
+
+/** @param {Object} valueSchema @returns {import('./utils/schema.js').Schema} */
+const statBlock = (valueSchema) => ({
+	type: "object",
+	required: statKeys,
+	properties: Object.fromEntries(statKeys.map((stat) => [stat, valueSchema])),
+});
+
+// Older formats are checked loosely (the shape the old loader relied on);
+// every migration ends in the strict current schema.
+const looseMachine = {
+	type: "object",
+	required: ["id", "rarity", "level", "blueprints"],
+	properties: { id: { type: "number" }, rarity: { type: "string" }, level: { type: "number" }, blueprints: { type: "object" } },
+};
+const looseHero = {
+	type: "object",
+	required: ["id", "percentages"],
+	properties: { id: { type: "number" }, percentages: { type: "object" } },
+};
+
+const looseGeneral = {
+	engineerLevel: { type: "number" },
+	scarabLevel: { type: "number" },
+	riftRank: { type: "string" },
+};
+
+// Section schemas shared by the current formats
+const currentSections = {
+	general: {
+		type: "object",
+		required: ["engineerLevel", "scarabLevel", "riftRank"],
+		properties: {
+			engineerLevel: count,
+			scarabLevel: count,
+			riftRank: { type: "string", enum: AppConfig.RIFT_RANKS.map((r) => r.key) },
+		},
+	},
+	machines: {
+		type: "array",
+		items: {
+			type: "object",
+			required: ["id", "rarity", "level", "blueprints", "inscriptionLevel", "sacredLevel"],
+			properties: {
+				id: { type: "integer" },
+				rarity: { type: "string", enum: AppConfig.RARITY_LABELS },
+				level: count,
+				blueprints: statBlock(count),
+				inscriptionLevel: count,
+				sacredLevel: count,
+				locked: { type: "boolean" },
+			},
+		},
+	},
+	heroes: {
+		type: "array",
+		items: {
+			type: "object",
+			required: ["id", "percentages"],
+			properties: {
+				id: { type: "integer" },
+				percentages: statBlock({ type: "number", minimum: 0 }),
+				excluded: { type: "boolean" },
+				pinnedMachineId: { type: ["integer", "null"] },
+			},
+		},
+	},
+	artifacts: {
+		type: "object",
+		required: AppConfig.ARTIFACT_STATS,
+		additionalProperties: {
+			type: "object",
+			required: AppConfig.ARTIFACT_PERCENTAGES.map(String),
+			additionalProperties: count,
+		},
+	},
+};
+
+/**
+ * Schema per save format.
+ * @type {Object<string, import('./utils/schema.js').Schema>}
+ */
+export const SAVE_SCHEMAS = {
+	legacy: {
+		type: "object",
+		required: ["engineerLevel", "scarabLevel", "riftRank", "machines", "heroes", "artifacts"],
+		properties: {
+			...looseGeneral,
+			machines: { type: "array", items: looseMachine },
+			heroes: { type: "array", items: looseHero },
+			artifacts: { type: "object" },
+		},
+	},
+
+	intermediate: {
+		type: "object",
+		required: ["version", "config", "machines", "heroes", "artifacts"],
+		properties: {
+			config: { type: "array", items: { type: "object", required: ["key"], properties: { key: { type: "string" } } } },
+			machines: { type: "array", items: looseMachine },
+			heroes: { type: "array", items: looseHero },
+			artifacts: { type: "array", items: { type: "object", required: ["stat", "values"], properties: { stat: { type: "string" }, values: { type: "object" } } } },
+		},
+	},
+
+	v1: {
+		type: "object",
+		required: ["version", "general", "machines", "heroes", "artifacts"],
+		properties: {
+			general: { type: "object", required: ["engineerLevel", "scarabLevel", "riftRank"], properties: looseGeneral },
+			machines: { type: "array", items: looseMachine },
+			heroes: { type: "array", items: looseHero },
+			artifacts: { type: "object", additionalProperties: { type: "object" } },
+		},
+	},
+
+	v2: {
+		type: "object",
+		required: ["version", ...SAVE_SECTIONS],
+		properties: { ...currentSections, version: { enum: [2] }, appVersion: { type: "string" }, exportedAt: { type: "string" } },
+	},
+
+	// Sections may be left out; `sections` lists the ones present
+	v3: {
+		type: "object",
+		required: ["version", "sections"],
+		properties: {
+			...currentSections,
+			version: { enum: [3] },
+			appVersion: { type: "string" },
+			exportedAt: { type: "string" },
+			sections: { type: "array", items: { type: "string", enum: SAVE_SECTIONS } },
+		},
+	},
+};
+
+// ─────────────────────────────────────────────
+// Format detection
+// ─────────────────────────────────────────────
+
+/**
+ * Detects which save format a parsed data object belongs to.
+ * Uses the version field where there is one, duck-typing otherwise.
+ * @param {Object} data
+ * @returns {SaveFormat}
+ */
+export function detectSaveFormat(data) {
+	if (!data || typeof data !== "object" || Array.isArray(data)) return "unknown";
+
+	if (data.version === undefined && typeof data.engineerLevel === "number" && data.artifacts && !Array.isArray(data.artifacts)) {
+		return "legacy";
+	}
+	if (data.version === 1 && Array.isArray(data.config)) return "intermediate";
+	if (data.version === 1 && data.general && typeof data.general === "object") return "v1";
+	if (data.version === 2) return "v2";
+	if (data.version === 3) return "v3";
+	return "unknown";
+}
+
+// ─────────────────────────────────────────────
+// Migrations
+// ─────────────────────────────────────────────
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {SaveFormat} from
+ * @property {SaveFormat} to
+ * @property {string}     description - Shown in the import preview
+ * @property {(data: Object) => Object} migrate - Must not mutate its input
+ */
+
+/**
+ * Ordered migration steps; each takes data valid for `from` to the `to` format.
+ * @type {MigrationStep[]}
+ */
+export const SAVE_MIGRATIONS = [
+	{
+		from: "legacy",
+		to: "intermediate",
+		description: "Moved general settings and artifacts into config/artifact lists",
+		migrate: (data) => ({
+			version: 1,
+			timestamp: Date.now(),
+			config: ["engineerLevel", "scarabLevel", "riftRank"].map((key) => ({ key, value: data[key] })),
+			machines: data.machines,
+			heroes: data.heroes,
+			artifacts: Object.entries(data.artifacts).map(([stat, values]) => ({ stat, values })),
+		}),
+	},
+	{
+		from: "intermediate",
+		to: "v1",
+		description: "Grouped general settings and keyed artifacts by stat",
+		migrate: (data) => {
+			const configMap = new Map(data.config.map((c) => [c.key, c.value]));
+			return {
+				version: 1,
+				appVersion: data.appVersion,
+				general: {
+					engineerLevel: configMap.get("engineerLevel") ?? AppConfig.DEFAULTS.ENGINEER_LEVEL,
+					scarabLevel: configMap.get("scarabLevel") ?? AppConfig.DEFAULTS.SCARAB_LEVEL,
+					riftRank: configMap.get("riftRank") ?? AppConfig.DEFAULTS.RIFT_RANK,
+				},
+				machines: data.machines,
+				heroes: data.heroes,
+				artifacts: Object.fromEntries(data.artifacts.map((a) => [a.stat, a.values])),
+			};
+		},
+	},
+	{
+		from: "v1",
+		to: "v2",
+		description: "Filled in missing card levels and artifact values",
+		migrate: (data) => ({
+			...data,
+			version: 2,
+			machines: data.machines.map((m) => ({
+				...m,
+				inscriptionLevel: m.inscriptionLevel ?? AppConfig.DEFAULTS.CARD_LEVEL,
+				sacredLevel: m.sacredLevel ?? AppConfig.DEFAULTS.CARD_LEVEL,
+			})),
+			artifacts: Object.fromEntries(
+				AppConfig.ARTIFACT_STATS.map((stat) => [
+					stat,
+					Object.fromEntries(AppConfig.ARTIFACT_PERCENTAGES.map((pct) => [pct, data.artifacts[stat]?.[pct] ?? 0])),
+				]),
+			),
+		}),
+	},
+	{
+		from: "v2",
+		to: "v3",
+		description: "Marked every section as present",
+		migrate: (data) => ({ ...data, version: 3, sections: [...SAVE_SECTIONS] }),
+	},
+];
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {Object}          data  - Valid current-version save data
+ * @property {SaveFormat}      from  - Detected input format
+ * @property {MigrationStep[]} steps - Steps applied, in order (empty if already current)
+ */
+
+/**
+ * Validates save data in any known format and migrates it to the current version.
+ * @param {Object} raw - Parsed save JSON; not modified
+ * @returns {MigrationResult}
+ * @throws {SaveValidationError}
+ */
+export function migrateSave(raw) {
+	const from = detectSaveFormat(raw);
+	if (from === "unknown") {
+		if (typeof raw?.version === "number" && raw.version > SAVE_VERSION) {
+			throw new SaveValidationError(`Save data version ${raw.version} was made by a newer version of the app`);
+		}
+		throw new SaveValidationError("Unknown save format");
+	}
+
+	const input = withCanonicalRarities(raw);
+	const inputErrors = validateSchema(input, SAVE_SCHEMAS[from]);
+	if (inputErrors.length > 0) throw new SaveValidationError("Invalid save data", inputErrors);
+
+	let data = input;
+	let format = from;
+	const steps = [];
+	for (let step = nextStep(format); step; step = nextStep(format)) {
+		data = step.migrate(data);
+		format = step.to;
+		steps.push(step);
+	}
+
+	const outputErrors = validateSave(data);
+	if (outputErrors.length > 0) throw new SaveValidationError("Invalid save data", outputErrors);
+
+	return { data, from, steps };
+}
+
+/**
+ * Validates data against the current save schema.
+ * @param {Object} data
+ * @returns {import('./utils/schema.js').SchemaError[]}
+ */
+export function validateSave(data) {
+	const errors = validateSchema(data, SAVE_SCHEMAS[`v${SAVE_VERSION}`]);
+	if (errors.length > 0) return errors;
+
+	for (const section of data.sections) {
+		if (data[section] === undefined) errors.push({ path: section, message: "is listed in sections but missing" });
+	}
+	return errors;
+}
+
+/**
+ * Saves hold rarity keys ("common") for untouched machines and labels
+ * ("Legendary") for ones set in the UI; every format is read as labels.
+ * @param {Object} data - Not modified
+ * @returns {Object}
+ */
+function withCanonicalRarities(data) {
+	if (!Array.isArray(data.machines)) return data;
+	return {
+		...data,
+		machines: data.machines.map((m) => (typeof m?.rarity === "string" ? { ...m, rarity: AppConfig.getRarityLabel(m.rarity) } : m)),
+	};
+}
+
+/**
+ * @param {SaveFormat} format
+ * @returns {MigrationStep|undefined}
+ */
+function nextStep(format) {
+	return SAVE_MIGRATIONS.find((step) => step.from === format);
+}
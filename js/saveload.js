@@ -3,206 +3,62 @@ import { db } from "./db.js";
 import { AppConfig } from "./config.js";
 import { showToast } from "./ui/notifications.js";
 import { applyStateToStore, updateUIInputs, renderAllPanels } from "./storage.js";
+import { migrateSave, SaveValidationError, SAVE_SECTIONS } from "./saveSchema.js";
+import { diffSaveData } from "./utils/saveDiff.js";
+import { renderImportPreview, clearImportPreview } from "./ui/importPreview.js";
+import { encodeShareCode, decodeShareCode, buildShareUrl, readShareCode } from "./utils/shareCodec.js";
+import { importIntoNewProfile } from "./profiles.js";
 
-// ─────────────────────────────────────────────
-// Format detection
-// ─────────────────────────────────────────────
-
-/**
- * @typedef {"legacy"|"intermediate"|"final"|"unknown"} SaveFormat
- */
-
-/**
- * Detects which save format a parsed data object belongs to.
- * Uses duck-typing on distinctive fields.
- * @param {Object} data
- * @returns {SaveFormat}
- */
-function detectSaveFormat(data) {
-	if (typeof data.engineerLevel === "number" && !data.version && data.artifacts && !Array.isArray(data.artifacts)) {
-		return "legacy";
-	}
-	if (data.version === 1 && Array.isArray(data.config) && data.timestamp) {
-		return "intermediate";
-	}
-	if (data.version === 1 && data.general && typeof data.general === "object") {
-		return "final";
-	}
-	return "unknown";
-}
+/** File extension for downloaded saves */
+const SAVE_FILE_EXTENSION = ".wmo.json";
 
 // ─────────────────────────────────────────────
-// Format converters
+// Private helpers
 // ─────────────────────────────────────────────
 
 /**
- * Converts legacy format (original localStorage layout) to the final format.
- * @param {Object} data
- * @returns {Object}
+ * @param {Object} machine - Save-format machine
+ * @returns {boolean} True if nothing differs from a fresh profile
  */
-function convertLegacyToFinal(data) {
-	return {
-		version: 2,
-		appVersion: AppConfig.APP_VERSION,
-		general: {
-			engineerLevel: data.engineerLevel,
-			scarabLevel: data.scarabLevel,
-			riftRank: data.riftRank,
-		},
-		machines: data.machines,
-		heroes: data.heroes,
-		artifacts: data.artifacts,
-	};
+function isDefaultMachine(machine) {
+	const d = AppConfig.DEFAULTS;
+	return (
+		machine.rarity === AppConfig.getRarityLabel(d.RARITY) &&
+		machine.level === d.LEVEL &&
+		Object.values(machine.blueprints).every((v) => v === d.BLUEPRINT_LEVEL) &&
+		machine.inscriptionLevel === d.CARD_LEVEL &&
+		machine.sacredLevel === d.CARD_LEVEL
+	);
 }
 
 /**
- * Converts intermediate format (first Dexie version with config array) to the final format.
- * @param {Object} data
- * @returns {Object}
+ * @param {Object} hero - Save-format hero
+ * @returns {boolean} True if nothing differs from a fresh profile
  */
-function convertIntermediateToFinal(data) {
-	const configMap = new Map(data.config.map((c) => [c.key, c.value]));
-
-	const artifacts = {};
-	for (const artifact of data.artifacts) {
-		artifacts[artifact.stat] = artifact.values;
-	}
-
-	return {
-		version: 1,
-		appVersion: AppConfig.APP_VERSION,
-		general: {
-			engineerLevel: configMap.get("engineerLevel") ?? AppConfig.DEFAULTS.ENGINEER_LEVEL,
-			scarabLevel: configMap.get("scarabLevel") ?? AppConfig.DEFAULTS.SCARAB_LEVEL,
-			riftRank: configMap.get("riftRank") ?? AppConfig.DEFAULTS.RIFT_RANK,
-		},
-		machines: data.machines,
-		heroes: data.heroes,
-		artifacts,
-	};
+function isDefaultHero(hero) {
+	return Object.values(hero.percentages).every((v) => v === AppConfig.DEFAULTS.HERO_PERCENTAGE);
 }
 
 /**
- * Fills any missing artifact stats or percentages with zero-defaults.
- * Ensures forward compatibility when new artifact types are added.
- * @param {Object} data
- * @returns {Object}
+ * Reads the section checkboxes and merge switch of the save/load modal.
+ * @returns {{sections: import('./saveSchema.js').SaveSection[], merge: boolean}}
  */
-function fillMissingDefaults(data) {
-	const artifacts = { ...data.artifacts };
-
-	for (const stat of AppConfig.ARTIFACT_STATS) {
-		if (!artifacts[stat]) {
-			artifacts[stat] = Object.fromEntries(AppConfig.ARTIFACT_PERCENTAGES.map((p) => [p, 0]));
-		} else {
-			for (const pct of AppConfig.ARTIFACT_PERCENTAGES) {
-				if (artifacts[stat][pct] === undefined) artifacts[stat][pct] = 0;
-			}
-		}
-	}
-
-	return { ...data, artifacts };
+function readSectionOptions() {
+	const sections = SAVE_SECTIONS.filter((section) => document.getElementById(`saveSection-${section}`)?.checked ?? true);
+	return { sections, merge: document.getElementById("saveMergeMode")?.checked ?? false };
 }
 
 /**
- * Normalizes data from any supported format into the final format with defaults filled.
- * Returns null (and shows an error toast) if the format is unknown or invalid.
- * @param {Object} raw
- * @returns {{ data: Object, wasConverted: boolean, needsUpdate: boolean } | null}
+ * Exports the sections ticked in the modal, or warns when none are.
+ * @returns {Promise<string|null>} Save JSON
  */
-function normalizeData(raw) {
-	const format = detectSaveFormat(raw);
-
-	if (format === "unknown") {
-		showToast("Unknown save format. Cannot load this data.", "danger");
+async function exportSelected() {
+	const { sections } = readSectionOptions();
+	if (sections.length === 0) {
+		showToast("Select at least one section to export.", "warning");
 		return null;
 	}
-
-	const preErrors = validateSaveData(raw, format);
-	if (preErrors.length > 0) {
-		console.error("Invalid save data:", preErrors);
-		showToast(`Invalid save data: ${preErrors[0]}`, "danger");
-		return null;
-	}
-
-	let data = raw;
-	let wasConverted = false;
-	let needsUpdate = false;
-
-	if (format === "legacy") {
-		data = convertLegacyToFinal(raw);
-		wasConverted = true;
-		needsUpdate = true;
-	} else if (format === "intermediate") {
-		data = convertIntermediateToFinal(raw);
-		wasConverted = true;
-		needsUpdate = true;
-	}
-
-	if (data.appVersion && data.appVersion !== AppConfig.APP_VERSION) {
-		needsUpdate = true;
-	}
-
-	return { data: fillMissingDefaults(data), wasConverted, needsUpdate };
-}
-
-// ─────────────────────────────────────────────
-// Validation
-// ─────────────────────────────────────────────
-
-/**
- * Validates the top-level structure of save data.
- * Returns an array of human-readable error strings (empty = valid).
- * @param {Object}     data
- * @param {SaveFormat} format
- * @returns {string[]}
- */
-function validateSaveData(data, format) {
-	const errors = [];
-
-	if (format === "final") {
-		if (!data.general || typeof data.general !== "object") {
-			errors.push("Invalid general settings");
-		} else {
-			if (typeof data.general.engineerLevel !== "number") errors.push("Invalid engineerLevel");
-			if (typeof data.general.scarabLevel !== "number") errors.push("Invalid scarabLevel");
-			if (typeof data.general.riftRank !== "string") errors.push("Invalid riftRank");
-		}
-		if (!data.artifacts || typeof data.artifacts !== "object" || Array.isArray(data.artifacts)) {
-			errors.push("Invalid artifacts structure");
-		}
-	} else if (format === "intermediate") {
-		if (!Array.isArray(data.config)) errors.push("Invalid config array");
-		if (!Array.isArray(data.artifacts)) errors.push("Invalid artifacts array");
-	} else if (format === "legacy") {
-		if (typeof data.engineerLevel !== "number") errors.push("Invalid engineerLevel");
-		if (typeof data.scarabLevel !== "number") errors.push("Invalid scarabLevel");
-		if (typeof data.riftRank !== "string") errors.push("Invalid riftRank");
-	}
-
-	if (!Array.isArray(data.machines)) {
-		errors.push("machines must be an array");
-	} else {
-		for (let i = 0; i < data.machines.length; i++) {
-			const m = data.machines[i];
-			if (m.id == null) errors.push(`Machine ${i} missing id`);
-			if (typeof m.rarity !== "string") errors.push(`Machine ${i} missing valid rarity`);
-			if (typeof m.level !== "number") errors.push(`Machine ${i} missing valid level`);
-			if (!m.blueprints || typeof m.blueprints !== "object") errors.push(`Machine ${i} missing blueprints`);
-		}
-	}
-
-	if (!Array.isArray(data.heroes)) {
-		errors.push("heroes must be an array");
-	} else {
-		for (let i = 0; i < data.heroes.length; i++) {
-			const h = data.heroes[i];
-			if (h.id == null) errors.push(`Hero ${i} missing id`);
-			if (!h.percentages || typeof h.percentages !== "object") errors.push(`Hero ${i} missing percentages`);
-		}
-	}
-
-	return errors;
+	return await db.exportData(sections);
 }
 
 // ─────────────────────────────────────────────
@@ -211,12 +67,15 @@ function validateSaveData(data, format) {
 
 export const SaveLoad = {
 	/**
-	 * Exports the current profile to JSON and places it in the save/load textarea.
+	 * Exports the selected sections of the current profile to JSON and places
+	 * it in the save/load textarea.
 	 * Reads directly from IndexedDB — no store parameter needed.
 	 */
 	async save() {
+		clearImportPreview();
 		try {
-			const json = await db.exportData();
+			const json = await exportSelected();
+			if (!json) return;
 			document.getElementById("saveLoadBox").value = json;
 			showToast("Data prepared for saving. Copy the JSON from the text box.", "success");
 		} catch (error) {
@@ -226,49 +85,212 @@ export const SaveLoad = {
 	},
 
 	/**
-	 * Loads JSON from the textarea, normalizes it to the final format,
-	 * imports it to IndexedDB, applies it to the store, and refreshes the UI.
-	 *
-	 * Supports legacy, intermediate, and final save formats.
+	 * Downloads the selected sections as a `.wmo.json` file named after the profile.
+	 */
+	async download() {
+		try {
+			const [json, profile] = await Promise.all([exportSelected(), db.getActiveProfile()]);
+			if (!json) return;
+			const name = (profile?.name ?? "profile").replace(/[^\w.-]+/g, "_");
+
+			const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+			const link = document.createElement("a");
+			link.href = url;
+			link.download = `${name}${SAVE_FILE_EXTENSION}`;
+			link.click();
+			setTimeout(() => URL.revokeObjectURL(url), 0);
+		} catch (error) {
+			console.error("Download failed:", error);
+			showToast("Failed to download save file.", "danger");
+		}
+	},
+
+	/**
+	 * Reads an uploaded or dropped save file into the textarea and previews it,
+	 * exactly as if its contents had been pasted.
+	 * @param {File}     file
+	 * @param {Object}   store
+	 * @param {Object}   [options] - Passed on to load()
+	 */
+	async readFile(file, store, options) {
+		try {
+			document.getElementById("saveLoadBox").value = await file.text();
+		} catch (error) {
+			console.error("Reading save file failed:", error);
+			showToast(`Could not read ${file.name}.`, "danger");
+			return;
+		}
+		await this.load(store, options);
+	},
+
+	/**
+	 * Copies a share link for the selected sections to the clipboard. The save is
+	 * compressed into the URL fragment; machines and heroes still at their
+	 * defaults are left out to keep the link short.
+	 */
+	async copyShareLink() {
+		clearImportPreview();
+		try {
+			const json = await exportSelected();
+			if (!json) return;
+
+			const data = JSON.parse(json);
+			delete data.appVersion;
+			delete data.exportedAt;
+			if (data.machines) data.machines = data.machines.filter((m) => !isDefaultMachine(m));
+			if (data.heroes) data.heroes = data.heroes.filter((h) => !isDefaultHero(h));
+
+			const url = buildShareUrl(await encodeShareCode(data));
+
+			document.getElementById("saveLoadBox").value = url;
+			await navigator.clipboard.writeText(url);
+			showToast("Share link copied to the clipboard.", "success");
+		} catch (error) {
+			// The link stays in the text box when clipboard access is denied
+			console.error("Share link failed:", error);
+			showToast(document.getElementById("saveLoadBox").value ? "Copy the share link from the text box." : "Failed to create share link.", "warning");
+		}
+	},
+
+	/**
+	 * Checks the URL for a share link and offers to import it into a new
+	 * profile. The fragment is removed either way so a reload does not ask again.
 	 * @param {Object} store
+	 * @returns {Promise<boolean>} True if a shared setup was imported
+	 */
+	async importFromShareLink(store) {
+		const code = readShareCode();
+		if (!code) return false;
+		history.replaceState(null, "", window.location.pathname + window.location.search);
+
+		let migration;
+		try {
+			migration = migrateSave(await decodeShareCode(code));
+		} catch (error) {
+			console.error("Shared setup rejected:", error);
+			showToast(error.message, "danger");
+			return false;
+		}
+
+		const { machines, heroes, general } = migration.data;
+		const parts = [];
+		if (machines) parts.push(`${machines.length} machine(s)`);
+		if (heroes) parts.push(`${heroes.length} hero(es)`);
+		if (general) parts.push(`engineer level ${general.engineerLevel}`);
+		const summary = parts.join(", ") || "artifacts only";
+		const name = prompt(`This link contains a shared setup (${summary}).\nImport it into a new profile named:`, "Shared setup");
+		if (!name?.trim()) return false;
+
+		return await importIntoNewProfile(store, migration.data, name.trim());
+	},
+
+	/**
+	 * Reads JSON from the textarea, migrates it to the current save version
+	 * and shows a preview of what would change. The profile is only
+	 * overwritten once the preview is confirmed.
+	 *
+	 * Only the sections ticked in the modal are imported. In merge mode,
+	 * machines and heroes not in the save keep their current values; otherwise
+	 * they are reset to defaults.
+	 *
+	 * Supports every format in SAVE_MIGRATIONS (legacy, intermediate, v1–v3).
+	 * @param {Object}   store
+	 * @param {Object}   [options]
+	 * @param {Function} [options.onImported] - Called after a confirmed import is applied
 	 */
-	async load(store) {
+	async load(store, { onImported } = {}) {
 		const textarea = document.getElementById("saveLoadBox");
 		const content = textarea.value.trim();
+		clearImportPreview();
 
 		if (!content) {
 			showToast("Please paste save data into the text box first.", "warning");
 			return;
 		}
 
+		let migration;
 		try {
-			const raw = JSON.parse(content);
-			const normalized = normalizeData(raw);
-			if (!normalized) return; // error already shown by normalizeData
-
-			const { data, wasConverted, needsUpdate } = normalized;
+			migration = migrateSave(JSON.parse(content));
+		} catch (error) {
+			if (error instanceof SyntaxError) {
+				showToast("Invalid JSON format. Please check your save data.", "danger");
+			} else if (error instanceof SaveValidationError) {
+				console.error("Invalid save data:", error.errors);
+				showToast(error.message, "danger");
+			} else {
+				showToast(`Failed to load data: ${error.message}`, "danger");
+			}
+			console.error("Load failed:", error);
+			return;
+		}
 
-			// Report new machines/heroes that weren't in the save
-			const savedMachineIds = new Set(data.machines.map((m) => m.id));
-			const savedHeroIds = new Set(data.heroes.map((h) => h.id));
-			const newMachineCount = store.machines.filter((m) => !savedMachineIds.has(m.id)).length;
-			const newHeroCount = store.heroes.filter((h) => !savedHeroIds.has(h.id)).length;
+		const selected = readSectionOptions();
+		const options = { sections: selected.sections.filter((section) => migration.data.sections.includes(section)), merge: selected.merge };
+		if (options.sections.length === 0) {
+			showToast(`None of the selected sections are in this save (it contains: ${migration.data.sections.join(", ")}).`, "warning");
+			return;
+		}
 
-			await db.importData(JSON.stringify(data));
+		renderImportPreview(
+			{ from: migration.from, steps: migration.steps, ...options, diff: diffSaveData(store, migration.data, options) },
+			{
+				onConfirm: async () => {
+					if (await this._apply(store, migration, options)) {
+						textarea.value = "";
+						onImported?.();
+					}
+				},
+				onCancel: () => textarea.focus(),
+			},
+		);
+	},
 
-			// Convert final-format "general" wrapper to the flat shape applyStateToStore expects
+	/**
+	 * Imports migrated data to IndexedDB, applies it to the store and refreshes the UI.
+	 * @private
+	 * @param {Object} store
+	 * @param {import('./saveSchema.js').MigrationResult} migration
+	 * @param {{sections: import('./saveSchema.js').SaveSection[], merge: boolean}} options
+	 * @returns {Promise<boolean>} True on success
+	 */
+	async _apply(store, { data, steps }, { sections, merge }) {
+		try {
+			const machines = sections.includes("machines") ? data.machines : null;
+			const heroes = sections.includes("heroes") ? data.heroes : null;
+
+			// Report new machines/heroes that weren't in the save (replace mode only)
+			const savedMachineIds = new Set((machines ?? []).map((m) => m.id));
+			const savedHeroIds = new Set((heroes ?? []).map((h) => h.id));
+			const missingMachines = machines && !merge ? store.machines.filter((m) => !savedMachineIds.has(m.id)) : [];
+			const missingHeroes = heroes && !merge ? store.heroes.filter((h) => !savedHeroIds.has(h.id)) : [];
+			const needsUpdate = steps.length > 0 || (data.appVersion && data.appVersion !== AppConfig.APP_VERSION);
+
+			await db.importData(JSON.stringify(data), { sections, merge });
+
+			// Convert the "general" wrapper to the flat shape applyStateToStore expects;
+			// in replace mode, entries missing from the save go back to defaults
+			const d = AppConfig.DEFAULTS;
+			const blueprints = { damage: d.BLUEPRINT_LEVEL, health: d.BLUEPRINT_LEVEL, armor: d.BLUEPRINT_LEVEL };
+			const percentages = { damage: d.HERO_PERCENTAGE, health: d.HERO_PERCENTAGE, armor: d.HERO_PERCENTAGE };
+			// Crew constraints are optional in saves; a merge keeps the current ones
+			const storeMachines = new Map(store.machines.map((m) => [m.id, m]));
+			const storeHeroes = new Map(store.heroes.map((h) => [h.id, h]));
+			const mergedMachines = merge ? machines?.map((m) => ({ locked: storeMachines.get(m.id)?.locked, ...m })) : machines;
+			const mergedHeroes = merge ? heroes?.map((h) => ({ excluded: storeHeroes.get(h.id)?.excluded, pinnedMachineId: storeHeroes.get(h.id)?.pinnedMachineId, ...h })) : heroes;
 			applyStateToStore(store, {
-				...data.general,
-				machines: data.machines,
-				heroes: data.heroes,
-				artifacts: data.artifacts,
+				...(sections.includes("general") ? data.general : {}),
+				machines: mergedMachines && [...mergedMachines, ...missingMachines.map((m) => ({ id: m.id, rarity: AppConfig.getRarityLabel(d.RARITY), level: d.LEVEL, blueprints, inscriptionLevel: d.CARD_LEVEL, sacredLevel: d.CARD_LEVEL, locked: false }))],
+				heroes: mergedHeroes && [...mergedHeroes, ...missingHeroes.map((h) => ({ id: h.id, percentages, excluded: false, pinnedMachineId: null }))],
+				artifacts: sections.includes("artifacts") ? data.artifacts : null,
 			});
 
 			updateUIInputs(store);
 			renderAllPanels(store);
 
-			showToast(wasConverted ? "Data loaded and converted to current format!" : "Data loaded successfully!", "success");
+			showToast(steps.length > 0 ? "Data loaded and converted to current format!" : "Data loaded successfully!", "success");
 
+			const newMachineCount = missingMachines.length;
+			const newHeroCount = missingHeroes.length;
 			if (newMachineCount > 0 || newHeroCount > 0) {
 				const parts = [];
 				if (newMachineCount > 0) parts.push(`${newMachineCount} new machine${newMachineCount > 1 ? "s" : ""}`);
@@ -278,14 +300,11 @@ export const SaveLoad = {
 				setTimeout(() => showToast("Tip: Generate a new save to use the latest format.", "info"), 1500);
 			}
 
-			textarea.value = "";
+			return true;
 		} catch (error) {
-			if (error instanceof SyntaxError) {
-				showToast("Invalid JSON format. Please check your save data.", "danger");
-			} else {
-				showToast(`Failed to load data: ${error.message}`, "danger");
-			}
+			showToast(`Failed to load data: ${error.message}`, "danger");
 			console.error("Load failed:", error);
+			return false;
 		}
 	},
 };
@@ -0,0 +1,175 @@
+// js/simulationPool.js
+import { AppConfig } from "./config.js";
+import { Optimizer } from "./optimizer.js";
+import { Xorshift64 } from "./utils/rng.js";
+
+/**
+ * @typedef {Object} EstimateOptions
+ * @property {number} threshold        - Win rate the early-stop interval is checked against
+ * @property {number} [maxSimulations=AppConfig.MONTE_CARLO_SIMULATIONS]
+ * @property {number} [minSimulations=AppConfig.MONTE_CARLO_MIN_SIMULATIONS]
+ */
+
+/**
+ * Splits Monte Carlo estimates across a pool of simulation workers.
+ *
+ * Each worker draws from its own seed stream (Xorshift64.streamSeed), runs
+ * its share of every round and reports a win count; the counts are merged
+ * and checked against the Wilson interval between rounds, so early stopping
+ * works as in Optimizer.runMonteCarloSimulation — at round granularity.
+ * For a fixed seed and pool size the estimate is reproducible.
+ *
+ * Used from inside the optimizer worker (nested workers), for both the JS
+ * and the WASM engine.
+ */
+export class SimulationPool {
+	/**
+	 * @param {number}     size - Number of workers
+	 * @param {string|URL} [workerUrl]
+	 */
+	constructor(size, workerUrl = new URL("./simulationWorker.js", import.meta.url)) {
+		/** @type {Worker[]} */
+		this._workers = Array.from({ length: size }, () => new Worker(workerUrl, { type: "module" }));
+
+		/** @type {Map<number, {resolve: Function, reject: Function}>} */
+		this._pending = new Map();
+		this._nextId = 1;
+
+		for (const worker of this._workers) {
+			worker.onmessage = (e) => this._handleMessage(e.data);
+			worker.onerror = (err) => this._rejectAll(new Error("Simulation worker error", { cause: err }));
+		}
+	}
+
+	/**
+	 * Creates a pool with one worker per logical core, or returns null when
+	 * parallelism would not help (a single core, or no nested workers).
+	 * @returns {SimulationPool|null}
+	 */
+	static create() {
+		if (typeof Worker === "undefined") return null;
+
+		const size = Math.min(navigator.hardwareConcurrency ?? 1, AppConfig.MONTE_CARLO_MAX_WORKERS);
+		if (size < 2) return null;
+
+		try {
+			return new SimulationPool(size);
+		} catch (err) {
+			console.warn("[WMO] Simulation pool unavailable, simulating inline:", err);
+			return null;
+		}
+	}
+
+	/** @returns {number} */
+	get size() {
+		return this._workers.length;
+	}
+
+	/**
+	 * Prepares every worker for a new run.
+	 * @param {Object}        run
+	 * @param {"js"|"wasm"}   run.engine - Engine the request teams are encoded for
+	 * @param {number|bigint} run.seed   - Run seed; each worker derives its own stream
+	 */
+	reset({ engine, seed }) {
+		this._workers.forEach((worker, index) => {
+			worker.postMessage({ type: "init", engine, seed: Xorshift64.streamSeed(seed, index) });
+		});
+	}
+
+	/**
+	 * Estimates a team's win rate with every worker simulating in parallel.
+	 * @param {import('./optimizer.js').SimulationRequest} request - Teams encoded for the engine given to reset()
+	 * @param {EstimateOptions} options
+	 * @returns {Promise<import('./optimizer.js').WinEstimate>}
+	 */
+	async estimate(request, { threshold, maxSimulations = AppConfig.MONTE_CARLO_SIMULATIONS, minSimulations = AppConfig.MONTE_CARLO_MIN_SIMULATIONS }) {
+		const minRequired = Math.min(minSimulations, maxSimulations);
+
+		let wins = 0;
+		let simulations = 0;
+		while (simulations < maxSimulations) {
+			const round = Math.min(this.size * AppConfig.MONTE_CARLO_POOL_BATCH, maxSimulations - simulations);
+			const counts = await Promise.all(
+				SimulationPool._split(round, this.size).map((count, index) => (count > 0 ? this._simulate(index, request, count) : 0)),
+			);
+			for (const count of counts) wins += count;
+			simulations += round;
+
+			if (simulations >= minRequired) {
+				const { lower, upper } = Optimizer.wilsonInterval(wins, simulations);
+				if (lower > threshold || upper < threshold) break;
+			}
+		}
+
+		return { wins, simulations, winRate: simulations > 0 ? wins / simulations : 0, ...Optimizer.wilsonInterval(wins, simulations) };
+	}
+
+	/**
+	 * Rejects anything in flight and terminates every worker.
+	 */
+	terminate() {
+		this._rejectAll(new DOMException("Simulation pool terminated", "AbortError"));
+		for (const worker of this._workers) {
+			worker.onmessage = null;
+			worker.onerror = null;
+			worker.terminate();
+		}
+		this._workers = [];
+	}
+
+	// ─────────────────────────────────────────────
+	// Private helpers
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Runs one worker's share of a round.
+	 * @private
+	 * @param {number} index
+	 * @param {import('./optimizer.js').SimulationRequest} request
+	 * @param {number} count
+	 * @returns {Promise<number>} Wins
+	 */
+	_simulate(index, request, count) {
+		return new Promise((resolve, reject) => {
+			const id = this._nextId++;
+			this._pending.set(id, { resolve, reject });
+			this._workers[index].postMessage({ type: "simulate", id, player: request.player, enemy: request.enemy, count });
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {Object} data - Raw message data from a pool worker
+	 */
+	_handleMessage(data) {
+		const pending = this._pending.get(data.id);
+		if (!pending) return;
+		this._pending.delete(data.id);
+
+		if (data.type === "result") pending.resolve(data.wins);
+		else pending.reject(new Error("Simulation failed", { cause: data.error }));
+	}
+
+	/**
+	 * @private
+	 * @param {Error} reason
+	 */
+	_rejectAll(reason) {
+		for (const { reject } of this._pending.values()) reject(reason);
+		this._pending.clear();
+	}
+
+	/**
+	 * Splits `total` battles as evenly as possible across `parts` workers.
+	 * @private
+	 * @param {number} total
+	 * @param {number} parts
+	 * @returns {number[]}
+	 */
+	static _split(total, parts) {
+		const base = Math.floor(total / parts);
+		const extra = total % parts;
+		return Array.from({ length: parts }, (_, i) => base + (i < extra ? 1 : 0));
+	}
+}
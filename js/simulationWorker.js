@@ -0,0 +1,72 @@
+// js/simulationWorker.js
+//
+// Monte Carlo pool worker. Runs batches of battles between two
+// already-computed teams and reports the win count; SimulationPool merges
+// the counts of every pool worker into one estimate.
+//
+// Message protocol (driven by SimulationPool)
+//   pool → worker   { type: "init", engine, seed }                 new run; engine "js" | "wasm",
+//                                                                  seed is this worker's own stream
+//                   { type: "simulate", id, player, enemy, count } teams are engine-native: serialized
+//                                                                  machines (JS) or BattleUnitDto (WASM)
+//   worker → pool   { type: "result", id, wins }
+//                   { type: "error", id, error }
+
+import { AppConfig } from "./config.js";
+import { BattleEngine } from "./battleengine.js";
+import { loadWasmEngine } from "./wasmLoader.js";
+
+// Battle runner for the current run, (player, enemy, count) → wins.
+// A promise because loading the WASM engine is async; "simulate" messages
+// that arrive while it loads wait for it.
+let runner = Promise.resolve(null);
+
+// WmoEngine instance of the current run, freed on the next "init"
+let wasmEngine = null;
+
+self.onmessage = async function (e) {
+	const { type, id } = e.data ?? {};
+	if (type === "init") {
+		runner = createRunner(e.data.engine, e.data.seed);
+		return;
+	}
+	if (type !== "simulate") return;
+
+	try {
+		const run = await runner;
+		if (!run) throw new Error("Simulation worker was not initialised");
+		self.postMessage({ type: "result", id, wins: run(e.data.player, e.data.enemy, e.data.count) });
+	} catch (err) {
+		self.postMessage({ type: "error", id, error: err?.message || String(err) });
+	}
+};
+
+/**
+ * Builds the battle runner for one run.
+ * @param {"js"|"wasm"} engine
+ * @param {bigint}      seed
+ * @returns {Promise<Function>}
+ */
+async function createRunner(engine, seed) {
+	wasmEngine?.free();
+	wasmEngine = null;
+
+	if (engine === "wasm") {
+		// Requests carry BattleUnitDto teams, which only the WASM engine reads
+		const wasm = await loadWasmEngine();
+		if (!wasm) throw new Error("WASM engine unavailable in simulation worker");
+
+		const current = new wasm.WmoEngine(seed);
+		wasmEngine = current;
+		return (player, enemy, count) => current.simulate(player, enemy, count);
+	}
+
+	const battleEngine = new BattleEngine({ seed });
+	return (player, enemy, count) => {
+		let wins = 0;
+		for (let i = 0; i < count; i++) {
+			if (battleEngine.runBattle(player, enemy, AppConfig.MAX_BATTLE_ROUNDS, true).playerWon) wins++;
+		}
+		return wins;
+	};
+}
@@ -1,5 +1,6 @@
 // storage.js
 import { db } from "./db.js";
+import { AppConfig } from "./config.js";
 import { renderArtifacts } from "./ui/artifacts.js";
 import { renderHeroes } from "./ui/heroes.js";
 import { renderMachines } from "./ui/machines.js";
@@ -40,13 +41,14 @@ export function applyStateToStore(store, state) {
 		for (const saved of state.machines) {
 			const machine = machineMap.get(saved.id);
 			if (!machine) continue;
-			machine.rarity = saved.rarity;
+			machine.rarity = AppConfig.getRarityLabel(saved.rarity);
 			machine.level = saved.level;
 			machine.blueprints.damage = saved.blueprints.damage;
 			machine.blueprints.health = saved.blueprints.health;
 			machine.blueprints.armor = saved.blueprints.armor;
 			machine.inscriptionLevel = saved.inscriptionLevel || 0;
 			machine.sacredLevel = saved.sacredLevel || 0;
+			machine.locked = saved.locked ?? false;
 		}
 	}
 
@@ -60,6 +62,8 @@ export function applyStateToStore(store, state) {
 			hero.percentages.damage = saved.percentages.damage;
 			hero.percentages.health = saved.percentages.health;
 			hero.percentages.armor = saved.percentages.armor;
+			hero.excluded = saved.excluded ?? false;
+			hero.pinnedMachineId = saved.pinnedMachineId ?? null;
 		}
 	}
 
@@ -200,6 +204,7 @@ function _resetStoreToDefaults(store, defaults) {
 		m.blueprints.armor = d.blueprints.armor;
 		m.inscriptionLevel = d.inscriptionLevel;
 		m.sacredLevel = d.sacredLevel;
+		m.locked = d.locked;
 	}
 
 	for (let i = 0; i < store.heroes.length; i++) {
@@ -208,6 +213,8 @@ function _resetStoreToDefaults(store, defaults) {
 		h.percentages.damage = d.percentages.damage;
 		h.percentages.health = d.percentages.health;
 		h.percentages.armor = d.percentages.armor;
+		h.excluded = d.excluded;
+		h.pinnedMachineId = d.pinnedMachineId;
 	}
 
 	for (const [stat, percentages] of Object.entries(store.artifacts)) {
@@ -0,0 +1,269 @@
+// ui/battleReplay.js
+import { AppConfig } from "../config.js";
+import { Calculator } from "../calculator.js";
+import { formatPower } from "../utils/utils.js";
+
+/**
+ * @typedef {Object} BattleReplay
+ * @property {string} difficulty
+ * @property {number} mission
+ * @property {import('../battleengine.js').BattleResult|null} battle - Losing battle with `log`, or null if every attempt was won
+ * @property {number} wins
+ * @property {number} attempts
+ */
+
+/**
+ * Renders a round-by-round viewer for a recorded losing battle.
+ * @param {BattleReplay} replay
+ * @param {HTMLElement}  container - Container to render into
+ */
+export function renderBattleReplay(replay, container) {
+	if (!replay) return;
+
+	const section = document.createElement("div");
+	section.className = "battle-replay-section mb-4";
+	section.appendChild(createReplayHeader(replay));
+
+	if (!replay.battle?.log?.length) {
+		section.appendChild(createNoLossMessage(replay));
+		container.appendChild(section);
+		return;
+	}
+
+	const { battle } = replay;
+	const rounds = battle.log;
+	let current = 0;
+
+	const controls = createRoundControls();
+	const teamsRow = document.createElement("div");
+	teamsRow.className = "row g-3 mb-3";
+
+	const eventsCard = document.createElement("div");
+	eventsCard.className = "card";
+
+	const renderRound = () => {
+		const round = rounds[current];
+		controls.label.textContent = `Round ${round.round} / ${rounds.length}`;
+		controls.prev.disabled = current === 0;
+		controls.next.disabled = current === rounds.length - 1;
+
+		teamsRow.replaceChildren(
+			createTeamPanel("Your Team", battle.playerTeam, round.playerHP),
+			createTeamPanel("Enemy Team", battle.enemyTeam, round.enemyHP),
+		);
+		eventsCard.replaceChildren(createEventList(round.events, battle));
+	};
+
+	controls.prev.addEventListener("click", () => {
+		if (current > 0) {
+			current--;
+			renderRound();
+		}
+	});
+	controls.next.addEventListener("click", () => {
+		if (current < rounds.length - 1) {
+			current++;
+			renderRound();
+		}
+	});
+
+	renderRound();
+	section.append(controls.element, teamsRow, eventsCard);
+	container.appendChild(section);
+}
+
+/**
+ * Creates the header card with target mission and simulation summary
+ * @param {BattleReplay} replay
+ * @returns {HTMLElement}
+ */
+function createReplayHeader(replay) {
+	const header = document.createElement("div");
+	header.className = "card mb-3";
+
+	const cardBody = document.createElement("div");
+	cardBody.className = "card-body d-flex justify-content-between align-items-start";
+
+	const titleSection = document.createElement("div");
+
+	const title = document.createElement("h5");
+	title.className = "card-title mb-2";
+	const icon = document.createElement("i");
+	icon.className = "bi bi-film me-2";
+	title.append(icon, document.createTextNode("Battle Replay"));
+
+	const subtitle = document.createElement("p");
+	subtitle.className = "text-secondary mb-0";
+	subtitle.textContent = replay.battle
+		? `Lost after ${replay.battle.log.length} round(s) — won ${replay.wins} of ${replay.attempts} simulated attempts before this loss`
+		: `Won all ${replay.attempts} simulated attempts`;
+
+	titleSection.append(title, subtitle);
+
+	const difficulty = AppConfig.DIFFICULTIES.find((d) => d.key === replay.difficulty);
+	const badge = document.createElement("span");
+	badge.className = "badge bg-secondary fs-6";
+	badge.textContent = `${difficulty?.label || replay.difficulty} ${replay.mission}`;
+
+	cardBody.append(titleSection, badge);
+	header.appendChild(cardBody);
+	return header;
+}
+
+/**
+ * Creates the message shown when no losing battle was found
+ * @param {BattleReplay} replay
+ * @returns {HTMLElement}
+ */
+function createNoLossMessage(replay) {
+	const alert = document.createElement("div");
+	alert.className = "alert alert-info";
+
+	const icon = document.createElement("i");
+	icon.className = "bi bi-info-circle me-2";
+	alert.append(icon, document.createTextNode(`No losing battle to replay — your team won all ${replay.attempts} attempts at this mission.`));
+	return alert;
+}
+
+/**
+ * Creates the previous / next round controls
+ * @returns {{element: HTMLElement, prev: HTMLButtonElement, next: HTMLButtonElement, label: HTMLElement}}
+ */
+function createRoundControls() {
+	const element = document.createElement("div");
+	element.className = "d-flex justify-content-center align-items-center gap-3 mb-3";
+
+	const prev = document.createElement("button");
+	prev.type = "button";
+	prev.className = "btn btn-outline-secondary btn-sm";
+	prev.setAttribute("aria-label", "Previous round");
+	prev.textContent = "‹ Prev";
+
+	const label = document.createElement("span");
+	label.className = "fw-semibold";
+	label.setAttribute("aria-live", "polite");
+
+	const next = document.createElement("button");
+	next.type = "button";
+	next.className = "btn btn-outline-secondary btn-sm";
+	next.setAttribute("aria-label", "Next round");
+	next.textContent = "Next ›";
+
+	element.append(prev, label, next);
+	return { element, prev, next, label };
+}
+
+/**
+ * Creates a column listing each unit's HP at the end of the round
+ * @param {string}   title
+ * @param {Object[]} team - Battle members (for names and max health)
+ * @param {Array}    hp   - Per-slot HP snapshot
+ * @returns {HTMLElement}
+ */
+function createTeamPanel(title, team, hp) {
+	const col = document.createElement("div");
+	col.className = "col-md-6";
+
+	const card = document.createElement("div");
+	card.className = "card h-100";
+
+	const header = document.createElement("div");
+	header.className = "card-header";
+	const heading = document.createElement("h6");
+	heading.className = "mb-0";
+	heading.textContent = title;
+	header.appendChild(heading);
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+
+	for (let slot = 0; slot < team.length; slot++) {
+		const health = Calculator.toDecimal(hp[slot]);
+		const maxHealth = Calculator.toDecimal(team[slot].battleStats.maxHealth);
+		const percentage = maxHealth.gt(0) ? Math.max(0, Math.min(100, health.div(maxHealth).toNumber() * 100)) : 0;
+		const isDead = health.lte(0);
+
+		const row = document.createElement("div");
+		row.className = isDead ? "mb-2 text-secondary" : "mb-2";
+
+		const labelRow = document.createElement("div");
+		labelRow.className = "d-flex justify-content-between small";
+
+		const name = document.createElement("span");
+		name.textContent = team[slot].name;
+
+		const value = document.createElement("span");
+		value.textContent = isDead ? "Destroyed" : `${formatPower(health)} / ${formatPower(maxHealth)}`;
+
+		labelRow.append(name, value);
+
+		const progress = document.createElement("div");
+		progress.className = "progress";
+		progress.style.height = "6px";
+
+		const bar = document.createElement("div");
+		bar.className = `progress-bar ${percentage > 50 ? "bg-success" : percentage > 20 ? "bg-warning" : "bg-danger"}`;
+		bar.style.width = `${percentage}%`;
+		bar.setAttribute("role", "progressbar");
+		bar.setAttribute("aria-valuenow", Math.round(percentage));
+		bar.setAttribute("aria-valuemin", "0");
+		bar.setAttribute("aria-valuemax", "100");
+
+		progress.appendChild(bar);
+		row.append(labelRow, progress);
+		body.appendChild(row);
+	}
+
+	card.append(header, body);
+	col.appendChild(card);
+	return col;
+}
+
+/**
+ * Creates the ordered list of events for one round
+ * @param {import('../battleengine.js').BattleEvent[]} events
+ * @param {import('../battleengine.js').BattleResult}  battle
+ * @returns {HTMLElement}
+ */
+function createEventList(events, battle) {
+	const list = document.createElement("ol");
+	list.className = "list-group list-group-flush list-group-numbered";
+
+	const fragment = document.createDocumentFragment();
+	for (const event of events) {
+		const item = document.createElement("li");
+		item.className = `list-group-item small${event.type === "death" ? " text-danger" : event.type === "ability" ? " text-warning" : ""}`;
+		item.textContent = describeEvent(event, battle);
+		fragment.appendChild(item);
+	}
+	list.appendChild(fragment);
+	return list;
+}
+
+/**
+ * Turns a battle event into a one-line description
+ * @param {import('../battleengine.js').BattleEvent} event
+ * @param {import('../battleengine.js').BattleResult} battle
+ * @returns {string}
+ */
+function describeEvent(event, battle) {
+	const ownTeam = event.side === "player" ? battle.playerTeam : battle.enemyTeam;
+	const otherTeam = event.side === "player" ? battle.enemyTeam : battle.playerTeam;
+	const actor = ownTeam[event.source]?.name ?? "Unknown";
+	const amount = formatPower(event.amount);
+
+	switch (event.type) {
+		case "attack":
+			return `${actor} attacks ${otherTeam[event.target]?.name} for ${amount} damage`;
+		case "ability":
+			return `${actor} triggers its overdrive ability`;
+		case "damage":
+			return `${actor}'s ability hits ${otherTeam[event.target]?.name} for ${amount} damage`;
+		case "heal":
+			return `${actor}'s ability heals ${ownTeam[event.target]?.name} for ${amount}`;
+		case "death":
+			return `${otherTeam[event.target]?.name} is destroyed`;
+		default:
+			return `${actor}: ${event.type}`;
+	}
+}
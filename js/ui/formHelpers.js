@@ -34,6 +34,15 @@
  * @property {boolean} [isAtMax=false]
  */
 
+/**
+ * @typedef {Object} SwitchConfig
+ * @property {boolean} checked  - Initial state
+ * @property {string}  label    - Text beside the switch
+ * @property {string}  id       - Input ID (required — use explicit IDs everywhere)
+ * @property {string}  dataKey  - data-key attribute for delegation identification
+ * @property {string}  [colClass="col-12"]
+ */
+
 // ─────────────────────────────────────────────
 // Media
 // ─────────────────────────────────────────────
@@ -185,6 +194,37 @@ export function updateBlueprintInputState(input, value, max) {
 	}
 }
 
+/**
+ * Creates a labelled Bootstrap switch wrapped in a column div
+ * (no event listeners — use delegation).
+ * @param {SwitchConfig} config
+ * @returns {HTMLElement}
+ */
+export function createSwitch({ checked, label, id, dataKey, colClass = "col-12" }) {
+	const col = document.createElement("div");
+	col.className = colClass;
+
+	const formCheck = document.createElement("div");
+	formCheck.className = "form-check form-switch mb-3";
+
+	const input = document.createElement("input");
+	input.type = "checkbox";
+	input.className = "form-check-input";
+	input.setAttribute("role", "switch");
+	input.id = id;
+	input.checked = checked;
+	if (dataKey) input.dataset.key = dataKey;
+
+	const labelEl = document.createElement("label");
+	labelEl.className = "form-check-label";
+	labelEl.htmlFor = id;
+	labelEl.textContent = label;
+
+	formCheck.append(input, labelEl);
+	col.appendChild(formCheck);
+	return col;
+}
+
 /**
  * Creates a select dropdown element (no event listeners — use delegation).
  * @param {string[]} options      - Option value strings
@@ -1,7 +1,8 @@
 // ui/guardian.js
+import { AppConfig } from "../config.js";
 import { GuardianCalculator } from "../guardianCalculator.js";
 import { showToast } from "./notifications.js";
-import { createGuardianRankSelector, parseGuardianRankValue } from "../utils/ranks.js";
+import { createGuardianRankSelector, formatGuardianPosition, parseGuardianRankValue } from "../utils/ranks.js";
 
 // Cache DOM elements on module load
 const guardianContainer = document.getElementById("guardianContainer");
@@ -67,6 +68,9 @@ export function renderGuardianCalculator() {
 	// Target Position Section
 	const targetSection = createPositionSection("target", "Target Level");
 
+	// Inventory & Income Section
+	const inventorySection = createInventorySection();
+
 	// Calculate Button
 	const calculateBtn = document.createElement("button");
 	calculateBtn.type = "button";
@@ -83,7 +87,7 @@ export function renderGuardianCalculator() {
 	resultsDiv.id = "guardianResults";
 	resultsDiv.className = "mt-4";
 
-	body.append(currentSection, targetSection, calculateBtn, resultsDiv);
+	body.append(currentSection, targetSection, inventorySection, calculateBtn, resultsDiv);
 	card.append(header, body);
 	fragment.appendChild(card);
 	guardianContainer.appendChild(fragment);
@@ -144,6 +148,61 @@ function createPositionSection(prefix, title) {
 	return section;
 }
 
+/**
+ * Creates the owned-resources and daily-income inputs
+ * @returns {HTMLElement} Section element
+ */
+function createInventorySection() {
+	const section = document.createElement("div");
+	section.className = "mb-4";
+
+	const heading = document.createElement("h6");
+	heading.className = "mb-3";
+	heading.textContent = "Inventory & Income";
+
+	const row = document.createElement("div");
+	row.className = "row g-3";
+
+	const fields = [
+		{ id: "ownedShards", label: "Shards owned" },
+		{ id: "ownedDust", label: "Strange Dust owned" },
+		{ id: "shardsPerDay", label: "Shards per day" },
+		{ id: "dustPerDay", label: "Strange Dust per day" },
+	];
+
+	for (const { id, label } of fields) {
+		const col = document.createElement("div");
+		col.className = "col-6 col-md-3";
+
+		const labelEl = document.createElement("label");
+		labelEl.className = "form-label";
+		labelEl.textContent = label;
+		labelEl.htmlFor = id;
+
+		const input = document.createElement("input");
+		input.type = "number";
+		input.className = "form-control";
+		input.id = id;
+		input.min = 0;
+		input.value = 0;
+
+		col.append(labelEl, input);
+		row.appendChild(col);
+	}
+
+	section.append(heading, row);
+	return section;
+}
+
+/**
+ * Reads a non-negative integer from an inventory input
+ * @param {string} id - Input element ID
+ * @returns {number}
+ */
+function readAmount(id) {
+	return Math.max(0, parseInt(document.getElementById(id).value) || 0);
+}
+
 /**
  * Calculates and displays Strange Dust needed
  */
@@ -170,11 +229,19 @@ function calculateStrangeDust() {
 			level: parseInt(document.getElementById("targetLevel").value),
 		};
 
+		const inventory = {
+			shards: readAmount("ownedShards"),
+			dust: readAmount("ownedDust"),
+			shardsPerDay: readAmount("shardsPerDay"),
+			dustPerDay: readAmount("dustPerDay"),
+		};
+
 		// Calculate
 		const result = GuardianCalculator.calculateExpNeeded(current, target);
+		const timeline = result.error ? null : GuardianCalculator.planTimeline(current, target, inventory);
 
 		// Display results
-		displayResults(result);
+		displayResults(result, timeline);
 
 		if (result.error) {
 			showToast(result.error, "warning");
@@ -188,7 +255,7 @@ function calculateStrangeDust() {
 /**
  * Creates a breakdown box for the summary
  * @param {string} label - Label text
- * @param {number} value - Numeric value
+ * @param {number|string} value - Value to display
  * @param {string} subtext - Subtext to display
  * @returns {HTMLElement} Breakdown box element
  */
@@ -205,7 +272,7 @@ function createBreakdownBox(label, value, subtext) {
 
 	const valueEl = document.createElement("div");
 	valueEl.className = "fs-4 fw-semibold";
-	valueEl.textContent = value.toLocaleString();
+	valueEl.textContent = typeof value === "number" ? value.toLocaleString() : value;
 
 	const subtextEl = document.createElement("div");
 	subtextEl.className = "text-secondary small";
@@ -220,8 +287,9 @@ function createBreakdownBox(label, value, subtext) {
 /**
  * Displays calculation results
  * @param {Object} result - Calculation result
+ * @param {import('../guardianCalculator.js').GuardianTimeline|null} timeline
  */
-function displayResults(result) {
+function displayResults(result, timeline) {
 	const container = document.getElementById("guardianResults");
 	container.replaceChildren();
 
@@ -233,15 +301,13 @@ function displayResults(result) {
 		return;
 	}
 
-	// Calculate total Strange Dust (EXP + Evolutions)
+	// Evolutions are paid in shards, not Strange Dust
 	let totalEvolutionCost = 0;
 	const evolutionsLen = result.evolutionsNeeded.length;
 	for (let i = 0; i < evolutionsLen; i++) {
 		totalEvolutionCost += result.evolutionsNeeded[i].cost;
 	}
 
-	const totalStrangeDust = result.strangeDustNeeded + totalEvolutionCost;
-
 	const fragment = document.createDocumentFragment();
 
 	// Summary Card
@@ -253,11 +319,11 @@ function displayResults(result) {
 
 	const summaryTitle = document.createElement("h5");
 	summaryTitle.className = "card-title text-primary mb-3";
-	summaryTitle.textContent = "Total Strange Dust Needed";
+	summaryTitle.textContent = "Strange Dust Needed";
 
 	const dustAmount = document.createElement("div");
 	dustAmount.className = "display-3 fw-bold text-primary mb-3";
-	dustAmount.textContent = totalStrangeDust.toLocaleString();
+	dustAmount.textContent = result.strangeDustNeeded.toLocaleString();
 
 	// Breakdown
 	const breakdown = document.createElement("div");
@@ -268,12 +334,83 @@ function displayResults(result) {
 
 	// Evolution portion
 	const evolutionLabel = evolutionsLen === 1 ? "evolution" : "evolutions";
-	const evoBox = createBreakdownBox("For Evolutions", totalEvolutionCost, `${evolutionsLen} ${evolutionLabel}`);
+	const evoBox = createBreakdownBox("Shards for Evolutions", totalEvolutionCost, `${evolutionsLen} ${evolutionLabel}`);
 
 	breakdown.append(expBox, evoBox);
 
 	summaryBody.append(summaryTitle, dustAmount, breakdown);
 	summaryCard.appendChild(summaryBody);
 	fragment.appendChild(summaryCard);
+	if (timeline) fragment.appendChild(createTimelineCard(timeline));
 	container.appendChild(fragment);
 }
+
+/**
+ * Creates the shortfall summary and the per-day milestone list
+ * @param {import('../guardianCalculator.js').GuardianTimeline} timeline
+ * @returns {HTMLElement} Card element
+ */
+function createTimelineCard(timeline) {
+	const card = document.createElement("div");
+	card.className = "card mt-3";
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+
+	const title = document.createElement("h5");
+	title.className = "card-title mb-3";
+	title.textContent = "Time to Target";
+
+	const shortfall = document.createElement("div");
+	shortfall.className = "row g-3 mb-3";
+	const dustBox = createBreakdownBox("Strange Dust Short", timeline.dustShort, `of ${timeline.dustNeeded.toLocaleString()} needed`);
+	const shardBox = createBreakdownBox("Shards Short", timeline.shardsShort, `of ${timeline.shardsNeeded.toLocaleString()} needed`);
+	shortfall.append(dustBox, shardBox);
+
+	const projection = document.createElement("p");
+	if (timeline.days === null) {
+		projection.className = "alert alert-warning mb-3";
+		projection.textContent = `Not reachable within ${AppConfig.GUARDIAN_PLAN_MAX_DAYS.toLocaleString()} days at this income.`;
+	} else if (timeline.days === 0) {
+		projection.className = "alert alert-success mb-3";
+		projection.textContent = "You can reach the target today with what you own.";
+	} else {
+		projection.className = "alert alert-info mb-3";
+		const dayLabel = timeline.days === 1 ? "day" : "days";
+		projection.textContent = `Projected to reach the target on ${timeline.targetDate.toLocaleDateString()} (${timeline.days.toLocaleString()} ${dayLabel}).`;
+	}
+
+	body.append(title, shortfall, projection);
+
+	if (timeline.milestones.length > 0) {
+		const list = document.createElement("ol");
+		list.className = "list-group list-group-flush overflow-auto";
+		list.style.maxHeight = "20rem";
+
+		for (const { day, date, position, evolutions } of timeline.milestones) {
+			const item = document.createElement("li");
+			item.className = "list-group-item d-flex justify-content-between align-items-center";
+
+			const when = document.createElement("span");
+			when.className = "text-secondary small";
+			when.textContent = day === 0 ? `Today (${date.toLocaleDateString()})` : `Day ${day} (${date.toLocaleDateString()})`;
+
+			const what = document.createElement("span");
+			what.textContent = formatGuardianPosition(position.category, position.rank, position.level);
+			if (evolutions > 0) {
+				const badge = document.createElement("span");
+				badge.className = "badge bg-primary ms-2";
+				badge.textContent = evolutions === 1 ? "Evolved" : `Evolved ×${evolutions}`;
+				what.appendChild(badge);
+			}
+
+			item.append(when, what);
+			list.appendChild(item);
+		}
+
+		body.appendChild(list);
+	}
+
+	card.appendChild(body);
+	return card;
+}
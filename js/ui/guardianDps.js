@@ -0,0 +1,127 @@
+// ui/guardianDps.js
+import { GuardianDps } from "../guardianDps.js";
+import { formatGuardianPosition } from "../utils/ranks.js";
+
+// Cache DOM elements on module load
+const dpsContainer = document.getElementById("guardianDpsContainer");
+
+/**
+ * Renders the DPS comparison and the next-evolution ranking for the roster.
+ * Call again after the roster changes.
+ * @param {Array<{id: number, name: string, baseStats: Object, evolution: string, rank: string, level: number}>} roster
+ */
+export function renderGuardianDps(roster) {
+	if (!dpsContainer) return;
+
+	let comparison;
+	let gains;
+	try {
+		comparison = GuardianDps.compareGuardians(roster);
+		gains = GuardianDps.rankNextEvolutions(roster);
+	} catch (error) {
+		console.error("Guardian DPS error:", error);
+		const alert = document.createElement("div");
+		alert.className = "alert alert-warning";
+		alert.textContent = `Could not calculate DPS: ${error.message}`;
+		dpsContainer.replaceChildren(alert);
+		return;
+	}
+
+	const positions = new Map(roster.map((g) => [g.id, formatGuardianPosition(g.evolution, g.rank, g.level)]));
+
+	const comparisonCard = createCard(
+		"DPS Comparison",
+		"At each guardian's rank and level in the roster.",
+		["Guardian", "Rank", "Attack", "Crit Chance", "Crit Damage", "Attacks/s", "DPS"],
+		comparison.map(({ id, name, stats, dps }) => [name, positions.get(id), formatNumber(stats.attack), `${(stats.critChance * 100).toFixed(1)}%`, `×${stats.critDamage.toFixed(2)}`, stats.attackSpeed.toFixed(3), formatNumber(dps)]),
+	);
+
+	const bestGain = gains.find((g) => g.next);
+	const gainCard = createCard(
+		"Next Evolution",
+		bestGain ? `${bestGain.name} benefits most from evolving next.` : "Every guardian is at its last rank.",
+		["Guardian", "Evolves to", "DPS", "Gain", "Shards"],
+		gains.map(({ name, next, dps, nextDps, gain, gainPercent, shards }) =>
+			next
+				? [name, formatGuardianPosition(next.category, next.rank), `${formatNumber(dps)} → ${formatNumber(nextDps)}`, `+${formatNumber(gain)} (${gainPercent.toFixed(1)}%)`, shards.toLocaleString()]
+				: [name, "Max rank", formatNumber(dps), "—", "—"],
+		),
+	);
+
+	comparisonCard.classList.add("mb-4");
+	dpsContainer.replaceChildren(comparisonCard, gainCard);
+}
+
+// ─────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────
+
+/**
+ * @param {string}     title
+ * @param {string}     caption
+ * @param {string[]}   headings
+ * @param {string[][]} rows - First cell is the row header
+ * @returns {HTMLElement}
+ */
+function createCard(title, caption, headings, rows) {
+	const card = document.createElement("div");
+	card.className = "card";
+
+	const header = document.createElement("div");
+	header.className = "card-header";
+	const titleEl = document.createElement("h5");
+	titleEl.className = "mb-0";
+	titleEl.textContent = title;
+	header.appendChild(titleEl);
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+
+	const captionEl = document.createElement("p");
+	captionEl.className = "text-secondary small";
+	captionEl.textContent = caption;
+
+	const wrapper = document.createElement("div");
+	wrapper.className = "table-responsive";
+	const table = document.createElement("table");
+	table.className = "table table-sm align-middle mb-0";
+
+	const thead = document.createElement("thead");
+	const headRow = document.createElement("tr");
+	for (const heading of headings) {
+		const th = document.createElement("th");
+		th.scope = "col";
+		th.textContent = heading;
+		headRow.appendChild(th);
+	}
+	thead.appendChild(headRow);
+
+	const tbody = document.createElement("tbody");
+	for (const [first, ...cells] of rows) {
+		const row = document.createElement("tr");
+		const th = document.createElement("th");
+		th.scope = "row";
+		th.textContent = first;
+		row.appendChild(th);
+		for (const cell of cells) {
+			const td = document.createElement("td");
+			td.textContent = cell;
+			row.appendChild(td);
+		}
+		tbody.appendChild(row);
+	}
+
+	table.append(thead, tbody);
+	wrapper.appendChild(table);
+	body.append(captionEl, wrapper);
+	card.append(header, body);
+	return card;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+	return value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+}
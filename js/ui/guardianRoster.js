@@ -0,0 +1,305 @@
+// ui/guardianRoster.js
+import { GuardianCalculator } from "../guardianCalculator.js";
+import { showToast } from "./notifications.js";
+import { createGuardianRankSelector, formatGuardianPosition, parseGuardianRankValue } from "../utils/ranks.js";
+
+// Cache DOM elements on module load
+const rosterContainer = document.getElementById("guardianRosterContainer");
+const plannerContainer = document.getElementById("dustPlannerContainer");
+
+/**
+ * Renders one editable row per guardian. Every edit updates the guardian
+ * object in place and is handed to `onChange` to be saved.
+ * @param {import('../guardianCalculator.js').RosterGuardian[]} roster
+ * @param {string}   profileName - Profile the roster is saved to
+ * @param {Function} onChange    - Called with the edited guardian
+ */
+export function renderGuardianRoster(roster, profileName, onChange) {
+	if (!rosterContainer) return;
+
+	const card = document.createElement("div");
+	card.className = "card mb-4";
+
+	const header = document.createElement("div");
+	header.className = "card-header d-flex justify-content-between align-items-center";
+	const title = document.createElement("h5");
+	title.className = "mb-0";
+	title.textContent = "Guardian Roster";
+	const profileBadge = document.createElement("span");
+	profileBadge.className = "badge bg-secondary";
+	profileBadge.textContent = profileName;
+	profileBadge.title = "Saved to this profile";
+	header.append(title, profileBadge);
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+	for (const guardian of roster) {
+		body.appendChild(createGuardianRow(guardian, onChange));
+	}
+
+	card.append(header, body);
+	rosterContainer.replaceChildren(card);
+}
+
+/**
+ * Renders the Strange Dust budget form; planning reads the roster as it is
+ * when the button is pressed.
+ * @param {Function} getRoster - Returns the current RosterGuardian[]
+ */
+export function renderDustPlanner(getRoster) {
+	if (!plannerContainer) return;
+
+	const card = document.createElement("div");
+	card.className = "card";
+
+	const header = document.createElement("div");
+	header.className = "card-header";
+	const title = document.createElement("h5");
+	title.className = "mb-0";
+	title.textContent = "Strange Dust Planner";
+	header.appendChild(title);
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+
+	const help = document.createElement("p");
+	help.className = "text-secondary small";
+	help.textContent = "Splits your Strange Dust across the roster: guardians closest to their target are finished first, the rest of the dust goes to the next one. Evolutions are paid with each guardian's shards.";
+
+	const form = document.createElement("div");
+	form.className = "row g-2 align-items-end mb-3";
+
+	const budgetCol = document.createElement("div");
+	budgetCol.className = "col-sm-8";
+	const budgetLabel = document.createElement("label");
+	budgetLabel.className = "form-label";
+	budgetLabel.htmlFor = "dustBudget";
+	budgetLabel.textContent = "Strange Dust available";
+	const budgetInput = document.createElement("input");
+	budgetInput.type = "number";
+	budgetInput.className = "form-control";
+	budgetInput.id = "dustBudget";
+	budgetInput.min = "0";
+	budgetInput.step = "20";
+	budgetInput.value = "0";
+	budgetCol.append(budgetLabel, budgetInput);
+
+	const buttonCol = document.createElement("div");
+	buttonCol.className = "col-sm-4 d-grid";
+	const planBtn = document.createElement("button");
+	planBtn.type = "button";
+	planBtn.className = "btn btn-primary";
+	planBtn.textContent = "Plan";
+	buttonCol.appendChild(planBtn);
+
+	form.append(budgetCol, buttonCol);
+
+	const output = document.createElement("div");
+	output.setAttribute("aria-live", "polite");
+
+	planBtn.addEventListener("click", () => {
+		try {
+			const budget = Math.max(0, parseInt(budgetInput.value, 10) || 0);
+			const plan = GuardianCalculator.planDustBudget(getRoster(), budget);
+			output.replaceChildren(createPlanTable(plan));
+		} catch (error) {
+			console.error("Dust planning error:", error);
+			showToast(`Planning error: ${error.message}`, "danger");
+		}
+	});
+
+	body.append(help, form, output);
+	card.append(header, body);
+	plannerContainer.replaceChildren(card);
+}
+
+// ─────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────
+
+/**
+ * @param {import('../guardianCalculator.js').RosterGuardian} guardian
+ * @param {Function} onChange
+ * @returns {HTMLElement}
+ */
+function createGuardianRow(guardian, onChange) {
+	const row = document.createElement("div");
+	row.className = "row g-2 align-items-end border-bottom pb-3 mb-3";
+
+	const nameCol = document.createElement("div");
+	nameCol.className = "col-12 col-lg-2 d-flex align-items-center gap-2";
+	const image = document.createElement("img");
+	image.src = guardian.image;
+	image.alt = "";
+	image.width = 40;
+	image.height = 40;
+	image.className = "rounded";
+	const name = document.createElement("span");
+	name.className = "fw-semibold";
+	name.textContent = guardian.name;
+	nameCol.append(image, name);
+
+	const prefix = `guardian${guardian.id}`;
+	const save = () => onChange(guardian);
+
+	const rankCol = createRankField(`${prefix}Rank`, "Evolution & Rank", guardian.evolution, guardian.rank, (evolution, rank) => {
+		Object.assign(guardian, { evolution, rank });
+		save();
+	});
+	const levelCol = createNumberField(`${prefix}Level`, "Level", guardian.level, { min: 1, max: 10 }, (value) => {
+		guardian.level = value;
+		save();
+	});
+	const expCol = createNumberField(`${prefix}Exp`, "EXP", guardian.currentExp, { min: 0 }, (value) => {
+		guardian.currentExp = value;
+		save();
+	});
+	const shardsCol = createNumberField(`${prefix}Shards`, "Shards", guardian.shards, { min: 0 }, (value) => {
+		guardian.shards = value;
+		save();
+	});
+	const targetRankCol = createRankField(`${prefix}TargetRank`, "Target", guardian.target.evolution, guardian.target.rank, (evolution, rank) => {
+		Object.assign(guardian.target, { evolution, rank });
+		save();
+	});
+	const targetLevelCol = createNumberField(`${prefix}TargetLevel`, "Target Lv", guardian.target.level, { min: 1, max: 10 }, (value) => {
+		guardian.target.level = value;
+		save();
+	});
+
+	row.append(nameCol, rankCol, levelCol, expCol, shardsCol, targetRankCol, targetLevelCol);
+	return row;
+}
+
+/**
+ * @param {string}   id
+ * @param {string}   label
+ * @param {string}   evolution
+ * @param {string}   rank
+ * @param {Function} onSelect - Called with (evolution, rank)
+ * @returns {HTMLElement}
+ */
+function createRankField(id, label, evolution, rank, onSelect) {
+	const col = document.createElement("div");
+	col.className = "col-12 col-sm-6 col-lg-3";
+
+	const labelEl = document.createElement("label");
+	labelEl.className = "form-label small";
+	labelEl.htmlFor = id;
+	labelEl.textContent = label;
+
+	const selector = createGuardianRankSelector(evolution, rank, id);
+	selector.addEventListener("change", (e) => {
+		const parsed = parseGuardianRankValue(e.target.value);
+		onSelect(parsed.evolution, parsed.rank);
+	});
+
+	col.append(labelEl, selector);
+	return col;
+}
+
+/**
+ * @param {string}   id
+ * @param {string}   label
+ * @param {number}   value
+ * @param {{min: number, max?: number}} bounds
+ * @param {Function} onInput - Called with the clamped integer value
+ * @returns {HTMLElement}
+ */
+function createNumberField(id, label, value, { min, max }, onInput) {
+	const col = document.createElement("div");
+	col.className = "col-6 col-sm-3 col-lg-1";
+
+	const labelEl = document.createElement("label");
+	labelEl.className = "form-label small";
+	labelEl.htmlFor = id;
+	labelEl.textContent = label;
+
+	const input = document.createElement("input");
+	input.type = "number";
+	input.className = "form-control";
+	input.id = id;
+	input.min = String(min);
+	if (max !== undefined) input.max = String(max);
+	input.value = String(value);
+
+	input.addEventListener("change", () => {
+		let parsed = parseInt(input.value, 10);
+		if (isNaN(parsed)) parsed = min;
+		parsed = Math.max(min, max !== undefined ? Math.min(max, parsed) : parsed);
+		input.value = String(parsed);
+		onInput(parsed);
+	});
+
+	col.append(labelEl, input);
+	return col;
+}
+
+/**
+ * @param {{allocations: import('../guardianCalculator.js').DustAllocation[], dustLeft: number}} plan
+ * @returns {HTMLElement}
+ */
+function createPlanTable({ allocations, dustLeft }) {
+	const wrapper = document.createElement("div");
+	wrapper.className = "table-responsive";
+
+	const table = document.createElement("table");
+	table.className = "table table-sm align-middle mb-2";
+
+	const thead = document.createElement("thead");
+	const headRow = document.createElement("tr");
+	for (const label of ["Guardian", "Dust needed", "Dust given", "Result", "Shards"]) {
+		const th = document.createElement("th");
+		th.scope = "col";
+		th.textContent = label;
+		headRow.appendChild(th);
+	}
+	thead.appendChild(headRow);
+
+	const tbody = document.createElement("tbody");
+	for (const allocation of allocations) {
+		const row = document.createElement("tr");
+
+		const name = document.createElement("th");
+		name.scope = "row";
+		name.textContent = allocation.name;
+
+		const needed = document.createElement("td");
+		needed.textContent = allocation.dustNeeded.toLocaleString();
+
+		const given = document.createElement("td");
+		given.textContent = allocation.dustAllocated.toLocaleString();
+
+		const result = document.createElement("td");
+		if (allocation.error) {
+			result.className = "text-warning";
+			result.textContent = allocation.error;
+		} else if (allocation.reachesTarget) {
+			result.className = "text-success";
+			result.textContent = "Reaches target";
+		} else {
+			result.textContent = `Up to ${formatGuardianPosition(allocation.reached.category, allocation.reached.rank, allocation.reached.level)}`;
+		}
+
+		const shards = document.createElement("td");
+		if (allocation.shardsShort > 0) {
+			shards.className = "text-danger";
+			shards.textContent = `${allocation.shardsShort.toLocaleString()} short of ${allocation.shardsNeeded.toLocaleString()}`;
+		} else {
+			shards.className = "text-secondary";
+			shards.textContent = allocation.shardsNeeded > 0 ? `${allocation.shardsNeeded.toLocaleString()} (covered)` : "—";
+		}
+
+		row.append(name, needed, given, result, shards);
+		tbody.appendChild(row);
+	}
+
+	table.append(thead, tbody);
+
+	const leftover = document.createElement("p");
+	leftover.className = "small text-secondary mb-0";
+	leftover.textContent = `Strange Dust left over: ${dustLeft.toLocaleString()}`;
+
+	wrapper.append(table, leftover);
+	return wrapper;
+}
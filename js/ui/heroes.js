@@ -1,5 +1,5 @@
 // ui/heroes.js
-import { createSection, createFormRow, createNumberInput, createListItem, updateListItem, createDetailHeader, createPicture } from "./formHelpers.js";
+import { createSection, createFormRow, createNumberInput, createSwitch, createListItem, updateListItem, createDetailHeader, createPicture } from "./formHelpers.js";
 import { AppConfig } from "../config.js";
 import { triggerAutoSave, store } from "../app.js";
 
@@ -147,6 +147,20 @@ function handleAllChanges(e) {
 	if (select.id === "heroSort" || select.id === "heroSortBulk") {
 		currentSort = select.value;
 		applyFiltersAndSort(true);
+		return;
+	}
+
+	// Crew constraints (normal view)
+	if (currentHeroView !== "normal") return;
+	const hero = heroesMap.get(currentHeroId);
+	if (!hero) return;
+
+	if (select.dataset.key === "excluded") {
+		hero.excluded = select.checked;
+		triggerAutoSave(store);
+	} else if (select.dataset.key === "pinnedMachineId") {
+		hero.pinnedMachineId = select.value === "" ? null : Number(select.value);
+		triggerAutoSave(store);
 	}
 }
 
@@ -577,7 +591,15 @@ function renderHeroDetails(hero) {
 		createFormRow("Armor %", createNumberInput({ value: hero.percentages.armor, min: 0, step: 20, id: armorId, dataKey: "armor" }), "col-md-4", armorId),
 	]);
 
-	form.appendChild(percentSection);
+	const excludedId = `${heroId}-excluded`;
+	const pinnedId = `${heroId}-pinned-machine`;
+
+	const constraintSection = createSection("CREW ASSIGNMENT", [
+		createSwitch({ checked: hero.excluded, label: "Exclude from crews", id: excludedId, dataKey: "excluded", colClass: "col-md-6 align-self-center" }),
+		createFormRow("Pin to machine", createMachineSelect(hero.pinnedMachineId, pinnedId), "col-md-6", pinnedId),
+	]);
+
+	form.append(percentSection, constraintSection);
 	wrapper.append(header, form);
 	detailsElement.replaceChildren(wrapper);
 }
@@ -591,6 +613,36 @@ function resetHero(hero) {
 	hero.percentages.damage = defaultPct;
 	hero.percentages.health = defaultPct;
 	hero.percentages.armor = defaultPct;
+	hero.excluded = false;
+	hero.pinnedMachineId = null;
+}
+
+/**
+ * Creates the pin-to-machine select: "Any machine" plus every machine by name.
+ * @param {number|null} pinnedMachineId
+ * @param {string}      id
+ * @returns {HTMLSelectElement}
+ */
+function createMachineSelect(pinnedMachineId, id) {
+	const select = document.createElement("select");
+	select.className = "form-select";
+	select.id = id;
+	select.dataset.key = "pinnedMachineId";
+
+	const anyOption = document.createElement("option");
+	anyOption.value = "";
+	anyOption.textContent = "Any machine";
+	select.appendChild(anyOption);
+
+	for (const machine of [...store.machines].sort((a, b) => a.name.localeCompare(b.name))) {
+		const option = document.createElement("option");
+		option.value = String(machine.id);
+		option.textContent = machine.name;
+		option.selected = machine.id === pinnedMachineId;
+		select.appendChild(option);
+	}
+
+	return select;
 }
 
 /**
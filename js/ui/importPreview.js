@@ -0,0 +1,192 @@
+// ui/importPreview.js
+import { AppConfig } from "../config.js";
+import { isEmptySaveDiff } from "../utils/saveDiff.js";
+
+// Cache DOM elements on module load
+const previewContainer = document.getElementById("saveLoadPreview");
+
+const FIELD_LABELS = {
+	engineerLevel: "Engineer level",
+	scarabLevel: "Scarab level",
+	riftRank: "Rift rank",
+	rarity: "Rarity",
+	level: "Level",
+	"blueprints.damage": "Damage BP",
+	"blueprints.health": "Health BP",
+	"blueprints.armor": "Armor BP",
+	inscriptionLevel: "Inscription",
+	sacredLevel: "Sacred",
+	"percentages.damage": "Damage %",
+	"percentages.health": "Health %",
+	"percentages.armor": "Armor %",
+};
+
+/**
+ * @typedef {Object} ImportPreview
+ * @property {import('../saveSchema.js').SaveFormat}      from
+ * @property {import('../saveSchema.js').MigrationStep[]} steps
+ * @property {import('../saveSchema.js').SaveSection[]}   sections - Sections that will be imported
+ * @property {boolean}                                   merge    - Keep machines and heroes not in the save
+ * @property {import('../utils/saveDiff.js').SaveDiff}    diff
+ */
+
+/**
+ * Shows what a pending import would change, with buttons to apply or discard it.
+ * Nothing is written until onConfirm runs.
+ * @param {ImportPreview} preview
+ * @param {Object}   handlers
+ * @param {Function} handlers.onConfirm
+ * @param {Function} handlers.onCancel
+ */
+export function renderImportPreview({ from, steps, sections, merge, diff }, { onConfirm, onCancel }) {
+	if (!previewContainer) return;
+
+	const card = document.createElement("div");
+	card.className = "card border-primary";
+
+	const header = document.createElement("div");
+	header.className = "card-header d-flex justify-content-between align-items-center";
+	const title = document.createElement("h6");
+	title.className = "mb-0";
+	title.textContent = "Import preview";
+	const format = document.createElement("span");
+	format.className = "badge bg-secondary";
+	format.textContent = steps.length > 0 ? `${from} → ${steps.at(-1).to}` : from;
+	header.append(title, format);
+
+	const body = document.createElement("div");
+	body.className = "card-body small";
+
+	const scope = document.createElement("p");
+	scope.className = "text-secondary mb-2";
+	scope.textContent = `${merge ? "Merging" : "Replacing"}: ${sections.join(", ")}`;
+	body.appendChild(scope);
+
+	if (steps.length > 0) {
+		body.appendChild(createSection("Migration", steps.map((step) => `${step.from} → ${step.to}: ${step.description}`)));
+	}
+
+	if (isEmptySaveDiff(diff)) {
+		const same = document.createElement("p");
+		same.className = "text-secondary mb-2";
+		same.textContent = "This save matches the current profile — nothing will change.";
+		body.appendChild(same);
+	} else {
+		if (diff.general.length > 0) body.appendChild(createSection("General", diff.general.map(describeField)));
+		if (diff.machines.length > 0) body.appendChild(createSection(`Machines (${diff.machines.length} changed)`, diff.machines.map(describeEntity)));
+		if (diff.heroes.length > 0) body.appendChild(createSection(`Heroes (${diff.heroes.length} changed)`, diff.heroes.map(describeEntity)));
+		if (diff.artifacts.length > 0) body.appendChild(createSection(`Artifacts (${diff.artifacts.length} changed)`, describeArtifacts(diff.artifacts)));
+	}
+
+	const notes = [];
+	const missingOutcome = merge ? "keep their current values" : "will be reset to defaults";
+	if (diff.machinesNotInSave > 0) notes.push(`${diff.machinesNotInSave} machine(s) not in the save ${missingOutcome}`);
+	if (diff.heroesNotInSave > 0) notes.push(`${diff.heroesNotInSave} hero(es) not in the save ${missingOutcome}`);
+	if (diff.unknownMachineIds.length > 0) notes.push(`Unknown machine id(s) ignored: ${diff.unknownMachineIds.join(", ")}`);
+	if (diff.unknownHeroIds.length > 0) notes.push(`Unknown hero id(s) ignored: ${diff.unknownHeroIds.join(", ")}`);
+	if (notes.length > 0) body.appendChild(createSection("Notes", notes));
+
+	const footer = document.createElement("div");
+	footer.className = "card-footer d-flex justify-content-end gap-2";
+	const cancel = document.createElement("button");
+	cancel.type = "button";
+	cancel.className = "btn btn-sm btn-outline-secondary";
+	cancel.textContent = "Cancel";
+	cancel.addEventListener("click", () => {
+		clearImportPreview();
+		onCancel();
+	});
+	const confirm = document.createElement("button");
+	confirm.type = "button";
+	confirm.className = "btn btn-sm btn-primary";
+	confirm.textContent = merge ? "Merge into profile" : "Overwrite profile";
+	confirm.addEventListener("click", async () => {
+		confirm.disabled = true;
+		cancel.disabled = true;
+		await onConfirm();
+		clearImportPreview();
+	});
+	footer.append(cancel, confirm);
+
+	card.append(header, body, footer);
+	previewContainer.replaceChildren(card);
+	confirm.focus();
+}
+
+/**
+ * Removes any pending import preview.
+ */
+export function clearImportPreview() {
+	previewContainer?.replaceChildren();
+}
+
+// ─────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────
+
+/**
+ * @param {string}   title
+ * @param {string[]} items
+ * @returns {HTMLElement}
+ */
+function createSection(title, items) {
+	const block = document.createElement("div");
+	block.className = "mb-2";
+
+	const heading = document.createElement("div");
+	heading.className = "fw-semibold";
+	heading.textContent = title;
+
+	const list = document.createElement("ul");
+	list.className = "mb-0";
+	for (const text of items) {
+		const item = document.createElement("li");
+		item.textContent = text;
+		list.appendChild(item);
+	}
+
+	block.append(heading, list);
+	return block;
+}
+
+/**
+ * @param {import('../utils/saveDiff.js').FieldChange} change
+ * @returns {string}
+ */
+function describeField({ field, before, after }) {
+	return `${FIELD_LABELS[field] ?? field}: ${formatValue(field, before)} → ${formatValue(field, after)}`;
+}
+
+/**
+ * @param {import('../utils/saveDiff.js').EntityChange} change
+ * @returns {string}
+ */
+function describeEntity({ name, changes }) {
+	return `${name}: ${changes.map(describeField).join(", ")}`;
+}
+
+/**
+ * One line per stat, listing the percentages that change.
+ * @param {import('../utils/saveDiff.js').ArtifactChange[]} changes
+ * @returns {string[]}
+ */
+function describeArtifacts(changes) {
+	return AppConfig.ARTIFACT_STATS.flatMap((stat) => {
+		const forStat = changes.filter((c) => c.stat === stat);
+		if (forStat.length === 0) return [];
+		const label = stat.charAt(0).toUpperCase() + stat.slice(1);
+		return [`${label}: ${forStat.map((c) => `${c.percentage}% ${c.before} → ${c.after}`).join(", ")}`];
+	});
+}
+
+/**
+ * Shows rarity and rift rank keys by their labels.
+ * @param {string}        field
+ * @param {number|string} value
+ * @returns {string}
+ */
+function formatValue(field, value) {
+	if (field === "rarity") return AppConfig.RARITIES.find((r) => r.key === value)?.label ?? String(value);
+	if (field === "riftRank") return AppConfig.RIFT_RANKS.find((r) => r.key === value)?.label ?? String(value);
+	return String(value);
+}
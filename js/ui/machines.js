@@ -1,5 +1,5 @@
 // ui/machines.js
-import { createSection, createFormRow, createNumberInput, createSelect, createListItem, updateListItem, createDetailHeader, updateBlueprintInputState, createPicture } from "./formHelpers.js";
+import { createSection, createFormRow, createNumberInput, createSelect, createSwitch, createListItem, updateListItem, createDetailHeader, updateBlueprintInputState, createPicture } from "./formHelpers.js";
 import { AppConfig } from "../config.js";
 import { Calculator } from "../calculator.js";
 import { triggerAutoSave, store } from "../app.js";
@@ -169,6 +169,15 @@ function handleAllChanges(e) {
 		return;
 	}
 
+	// Formation lock (normal view)
+	if (select.type === "checkbox") {
+		const machine = machinesMap.get(currentMachineId);
+		if (!machine || select.dataset.key !== "locked") return;
+		machine.locked = select.checked;
+		triggerAutoSave(store);
+		return;
+	}
+
 	if (select.tagName !== "SELECT") return;
 
 	if (currentMachineView === "normal") {
@@ -825,7 +834,13 @@ function renderMachineDetails(machine) {
 	bpHint.append(hintIcon, hintText);
 	blueprintSection.appendChild(bpHint);
 
-	form.append(generalSection, blueprintSection);
+	// Optimizer constraints
+	const lockedId = `${machineId}-locked`;
+	const formationSection = createSection("FORMATION", [
+		createSwitch({ checked: machine.locked, label: "Always include in the formation", id: lockedId, dataKey: "locked" }),
+	], "mt-4");
+
+	form.append(generalSection, blueprintSection, formationSection);
 	wrapper.append(header, infoSection, form);
 	detailsElement.replaceChildren(wrapper);
 }
@@ -840,6 +855,7 @@ function resetMachine(machine) {
 	for (const key of Object.keys(machine.blueprints)) {
 		machine.blueprints[key] = AppConfig.DEFAULTS.BLUEPRINT_LEVEL;
 	}
+	machine.locked = false;
 }
 
 /**
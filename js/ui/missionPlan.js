@@ -0,0 +1,211 @@
+// ui/missionPlan.js
+import { AppConfig } from "../config.js";
+import { machinesData } from "../data/machines.js";
+import { heroesData } from "../data/heroes.js";
+
+const machineNames = new Map(machinesData.map((m) => [m.id, m.name]));
+const heroNames = new Map(heroesData.map((h) => [h.id, h.name]));
+
+/**
+ * Renders the mission-by-mission formation plan as a browsable table:
+ * one difficulty at a time, with a "go to mission" lookup.
+ * @param {import('../optimizer.js').MissionPlanEntry[]} plan
+ * @param {HTMLElement} container - Container to render into
+ */
+export function renderMissionPlan(plan, container) {
+	if (!plan?.length) return;
+
+	const byDifficulty = new Map();
+	for (const entry of plan) {
+		if (!byDifficulty.has(entry.difficulty)) byDifficulty.set(entry.difficulty, []);
+		byDifficulty.get(entry.difficulty).push(entry);
+	}
+
+	const section = document.createElement("div");
+	section.className = "card mb-4";
+
+	const header = document.createElement("div");
+	header.className = "card-header";
+	const title = document.createElement("h6");
+	title.className = "mb-0";
+	title.textContent = "Mission Plan";
+	header.appendChild(title);
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+
+	const note = document.createElement("p");
+	note.className = "text-secondary small mb-3";
+	note.textContent = "The formation, slot order and crew that cleared each mission. Slot 1 is the front of the formation.";
+
+	const controls = createControls([...byDifficulty.keys()]);
+	const status = document.createElement("p");
+	status.className = "text-secondary small mb-2";
+	status.setAttribute("aria-live", "polite");
+
+	const tableWrapper = document.createElement("div");
+	tableWrapper.className = "table-responsive";
+	tableWrapper.style.maxHeight = "420px";
+	tableWrapper.style.overflowY = "auto";
+
+	let rows = new Map();
+
+	const showDifficulty = () => {
+		const entries = byDifficulty.get(controls.difficulty.value) ?? [];
+		const table = createPlanTable(entries);
+		rows = table.rows;
+		tableWrapper.replaceChildren(table.element);
+		tableWrapper.scrollTop = 0;
+		status.textContent = `${entries.length} mission(s) cleared`;
+	};
+
+	const goToMission = () => {
+		const mission = Number.parseInt(controls.mission.value, 10);
+		if (!Number.isInteger(mission)) return;
+
+		for (const row of rows.values()) row.classList.remove("table-active");
+
+		const row = rows.get(mission);
+		const difficulty = AppConfig.DIFFICULTIES.find((d) => d.key === controls.difficulty.value);
+		if (!row) {
+			status.textContent = `Mission ${mission} is not cleared on ${difficulty?.label ?? controls.difficulty.value}`;
+			return;
+		}
+
+		row.classList.add("table-active");
+		row.scrollIntoView({ block: "nearest" });
+		status.textContent = `${difficulty?.label ?? controls.difficulty.value} ${mission}`;
+	};
+
+	controls.difficulty.addEventListener("change", () => {
+		showDifficulty();
+		if (controls.mission.value) goToMission();
+	});
+	controls.mission.addEventListener("input", goToMission);
+
+	showDifficulty();
+	body.append(note, controls.element, status, tableWrapper);
+	section.append(header, body);
+	container.appendChild(section);
+}
+
+/**
+ * Creates the difficulty selector and mission lookup input
+ * @param {string[]} difficulties - Difficulty keys that have plan entries
+ * @returns {{element: HTMLElement, difficulty: HTMLSelectElement, mission: HTMLInputElement}}
+ */
+function createControls(difficulties) {
+	const element = document.createElement("div");
+	element.className = "row g-2 mb-2";
+
+	const diffCol = document.createElement("div");
+	diffCol.className = "col-sm-6";
+	const difficulty = document.createElement("select");
+	difficulty.className = "form-select form-select-sm";
+	difficulty.setAttribute("aria-label", "Difficulty");
+	for (const key of difficulties) {
+		const option = document.createElement("option");
+		option.value = key;
+		option.textContent = AppConfig.DIFFICULTIES.find((d) => d.key === key)?.label ?? key;
+		difficulty.appendChild(option);
+	}
+	diffCol.appendChild(difficulty);
+
+	const missionCol = document.createElement("div");
+	missionCol.className = "col-sm-6";
+	const mission = document.createElement("input");
+	mission.type = "number";
+	mission.min = "1";
+	mission.max = String(AppConfig.MAX_MISSIONS_PER_DIFFICULTY);
+	mission.className = "form-control form-control-sm";
+	mission.placeholder = "Go to mission…";
+	mission.setAttribute("aria-label", "Go to mission");
+	missionCol.appendChild(mission);
+
+	element.append(diffCol, missionCol);
+	return { element, difficulty, mission };
+}
+
+/**
+ * Creates the plan table for one difficulty
+ * @param {import('../optimizer.js').MissionPlanEntry[]} entries
+ * @returns {{element: HTMLTableElement, rows: Map<number, HTMLTableRowElement>}}
+ */
+function createPlanTable(entries) {
+	const element = document.createElement("table");
+	element.className = "table table-sm align-middle mb-0";
+
+	const slotCount = Math.max(AppConfig.FORMATION_SIZE, ...entries.map((e) => e.formation.length));
+
+	const thead = document.createElement("thead");
+	thead.className = "sticky-top bg-body";
+	const headRow = document.createElement("tr");
+	for (const label of ["Mission", ...Array.from({ length: slotCount }, (_, i) => `Slot ${i + 1}`), "Cleared By"]) {
+		const th = document.createElement("th");
+		th.scope = "col";
+		th.textContent = label;
+		headRow.appendChild(th);
+	}
+	thead.appendChild(headRow);
+
+	const tbody = document.createElement("tbody");
+	const rows = new Map();
+	const fragment = document.createDocumentFragment();
+
+	for (const entry of entries) {
+		const row = document.createElement("tr");
+
+		const missionCell = document.createElement("th");
+		missionCell.scope = "row";
+		missionCell.textContent = String(entry.mission);
+		row.appendChild(missionCell);
+
+		for (let slot = 0; slot < slotCount; slot++) {
+			row.appendChild(createSlotCell(entry.formation[slot]));
+		}
+
+		const sourceCell = document.createElement("td");
+		const badge = document.createElement("span");
+		if (entry.winRate == null) {
+			badge.className = "badge bg-secondary";
+			badge.textContent = "Battle";
+		} else {
+			badge.className = `badge ${entry.winRate >= 0.5 ? "bg-success" : entry.winRate >= 0.1 ? "bg-warning text-dark" : "bg-danger"}`;
+			badge.textContent = `Sim ${(entry.winRate * 100).toFixed(1)}%`;
+			badge.title = "Cleared by Monte Carlo simulation — estimated win rate";
+		}
+		sourceCell.appendChild(badge);
+		row.appendChild(sourceCell);
+
+		rows.set(entry.mission, row);
+		fragment.appendChild(row);
+	}
+
+	tbody.appendChild(fragment);
+	element.append(thead, tbody);
+	return { element, rows };
+}
+
+/**
+ * Creates a table cell with a machine name and its crew underneath
+ * @param {import('../optimizer.js').PlanSlot|undefined} slot
+ * @returns {HTMLTableCellElement}
+ */
+function createSlotCell(slot) {
+	const cell = document.createElement("td");
+	if (!slot) return cell;
+
+	const name = document.createElement("div");
+	name.className = "fw-semibold small";
+	name.textContent = machineNames.get(slot.id) ?? `#${slot.id}`;
+	cell.appendChild(name);
+
+	if (slot.heroIds.length > 0) {
+		const crew = document.createElement("div");
+		crew.className = "text-secondary small";
+		crew.textContent = slot.heroIds.map((id) => heroNames.get(id) ?? `#${id}`).join(", ");
+		cell.appendChild(crew);
+	}
+
+	return cell;
+}
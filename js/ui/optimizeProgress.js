@@ -0,0 +1,78 @@
+// ui/optimizeProgress.js
+import { AppConfig } from "../config.js";
+
+// Cache DOM elements on module load
+const panel = document.getElementById("optimizeProgress");
+const bar = document.getElementById("optimizeProgressBar");
+const text = document.getElementById("optimizeProgressText");
+const cancelBtn = document.getElementById("cancelOptimizeBtn");
+
+/**
+ * @typedef {import('../optimizer.js').CampaignProgress & {elapsedMs: number, etaMs: number|null}} OptimizeProgress
+ */
+
+/**
+ * Formats a duration as "45s" or "3m 05s"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+	const seconds = Math.max(1, Math.round(ms / 1000));
+	if (seconds < 60) return `${seconds}s`;
+	return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+/**
+ * Shows the progress panel in its initial state, or hides it.
+ * @param {boolean} visible
+ */
+export function setOptimizeProgressVisible(visible) {
+	if (!panel) return;
+	panel.classList.toggle("d-none", !visible);
+	if (!visible) return;
+
+	bar.style.width = "0%";
+	bar.parentElement.setAttribute("aria-valuenow", "0");
+	text.textContent = "Starting…";
+	cancelBtn.disabled = false;
+	cancelBtn.textContent = "Cancel";
+}
+
+/**
+ * Updates the panel from a worker progress message.
+ * @param {OptimizeProgress} progress
+ */
+export function updateOptimizeProgress(progress) {
+	if (!panel) return;
+
+	const { phase, difficulty, mission, stars, monteCarloIterations, completed, total, etaMs } = progress;
+	const pct = total > 0 ? Math.min(100, (completed / total) * 100) : 0;
+	bar.style.width = `${pct}%`;
+	bar.parentElement.setAttribute("aria-valuenow", String(Math.round(pct)));
+
+	const label = AppConfig.DIFFICULTIES.find((d) => d.key === difficulty)?.label ?? "";
+	const parts =
+		phase === "monteCarlo"
+			? [`Monte Carlo ${completed}/${total}`, `${label} ${mission}`, `${stars} stars`, `${monteCarloIterations.toLocaleString("en-US")} battles`]
+			: [`Campaign mission ${mission}/${total}`, label, `${stars} stars`];
+	if (etaMs != null) parts.push(`~${formatDuration(etaMs)} left`);
+
+	text.textContent = parts.filter(Boolean).join(" · ");
+}
+
+/**
+ * Reflects that a cancel was requested and the worker is finishing its step.
+ */
+export function setOptimizeProgressCancelling() {
+	if (!panel) return;
+	cancelBtn.disabled = true;
+	cancelBtn.textContent = "Cancelling…";
+}
+
+/**
+ * Registers the cancel button handler.
+ * @param {Function} onCancel
+ */
+export function onOptimizeCancel(onCancel) {
+	cancelBtn?.addEventListener("click", onCancel);
+}
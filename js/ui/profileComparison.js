@@ -0,0 +1,291 @@
+// ui/profileComparison.js
+import { AppConfig } from "../config.js";
+import { machinesData } from "../data/machines.js";
+import { heroesData } from "../data/heroes.js";
+import { formatPower } from "../utils/utils.js";
+import { diffResults } from "../utils/resultDiff.js";
+
+const machineNames = new Map(machinesData.map((m) => [m.id, m.name]));
+const heroNames = new Map(heroesData.map((h) => [h.id, h.name]));
+
+// Cache DOM elements on module load
+const comparisonContainer = document.getElementById("profileComparisonContainer");
+
+/**
+ * Runs the optimizer on two profiles.
+ * @callback CompareHandler
+ * @param {number} profileIdA
+ * @param {number} profileIdB
+ * @returns {Promise<Object[]|null>} [resultA, resultB] with live Decimals, or null
+ */
+
+/**
+ * Renders the two-profile comparison panel: profile pickers and, once run,
+ * the power, star, formation and machine stat differences side by side.
+ * @param {Array<{id: number, name: string}>} profiles
+ * @param {number|null}    activeId
+ * @param {"campaign"|"arena"} mode
+ * @param {CompareHandler} onCompare
+ */
+export function renderProfileComparison(profiles, activeId, mode, onCompare) {
+	if (!comparisonContainer) return;
+
+	const card = document.createElement("div");
+	card.className = "card";
+
+	const header = document.createElement("div");
+	header.className = "card-header d-flex justify-content-between align-items-center";
+	const title = document.createElement("h6");
+	title.className = "mb-0";
+	title.textContent = "Compare Profiles";
+	const modeBadge = document.createElement("span");
+	modeBadge.className = "badge bg-secondary text-capitalize";
+	modeBadge.textContent = mode;
+	header.append(title, modeBadge);
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+
+	if (profiles.length < 2) {
+		const note = document.createElement("p");
+		note.className = "text-secondary small mb-0";
+		note.textContent = "Duplicate a profile to try out changes, then compare both setups here. Your real profile stays untouched.";
+		body.appendChild(note);
+		card.append(header, body);
+		comparisonContainer.replaceChildren(card);
+		return;
+	}
+
+	const first = profiles.find((p) => p.id === activeId) ?? profiles[0];
+	const second = profiles.find((p) => p.id !== first.id);
+
+	const controls = document.createElement("div");
+	controls.className = "row g-2 align-items-end mb-3";
+	const selectA = createProfileSelect(controls, "Profile A", profiles, first.id);
+	const selectB = createProfileSelect(controls, "Profile B", profiles, second.id);
+
+	const buttonCol = document.createElement("div");
+	buttonCol.className = "col-md-2 d-grid";
+	const compareBtn = document.createElement("button");
+	compareBtn.type = "button";
+	compareBtn.className = "btn btn-sm btn-primary";
+	compareBtn.textContent = "Compare";
+	buttonCol.appendChild(compareBtn);
+	controls.appendChild(buttonCol);
+
+	const output = document.createElement("div");
+	output.setAttribute("aria-live", "polite");
+
+	compareBtn.addEventListener("click", async () => {
+		const idA = Number(selectA.value);
+		const idB = Number(selectB.value);
+		if (idA === idB) {
+			output.replaceChildren(createNote("Pick two different profiles."));
+			return;
+		}
+
+		compareBtn.disabled = true;
+		output.replaceChildren(createNote("Optimizing both profiles…"));
+		try {
+			const results = await onCompare(idA, idB);
+			const names = [selectA, selectB].map((select) => select.selectedOptions[0]?.textContent ?? "");
+			output.replaceChildren(results ? createComparisonView(results[0], results[1], names, mode) : createNote("No comparison available."));
+		} finally {
+			compareBtn.disabled = false;
+		}
+	});
+
+	body.append(controls, output);
+	card.append(header, body);
+	comparisonContainer.replaceChildren(card);
+}
+
+// ─────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────
+
+/**
+ * @param {HTMLElement} row
+ * @param {string}      label
+ * @param {Array<{id: number, name: string}>} profiles
+ * @param {number}      selectedId
+ * @returns {HTMLSelectElement}
+ */
+function createProfileSelect(row, label, profiles, selectedId) {
+	const col = document.createElement("div");
+	col.className = "col-md-5";
+
+	const caption = document.createElement("label");
+	caption.className = "form-label small text-secondary mb-1 w-100";
+	caption.textContent = label;
+
+	const select = document.createElement("select");
+	select.className = "form-select form-select-sm";
+	for (const profile of profiles) {
+		const option = document.createElement("option");
+		option.value = String(profile.id);
+		option.textContent = profile.name;
+		option.selected = profile.id === selectedId;
+		select.appendChild(option);
+	}
+	caption.appendChild(select);
+
+	col.appendChild(caption);
+	row.appendChild(col);
+	return select;
+}
+
+/**
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createNote(text) {
+	const note = document.createElement("p");
+	note.className = "text-secondary small mb-0";
+	note.textContent = text;
+	return note;
+}
+
+/**
+ * @param {Object}   a     - Result for profile A
+ * @param {Object}   b     - Result for profile B
+ * @param {string[]} names - [nameA, nameB]
+ * @param {string}   mode
+ * @returns {HTMLElement}
+ */
+function createComparisonView(a, b, names, mode) {
+	const diff = diffResults(a, b);
+	const view = document.createElement("div");
+
+	const summaryRows = [];
+	if (mode === "campaign") {
+		summaryRows.push(["Total stars", String(a.totalStars ?? 0), String(b.totalStars ?? 0), signedNumber(diff.totalStarsDelta), diff.totalStarsDelta]);
+		for (const { difficulty, before, after, delta } of diff.stars) {
+			const label = AppConfig.DIFFICULTIES.find((d) => d.key === difficulty)?.label ?? difficulty;
+			summaryRows.push([`${label} stars`, String(before), String(after), signedNumber(delta), delta]);
+		}
+	}
+	for (const [label, power] of [
+		["Battle power", diff.power.battle],
+		["Arena power", diff.power.arena],
+	]) {
+		summaryRows.push([label, formatPower(power.before), formatPower(power.after), signedPower(power.delta), power.delta.sign]);
+	}
+	view.appendChild(createTable(["", names[0], names[1], "B − A"], summaryRows));
+
+	const slots = Math.max(a.formation?.length ?? 0, b.formation?.length ?? 0);
+	const formationRows = Array.from({ length: slots }, (_, slot) => [`${slot + 1}`, describeSlot(a.formation?.[slot]), describeSlot(b.formation?.[slot])]);
+	view.appendChild(createHeading("Formation"));
+	view.appendChild(createTable(["Slot", names[0], names[1]], formationRows));
+
+	const statsKey = mode === "arena" ? "arenaStats" : "battleStats";
+	const fieldedB = new Map((b.formation ?? []).map((m) => [m.id, m]));
+	const statRows = [];
+	for (const machineA of a.formation ?? []) {
+		const machineB = fieldedB.get(machineA.id);
+		if (!machineB) continue;
+		for (const stat of ["damage", "health", "armor"]) {
+			const before = machineA[statsKey]?.[stat];
+			const after = machineB[statsKey]?.[stat];
+			if (!before || !after) continue;
+			const delta = after.sub(before);
+			statRows.push([`${machineNames.get(machineA.id) ?? `#${machineA.id}`} ${stat}`, formatPower(before), formatPower(after), signedPower(delta), delta.sign]);
+		}
+	}
+	if (statRows.length > 0) {
+		view.appendChild(createHeading("Machine stats (fielded in both)"));
+		view.appendChild(createTable(["", names[0], names[1], "B − A"], statRows));
+	}
+
+	return view;
+}
+
+/**
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createHeading(text) {
+	const heading = document.createElement("h6");
+	heading.className = "small fw-semibold mt-3 mb-1";
+	heading.textContent = text;
+	return heading;
+}
+
+/**
+ * Builds a comparison table. Rows with a delta get a fourth column coloured by their sign.
+ * @param {string[]} labels
+ * @param {Array<Array<string|number>>} rows - [label, a, b] or [label, a, b, delta, sign]
+ * @returns {HTMLElement}
+ */
+function createTable(labels, rows) {
+	const wrapper = document.createElement("div");
+	wrapper.className = "table-responsive";
+
+	const table = document.createElement("table");
+	table.className = "table table-sm align-middle mb-0";
+
+	const thead = document.createElement("thead");
+	const headRow = document.createElement("tr");
+	for (const label of labels) {
+		const th = document.createElement("th");
+		th.scope = "col";
+		th.textContent = label;
+		headRow.appendChild(th);
+	}
+	thead.appendChild(headRow);
+
+	const tbody = document.createElement("tbody");
+	for (const [label, a, b, delta, sign] of rows) {
+		const row = document.createElement("tr");
+
+		const name = document.createElement("th");
+		name.scope = "row";
+		name.textContent = label;
+
+		const cellA = document.createElement("td");
+		cellA.textContent = a;
+		const cellB = document.createElement("td");
+		cellB.textContent = b;
+
+		row.append(name, cellA, cellB);
+		if (delta !== undefined) {
+			const deltaCell = document.createElement("td");
+			deltaCell.className = sign > 0 ? "text-success fw-semibold" : sign < 0 ? "text-danger fw-semibold" : "text-secondary";
+			deltaCell.textContent = delta;
+			row.appendChild(deltaCell);
+		}
+		tbody.appendChild(row);
+	}
+
+	table.append(thead, tbody);
+	wrapper.appendChild(table);
+	return wrapper;
+}
+
+/**
+ * @param {Object|undefined} machine - Formation entry with `crew`
+ * @returns {string}
+ */
+function describeSlot(machine) {
+	if (!machine) return "—";
+	const name = machineNames.get(machine.id) ?? `#${machine.id}`;
+	const crew = (machine.crew ?? []).map((h) => heroNames.get(h.id) ?? `#${h.id}`);
+	return crew.length > 0 ? `${name} (${crew.join(", ")})` : name;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function signedNumber(value) {
+	return value > 0 ? `+${value}` : value < 0 ? `−${Math.abs(value)}` : "±0";
+}
+
+/**
+ * @param {import('../vendor/break_eternity.esm.js').default} delta
+ * @returns {string}
+ */
+function signedPower(delta) {
+	if (delta.sign === 0) return "±0";
+	return `${delta.sign > 0 ? "+" : "−"}${formatPower(delta.abs())}`;
+}
@@ -0,0 +1,292 @@
+// ui/resultHistory.js
+import { AppConfig } from "../config.js";
+import { machinesData } from "../data/machines.js";
+import { heroesData } from "../data/heroes.js";
+import { formatPower } from "../utils/utils.js";
+import { diffResults } from "../utils/resultDiff.js";
+
+const machineNames = new Map(machinesData.map((m) => [m.id, m.name]));
+const heroNames = new Map(heroesData.map((h) => [h.id, h.name]));
+
+// Cache DOM elements on module load
+const historyContainer = document.getElementById("resultHistoryContainer");
+
+/**
+ * @typedef {Object} ResultRecord
+ * @property {number} id
+ * @property {string} mode
+ * @property {number} createdAt - Epoch ms
+ * @property {Object} result    - Serialized optimizer result
+ * @property {Object|null} inputs
+ */
+
+/**
+ * Renders the run history with a two-run comparison.
+ * Defaults to comparing the latest run against the one before it.
+ * @param {ResultRecord[]} records - Newest first
+ */
+export function renderResultHistory(records) {
+	if (!historyContainer) return;
+	historyContainer.replaceChildren();
+	if (!records?.length) return;
+
+	const section = document.createElement("div");
+	section.className = "card";
+
+	const header = document.createElement("div");
+	header.className = "card-header d-flex justify-content-between align-items-center";
+	const title = document.createElement("h6");
+	title.className = "mb-0";
+	title.textContent = "Run History";
+	const count = document.createElement("span");
+	count.className = "badge bg-secondary";
+	count.textContent = `${records.length} run(s)`;
+	header.append(title, count);
+
+	const body = document.createElement("div");
+	body.className = "card-body";
+
+	if (records.length < 2) {
+		const note = document.createElement("p");
+		note.className = "text-secondary small mb-0";
+		note.textContent = `Last run: ${describeRecord(records[0])}. Optimize again to compare runs.`;
+		body.appendChild(note);
+		section.append(header, body);
+		historyContainer.appendChild(section);
+		return;
+	}
+
+	const controls = createControls(records);
+	const diffOutput = document.createElement("div");
+	diffOutput.setAttribute("aria-live", "polite");
+
+	const showDiff = () => {
+		const before = records[Number(controls.before.value)];
+		const after = records[Number(controls.after.value)];
+		diffOutput.replaceChildren(before === after ? createSameRunMessage() : createDiffView(diffResults(before.result, after.result), before.mode));
+	};
+
+	controls.before.addEventListener("change", showDiff);
+	controls.after.addEventListener("change", showDiff);
+
+	showDiff();
+	body.append(controls.element, diffOutput);
+	section.append(header, body);
+	historyContainer.appendChild(section);
+}
+
+/**
+ * One-line label for a run: date plus its headline number
+ * @param {ResultRecord} record
+ * @returns {string}
+ */
+function describeRecord(record) {
+	const date = new Date(record.createdAt).toLocaleString();
+	const headline = record.mode === "campaign" ? `${record.result.totalStars ?? 0} stars` : `${formatPower(record.result.arenaPower ?? 0)} arena power`;
+	return `${date} — ${headline}`;
+}
+
+/**
+ * Creates the baseline / comparison run selectors
+ * @param {ResultRecord[]} records
+ * @returns {{element: HTMLElement, before: HTMLSelectElement, after: HTMLSelectElement}}
+ */
+function createControls(records) {
+	const element = document.createElement("div");
+	element.className = "row g-2 mb-3";
+
+	const createSelect = (label, selectedIndex) => {
+		const col = document.createElement("div");
+		col.className = "col-md-6";
+
+		const caption = document.createElement("label");
+		caption.className = "form-label small text-secondary mb-1";
+		caption.textContent = label;
+
+		const select = document.createElement("select");
+		select.className = "form-select form-select-sm";
+		records.forEach((record, index) => {
+			const option = document.createElement("option");
+			option.value = String(index);
+			option.textContent = describeRecord(record);
+			option.selected = index === selectedIndex;
+			select.appendChild(option);
+		});
+		caption.appendChild(select);
+
+		col.appendChild(caption);
+		element.appendChild(col);
+		return select;
+	};
+
+	const before = createSelect("Baseline run", 1);
+	const after = createSelect("Compare with", 0);
+	return { element, before, after };
+}
+
+/**
+ * @returns {HTMLElement}
+ */
+function createSameRunMessage() {
+	const message = document.createElement("p");
+	message.className = "text-secondary small mb-0";
+	message.textContent = "Pick two different runs to see what changed.";
+	return message;
+}
+
+/**
+ * Creates the comparison: power and stars summary, then formation and crew changes
+ * @param {import('../utils/resultDiff.js').ResultDiff} diff
+ * @param {string} mode
+ * @returns {HTMLElement}
+ */
+function createDiffView(diff, mode) {
+	const view = document.createElement("div");
+
+	const summary = document.createElement("div");
+	summary.className = "d-flex flex-wrap gap-2 mb-3";
+	if (mode === "campaign") summary.appendChild(createDeltaBadge("Stars", diff.totalStarsDelta, signedNumber(diff.totalStarsDelta)));
+	summary.appendChild(createDeltaBadge("Battle power", diff.power.battle.delta.sign, signedPower(diff.power.battle.delta)));
+	summary.appendChild(createDeltaBadge("Arena power", diff.power.arena.delta.sign, signedPower(diff.power.arena.delta)));
+	view.appendChild(summary);
+
+	if (diff.stars.length > 0) view.appendChild(createStarsTable(diff.stars));
+
+	view.appendChild(createChangeList("Formation changes", diff.formation.map(describeFormationChange), "No formation changes"));
+	view.appendChild(createChangeList("Crew swaps", diff.crew.map(describeCrewSwap), "No crew changes"));
+	return view;
+}
+
+/**
+ * @param {string} label
+ * @param {number} sign  - Positive, negative or zero; picks the colour
+ * @param {string} value
+ * @returns {HTMLElement}
+ */
+function createDeltaBadge(label, sign, value) {
+	const badge = document.createElement("span");
+	badge.className = `badge fs-6 ${sign > 0 ? "bg-success" : sign < 0 ? "bg-danger" : "bg-secondary"}`;
+	badge.textContent = `${label} ${value}`;
+	return badge;
+}
+
+/**
+ * @param {import('../utils/resultDiff.js').StarsDiff[]} stars
+ * @returns {HTMLElement}
+ */
+function createStarsTable(stars) {
+	const wrapper = document.createElement("div");
+	wrapper.className = "table-responsive mb-3";
+
+	const table = document.createElement("table");
+	table.className = "table table-sm align-middle mb-0";
+
+	const thead = document.createElement("thead");
+	const headRow = document.createElement("tr");
+	for (const label of ["Difficulty", "Before", "After", "Change"]) {
+		const th = document.createElement("th");
+		th.scope = "col";
+		th.textContent = label;
+		headRow.appendChild(th);
+	}
+	thead.appendChild(headRow);
+
+	const tbody = document.createElement("tbody");
+	for (const { difficulty, before, after, delta } of stars) {
+		const row = document.createElement("tr");
+
+		const name = document.createElement("th");
+		name.scope = "row";
+		name.textContent = AppConfig.DIFFICULTIES.find((d) => d.key === difficulty)?.label ?? difficulty;
+
+		const beforeCell = document.createElement("td");
+		beforeCell.textContent = String(before);
+		const afterCell = document.createElement("td");
+		afterCell.textContent = String(after);
+
+		const deltaCell = document.createElement("td");
+		deltaCell.className = delta > 0 ? "text-success fw-semibold" : delta < 0 ? "text-danger fw-semibold" : "text-secondary";
+		deltaCell.textContent = signedNumber(delta);
+
+		row.append(name, beforeCell, afterCell, deltaCell);
+		tbody.appendChild(row);
+	}
+
+	table.append(thead, tbody);
+	wrapper.appendChild(table);
+	return wrapper;
+}
+
+/**
+ * @param {string}   title
+ * @param {string[]} items
+ * @param {string}   emptyText
+ * @returns {HTMLElement}
+ */
+function createChangeList(title, items, emptyText) {
+	const block = document.createElement("div");
+	block.className = "mb-3";
+
+	const heading = document.createElement("h6");
+	heading.className = "small fw-semibold mb-1";
+	heading.textContent = title;
+	block.appendChild(heading);
+
+	if (items.length === 0) {
+		const empty = document.createElement("p");
+		empty.className = "text-secondary small mb-0";
+		empty.textContent = emptyText;
+		block.appendChild(empty);
+		return block;
+	}
+
+	const list = document.createElement("ul");
+	list.className = "small mb-0";
+	for (const text of items) {
+		const item = document.createElement("li");
+		item.textContent = text;
+		list.appendChild(item);
+	}
+	block.appendChild(list);
+	return block;
+}
+
+/**
+ * @param {import('../utils/resultDiff.js').FormationChange} change
+ * @returns {string}
+ */
+function describeFormationChange({ id, change, fromSlot, toSlot }) {
+	const name = machineNames.get(id) ?? `#${id}`;
+	if (change === "added") return `${name} joined (slot ${toSlot + 1})`;
+	if (change === "removed") return `${name} left (was slot ${fromSlot + 1})`;
+	return `${name} moved from slot ${fromSlot + 1} to slot ${toSlot + 1}`;
+}
+
+/**
+ * @param {import('../utils/resultDiff.js').CrewSwap} swap
+ * @returns {string}
+ */
+function describeCrewSwap({ machineId, added, removed }) {
+	const heroes = (ids) => ids.map((id) => heroNames.get(id) ?? `#${id}`).join(", ");
+	const parts = [];
+	if (added.length > 0) parts.push(`+ ${heroes(added)}`);
+	if (removed.length > 0) parts.push(`− ${heroes(removed)}`);
+	return `${machineNames.get(machineId) ?? `#${machineId}`}: ${parts.join("; ")}`;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function signedNumber(value) {
+	return value > 0 ? `+${value}` : value < 0 ? `−${Math.abs(value)}` : "±0";
+}
+
+/**
+ * @param {import('../vendor/break_eternity.esm.js').default} delta
+ * @returns {string}
+ */
+function signedPower(delta) {
+	if (delta.sign === 0) return "±0";
+	return `${delta.sign > 0 ? "+" : "−"}${formatPower(delta.abs())}`;
+}
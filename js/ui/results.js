@@ -3,6 +3,7 @@ import { Calculator } from "../calculator.js";
 import { AppConfig } from "../config.js";
 import { createMachineRankDisplay, RarityColors } from "../utils/ranks.js";
 import { createPicture } from "./formHelpers.js";
+import { renderMissionPlan } from "./missionPlan.js";
 
 // Use WeakMap to avoid memory leaks from direct property assignment
 const machineCardRegistry = new WeakMap();
@@ -415,12 +416,99 @@ function createSummaryStats(result, optimizeMode) {
 	return optimizeMode === "campaign" ? createCampaignStats(result) : createArenaStats(result);
 }
 
+/**
+ * Formats a 0–1 probability as a percentage, keeping precision for rare wins
+ * @param {number} value
+ * @returns {string}
+ */
+function formatPercent(value) {
+	const pct = value * 100;
+	return `${pct < 1 ? pct.toFixed(2) : pct.toFixed(1)}%`;
+}
+
+/**
+ * Creates a table of the missions gained by Monte Carlo with their win probability
+ * @param {Object[]} monteCarloStars - MonteCarloStar entries from the optimizer
+ * @param {number} winThreshold - Minimum win rate that was required (0–1)
+ * @returns {HTMLElement} Table wrapper element
+ */
+function createMonteCarloStarsTable(monteCarloStars, winThreshold) {
+	const wrapper = document.createElement("div");
+	wrapper.className = "mt-4";
+
+	const heading = document.createElement("h6");
+	heading.className = "mb-1";
+	heading.textContent = "Monte Carlo Stars";
+
+	const note = document.createElement("p");
+	note.className = "text-secondary small mb-2";
+	note.textContent =
+		winThreshold > 0
+			? `Missions cleared only by simulation, counted because they were won at least ${formatPercent(winThreshold)} of the time.`
+			: "Missions cleared only by simulation. A low win rate means you may need many attempts in game.";
+
+	const tableWrapper = document.createElement("div");
+	tableWrapper.className = "table-responsive";
+
+	const table = document.createElement("table");
+	table.className = "table table-sm align-middle mb-0";
+
+	const thead = document.createElement("thead");
+	const headRow = document.createElement("tr");
+	for (const label of ["Difficulty", "Mission", "Win Rate", "95% Interval", "Battles"]) {
+		const th = document.createElement("th");
+		th.scope = "col";
+		th.textContent = label;
+		headRow.appendChild(th);
+	}
+	thead.appendChild(headRow);
+
+	const tbody = document.createElement("tbody");
+	const fragment = document.createDocumentFragment();
+
+	for (const star of monteCarloStars) {
+		const diff = AppConfig.DIFFICULTIES.find((d) => d.key === star.difficulty);
+		const row = document.createElement("tr");
+
+		const diffCell = document.createElement("td");
+		diffCell.textContent = diff?.label ?? star.difficulty;
+
+		const missionCell = document.createElement("td");
+		missionCell.textContent = String(star.mission);
+
+		const rateCell = document.createElement("td");
+		const badge = document.createElement("span");
+		badge.className = `badge ${star.winRate >= 0.5 ? "bg-success" : star.winRate >= 0.1 ? "bg-warning text-dark" : "bg-danger"}`;
+		badge.textContent = formatPercent(star.winRate);
+		rateCell.appendChild(badge);
+
+		const intervalCell = document.createElement("td");
+		intervalCell.className = "text-secondary small";
+		intervalCell.textContent = `${formatPercent(star.lower)} – ${formatPercent(star.upper)}`;
+
+		const battlesCell = document.createElement("td");
+		battlesCell.className = "text-secondary small";
+		battlesCell.textContent = `${star.wins.toLocaleString("en-US")} / ${star.simulations.toLocaleString("en-US")}`;
+
+		row.append(diffCell, missionCell, rateCell, intervalCell, battlesCell);
+		fragment.appendChild(row);
+	}
+
+	tbody.appendChild(fragment);
+	table.append(thead, tbody);
+	tableWrapper.appendChild(table);
+	wrapper.append(heading, note, tableWrapper);
+	return wrapper;
+}
+
 /**
  * Creates the campaign progression section
  * @param {Object} lastCleared - Last cleared missions by difficulty
+ * @param {Object[]} [monteCarloStars=[]] - Missions gained by Monte Carlo, with win probabilities
+ * @param {number} [winThreshold=0] - Minimum win rate that was required (0–1)
  * @returns {HTMLElement} Section element
  */
-function createProgressionSection(lastCleared) {
+function createProgressionSection(lastCleared, monteCarloStars = [], winThreshold = 0) {
 	const section = document.createElement("div");
 	section.className = "card mb-4";
 
@@ -436,6 +524,9 @@ function createProgressionSection(lastCleared) {
 	const body = document.createElement("div");
 	body.className = "card-body";
 	body.appendChild(createProgressionDisplay(lastCleared));
+	if (monteCarloStars.length > 0) {
+		body.appendChild(createMonteCarloStarsTable(monteCarloStars, winThreshold));
+	}
 
 	section.append(header, body);
 	return section;
@@ -449,18 +540,17 @@ function createProgressionSection(lastCleared) {
  * @returns {HTMLElement|null} Section element or null
  */
 function createUpgradeSuggestionsSection(optimizeMode, result, upgradeConfig) {
-	if (optimizeMode !== "campaign") {
+	if (optimizeMode === "arena" && !result.formation?.length) {
 		return null;
 	}
 
 	// Check if campaign is complete
 	const difficultiesLen = AppConfig.DIFFICULTIES.length;
-	let isComplete = true;
-	for (let i = 0; i < difficultiesLen; i++) {
+	let isComplete = optimizeMode === "campaign";
+	for (let i = 0; isComplete && i < difficultiesLen; i++) {
 		const diff = AppConfig.DIFFICULTIES[i];
 		if ((result.lastCleared?.[diff.key] || 0) < AppConfig.MAX_MISSIONS_PER_DIFFICULTY) {
 			isComplete = false;
-			break;
 		}
 	}
 
@@ -566,6 +656,195 @@ function createUpgradeSuggestionsSection(optimizeMode, result, upgradeConfig) {
 	return section;
 }
 
+/**
+ * Creates the upgrade roadmap section: plans the upgrades for several stars
+ * at once, either the next N stars or every mission up to a chosen one.
+ * @param {Object} result - Optimization result
+ * @param {Object} upgradeConfig - Upgrade configuration (passed to UpgradeAnalyzer)
+ * @returns {HTMLElement} Section element
+ */
+function createRoadmapSection(result, upgradeConfig) {
+	const section = document.createElement("div");
+	section.className = "upgrade-roadmap-section mb-4";
+	section.id = "upgradeRoadmapSection";
+
+	const heading = document.createElement("h5");
+	heading.className = "mb-2";
+	const headingIcon = document.createElement("i");
+	headingIcon.className = "bi bi-signpost-split me-2";
+	heading.append(headingIcon, document.createTextNode("Upgrade Roadmap"));
+
+	const controls = document.createElement("div");
+	controls.className = "row g-2 align-items-end mb-3";
+
+	const scopeCol = document.createElement("div");
+	scopeCol.className = "col-sm-5";
+	const scopeLabel = document.createElement("label");
+	scopeLabel.className = "form-label small text-secondary mb-1";
+	scopeLabel.htmlFor = "roadmapScope";
+	scopeLabel.textContent = "Plan for";
+	const scopeSelect = document.createElement("select");
+	scopeSelect.className = "form-select form-select-sm";
+	scopeSelect.id = "roadmapScope";
+	scopeSelect.appendChild(new Option("The next stars", "stars"));
+	for (const diff of AppConfig.DIFFICULTIES) {
+		if ((result.lastCleared?.[diff.key] || 0) < AppConfig.MAX_MISSIONS_PER_DIFFICULTY) {
+			scopeSelect.appendChild(new Option(`${diff.label} up to mission`, diff.key));
+		}
+	}
+	scopeCol.append(scopeLabel, scopeSelect);
+
+	const amountCol = document.createElement("div");
+	amountCol.className = "col-sm-3";
+	const amountLabel = document.createElement("label");
+	amountLabel.className = "form-label small text-secondary mb-1";
+	amountLabel.htmlFor = "roadmapAmount";
+	const amountInput = document.createElement("input");
+	amountInput.type = "number";
+	amountInput.className = "form-control form-control-sm";
+	amountInput.id = "roadmapAmount";
+	amountCol.append(amountLabel, amountInput);
+
+	// Star count for "stars", target mission for a difficulty
+	const syncAmount = () => {
+		if (scopeSelect.value === "stars") {
+			amountLabel.textContent = "Stars";
+			amountInput.min = "1";
+			amountInput.max = String(AppConfig.UPGRADE_ROADMAP_MAX_STARS);
+			amountInput.value = "3";
+		} else {
+			const next = (result.lastCleared?.[scopeSelect.value] || 0) + 1;
+			amountLabel.textContent = "Mission";
+			amountInput.min = String(next);
+			amountInput.max = String(Math.min(next + AppConfig.UPGRADE_ROADMAP_MAX_STARS - 1, AppConfig.MAX_MISSIONS_PER_DIFFICULTY));
+			amountInput.value = String(Math.min(next + 2, AppConfig.MAX_MISSIONS_PER_DIFFICULTY));
+		}
+	};
+	scopeSelect.addEventListener("change", syncAmount);
+	syncAmount();
+
+	const buttonCol = document.createElement("div");
+	buttonCol.className = "col-sm-4 d-grid";
+	const planBtn = document.createElement("button");
+	planBtn.type = "button";
+	planBtn.className = "btn btn-sm btn-outline-primary";
+	planBtn.textContent = "Plan Roadmap";
+	buttonCol.appendChild(planBtn);
+
+	controls.append(scopeCol, amountCol, buttonCol);
+
+	const roadmapContainer = document.createElement("div");
+
+	planBtn.addEventListener("click", async () => {
+		planBtn.disabled = true;
+		planBtn.textContent = "Planning...";
+
+		try {
+			const { UpgradeAnalyzer } = await import("../utils/upgradeAnalyzer.js");
+			const { renderUpgradeRoadmap } = await import("./upgradeSuggestions.js");
+
+			const min = Number(amountInput.min);
+			const max = Number(amountInput.max);
+			const amount = Math.max(min, Math.min(max, parseInt(amountInput.value, 10) || min));
+			amountInput.value = String(amount);
+
+			const analyzer = new UpgradeAnalyzer(upgradeConfig);
+			const options = scopeSelect.value === "stars" ? { stars: amount } : { target: { difficulty: scopeSelect.value, mission: amount } };
+			const roadmap = analyzer.planRoadmap(result.formation, result.lastCleared, options);
+
+			roadmapContainer.replaceChildren();
+			if (roadmap) {
+				renderUpgradeRoadmap(roadmap, roadmapContainer);
+			} else {
+				const noResult = document.createElement("div");
+				noResult.className = "alert alert-info";
+				noResult.textContent = "No missions left to plan for.";
+				roadmapContainer.appendChild(noResult);
+			}
+		} catch (error) {
+			console.error("Failed to plan roadmap:", error);
+
+			roadmapContainer.replaceChildren();
+			const errorMsg = document.createElement("div");
+			errorMsg.className = "alert alert-danger";
+			errorMsg.textContent = `Failed to plan roadmap: ${error.message}`;
+			roadmapContainer.appendChild(errorMsg);
+		} finally {
+			planBtn.disabled = false;
+			planBtn.textContent = "Plan Roadmap";
+		}
+	});
+
+	section.append(heading, controls, roadmapContainer);
+	return section;
+}
+
+/**
+ * Creates the battle replay section: simulates the upgrade analyzer's next
+ * target mission until a loss and shows that battle round by round.
+ * @param {Object} result - Optimization result
+ * @param {Object} upgradeConfig - Upgrade configuration (passed to UpgradeAnalyzer)
+ * @returns {HTMLElement} Section element
+ */
+function createBattleReplaySection(result, upgradeConfig) {
+	const section = document.createElement("div");
+	section.className = "battle-replay-section mb-4";
+	section.id = "battleReplaySection";
+
+	const buttonContainer = document.createElement("div");
+	buttonContainer.className = "text-center mb-3";
+
+	const replayBtn = document.createElement("button");
+	replayBtn.type = "button";
+	replayBtn.className = "btn btn-outline-primary";
+	replayBtn.textContent = "Replay a Lost Battle at the Next Target";
+
+	const replayContainer = document.createElement("div");
+
+	replayBtn.addEventListener("click", async () => {
+		replayBtn.disabled = true;
+		replayBtn.textContent = "Simulating...";
+
+		try {
+			const { UpgradeAnalyzer } = await import("../utils/upgradeAnalyzer.js");
+			const { renderBattleReplay } = await import("./battleReplay.js");
+			const { loadWasmEngine } = await import("../wasmLoader.js");
+
+			// Null when the WASM engine is unavailable; the JS engine then records the log
+			const wasm = await loadWasmEngine();
+			const analyzer = new UpgradeAnalyzer(upgradeConfig);
+			const replay = analyzer.replayNextTargetLoss(result.formation, result.lastCleared, undefined, wasm);
+
+			replayContainer.replaceChildren();
+			if (replay) {
+				renderBattleReplay(replay, replayContainer);
+				buttonContainer.classList.add("d-none");
+			} else {
+				const noResult = document.createElement("div");
+				noResult.className = "alert alert-info";
+				noResult.textContent = "No target mission to replay.";
+				replayContainer.appendChild(noResult);
+			}
+		} catch (error) {
+			console.error("Failed to replay battle:", error);
+
+			replayContainer.replaceChildren();
+			const errorMsg = document.createElement("div");
+			errorMsg.className = "alert alert-danger";
+			errorMsg.textContent = `Failed to replay battle: ${error.message}`;
+			replayContainer.appendChild(errorMsg);
+
+			replayBtn.disabled = false;
+			replayBtn.textContent = "Try Again";
+		}
+	});
+
+	buttonContainer.appendChild(replayBtn);
+	section.append(buttonContainer, replayContainer);
+
+	return section;
+}
+
 /**
  * Creates the stats toggle control
  * @param {string} optimizeMode - Initial mode ("campaign" or "arena")
@@ -750,6 +1029,43 @@ function setupStatsToggle(result, machineCards, powerResult, powerTitle) {
 	);
 }
 
+/**
+ * Creates the notice shown above a result restored from a previous session,
+ * or above any result whose inputs have changed since it was computed
+ * @param {number|null} restoredAt - Epoch ms of the run, or null for this session's run
+ * @param {boolean} stale
+ * @returns {HTMLElement}
+ */
+function createFreshnessNotice(restoredAt, stale) {
+	const notice = document.createElement("div");
+	notice.className = `results-freshness alert ${stale ? "alert-warning" : "alert-info"} py-2 small`;
+	notice.setAttribute("role", "status");
+
+	const icon = document.createElement("i");
+	icon.className = `bi ${stale ? "bi-exclamation-triangle" : "bi-clock-history"} me-2`;
+
+	const when = restoredAt != null ? `from ${new Date(restoredAt).toLocaleString()}` : "from earlier in this session";
+	const text = stale
+		? `These results are ${when}, and your machines, heroes or settings have changed since. Optimize again to refresh them.`
+		: `Restored results ${when}. Your inputs have not changed since.`;
+
+	notice.append(icon, document.createTextNode(text));
+	return notice;
+}
+
+/**
+ * Flags the results on screen as stale (inputs changed after they were computed).
+ */
+export function markResultsStale() {
+	const card = resultsContainer.querySelector(".result-card");
+	if (!card) return;
+
+	const notice = createFreshnessNotice(Number(card.dataset.restoredAt) || null, true);
+	const existing = card.querySelector(".results-freshness");
+	if (existing) existing.replaceWith(notice);
+	else card.prepend(notice);
+}
+
 /**
  * Cleans up old event listeners to prevent memory leaks
  */
@@ -769,8 +1085,11 @@ function cleanupResults() {
  * @param {Object} result - Optimization result object
  * @param {string} optimizeMode - "campaign" or "arena"
  * @param {Object} upgradeConfig - Configuration for upgrade analyzer
+ * @param {Object} [options]
+ * @param {number|null} [options.restoredAt=null] - Run time (epoch ms) when restoring a stored result
+ * @param {boolean} [options.stale=false] - Inputs changed since the result was computed
  */
-export function renderResults(result, optimizeMode = "campaign", upgradeConfig = null) {
+export function renderResults(result, optimizeMode = "campaign", upgradeConfig = null, { restoredAt = null, stale = false } = {}) {
 	cleanupResults();
 
 	if (!result || !result.formation) {
@@ -785,19 +1104,31 @@ export function renderResults(result, optimizeMode = "campaign", upgradeConfig =
 	const resultCard = document.createElement("div");
 	resultCard.className = "result-card mt-4";
 
+	if (restoredAt != null) {
+		resultCard.dataset.restoredAt = String(restoredAt);
+		resultCard.appendChild(createFreshnessNotice(restoredAt, stale));
+	} else if (stale) {
+		resultCard.appendChild(createFreshnessNotice(null, true));
+	}
+
 	// Summary stats
 	resultCard.appendChild(createSummaryStats(result, optimizeMode));
 
 	// Campaign progression
 	if (optimizeMode === "campaign") {
-		resultCard.appendChild(createProgressionSection(result.lastCleared));
+		resultCard.appendChild(createProgressionSection(result.lastCleared, result.monteCarloStars ?? [], result.winThreshold ?? 0));
+		renderMissionPlan(result.missionPlan, resultCard);
 	}
 
 	// Upgrade suggestions section (with button)
-	if (optimizeMode === "campaign" && upgradeConfig) {
+	if (upgradeConfig) {
 		const upgradeSection = createUpgradeSuggestionsSection(optimizeMode, result, upgradeConfig);
 		if (upgradeSection) {
 			resultCard.appendChild(upgradeSection);
+			if (optimizeMode === "campaign") {
+				resultCard.appendChild(createRoadmapSection(result, upgradeConfig));
+				resultCard.appendChild(createBattleReplaySection(result, upgradeConfig));
+			}
 		}
 	}
 
@@ -815,6 +1146,14 @@ export function renderResults(result, optimizeMode = "campaign", upgradeConfig =
 	formationGrid.appendChild(formationContainer);
 	resultCard.appendChild(formationGrid);
 
+	// Seed footnote — lets a run be replayed with ?seed=<value>
+	if (result.seed != null) {
+		const seedNote = document.createElement("p");
+		seedNote.className = "text-secondary small text-end mt-3 mb-0";
+		seedNote.textContent = `Seed: ${result.seed}`;
+		resultCard.appendChild(seedNote);
+	}
+
 	fragment.appendChild(resultCard);
 	resultsContainer.appendChild(fragment);
 
@@ -0,0 +1,68 @@
+// ui/sandbox.js
+
+// Cache DOM elements on module load
+const bannerContainer = document.getElementById("sandboxBanner");
+const sandboxButton = document.getElementById("sandboxBtn");
+
+/**
+ * Shows the sandbox banner with a summary of the overrides, or hides it.
+ * @param {import('../utils/saveDiff.js').SaveDiff|null} overrides - Null when the sandbox is off
+ * @param {Object}   handlers
+ * @param {Function} handlers.onCommit
+ * @param {Function} handlers.onDiscard
+ */
+export function renderSandboxBanner(overrides, { onCommit, onDiscard }) {
+	if (sandboxButton) sandboxButton.disabled = overrides !== null;
+	if (!bannerContainer) return;
+
+	if (!overrides) {
+		bannerContainer.replaceChildren();
+		return;
+	}
+
+	const banner = document.createElement("div");
+	banner.className = "alert alert-info d-flex flex-wrap justify-content-between align-items-center gap-2 mb-4";
+	banner.setAttribute("role", "status");
+
+	const text = document.createElement("div");
+	const title = document.createElement("strong");
+	title.textContent = "Sandbox mode";
+	const summary = document.createElement("span");
+	summary.className = "ms-2 small";
+	summary.textContent = `${describeOverrides(overrides)} — not saved until you commit. Optimizer runs use these values and are not added to the run history.`;
+	text.append(title, summary);
+
+	const actions = document.createElement("div");
+	actions.className = "d-flex gap-2";
+	const discardBtn = document.createElement("button");
+	discardBtn.type = "button";
+	discardBtn.className = "btn btn-sm btn-outline-secondary";
+	discardBtn.textContent = "Discard";
+	discardBtn.addEventListener("click", onDiscard);
+	const commitBtn = document.createElement("button");
+	commitBtn.type = "button";
+	commitBtn.className = "btn btn-sm btn-primary";
+	commitBtn.textContent = "Commit to profile";
+	commitBtn.addEventListener("click", onCommit);
+	actions.append(discardBtn, commitBtn);
+
+	banner.append(text, actions);
+	bannerContainer.replaceChildren(banner);
+}
+
+/**
+ * e.g. "2 machines, 1 hero and 3 artifact values overridden"
+ * @param {import('../utils/saveDiff.js').SaveDiff} overrides
+ * @returns {string}
+ */
+function describeOverrides({ general, machines, heroes, artifacts }) {
+	const parts = [];
+	if (general.length > 0) parts.push(`${general.length} general setting${general.length > 1 ? "s" : ""}`);
+	if (machines.length > 0) parts.push(`${machines.length} machine${machines.length > 1 ? "s" : ""}`);
+	if (heroes.length > 0) parts.push(`${heroes.length} hero${heroes.length > 1 ? "es" : ""}`);
+	if (artifacts.length > 0) parts.push(`${artifacts.length} artifact value${artifacts.length > 1 ? "s" : ""}`);
+
+	if (parts.length === 0) return "No overrides yet";
+	const list = parts.length > 1 ? `${parts.slice(0, -1).join(", ")} and ${parts.at(-1)}` : parts[0];
+	return `${list} overridden`;
+}
@@ -1,6 +1,7 @@
 // ui/settings.js
 import { AppConfig } from "../config.js";
 import { showToast } from "./notifications.js";
+import { abilitiesData } from "../data/abilities.js";
 
 /**
  * Settings manager for app-level preferences.
@@ -23,16 +24,26 @@ export class SettingsManager {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Returns the default settings derived from AppConfig.HERO_SCORING.
+	 * Returns the default settings derived from AppConfig.HERO_SCORING,
+	 * AppConfig.CREW_SCORING, AppConfig.MONTE_CARLO_WIN_THRESHOLD,
+	 * AppConfig.UPGRADE_COSTS and AppConfig.ENEMY_ROSTERS.
 	 * Result is cached after the first call.
 	 * @returns {Object}
 	 */
 	static getDefaultSettings() {
 		if (!this._factoryDefaults) {
 			// structuredClone produces a clean deep copy without JSON round-trip
-			this._factoryDefaults = structuredClone(AppConfig.HERO_SCORING);
+			this._factoryDefaults = {
+				heroScoring: structuredClone(AppConfig.HERO_SCORING),
+				crewScoring: structuredClone(AppConfig.CREW_SCORING),
+				winThreshold: AppConfig.MONTE_CARLO_WIN_THRESHOLD,
+				upgradeCosts: structuredClone(AppConfig.UPGRADE_COSTS),
+				enemyRosters: structuredClone(AppConfig.ENEMY_ROSTERS),
+			};
 		}
-		const d = this._factoryDefaults;
+		const d = this._factoryDefaults.heroScoring;
+		const c = this._factoryDefaults.upgradeCosts;
+		const cs = this._factoryDefaults.crewScoring;
 		return {
 			heroScoring: {
 				campaign: {
@@ -44,6 +55,23 @@ export class SettingsManager {
 					dps:  { ...d.ARENA.DPS  },
 				},
 			},
+			crewScoring: {
+				model:          cs.MODEL,
+				roleAffinity:   cs.ROLE_AFFINITY,
+				tiebreakWeight: cs.TIEBREAK_WEIGHT,
+			},
+			simulation: {
+				winThreshold: this._factoryDefaults.winThreshold,
+			},
+			upgradeCosts: {
+				level:     { base: c.LEVEL.base,     growth: c.LEVEL.growth     },
+				blueprint: { base: c.BLUEPRINT.base, growth: c.BLUEPRINT.growth },
+				sacred:    { base: c.SACRED.base,    growth: c.SACRED.growth    },
+				inscription: { base: c.INSCRIPTION.base, growth: c.INSCRIPTION.growth },
+				rarity:    { ...c.RARITY.costs },
+				values:    { ...c.VALUES },
+			},
+			enemyRosters: structuredClone(this._factoryDefaults.enemyRosters),
 		};
 	}
 
@@ -70,6 +98,22 @@ export class SettingsManager {
 					...defaults.heroScoring,
 					...settings.heroScoring,
 				},
+				crewScoring: {
+					...defaults.crewScoring,
+					...settings.crewScoring,
+				},
+				simulation: {
+					...defaults.simulation,
+					...settings.simulation,
+				},
+				upgradeCosts: {
+					level:     { ...defaults.upgradeCosts.level,     ...settings.upgradeCosts?.level     },
+					blueprint: { ...defaults.upgradeCosts.blueprint, ...settings.upgradeCosts?.blueprint },
+					sacred:    { ...defaults.upgradeCosts.sacred,    ...settings.upgradeCosts?.sacred    },
+					inscription: { ...defaults.upgradeCosts.inscription, ...settings.upgradeCosts?.inscription },
+					rarity:    { ...defaults.upgradeCosts.rarity,    ...settings.upgradeCosts?.rarity    },
+					values:    { ...defaults.upgradeCosts.values,    ...settings.upgradeCosts?.values    },
+				},
 			};
 		} catch (error) {
 			console.error("Failed to load settings:", error);
@@ -95,12 +139,45 @@ export class SettingsManager {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Writes hero scoring weights from `settings` into AppConfig.HERO_SCORING.
+	 * Writes hero scoring weights from `settings` into AppConfig.HERO_SCORING,
+	 * the crew scoring model into AppConfig.CREW_SCORING,
+	 * the Monte Carlo win threshold into AppConfig.MONTE_CARLO_WIN_THRESHOLD,
+	 * the price tables into AppConfig.UPGRADE_COSTS
+	 * and the enemy rosters into AppConfig.ENEMY_ROSTERS.
 	 * Mutates in place so the Optimizer always reads the latest user-defined values
 	 * without requiring a page reload or re-import.
 	 * @param {Object} settings
 	 */
 	static applySettings(settings) {
+		if (settings.simulation) {
+			AppConfig.MONTE_CARLO_WIN_THRESHOLD = settings.simulation.winThreshold;
+		}
+
+		if (settings.crewScoring) {
+			const { model, roleAffinity, tiebreakWeight } = settings.crewScoring;
+			Object.assign(AppConfig.CREW_SCORING, {
+				MODEL:           model,
+				ROLE_AFFINITY:   roleAffinity,
+				TIEBREAK_WEIGHT: tiebreakWeight,
+			});
+		}
+
+		if (settings.enemyRosters) {
+			AppConfig.ENEMY_ROSTERS = settings.enemyRosters;
+		}
+
+		if (settings.upgradeCosts) {
+			const { level, blueprint, sacred, inscription, rarity, values } = settings.upgradeCosts;
+			const uc = AppConfig.UPGRADE_COSTS;
+
+			Object.assign(uc.LEVEL,       level);
+			Object.assign(uc.BLUEPRINT,   blueprint);
+			Object.assign(uc.SACRED,      sacred);
+			Object.assign(uc.INSCRIPTION, inscription);
+			Object.assign(uc.RARITY.costs, rarity);
+			Object.assign(uc.VALUES,      values);
+		}
+
 		if (!settings.heroScoring) return;
 
 		const { campaign, arena } = settings.heroScoring;
@@ -132,7 +209,7 @@ export class SettingsManager {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Renders the settings modal body with Campaign and Arena tabs.
+	 * Renders the settings modal body with Campaign, Arena, Crew, Simulation, Costs and Enemies tabs.
 	 * Static because it has no per-instance state.
 	 */
 	static renderModal() {
@@ -159,13 +236,24 @@ export class SettingsManager {
 		tabsNav.className = "nav nav-tabs mb-3";
 		tabsNav.id = "settingsTabs";
 		tabsNav.setAttribute("role", "tablist");
-		tabsNav.append(_createTab("Campaign", "campaignSettings", true), _createTab("Arena", "arenaSettings", false));
+		tabsNav.append(
+			_createTab("Campaign",   "campaignSettings",   true),
+			_createTab("Arena",      "arenaSettings",      false),
+			_createTab("Crew",       "crewSettings",       false),
+			_createTab("Simulation", "simulationSettings", false),
+			_createTab("Costs",      "costSettings",       false),
+			_createTab("Enemies",    "enemySettings",      false),
+		);
 
 		const tabContent = document.createElement("div");
 		tabContent.className = "tab-content";
 		tabContent.append(
 			_createSettingsPane("campaign", settings.heroScoring.campaign, true),
 			_createSettingsPane("arena",    settings.heroScoring.arena,    false),
+			_createCrewPane(settings.crewScoring),
+			_createSimulationPane(settings.simulation),
+			_createCostsPane(settings.upgradeCosts),
+			_createEnemiesPane(settings.enemyRosters),
 		);
 
 		fragment.append(tabsNav, tabContent);
@@ -180,7 +268,17 @@ export class SettingsManager {
 		const body     = document.getElementById("settingsModalBody");
 		const settings = this.loadSettings();
 
-		for (const input of body.querySelectorAll("input[type='number']")) {
+		const rostersInput = body.querySelector("#enemyRosters");
+		if (rostersInput) {
+			try {
+				settings.enemyRosters = _parseEnemyRosters(rostersInput.value);
+			} catch (error) {
+				showToast(`Enemy rosters not saved: ${error.message}`, "danger");
+				return;
+			}
+		}
+
+		for (const input of body.querySelectorAll("input[data-stat]")) {
 			const mode  = input.dataset.mode;
 			const role  = input.dataset.role;
 			const stat  = input.dataset.stat;
@@ -188,6 +286,23 @@ export class SettingsManager {
 			settings.heroScoring[mode][role][stat] = value;
 		}
 
+		const modelSelect = body.querySelector("#crewScoringModel");
+		if (modelSelect) {
+			settings.crewScoring.model          = modelSelect.value;
+			settings.crewScoring.roleAffinity   = Math.max(0, parseFloat(body.querySelector("#crewRoleAffinity").value) || 0);
+			settings.crewScoring.tiebreakWeight = Math.max(0, parseFloat(body.querySelector("#crewTiebreakWeight").value) || 0);
+		}
+
+		const thresholdInput = body.querySelector("#simulationWinThreshold");
+		if (thresholdInput) {
+			const percent = Math.max(0, Math.min(100, parseFloat(thresholdInput.value) || 0));
+			settings.simulation.winThreshold = percent / 100;
+		}
+
+		for (const input of body.querySelectorAll("input[data-cost-table]")) {
+			settings.upgradeCosts[input.dataset.costTable][input.dataset.costKey] = Math.max(0, parseFloat(input.value) || 0);
+		}
+
 		this.saveSettings(settings);
 		this.applySettings(settings);
 		showToast("Settings saved! They will be used in the next optimization.", "success");
@@ -203,10 +318,27 @@ export class SettingsManager {
 		const defaults = this.resetToDefaults();
 		const body     = document.getElementById("settingsModalBody");
 
-		for (const input of body.querySelectorAll("input[type='number']")) {
+		for (const input of body.querySelectorAll("input[data-stat]")) {
 			input.value = defaults.heroScoring[input.dataset.mode][input.dataset.role][input.dataset.stat];
 		}
 
+		const modelSelect = body.querySelector("#crewScoringModel");
+		if (modelSelect) {
+			modelSelect.value = defaults.crewScoring.model;
+			body.querySelector("#crewRoleAffinity").value   = defaults.crewScoring.roleAffinity;
+			body.querySelector("#crewTiebreakWeight").value = defaults.crewScoring.tiebreakWeight;
+		}
+
+		const thresholdInput = body.querySelector("#simulationWinThreshold");
+		if (thresholdInput) thresholdInput.value = defaults.simulation.winThreshold * 100;
+
+		for (const input of body.querySelectorAll("input[data-cost-table]")) {
+			input.value = defaults.upgradeCosts[input.dataset.costTable][input.dataset.costKey];
+		}
+
+		const rostersInput = body.querySelector("#enemyRosters");
+		if (rostersInput) rostersInput.value = _formatEnemyRosters(defaults.enemyRosters);
+
 		showToast("Settings reset to defaults", "success");
 	}
 
@@ -334,4 +466,350 @@ function _createWeightCard(label, mode, role, weights) {
 	cardBody.appendChild(row);
 	card.append(cardHeader, cardBody);
 	return card;
-}
\ No newline at end of file
+}
+
+/**
+ * Creates the Crew tab pane with the crew scoring model and its two knobs.
+ * @param {{model: string, roleAffinity: number, tiebreakWeight: number}} crewScoring
+ * @returns {HTMLElement}
+ * @private
+ */
+function _createCrewPane(crewScoring) {
+	const pane = document.createElement("div");
+	pane.className = "tab-pane fade";
+	pane.id = "crewSettings";
+	pane.setAttribute("role", "tabpanel");
+	pane.setAttribute("aria-labelledby", "crewSettings-tab");
+
+	const card = document.createElement("div");
+	card.className = "card mb-3";
+
+	const cardHeader = document.createElement("div");
+	cardHeader.className = "card-header";
+	const title = document.createElement("h6");
+	title.className = "mb-0";
+	title.textContent = "Crew Scoring Model";
+	cardHeader.appendChild(title);
+
+	const cardBody = document.createElement("div");
+	cardBody.className = "card-body";
+
+	const modelLabel = document.createElement("label");
+	modelLabel.className = "form-label";
+	modelLabel.htmlFor = "crewScoringModel";
+	modelLabel.textContent = "Model";
+
+	const modelSelect = document.createElement("select");
+	modelSelect.className = "form-select mb-1";
+	modelSelect.id = "crewScoringModel";
+	for (const [value, label] of [
+		["percentages", "Percentages only"],
+		["role",        "Role affinity + hero stats"],
+	]) {
+		const option = document.createElement("option");
+		option.value = value;
+		option.textContent = label;
+		modelSelect.appendChild(option);
+	}
+	modelSelect.value = crewScoring.model;
+
+	const modelHelp = document.createElement("div");
+	modelHelp.className = "form-text mb-3";
+	modelHelp.textContent = "Role affinity prefers tank heroes on tank machines and damage heroes elsewhere; heroes with equal percentages are then ordered by their own attack, health, armor and advanced stats.";
+
+	const row = document.createElement("div");
+	row.className = "row g-3";
+
+	for (const { id, label, step, value } of [
+		{ id: "crewRoleAffinity",   label: "Role affinity multiplier", step: "0.05",  value: crewScoring.roleAffinity   },
+		{ id: "crewTiebreakWeight", label: "Hero stat tiebreak weight", step: "0.001", value: crewScoring.tiebreakWeight },
+	]) {
+		const col = document.createElement("div");
+		col.className = "col-md-6";
+
+		const labelEl = document.createElement("label");
+		labelEl.className = "form-label";
+		labelEl.htmlFor = id;
+		labelEl.textContent = label;
+
+		const input = document.createElement("input");
+		input.type = "number";
+		input.className = "form-control";
+		input.id = id;
+		input.min = "0";
+		input.step = step;
+		input.value = value;
+
+		col.append(labelEl, input);
+		row.appendChild(col);
+	}
+
+	cardBody.append(modelLabel, modelSelect, modelHelp, row);
+	card.append(cardHeader, cardBody);
+	pane.appendChild(card);
+	return pane;
+}
+
+/**
+ * Creates the Simulation tab pane with the Monte Carlo win-threshold input.
+ * @param {{winThreshold: number}} simulation - Threshold stored as a 0–1 fraction
+ * @returns {HTMLElement}
+ * @private
+ */
+function _createSimulationPane(simulation) {
+	const pane = document.createElement("div");
+	pane.className = "tab-pane fade";
+	pane.id = "simulationSettings";
+	pane.setAttribute("role", "tabpanel");
+	pane.setAttribute("aria-labelledby", "simulationSettings-tab");
+
+	const card = document.createElement("div");
+	card.className = "card mb-3";
+
+	const cardHeader = document.createElement("div");
+	cardHeader.className = "card-header";
+	const title = document.createElement("h6");
+	title.className = "mb-0";
+	title.textContent = "Monte Carlo Stars";
+	cardHeader.appendChild(title);
+
+	const cardBody = document.createElement("div");
+	cardBody.className = "card-body";
+
+	const labelEl = document.createElement("label");
+	labelEl.className = "form-label";
+	labelEl.htmlFor = "simulationWinThreshold";
+	labelEl.textContent = "Minimum win rate (%)";
+
+	const input = document.createElement("input");
+	input.type = "number";
+	input.className = "form-control";
+	input.id = "simulationWinThreshold";
+	input.min = "0";
+	input.max = "100";
+	input.step = "1";
+	input.value = simulation.winThreshold * 100;
+
+	const help = document.createElement("div");
+	help.className = "form-text";
+	help.textContent = "Only count missions the simulation wins at least this often. 0 counts any mission won at least once.";
+
+	cardBody.append(labelEl, input, help);
+	card.append(cardHeader, cardBody);
+	pane.appendChild(card);
+	return pane;
+}
+
+/**
+ * Creates the Costs tab pane with the price tables used to rank upgrade paths.
+ * Each input carries data-cost-table and data-cost-key for the save handler.
+ * @param {Object} costs - { level, blueprint, sacred, inscription, rarity, values }
+ * @returns {HTMLElement}
+ * @private
+ */
+function _createCostsPane(costs) {
+	const pane = document.createElement("div");
+	pane.className = "tab-pane fade";
+	pane.id = "costSettings";
+	pane.setAttribute("role", "tabpanel");
+	pane.setAttribute("aria-labelledby", "costSettings-tab");
+
+	const help = document.createElement("p");
+	help.className = "form-text mt-0";
+	help.textContent = "Upgrade suggestions pick the paths that cost the least. One step from n to n + 1 costs base × growth^(n − 1).";
+
+	const resourceLabel = (key) => AppConfig.UPGRADE_RESOURCES.find((r) => r.key === key)?.label ?? key;
+	const curveFields = [
+		{ key: "base",   label: "Base",   step: "1"    },
+		{ key: "growth", label: "Growth", step: "0.01" },
+	];
+
+	pane.append(
+		help,
+		_createCostCard(`Level Up (${resourceLabel(AppConfig.UPGRADE_COSTS.LEVEL.resource)})`, "level", curveFields, costs.level),
+		_createCostCard(`Blueprint Level (${resourceLabel(AppConfig.UPGRADE_COSTS.BLUEPRINT.resource)})`, "blueprint", curveFields, costs.blueprint),
+		_createCostCard(`Sacred Level (${resourceLabel(AppConfig.UPGRADE_COSTS.SACRED.resource)})`, "sacred", curveFields, costs.sacred),
+		_createCostCard(`Inscription Level (${resourceLabel(AppConfig.UPGRADE_COSTS.INSCRIPTION.resource)})`, "inscription", curveFields, costs.inscription),
+		_createCostCard(
+			`Rarity Up (${resourceLabel(AppConfig.UPGRADE_COSTS.RARITY.resource)})`,
+			"rarity",
+			AppConfig.RARITIES.slice(1).map((r) => ({ key: r.key, label: r.label, step: "1" })),
+			costs.rarity,
+		),
+		_createCostCard(
+			"Resource Value (per unit)",
+			"values",
+			AppConfig.UPGRADE_RESOURCES.map((r) => ({ key: r.key, label: r.label, step: "0.1" })),
+			costs.values,
+		),
+	);
+	return pane;
+}
+
+/**
+ * Creates a card of numeric inputs for one price table.
+ * @param {string} title
+ * @param {string} table - Key in settings.upgradeCosts
+ * @param {Array<{key: string, label: string, step: string}>} fields
+ * @param {Object} values
+ * @returns {HTMLElement}
+ * @private
+ */
+function _createCostCard(title, table, fields, values) {
+	const card = document.createElement("div");
+	card.className = "card mb-3";
+
+	const cardHeader = document.createElement("div");
+	cardHeader.className = "card-header";
+	const heading = document.createElement("h6");
+	heading.className = "mb-0";
+	heading.textContent = title;
+	cardHeader.appendChild(heading);
+
+	const cardBody = document.createElement("div");
+	cardBody.className = "card-body";
+
+	const row = document.createElement("div");
+	row.className = "row g-3";
+
+	for (const { key, label, step } of fields) {
+		const inputId = `cost-${table}-${key}`;
+
+		const col = document.createElement("div");
+		col.className = "col-6 col-md-3";
+
+		const labelEl = document.createElement("label");
+		labelEl.className = "form-label";
+		labelEl.textContent = label;
+		labelEl.htmlFor = inputId;
+
+		const input = document.createElement("input");
+		input.type = "number";
+		input.className = "form-control";
+		input.id = inputId;
+		input.min = "0";
+		input.step = step;
+		input.value = values[key];
+		input.setAttribute("data-cost-table", table);
+		input.setAttribute("data-cost-key", key);
+
+		col.append(labelEl, input);
+		row.appendChild(col);
+	}
+
+	cardBody.appendChild(row);
+	card.append(cardHeader, cardBody);
+	return card;
+}
+
+/**
+ * Creates the Enemies tab pane: a JSON editor for per-mission enemy roster
+ * overrides. Missions left out keep their roster from data/enemies.js.
+ * @param {Object} enemyRosters - AppConfig.ENEMY_ROSTERS shape
+ * @returns {HTMLElement}
+ * @private
+ */
+function _createEnemiesPane(enemyRosters) {
+	const pane = document.createElement("div");
+	pane.className = "tab-pane fade";
+	pane.id = "enemySettings";
+	pane.setAttribute("role", "tabpanel");
+	pane.setAttribute("aria-labelledby", "enemySettings-tab");
+
+	const card = document.createElement("div");
+	card.className = "card mb-3";
+
+	const cardHeader = document.createElement("div");
+	cardHeader.className = "card-header";
+	const title = document.createElement("h6");
+	title.className = "mb-0";
+	title.textContent = "Mission Enemy Rosters";
+	cardHeader.appendChild(title);
+
+	const cardBody = document.createElement("div");
+	cardBody.className = "card-body";
+
+	const labelEl = document.createElement("label");
+	labelEl.className = "form-label";
+	labelEl.htmlFor = "enemyRosters";
+	labelEl.textContent = "Rosters (JSON)";
+
+	const textarea = document.createElement("textarea");
+	textarea.className = "form-control font-monospace";
+	textarea.id = "enemyRosters";
+	textarea.rows = 10;
+	textarea.spellcheck = false;
+	textarea.placeholder = '{ "hard": { "47": [ { "name": "Sentinel", "statScale": { "damage": 0.6, "health": 1.8 }, "ability": { "key": "dmg_1x_160" }, "rarity": "epic" } ] } }';
+	textarea.value = _formatEnemyRosters(enemyRosters);
+
+	const help = document.createElement("div");
+	help.className = "form-text";
+	help.textContent = "Difficulty → mission → up to five enemies in formation order. statScale multiplies the mission's normal enemy stats; ability takes a machine ability key. Missions listed here replace the built-in roster (an empty list means five identical enemies); the rest keep it.";
+
+	cardBody.append(labelEl, textarea, help);
+	card.append(cardHeader, cardBody);
+	pane.appendChild(card);
+	return pane;
+}
+
+/**
+ * @param {Object} enemyRosters
+ * @returns {string} Pretty JSON, or "" when there are no rosters
+ * @private
+ */
+function _formatEnemyRosters(enemyRosters) {
+	return Object.keys(enemyRosters ?? {}).length > 0 ? JSON.stringify(enemyRosters, null, 2) : "";
+}
+
+/**
+ * Parses and checks the Enemies tab JSON.
+ * @param {string} text
+ * @returns {Object} AppConfig.ENEMY_ROSTERS shape ({} for blank input)
+ * @throws {Error} Naming the first invalid entry
+ * @private
+ */
+function _parseEnemyRosters(text) {
+	if (!text.trim()) return {};
+
+	let rosters;
+	try {
+		rosters = JSON.parse(text);
+	} catch (error) {
+		throw new Error(`invalid JSON (${error.message})`);
+	}
+	if (rosters === null || typeof rosters !== "object" || Array.isArray(rosters)) {
+		throw new Error("expected an object keyed by difficulty");
+	}
+
+	for (const [difficulty, missions] of Object.entries(rosters)) {
+		if (!AppConfig.DIFFICULTY_KEYS.includes(difficulty)) throw new Error(`unknown difficulty "${difficulty}"`);
+		if (missions === null || typeof missions !== "object" || Array.isArray(missions)) {
+			throw new Error(`${difficulty}: expected an object keyed by mission number`);
+		}
+
+		for (const [mission, units] of Object.entries(missions)) {
+			const path = `${difficulty}.${mission}`;
+			const number = Number(mission);
+			if (!Number.isInteger(number) || number < 1 || number > AppConfig.MAX_MISSIONS_PER_DIFFICULTY) {
+				throw new Error(`${path}: mission must be 1–${AppConfig.MAX_MISSIONS_PER_DIFFICULTY}`);
+			}
+			if (!Array.isArray(units) || units.length > AppConfig.FORMATION_SIZE) {
+				throw new Error(`${path}: expected a list of up to ${AppConfig.FORMATION_SIZE} enemies`);
+			}
+
+			units.forEach((unit, i) => {
+				const unitPath = `${path}[${i}]`;
+				if (unit === null || typeof unit !== "object") throw new Error(`${unitPath}: expected an object`);
+				for (const [stat, value] of Object.entries(unit.statScale ?? {})) {
+					if (typeof value !== "number" || !(value >= 0)) throw new Error(`${unitPath}.statScale.${stat}: expected a number ≥ 0`);
+				}
+				if (unit.ability && !abilitiesData[unit.ability.key]) throw new Error(`${unitPath}: unknown ability "${unit.ability.key}"`);
+				if (unit.rarity !== undefined && !AppConfig.RARITIES.some((r) => r.key === String(unit.rarity).toLowerCase())) {
+					throw new Error(`${unitPath}: unknown rarity "${unit.rarity}"`);
+				}
+			});
+		}
+	}
+
+	return rosters;
+}
@@ -2,9 +2,19 @@
 import { Calculator } from "../calculator.js";
 import { AppConfig } from "../config.js";
 
+const UPGRADE_TYPE_LABELS = {
+	level: "Level",
+	damage: "Damage BP",
+	health: "Health BP",
+	armor: "Armor BP",
+	rarity: "Rarity",
+	sacred: "Sacred",
+	inscription: "Inscription",
+};
+
 /**
  * Renders upgrade paths in the results view
- * @param {import('../upgradeAnalyzer.js').UpgradeAnalysis} analysis - Upgrade analysis
+ * @param {import('../utils/upgradeAnalyzer.js').UpgradeAnalysis|import('../utils/upgradeAnalyzer.js').ArenaUpgradeAnalysis} analysis - Upgrade analysis
  * @param {HTMLElement} container - Container to render into
  */
 export function renderUpgradeSuggestions(analysis, container) {
@@ -12,6 +22,11 @@ export function renderUpgradeSuggestions(analysis, container) {
 		return;
 	}
 
+	if (analysis.mode === "arena") {
+		renderArenaSuggestions(analysis, container);
+		return;
+	}
+
 	const section = document.createElement("div");
 	section.className = "upgrade-suggestions-section mt-4 mb-5";
 
@@ -34,6 +49,153 @@ export function renderUpgradeSuggestions(analysis, container) {
 	container.appendChild(section);
 }
 
+/**
+ * Renders the arena suggestions: single upgrade steps ranked by power per cost
+ * @param {import('../utils/upgradeAnalyzer.js').ArenaUpgradeAnalysis} analysis
+ * @param {HTMLElement} container - Container to render into
+ */
+function renderArenaSuggestions(analysis, container) {
+	const section = document.createElement("div");
+	section.className = "upgrade-suggestions-section mt-4 mb-5";
+
+	const header = document.createElement("div");
+	header.className = "card mb-3";
+	const headerBody = document.createElement("div");
+	headerBody.className = "card-body";
+
+	const title = document.createElement("h5");
+	title.className = "card-title mb-2";
+	const icon = document.createElement("i");
+	icon.className = "bi bi-arrow-up-circle me-2";
+	title.append(icon, document.createTextNode("Arena Upgrades"));
+
+	const subtitle = document.createElement("p");
+	subtitle.className = "text-secondary mb-1";
+	subtitle.textContent = "Single upgrades on your arena team that add the most arena power for what they cost, best value first.";
+
+	const powerInfo = document.createElement("p");
+	powerInfo.className = "text-muted small mb-0";
+	const infoIcon = document.createElement("i");
+	infoIcon.className = "bi bi-info-circle me-1";
+	powerInfo.append(
+		infoIcon,
+		document.createTextNode(
+			`Current arena power ${formatPower(analysis.squadPower)}. Arena power grows with the logarithm of battle stats and includes your scarab, rift and mech fury bonuses; a rarity upgrade also raises mech fury for the whole team. Costs come from the tables in Settings.`,
+		),
+	);
+
+	headerBody.append(title, subtitle, powerInfo);
+	header.appendChild(headerBody);
+	section.appendChild(header);
+
+	if (analysis.suggestions.length === 0) {
+		const alert = document.createElement("div");
+		alert.className = "alert alert-warning";
+		alert.textContent = "No upgrade raises this team's arena power.";
+		section.appendChild(alert);
+		container.appendChild(section);
+		return;
+	}
+
+	const grid = document.createElement("div");
+	grid.className = "row g-3";
+
+	analysis.suggestions.forEach((suggestion, index) => {
+		const col = document.createElement("div");
+		col.className = "col-md-6 col-lg-3";
+
+		const card = document.createElement("div");
+		card.className = "card h-100 suggestion-card";
+		const cardBody = document.createElement("div");
+		cardBody.className = "card-body d-flex flex-column";
+
+		const rank = document.createElement("h6");
+		rank.className = "card-subtitle mb-3";
+		rank.textContent = `#${index + 1}`;
+
+		const footer = document.createElement("div");
+		footer.className = "mt-auto pt-3";
+		footer.appendChild(createCostSummary(suggestion.cost));
+
+		const powerRow = document.createElement("div");
+		powerRow.className = "d-flex justify-content-between align-items-center";
+		const powerLabel = document.createElement("span");
+		powerLabel.className = "small text-secondary";
+		powerLabel.textContent = "Arena Power Gain:";
+		const powerValue = document.createElement("span");
+		powerValue.className = "small fw-bold text-success";
+		powerValue.textContent = `+${formatPower(suggestion.powerGain)}`;
+		powerRow.append(powerLabel, powerValue);
+		footer.appendChild(powerRow);
+
+		cardBody.append(rank, createUpgradeItem(suggestion.upgrade, false), footer);
+		card.appendChild(cardBody);
+		col.appendChild(card);
+		grid.appendChild(col);
+	});
+
+	section.appendChild(grid);
+	container.appendChild(section);
+}
+
+/**
+ * Renders an upgrade roadmap as an ordered checklist, one item per star
+ * @param {import('../utils/upgradeAnalyzer.js').UpgradeRoadmap} roadmap
+ * @param {HTMLElement} container - Container to render into
+ */
+export function renderUpgradeRoadmap(roadmap, container) {
+	if (!roadmap.canPass) {
+		const alert = document.createElement("div");
+		alert.className = "alert alert-warning";
+
+		const icon = document.createElement("i");
+		icon.className = "bi bi-exclamation-triangle-fill me-2";
+		alert.append(icon, document.createTextNode("No upgrade plan on your top 2 machines clears all of these missions. Try fewer stars or a closer mission."));
+		container.appendChild(alert);
+		return;
+	}
+
+	const list = document.createElement("ol");
+	list.className = "list-group list-group-numbered mb-3";
+
+	roadmap.steps.forEach((step, index) => {
+		list.appendChild(createRoadmapStep(step, index));
+	});
+
+	const totalCard = document.createElement("div");
+	totalCard.className = "card";
+	const totalBody = document.createElement("div");
+	totalBody.className = "card-body";
+
+	const totalTitle = document.createElement("h6");
+	totalTitle.className = "card-subtitle mb-2";
+	totalTitle.textContent = `Whole Roadmap (${roadmap.total.upgrades.length} upgrade${roadmap.total.upgrades.length === 1 ? "" : "s"})`;
+	totalBody.appendChild(totalTitle);
+
+	if (roadmap.total.upgrades.length === 0) {
+		const none = document.createElement("p");
+		none.className = "small text-secondary mb-0";
+		none.textContent = "Your current formation already clears every mission on this roadmap.";
+		totalBody.appendChild(none);
+	} else {
+		totalBody.appendChild(createCostSummary(roadmap.total.cost));
+
+		const powerRow = document.createElement("div");
+		powerRow.className = "d-flex justify-content-between align-items-center";
+		const powerLabel = document.createElement("span");
+		powerLabel.className = "small text-secondary";
+		powerLabel.textContent = "Total Power Gain:";
+		const powerValue = document.createElement("span");
+		powerValue.className = "small fw-bold text-success";
+		powerValue.textContent = `+${formatPower(roadmap.total.totalPowerGain)}`;
+		powerRow.append(powerLabel, powerValue);
+		totalBody.appendChild(powerRow);
+	}
+
+	totalCard.appendChild(totalBody);
+	container.append(list, totalCard);
+}
+
 /**
  * Formats a Decimal as a localized integer string or exponential notation
  * @param {*} decimal - Serialized decimal to format
@@ -47,6 +209,17 @@ function formatPower(decimal) {
 	return value.toExponential(2);
 }
 
+/**
+ * Shows rarity keys by their labels
+ * @param {string} upgradeType
+ * @param {number|string} value
+ * @returns {string}
+ */
+function formatUpgradeValue(upgradeType, value) {
+	if (upgradeType === "rarity") return AppConfig.RARITIES.find((r) => r.key === value)?.label ?? String(value);
+	return String(value);
+}
+
 /**
  * Creates the header
  * @param {import('../upgradeAnalyzer.js').UpgradeAnalysis} analysis
@@ -79,7 +252,7 @@ function createPathsHeader(analysis) {
 
 	const subtitle = document.createElement("p");
 	subtitle.className = "text-secondary mb-1";
-	subtitle.textContent = "Complete any one of these upgrade paths to pass the next mission";
+	subtitle.textContent = "Complete any one of these upgrade paths to pass the next mission. Each is the cheapest found for its number of upgrades, priced with the cost tables in Settings.";
 
 	const powerInfo = document.createElement("p");
 	powerInfo.className = "text-muted small mb-0";
@@ -180,10 +353,14 @@ function createPathCard(path) {
 		cardBody.appendChild(upgradeItem);
 	});
 
-	// Power gain at bottom
+	// Resource totals and power gain at bottom
 	const powerSection = document.createElement("div");
 	powerSection.className = "mt-auto pt-3";
 
+	if (path.cost) {
+		powerSection.appendChild(createCostSummary(path.cost));
+	}
+
 	const powerRow = document.createElement("div");
 	powerRow.className = "d-flex justify-content-between align-items-center";
 
@@ -204,6 +381,95 @@ function createPathCard(path) {
 	return card;
 }
 
+/**
+ * Creates the resource totals of a path, one row per resource spent
+ * @param {import('../utils/costModel.js').UpgradeCost} cost
+ * @returns {HTMLElement}
+ */
+function createCostSummary(cost) {
+	const list = document.createElement("div");
+	list.className = "border-top pt-2 mb-2";
+
+	const heading = document.createElement("div");
+	heading.className = "small text-secondary mb-1";
+	heading.textContent = "Resource Cost:";
+	list.appendChild(heading);
+
+	for (const { key, label } of AppConfig.UPGRADE_RESOURCES) {
+		const amount = cost.resources[key];
+		if (!amount) continue;
+
+		const row = document.createElement("div");
+		row.className = "d-flex justify-content-between align-items-center";
+
+		const name = document.createElement("span");
+		name.className = "small";
+		name.textContent = label;
+
+		const value = document.createElement("span");
+		value.className = "small fw-semibold";
+		value.textContent = amount.toLocaleString("en-US");
+
+		row.append(name, value);
+		list.appendChild(row);
+	}
+
+	return list;
+}
+
+/**
+ * Creates one checklist item of a roadmap. The checkbox only helps the user
+ * keep track while upgrading in game; it is not saved.
+ * @param {import('../utils/upgradeAnalyzer.js').RoadmapStep} step
+ * @param {number} index
+ * @returns {HTMLElement}
+ */
+function createRoadmapStep(step, index) {
+	const item = document.createElement("li");
+	item.className = "list-group-item d-flex gap-3 align-items-start";
+
+	const checkId = `roadmapStep${index}`;
+	const check = document.createElement("input");
+	check.type = "checkbox";
+	check.className = "form-check-input mt-1 flex-shrink-0";
+	check.id = checkId;
+
+	const content = document.createElement("label");
+	content.className = "flex-grow-1";
+	content.htmlFor = checkId;
+
+	const difficultyLabel = AppConfig.DIFFICULTIES.find((d) => d.key === step.difficulty)?.label ?? step.difficulty;
+	const title = document.createElement("div");
+	title.className = "fw-semibold";
+	title.textContent = `Clear ${difficultyLabel} ${step.mission}`;
+	content.appendChild(title);
+
+	if (step.upgrades.length === 0) {
+		const note = document.createElement("div");
+		note.className = "small text-secondary";
+		note.textContent = index === 0 ? "No upgrades needed." : "No further upgrades needed.";
+		content.appendChild(note);
+	} else {
+		for (const upgrade of step.upgrades) {
+			const line = document.createElement("div");
+			line.className = "small";
+			line.textContent = `${upgrade.machineName} ${UPGRADE_TYPE_LABELS[upgrade.upgradeType] ?? upgrade.upgradeType}: ${upgrade.currentValue} → ${upgrade.requiredValue}`;
+			content.appendChild(line);
+		}
+
+		const costs = AppConfig.UPGRADE_RESOURCES.filter(({ key }) => step.cost.resources[key]).map(({ key, label }) => `${step.cost.resources[key].toLocaleString("en-US")} ${label}`);
+		const cost = document.createElement("div");
+		cost.className = "small text-secondary";
+		cost.textContent = costs.join(" · ");
+		content.appendChild(cost);
+	}
+
+	check.addEventListener("change", () => content.classList.toggle("text-decoration-line-through", check.checked));
+
+	item.append(check, content);
+	return item;
+}
+
 /**
  * Creates a single upgrade item within a path
  * @param {import('../upgradeAnalyzer.js').SingleUpgrade} upgrade
@@ -235,14 +501,7 @@ function createUpgradeItem(upgrade, showSeparator) {
 	machineName.className = "small fw-semibold mb-2";
 	machineName.textContent = upgrade.machineName;
 
-	// Type labels
-	const typeLabels = {
-		level: "Level",
-		damage: "Damage BP",
-		health: "Health BP",
-		armor: "Armor BP",
-	};
-	const typeLabel = typeLabels[upgrade.upgradeType] || upgrade.upgradeType;
+	const typeLabel = UPGRADE_TYPE_LABELS[upgrade.upgradeType] || upgrade.upgradeType;
 
 	const typeName = document.createElement("div");
 	typeName.className = "small text-muted mb-2";
@@ -254,14 +513,14 @@ function createUpgradeItem(upgrade, showSeparator) {
 
 	const currentSpan = document.createElement("span");
 	currentSpan.className = "small";
-	currentSpan.textContent = `${upgrade.currentValue}`;
+	currentSpan.textContent = formatUpgradeValue(upgrade.upgradeType, upgrade.currentValue);
 
 	const arrow = document.createElement("i");
 	arrow.className = "bi bi-arrow-right text-warning small";
 
 	const requiredSpan = document.createElement("span");
 	requiredSpan.className = "small fw-bold text-warning";
-	requiredSpan.textContent = `${upgrade.requiredValue}`;
+	requiredSpan.textContent = formatUpgradeValue(upgrade.upgradeType, upgrade.requiredValue);
 
 	valuesRow.append(currentSpan, arrow, requiredSpan);
 
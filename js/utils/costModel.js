@@ -0,0 +1,167 @@
+// utils/costModel.js
+import { AppConfig } from "../config.js";
+
+/**
+ * Resource amounts keyed by AppConfig.UPGRADE_RESOURCES key, e.g. { gold: 1200, blueprints: 40 }.
+ * Resources that are not spent are left out.
+ * @typedef {Object<string, number>} ResourceTotals
+ */
+
+/**
+ * @typedef {Object} UpgradeCost
+ * @property {ResourceTotals} resources
+ * @property {number}         total - Resources weighted by their VALUES, for ranking
+ */
+
+/**
+ * Prices machine upgrades in in-game resources.
+ *
+ * Reads the price tables from AppConfig.UPGRADE_COSTS at call time, so
+ * edits made in Settings apply without rebuilding the model.
+ */
+export class CostModel {
+	/**
+	 * @param {Object} [tables] - Same shape as AppConfig.UPGRADE_COSTS; defaults to the live config
+	 */
+	constructor(tables = null) {
+		this._tables = tables;
+	}
+
+	/** @returns {Object} */
+	get tables() {
+		return this._tables ?? AppConfig.UPGRADE_COSTS;
+	}
+
+	// ─────────────────────────────────────────────
+	// Cost curves
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Cost of raising a machine from one level to another.
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {ResourceTotals}
+	 */
+	levelCost(from, to) {
+		const { resource, base, growth } = this.tables.LEVEL;
+		return { [resource]: CostModel._curveSum(base, growth, from, to) };
+	}
+
+	/**
+	 * Cost of raising one blueprint from one level to another.
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {ResourceTotals}
+	 */
+	blueprintCost(from, to) {
+		const { resource, base, growth } = this.tables.BLUEPRINT;
+		return { [resource]: CostModel._curveSum(base, growth, from, to) };
+	}
+
+	/**
+	 * Cost of raising a machine's sacred level.
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {ResourceTotals}
+	 */
+	sacredCost(from, to) {
+		const { resource, base, growth } = this.tables.SACRED;
+		return { [resource]: CostModel._curveSum(base, growth, from, to) };
+	}
+
+	/**
+	 * Cost of raising a machine's inscription level.
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {ResourceTotals}
+	 */
+	inscriptionCost(from, to) {
+		const { resource, base, growth } = this.tables.INSCRIPTION;
+		return { [resource]: CostModel._curveSum(base, growth, from, to) };
+	}
+
+	/**
+	 * Cost of raising a machine's rarity, paying every step in between.
+	 * @param {string} fromKey - Rarity key, e.g. "epic"
+	 * @param {string} toKey
+	 * @returns {ResourceTotals}
+	 */
+	rarityCost(fromKey, toKey) {
+		const { resource, costs } = this.tables.RARITY;
+		const from = AppConfig.getRarityLevel(fromKey);
+		const to = AppConfig.getRarityLevel(toKey);
+
+		let amount = 0;
+		for (const rarity of AppConfig.RARITIES) {
+			if (rarity.level > from && rarity.level <= to) amount += costs[rarity.key] ?? 0;
+		}
+		return { [resource]: amount };
+	}
+
+	// ─────────────────────────────────────────────
+	// Upgrade paths
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Prices a list of upgrades as produced by UpgradeAnalyzer.
+	 * @param {import('./upgradeAnalyzer.js').SingleUpgrade[]} upgrades
+	 * @returns {UpgradeCost}
+	 */
+	pathCost(upgrades) {
+		const resources = {};
+		for (const { upgradeType, currentValue, requiredValue } of upgrades) {
+			let cost;
+			if (upgradeType === "level") cost = this.levelCost(currentValue, requiredValue);
+			else if (upgradeType === "rarity") cost = this.rarityCost(currentValue, requiredValue);
+			else if (upgradeType === "sacred") cost = this.sacredCost(currentValue, requiredValue);
+			else if (upgradeType === "inscription") cost = this.inscriptionCost(currentValue, requiredValue);
+			else cost = this.blueprintCost(currentValue, requiredValue);
+			CostModel.addResources(resources, cost);
+		}
+		return { resources, total: this.weigh(resources) };
+	}
+
+	/**
+	 * Collapses resource amounts into one comparable number using the VALUES table.
+	 * @param {ResourceTotals} resources
+	 * @returns {number}
+	 */
+	weigh(resources) {
+		const values = this.tables.VALUES;
+		let total = 0;
+		for (const [resource, amount] of Object.entries(resources)) total += amount * (values[resource] ?? 1);
+		return total;
+	}
+
+	/**
+	 * Adds `extra` into `totals` in place.
+	 * @param {ResourceTotals} totals
+	 * @param {ResourceTotals} extra
+	 * @returns {ResourceTotals} `totals`
+	 */
+	static addResources(totals, extra) {
+		for (const [resource, amount] of Object.entries(extra)) {
+			if (amount > 0) totals[resource] = (totals[resource] ?? 0) + amount;
+		}
+		return totals;
+	}
+
+	// ─────────────────────────────────────────────
+	// Private helpers
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Sums the per-step costs round(base × growth^(n − 1)) for n in [from, to).
+	 * @private
+	 * @param {number} base
+	 * @param {number} growth
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {number}
+	 */
+	static _curveSum(base, growth, from, to) {
+		let total = 0;
+		for (let n = Math.max(from, 0); n < to; n++) total += Math.round(base * growth ** Math.max(n - 1, 0));
+		return total;
+	}
+}
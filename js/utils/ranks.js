@@ -227,6 +227,19 @@ export function parseGuardianRankValue(value) {
 	return { evolution, rank };
 }
 
+/**
+ * Readable guardian position, e.g. "Gold 3 Stars Lv 7"; the level is left out when not given.
+ * @param {string} evolution
+ * @param {string} rank
+ * @param {number} [level]
+ * @returns {string}
+ */
+export function formatGuardianPosition(evolution, rank, level) {
+	const evolutionLabel = AppConfig.GUARDIAN_EVOLUTIONS.find((e) => e.key === evolution)?.label ?? evolution;
+	const rankLabel = AppConfig.GUARDIAN_RANK_PROGRESSION.find((r) => r.key === rank)?.label ?? rank;
+	return level ? `${evolutionLabel} ${rankLabel} Lv ${level}` : `${evolutionLabel} ${rankLabel}`;
+}
+
 /**
  * Creates a standalone guardian rank icon display (no selector UI).
  * @param {string} evolution
@@ -0,0 +1,135 @@
+// utils/resultDiff.js
+import { Calculator } from "../calculator.js";
+import { AppConfig } from "../config.js";
+
+/**
+ * @typedef {Object} StarsDiff
+ * @property {string} difficulty
+ * @property {number} before - Stars (last cleared mission) in the baseline run
+ * @property {number} after
+ * @property {number} delta
+ */
+
+/**
+ * A machine that joined, left or changed slot. Slots are 0-based.
+ * @typedef {Object} FormationChange
+ * @property {number} id
+ * @property {"added"|"removed"|"moved"} change
+ * @property {number|null} fromSlot
+ * @property {number|null} toSlot
+ */
+
+/**
+ * Crew changes on a machine fielded in both runs.
+ * @typedef {Object} CrewSwap
+ * @property {number}   machineId
+ * @property {number[]} added   - Hero ids
+ * @property {number[]} removed - Hero ids
+ */
+
+/**
+ * @typedef {Object} PowerDiff
+ * @property {import('../vendor/break_eternity.esm.js').default} before
+ * @property {import('../vendor/break_eternity.esm.js').default} after
+ * @property {import('../vendor/break_eternity.esm.js').default} delta
+ */
+
+/**
+ * @typedef {Object} ResultDiff
+ * @property {StarsDiff[]} stars - Campaign only; empty for arena runs
+ * @property {number} totalStarsDelta
+ * @property {FormationChange[]} formation
+ * @property {CrewSwap[]} crew
+ * @property {{battle: PowerDiff, arena: PowerDiff}} power
+ */
+
+/**
+ * Compares two stored optimizer results (as saved by db.saveResult).
+ * @param {Object} before - Baseline result
+ * @param {Object} after  - Result to compare against the baseline
+ * @returns {ResultDiff}
+ */
+export function diffResults(before, after) {
+	const stars = before.mode === "campaign" || after.mode === "campaign" ? diffStars(before.lastCleared ?? {}, after.lastCleared ?? {}) : [];
+
+	return {
+		stars,
+		totalStarsDelta: (after.totalStars ?? 0) - (before.totalStars ?? 0),
+		formation: diffFormation(before.formation ?? [], after.formation ?? []),
+		crew: diffCrew(before.formation ?? [], after.formation ?? []),
+		power: {
+			battle: diffPower(before.battlePower, after.battlePower),
+			arena: diffPower(before.arenaPower, after.arenaPower),
+		},
+	};
+}
+
+/**
+ * Stars per difficulty. Missions clear in order, so the last cleared
+ * mission is also the star count for that difficulty.
+ * @param {Object} before - Difficulty key → last cleared mission
+ * @param {Object} after
+ * @returns {StarsDiff[]}
+ */
+function diffStars(before, after) {
+	return AppConfig.DIFFICULTY_KEYS.map((difficulty) => {
+		const b = before[difficulty] ?? 0;
+		const a = after[difficulty] ?? 0;
+		return { difficulty, before: b, after: a, delta: a - b };
+	});
+}
+
+/**
+ * @param {Object[]} before - Formation in slot order
+ * @param {Object[]} after
+ * @returns {FormationChange[]}
+ */
+function diffFormation(before, after) {
+	const beforeSlots = new Map(before.map((m, slot) => [m.id, slot]));
+	const afterSlots = new Map(after.map((m, slot) => [m.id, slot]));
+	const changes = [];
+
+	for (const [id, toSlot] of afterSlots) {
+		const fromSlot = beforeSlots.get(id);
+		if (fromSlot === undefined) changes.push({ id, change: "added", fromSlot: null, toSlot });
+		else if (fromSlot !== toSlot) changes.push({ id, change: "moved", fromSlot, toSlot });
+	}
+	for (const [id, fromSlot] of beforeSlots) {
+		if (!afterSlots.has(id)) changes.push({ id, change: "removed", fromSlot, toSlot: null });
+	}
+
+	return changes;
+}
+
+/**
+ * @param {Object[]} before - Formation with `crew` hero objects
+ * @param {Object[]} after
+ * @returns {CrewSwap[]}
+ */
+function diffCrew(before, after) {
+	const beforeCrew = new Map(before.map((m) => [m.id, new Set((m.crew ?? []).map((h) => h.id))]));
+	const swaps = [];
+
+	for (const machine of after) {
+		const previous = beforeCrew.get(machine.id);
+		if (!previous) continue;
+
+		const current = new Set((machine.crew ?? []).map((h) => h.id));
+		const added = [...current].filter((id) => !previous.has(id));
+		const removed = [...previous].filter((id) => !current.has(id));
+		if (added.length > 0 || removed.length > 0) swaps.push({ machineId: machine.id, added, removed });
+	}
+
+	return swaps;
+}
+
+/**
+ * @param {*} before - Serialized Decimal
+ * @param {*} after
+ * @returns {PowerDiff}
+ */
+function diffPower(before, after) {
+	const b = Calculator.toDecimal(before ?? 0);
+	const a = Calculator.toDecimal(after ?? 0);
+	return { before: b, after: a, delta: a.sub(b) };
+}
@@ -0,0 +1,128 @@
+// utils/rng.js
+
+/**
+ * Seed used by the Rust engine when it is handed a zero seed.
+ * Xorshift has an all-zero fixed point, so zero must never reach the state.
+ * @type {bigint}
+ */
+const ZERO_SEED_REPLACEMENT = 0xdeadbeefn;
+
+/** @type {number} 2^21 — scales the high word of `x >> 11` */
+const HI_SCALE = 2 ** 21;
+
+/** @type {number} 2^53 — divisor that maps a 53-bit integer into [0, 1) */
+const FLOAT_DIVISOR = 2 ** 53;
+
+/** @type {bigint} 2^64 / golden ratio — spreads derived stream seeds apart */
+const STREAM_SEED_INCREMENT = 0x9e3779b97f4a7c15n;
+
+/**
+ * Xorshift64 PRNG — bit-for-bit port of `Xorshift64` in src/battle_engine.rs.
+ *
+ * The 64-bit state is held as two unsigned 32-bit halves so the hot path
+ * (one overdrive roll per attack) stays on plain numbers instead of BigInt.
+ * Given the same seed, the JS BattleEngine and the WASM engine draw the
+ * exact same sequence.
+ */
+export class Xorshift64 {
+	/**
+	 * @param {number|bigint|string} [seed=Date.now()] - Any integer; zero is remapped like the Rust engine
+	 */
+	constructor(seed = Date.now()) {
+		this.reseed(seed);
+	}
+
+	/**
+	 * Derives the seed for one of several independent streams of a run,
+	 * e.g. one per Monte Carlo pool worker. Deterministic in (seed, index).
+	 * @param {number|bigint|string} seed  - Run seed
+	 * @param {number}               index - Stream index (0-based)
+	 * @returns {bigint}
+	 */
+	static streamSeed(seed, index) {
+		const base = typeof seed === "number" ? BigInt(Math.trunc(seed)) : BigInt(seed);
+		return BigInt.asUintN(64, base + BigInt(index + 1) * STREAM_SEED_INCREMENT);
+	}
+
+	/**
+	 * Resets the generator state.
+	 * @param {number|bigint|string} seed
+	 */
+	reseed(seed) {
+		let value = BigInt.asUintN(64, typeof seed === "number" ? BigInt(Math.trunc(seed)) : BigInt(seed));
+		if (value === 0n) value = ZERO_SEED_REPLACEMENT;
+
+		/** @type {bigint} Normalised seed, kept so a run can be replayed */
+		this.seed = value;
+		this._hi = Number(value >> 32n) >>> 0;
+		this._lo = Number(value & 0xffffffffn) >>> 0;
+	}
+
+	/**
+	 * Advances the state (x ^= x << 13; x ^= x >> 7; x ^= x << 17).
+	 * @private
+	 */
+	_step() {
+		let hi = this._hi;
+		let lo = this._lo;
+
+		// x ^= x << 13
+		hi = (hi ^ ((hi << 13) | (lo >>> 19))) >>> 0;
+		lo = (lo ^ (lo << 13)) >>> 0;
+
+		// x ^= x >> 7
+		lo = (lo ^ ((lo >>> 7) | (hi << 25))) >>> 0;
+		hi = (hi ^ (hi >>> 7)) >>> 0;
+
+		// x ^= x << 17
+		hi = (hi ^ ((hi << 17) | (lo >>> 15))) >>> 0;
+		lo = (lo ^ (lo << 17)) >>> 0;
+
+		this._hi = hi;
+		this._lo = lo;
+	}
+
+	/**
+	 * Returns the next full 64-bit output (matches `next_u64`).
+	 * Slow path — only intended for diagnostics and tests.
+	 * @returns {bigint}
+	 */
+	nextU64() {
+		this._step();
+		return (BigInt(this._hi) << 32n) | BigInt(this._lo);
+	}
+
+	/**
+	 * Returns a float in [0, 1) (matches `next_f64`).
+	 * @returns {number}
+	 */
+	nextFloat() {
+		this._step();
+		return (this._hi * HI_SCALE + (this._lo >>> 11)) / FLOAT_DIVISOR;
+	}
+
+	/**
+	 * Returns an integer in [0, bound) (matches `next_u64() as usize % bound`).
+	 * On wasm32 `usize` is 32 bits wide, so the cast keeps only the low word.
+	 * @param {number} bound - Positive integer below 2^32
+	 * @returns {number}
+	 */
+	nextIndex(bound) {
+		this._step();
+		return this._lo % bound;
+	}
+
+	/**
+	 * Fisher-Yates shuffle in place (matches `shuffle`).
+	 * @template T
+	 * @param {T[]} arr
+	 * @returns {T[]} The same array, for chaining
+	 */
+	shuffle(arr) {
+		for (let i = arr.length - 1; i > 0; i--) {
+			const j = this.nextIndex(i + 1);
+			[arr[i], arr[j]] = [arr[j], arr[i]];
+		}
+		return arr;
+	}
+}
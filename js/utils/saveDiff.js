@@ -0,0 +1,132 @@
+// utils/saveDiff.js
+import { AppConfig } from "../config.js";
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string}        field - e.g. "engineerLevel", "level", "blueprints.damage", "percentages.armor"
+ * @property {number|string} before
+ * @property {number|string} after
+ */
+
+/**
+ * @typedef {Object} EntityChange
+ * @property {number}        id
+ * @property {string}        name
+ * @property {FieldChange[]} changes
+ */
+
+/**
+ * @typedef {Object} ArtifactChange
+ * @property {string} stat
+ * @property {number} percentage
+ * @property {number} before
+ * @property {number} after
+ */
+
+/**
+ * What importing a save would change in the current profile.
+ * @typedef {Object} SaveDiff
+ * @property {FieldChange[]}    general
+ * @property {EntityChange[]}   machines
+ * @property {EntityChange[]}   heroes
+ * @property {ArtifactChange[]} artifacts
+ * @property {number[]}         unknownMachineIds - In the save but not in the game data; ignored on import
+ * @property {number[]}         unknownHeroIds
+ * @property {number}           machinesNotInSave - Kept when merging, reset to defaults otherwise
+ * @property {number}           heroesNotInSave
+ */
+
+/**
+ * Compares the live store with current-version save data. Sections not
+ * imported come back empty.
+ * @param {Object} store - Live application store
+ * @param {Object} data  - Save data as produced by migrateSave
+ * @param {Object} [options]
+ * @param {import('../saveSchema.js').SaveSection[]} [options.sections] - Sections to import; default every section in the data
+ * @returns {SaveDiff}
+ */
+export function diffSaveData(store, data, { sections = data.sections } = {}) {
+	const includes = (section) => sections.includes(section) && data[section] !== undefined;
+
+	const general = includes("general")
+		? ["engineerLevel", "scarabLevel", "riftRank"].filter((field) => store[field] !== data.general[field]).map((field) => ({ field, before: store[field], after: data.general[field] }))
+		: [];
+
+	const machines = diffEntities(store.machines, includes("machines") ? data.machines : [], ["rarity", "level", "blueprints.damage", "blueprints.health", "blueprints.armor", "inscriptionLevel", "sacredLevel"]);
+	const heroes = diffEntities(store.heroes, includes("heroes") ? data.heroes : [], ["percentages.damage", "percentages.health", "percentages.armor"]);
+
+	const artifacts = [];
+	if (includes("artifacts")) {
+		for (const stat of AppConfig.ARTIFACT_STATS) {
+			for (const percentage of AppConfig.ARTIFACT_PERCENTAGES) {
+				const before = store.artifacts[stat]?.[percentage] ?? 0;
+				const after = data.artifacts[stat]?.[percentage] ?? 0;
+				if (before !== after) artifacts.push({ stat, percentage, before, after });
+			}
+		}
+	}
+
+	const savedMachineIds = new Set((data.machines ?? []).map((m) => m.id));
+	const savedHeroIds = new Set((data.heroes ?? []).map((h) => h.id));
+
+	return {
+		general,
+		machines: machines.changes,
+		heroes: heroes.changes,
+		artifacts,
+		unknownMachineIds: machines.unknownIds,
+		unknownHeroIds: heroes.unknownIds,
+		machinesNotInSave: includes("machines") ? store.machines.filter((m) => !savedMachineIds.has(m.id)).length : 0,
+		heroesNotInSave: includes("heroes") ? store.heroes.filter((h) => !savedHeroIds.has(h.id)).length : 0,
+	};
+}
+
+/**
+ * True when importing would not change anything.
+ * @param {SaveDiff} diff
+ * @returns {boolean}
+ */
+export function isEmptySaveDiff(diff) {
+	return diff.general.length === 0 && diff.machines.length === 0 && diff.heroes.length === 0 && diff.artifacts.length === 0;
+}
+
+// ─────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────
+
+/**
+ * Matches saved entries to store entries by id and compares the given fields.
+ * @param {Object[]} current - Store machines or heroes
+ * @param {Object[]} saved
+ * @param {string[]} fields  - Dotted paths
+ * @returns {{changes: EntityChange[], unknownIds: number[]}}
+ */
+function diffEntities(current, saved, fields) {
+	const byId = new Map(current.map((entity) => [entity.id, entity]));
+	const changes = [];
+	const unknownIds = [];
+
+	for (const entry of saved) {
+		const entity = byId.get(entry.id);
+		if (!entity) {
+			unknownIds.push(entry.id);
+			continue;
+		}
+
+		const fieldChanges = fields
+			.map((field) => ({ field, before: readPath(entity, field), after: readPath(entry, field) }))
+			.filter(({ before, after }) => before !== after);
+		if (fieldChanges.length > 0) changes.push({ id: entity.id, name: entity.name, changes: fieldChanges });
+	}
+
+	return { changes, unknownIds };
+}
+
+/**
+ * @param {Object} object
+ * @param {string} path - e.g. "blueprints.damage"
+ * @returns {*}
+ */
+function readPath(object, path) {
+	return path.split(".").reduce((value, key) => value?.[key], object);
+}
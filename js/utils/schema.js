@@ -0,0 +1,136 @@
+// utils/schema.js
+
+/**
+ * Subset of JSON Schema understood by validateSchema:
+ * type, enum, minimum, maximum, required, properties, additionalProperties and items.
+ * @typedef {Object} Schema
+ * @property {string|string[]}      [type]     - "object" | "array" | "string" | "number" | "integer" | "boolean" | "null"
+ * @property {Array<*>}             [enum]
+ * @property {number}               [minimum]
+ * @property {number}               [maximum]
+ * @property {string[]}             [required]
+ * @property {Object<string, Schema>} [properties]
+ * @property {Schema|false}         [additionalProperties] - Schema for keys not listed in properties; false rejects them
+ * @property {Schema}               [items]
+ */
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path    - e.g. "machines[3].level"; empty for the root value
+ * @property {string} message
+ */
+
+/**
+ * Validates a value against a schema and collects every violation.
+ * Children of a value with the wrong type are not checked.
+ * @param {*}      value
+ * @param {Schema} schema
+ * @param {string} [path=""]
+ * @returns {SchemaError[]} Empty when valid
+ */
+export function validateSchema(value, schema, path = "") {
+	const errors = [];
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((type) => matchesType(value, type))) {
+			errors.push({ path, message: `expected ${types.join(" or ")}, got ${typeName(value)}` });
+			return errors;
+		}
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push({ path, message: `expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}` });
+	}
+
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be ≥ ${schema.minimum}, got ${value}` });
+		if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be ≤ ${schema.maximum}, got ${value}` });
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.items) value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+		return errors;
+	}
+
+	if (isPlainObject(value)) {
+		for (const key of schema.required ?? []) {
+			if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: "is required" });
+		}
+
+		for (const [key, child] of Object.entries(value)) {
+			// Undefined members do not survive JSON; treat them as absent
+			if (child === undefined) continue;
+			const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+			if (childSchema === false) errors.push({ path: joinPath(path, key), message: "is not allowed" });
+			else if (childSchema) errors.push(...validateSchema(child, childSchema, joinPath(path, key)));
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Formats an error for display, e.g. "machines[3].level: expected number, got string".
+ * @param {SchemaError} error
+ * @returns {string}
+ */
+export function formatSchemaError({ path, message }) {
+	return `${path || "(root)"}: ${message}`;
+}
+
+// ─────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────
+
+/**
+ * @param {*}      value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+	switch (type) {
+		case "object":
+			return isPlainObject(value);
+		case "array":
+			return Array.isArray(value);
+		case "number":
+			return typeof value === "number" && Number.isFinite(value);
+		case "integer":
+			return Number.isInteger(value);
+		case "null":
+			return value === null;
+		default:
+			return typeof value === type;
+	}
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function typeName(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Object keys that are not identifiers (e.g. artifact percentages) use
+ * bracket notation: artifacts.damage["30"].
+ * @param {string} path
+ * @param {string} key
+ * @returns {string}
+ */
+function joinPath(path, key) {
+	if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+	return `${path}[${JSON.stringify(key)}]`;
+}
@@ -0,0 +1,88 @@
+// utils/shareCodec.js
+//
+// Compact, URL-safe encoding of save data for share links:
+// JSON → deflate-raw (CompressionStream) → base64url. The code lives in the
+// URL fragment, so it never reaches a server.
+
+/** Fragment prefix of a share link, e.g. index.html#share=<code> */
+export const SHARE_FRAGMENT_KEY = "share";
+
+/**
+ * Encodes save data as a compressed base64url string.
+ * @param {Object} data
+ * @returns {Promise<string>}
+ */
+export async function encodeShareCode(data) {
+	const bytes = new TextEncoder().encode(JSON.stringify(data));
+	return toBase64Url(await transform(bytes, new CompressionStream("deflate-raw")));
+}
+
+/**
+ * Decodes a share code back into parsed save data.
+ * @param {string} code
+ * @returns {Promise<Object>}
+ * @throws {Error} If the code is not valid base64url, deflate data or JSON
+ */
+export async function decodeShareCode(code) {
+	try {
+		const bytes = await transform(fromBase64Url(code), new DecompressionStream("deflate-raw"));
+		return JSON.parse(new TextDecoder().decode(bytes));
+	} catch (err) {
+		throw new Error("Share link is damaged or incomplete", { cause: err });
+	}
+}
+
+/**
+ * Builds a share link to the current page.
+ * @param {string} code
+ * @returns {string}
+ */
+export function buildShareUrl(code) {
+	const url = new URL(window.location.href);
+	url.hash = `${SHARE_FRAGMENT_KEY}=${code}`;
+	return url.toString();
+}
+
+/**
+ * Reads the share code from a URL fragment.
+ * @param {string} [hash=window.location.hash]
+ * @returns {string|null}
+ */
+export function readShareCode(hash = window.location.hash) {
+	const params = new URLSearchParams(hash.replace(/^#/, ""));
+	return params.get(SHARE_FRAGMENT_KEY) || null;
+}
+
+// ─────────────────────────────────────────────
+// Private helpers
+// ─────────────────────────────────────────────
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function transform(bytes, stream) {
+	const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+	return new Uint8Array(buffer);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+	let binary = "";
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * @param {string} code
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(code) {
+	const base64 = code.replace(/-/g, "+").replace(/_/g, "/");
+	const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+	return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
@@ -2,26 +2,67 @@
 import { Calculator } from "../calculator.js";
 import { BattleEngine } from "../battleengine.js";
 import { AppConfig } from "../config.js";
+import { CostModel } from "./costModel.js";
+import { createLoggedBattleRunner } from "../wasmCodec.js";
 import Decimal from "../vendor/break_eternity.esm.js";
 
 /**
  * @typedef {Object} SingleUpgrade
  * @property {number} machineId
  * @property {string} machineName
- * @property {string} upgradeType - "level" | "damage" | "health" | "armor"
- * @property {number} currentValue
- * @property {number} requiredValue
+ * @property {string} upgradeType - "level" | "damage" | "health" | "armor" | "rarity" | "sacred" | "inscription"
+ * @property {number|string} currentValue  - Rarity key for "rarity"
+ * @property {number|string} requiredValue
  */
 
 /**
  * @typedef {Object} UpgradePath
  * @property {SingleUpgrade[]} upgrades
  * @property {Decimal}         totalPowerGain
- * @property {number}          totalUpgradeAmount - Weighted cost (levels count 2×)
+ * @property {import('./costModel.js').UpgradeCost} cost - Resources spent; paths are ranked by cost.total
+ */
+
+/**
+ * @typedef {Object} MissionTarget
+ * @property {string} difficulty
+ * @property {number} mission
+ */
+
+/**
+ * One star of a roadmap and the upgrades it adds on top of the earlier steps.
+ * @typedef {Object} RoadmapStep
+ * @property {string}          difficulty
+ * @property {number}          mission
+ * @property {SingleUpgrade[]} upgrades - Empty when the earlier upgrades already clear this mission
+ * @property {import('./costModel.js').UpgradeCost} cost
+ */
+
+/**
+ * @typedef {Object} UpgradeRoadmap
+ * @property {RoadmapStep[]}    steps
+ * @property {UpgradePath|null} total   - Every upgrade of the plan; null when no path clears all targets
+ * @property {boolean}          canPass
+ */
+
+/**
+ * One arena upgrade step and what it buys.
+ * @typedef {Object} ArenaUpgradeSuggestion
+ * @property {SingleUpgrade} upgrade
+ * @property {Decimal}       powerGain  - Squad arena power gained
+ * @property {import('./costModel.js').UpgradeCost} cost
+ * @property {Decimal}       efficiency - powerGain per unit of cost.total (Infinity when free)
+ */
+
+/**
+ * @typedef {Object} ArenaUpgradeAnalysis
+ * @property {"arena"}                  mode
+ * @property {Decimal}                  squadPower  - Current squad arena power
+ * @property {ArenaUpgradeSuggestion[]} suggestions - Best value first
  */
 
 /**
  * @typedef {Object} UpgradeAnalysis
+ * @property {"campaign"}    mode
  * @property {string}        nextDifficulty
  * @property {number}        nextMission
  * @property {UpgradePath[]} paths
@@ -39,14 +80,18 @@ export class UpgradeAnalyzer {
 	 * @param {Array}  config.artifactArray
 	 * @param {number} config.globalRarityLevels
 	 * @param {string} config.riftRank
+	 * @param {number} [config.seed] - BattleEngine RNG seed (defaults to Date.now())
+	 * @param {CostModel} [config.costModel] - Prices upgrades (defaults to the configured price tables)
 	 */
-	constructor({ engineerLevel, scarabLevel, artifactArray, globalRarityLevels, riftRank }) {
+	constructor({ engineerLevel, scarabLevel, artifactArray, globalRarityLevels, riftRank, seed, costModel = new CostModel() }) {
 		this.engineerLevel = engineerLevel;
 		this.scarabLevel = scarabLevel;
 		this.artifactArray = artifactArray;
 		this.globalRarityLevels = globalRarityLevels;
 		this.riftRank = riftRank;
-		this.battleEngine = new BattleEngine();
+		this.seed = seed ?? Date.now();
+		this.battleEngine = new BattleEngine({ seed: this.seed });
+		this.costModel = costModel;
 	}
 
 	// ─────────────────────────────────────────────
@@ -54,16 +99,17 @@ export class UpgradeAnalyzer {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Finds the next uncompleted star and returns upgrade paths that unlock it.
-	 * Returns null when in arena mode, when the formation is empty, or when
-	 * the campaign is fully completed.
+	 * Finds the next uncompleted star and returns upgrade paths that unlock it,
+	 * or in arena mode the upgrades with the best arena power gain per cost.
+	 * Returns null when the formation is empty or when the campaign is fully completed.
 	 * @param {Object[]} formation
 	 * @param {Object}   lastCleared - difficulty → last cleared mission number
 	 * @param {"campaign"|"arena"} [mode="campaign"]
-	 * @returns {UpgradeAnalysis|null}
+	 * @returns {UpgradeAnalysis|ArenaUpgradeAnalysis|null}
 	 */
 	analyzeUpgrades(formation, lastCleared, mode = "campaign") {
-		if (mode === "arena" || !formation?.length) return null;
+		if (!formation?.length) return null;
+		if (mode === "arena") return this.analyzeArenaUpgrades(formation);
 
 		const nextTarget = this.findNextTarget(lastCleared, formation);
 		if (!nextTarget) return null;
@@ -71,6 +117,7 @@ export class UpgradeAnalyzer {
 		const paths = this.findUpgradePaths(formation, nextTarget.mission, nextTarget.difficulty);
 
 		return {
+			mode: "campaign",
 			nextDifficulty: nextTarget.difficulty,
 			nextMission: nextTarget.mission,
 			paths,
@@ -116,13 +163,210 @@ export class UpgradeAnalyzer {
 	}
 
 	/**
-	 * Returns upgrade paths (up to 4 upgrades) that allow passing the given mission.
+	 * Returns upgrade paths (up to 4 upgrades) that allow passing the given mission,
+	 * the cheapest in resources for each number of upgrades.
 	 * @param {Object[]} formation
 	 * @param {number}   mission
 	 * @param {string}   difficulty
 	 * @returns {UpgradePath[]}
 	 */
 	findUpgradePaths(formation, mission, difficulty) {
+		const unique = this._candidatePaths(formation, [{ mission, difficulty }]);
+
+		// Keep only the best path per upgrade-count bucket (1–4)
+		const bestByCount = new Map();
+		for (const path of unique) {
+			const n = path.upgrades.length;
+			if (n >= 1 && n <= 4 && !bestByCount.has(n)) bestByCount.set(n, path);
+		}
+
+		return Array.from({ length: 4 }, (_, i) => bestByCount.get(i + 1)).filter(Boolean);
+	}
+
+	// ─────────────────────────────────────────────
+	// Arena
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Ranks one-step upgrades on the fielded machines by arena power gained per
+	 * unit of cost. Arena power goes through Calculator.calculateArenaAttributes,
+	 * so it includes the log scaling of battle stats and the mech fury, scarab
+	 * and rift bonuses. A rarity step also raises mech fury for the whole squad.
+	 * @param {Object[]} formation
+	 * @param {number}   [limit=8] - Suggestions returned
+	 * @returns {ArenaUpgradeAnalysis}
+	 */
+	analyzeArenaUpgrades(formation, limit = 8) {
+		const squadPower = this._arenaSquadPower(formation, null, this.globalRarityLevels);
+		const suggestions = [];
+
+		for (const machine of formation) {
+			for (const { upgrade, changed } of this._arenaUpgradeSteps(machine)) {
+				const globalRarityLevels = upgrade.upgradeType === "rarity" ? this.globalRarityLevels + 1 : this.globalRarityLevels;
+				const powerGain = this._arenaSquadPower(formation, changed, globalRarityLevels).sub(squadPower);
+				if (powerGain.lte(0)) continue;
+
+				const cost = this.costModel.pathCost([upgrade]);
+				const efficiency = cost.total > 0 ? powerGain.div(cost.total) : new Decimal(Infinity);
+				suggestions.push({ upgrade, powerGain, cost, efficiency });
+			}
+		}
+
+		suggestions.sort((a, b) => b.efficiency.cmp(a.efficiency));
+		return { mode: "arena", squadPower, suggestions: suggestions.slice(0, limit) };
+	}
+
+	/**
+	 * Every single-step upgrade available on a machine, with the upgraded copy.
+	 * @param {Object} machine
+	 * @returns {Array<{upgrade: SingleUpgrade, changed: Object}>}
+	 * @private
+	 */
+	_arenaUpgradeSteps(machine) {
+		const steps = [];
+		const step = (upgradeType, currentValue, requiredValue, changed) => {
+			steps.push({ upgrade: { machineId: machine.id, machineName: machine.name, upgradeType, currentValue, requiredValue }, changed: { ...machine, ...changed } });
+		};
+
+		step("level", machine.level, machine.level + 1, { level: machine.level + 1 });
+
+		const maxBlueprint = Calculator.getMaxBlueprintLevel(machine.level);
+		for (const stat of ["damage", "health", "armor"]) {
+			const current = machine.blueprints[stat];
+			if (current < maxBlueprint) step(stat, current, current + 1, { blueprints: { ...machine.blueprints, [stat]: current + 1 } });
+		}
+
+		const rarityKey = machine.rarity?.toLowerCase() || "common";
+		const nextRarity = AppConfig.RARITIES.find((r) => r.level === AppConfig.getRarityLevel(rarityKey) + 1);
+		if (nextRarity) step("rarity", rarityKey, nextRarity.key, { rarity: nextRarity.key });
+
+		step("sacred", machine.sacredLevel ?? 0, (machine.sacredLevel ?? 0) + 1, { sacredLevel: (machine.sacredLevel ?? 0) + 1 });
+		step("inscription", machine.inscriptionLevel ?? 0, (machine.inscriptionLevel ?? 0) + 1, { inscriptionLevel: (machine.inscriptionLevel ?? 0) + 1 });
+
+		return steps;
+	}
+
+	/**
+	 * Squad arena power with at most one machine swapped for an upgraded copy.
+	 * Stats are recomputed the way Optimizer.calculateAllStats does.
+	 * @param {Object[]}    formation
+	 * @param {Object|null} changed - Upgraded machine (matched by id)
+	 * @param {number}      globalRarityLevels
+	 * @returns {Decimal}
+	 * @private
+	 */
+	_arenaSquadPower(formation, changed, globalRarityLevels) {
+		let total = new Decimal(0);
+
+		for (const machine of formation) {
+			const current = changed?.id === machine.id ? changed : machine;
+			const battleStats = Calculator.calculateBattleAttributes(current, machine.crew || [], globalRarityLevels, this.artifactArray, this.engineerLevel);
+			const arenaStats = Calculator.calculateArenaAttributes({ ...current, battleStats }, globalRarityLevels, this.scarabLevel, this.riftRank);
+			total = total.add(Calculator.computeMachinePower(arenaStats));
+		}
+
+		return total;
+	}
+
+	// ─────────────────────────────────────────────
+	// Roadmap
+	// ─────────────────────────────────────────────
+
+	/**
+	 * Plans the cheapest upgrades to earn several more stars, as an ordered checklist.
+	 *
+	 * The whole plan is searched at once against every target, so one set of
+	 * upgrades serves all of them instead of paying for each star separately.
+	 * It is then split into steps: for each target in order, the cheapest part
+	 * of the remaining plan that clears it.
+	 * @param {Object[]} formation
+	 * @param {Object}   lastCleared - difficulty → last cleared mission number
+	 * @param {Object}   [options]
+	 * @param {number}   [options.stars=3]    - Number of next stars, picked like findNextTarget
+	 * @param {MissionTarget|null} [options.target] - Plan every mission up to this one instead
+	 * @returns {UpgradeRoadmap|null} null when there is nothing left to clear
+	 */
+	planRoadmap(formation, lastCleared, { stars = 3, target = null } = {}) {
+		if (!formation?.length) return null;
+
+		const targets = (target ? this._missionsUpTo(lastCleared, target) : this._nextStars(formation, lastCleared, stars)).slice(0, AppConfig.UPGRADE_ROADMAP_MAX_STARS);
+		if (targets.length === 0) return null;
+
+		const alreadyClears = this._canPassAll(formation, [], targets);
+		const total = alreadyClears ? { upgrades: [], totalPowerGain: new Decimal(0), cost: this.costModel.pathCost([]) } : (this._candidatePaths(formation, targets)[0] ?? null);
+		if (!total) {
+			return { steps: [], total: null, canPass: false };
+		}
+
+		// Split the plan into per-target steps, each continuing from the last
+		const byId = new Map(formation.map((m) => [m.id, m]));
+		const specs = total.upgrades.map((u) => ({ machine: byId.get(u.machineId), type: u.upgradeType }));
+		const limits = total.upgrades.map((u) => u.requiredValue - u.currentValue);
+		let reached = specs.map(() => 0);
+
+		const steps = targets.map(({ mission, difficulty }) => {
+			const found = this._searchDistribution(formation, specs, [{ mission, difficulty }], { start: reached, limits });
+			const distribution = found?.distribution ?? limits;
+
+			const upgrades = [];
+			specs.forEach(({ machine, type }, i) => {
+				if (distribution[i] <= reached[i]) return;
+				const base = type === "level" ? machine.level : machine.blueprints[type];
+				upgrades.push({ machineId: machine.id, machineName: machine.name, upgradeType: type, currentValue: base + reached[i], requiredValue: base + distribution[i] });
+			});
+
+			reached = distribution;
+			return { difficulty, mission, upgrades, cost: this.costModel.pathCost(upgrades) };
+		});
+
+		return { steps, total, canPass: true };
+	}
+
+	/**
+	 * The next `count` stars in the order findNextTarget would pick them.
+	 * @param {Object[]} formation
+	 * @param {Object}   lastCleared
+	 * @param {number}   count
+	 * @returns {MissionTarget[]}
+	 * @private
+	 */
+	_nextStars(formation, lastCleared, count) {
+		const cleared = { ...lastCleared };
+		const targets = [];
+
+		for (let i = 0; i < count; i++) {
+			const next = this.findNextTarget(cleared, formation);
+			if (!next) break;
+			targets.push({ difficulty: next.difficulty, mission: next.mission });
+			cleared[next.difficulty] = next.mission;
+		}
+
+		return targets;
+	}
+
+	/**
+	 * Every uncleared mission of the target's difficulty up to and including it.
+	 * @param {Object}        lastCleared
+	 * @param {MissionTarget} target
+	 * @returns {MissionTarget[]}
+	 * @private
+	 */
+	_missionsUpTo(lastCleared, { difficulty, mission }) {
+		const targets = [];
+		const last = Math.min(mission, AppConfig.MAX_MISSIONS_PER_DIFFICULTY);
+		for (let m = (lastCleared?.[difficulty] || 0) + 1; m <= last; m++) targets.push({ difficulty, mission: m });
+		return targets;
+	}
+
+	/**
+	 * Runs every strategy on the top two machines and returns the passing paths,
+	 * deduplicated and cheapest first.
+	 * @param {Object[]}        formation
+	 * @param {MissionTarget[]} targets - All must be cleared
+	 * @returns {UpgradePath[]}
+	 * @private
+	 */
+	_candidatePaths(formation, targets) {
 		const topMachines = this.getTopMachines(formation, 2);
 		if (topMachines.length === 0) return [];
 
@@ -130,26 +374,18 @@ export class UpgradeAnalyzer {
 
 		// Single machine strategies
 		for (const machine of topMachines) {
-			paths.push(...this.findSingleUpgradePaths(formation, machine, mission, difficulty));
-			paths.push(...this.findCombinedUpgradePaths(formation, machine, mission, difficulty));
+			paths.push(...this.findSingleUpgradePaths(formation, machine, targets));
+			paths.push(...this.findCombinedUpgradePaths(formation, machine, targets));
 		}
 
 		// Two-machine strategy — combinatorial spec generation
 		if (topMachines.length >= 2) {
-			paths.push(...this.findOptimalMultiMachineUpgrades(formation, topMachines.slice(0, 2), mission, difficulty));
+			paths.push(...this.findOptimalMultiMachineUpgrades(formation, topMachines.slice(0, 2), targets));
 		}
 
 		const unique = this._deduplicatePaths(paths);
-		unique.sort((a, b) => a.totalUpgradeAmount - b.totalUpgradeAmount);
-
-		// Keep only the best path per upgrade-count bucket (1–4)
-		const bestByCount = new Map();
-		for (const path of unique) {
-			const n = path.upgrades.length;
-			if (n >= 1 && n <= 4 && !bestByCount.has(n)) bestByCount.set(n, path);
-		}
-
-		return Array.from({ length: 4 }, (_, i) => bestByCount.get(i + 1)).filter(Boolean);
+		unique.sort((a, b) => a.cost.total - b.cost.total);
+		return unique;
 	}
 
 	// ─────────────────────────────────────────────
@@ -162,16 +398,15 @@ export class UpgradeAnalyzer {
 	 * avoiding a separate code path.
 	 * @param {Object[]} formation
 	 * @param {Object}   machine
-	 * @param {number}   mission
-	 * @param {string}   difficulty
+	 * @param {MissionTarget[]} targets - All must be cleared
 	 * @returns {UpgradePath[]}
 	 */
-	findSingleUpgradePaths(formation, machine, mission, difficulty) {
+	findSingleUpgradePaths(formation, machine, targets) {
 		const paths = [];
 		const stats = machine.role === "tank" ? ["health", "armor"] : ["damage", "health"];
 
 		for (const type of ["level", ...stats]) {
-			const path = this.findMinimumCombinedUpgrade(formation, machine, [type], mission, difficulty);
+			const path = this.findMinimumCombinedUpgrade(formation, machine, [type], targets);
 			if (path) paths.push(path);
 		}
 
@@ -182,23 +417,22 @@ export class UpgradeAnalyzer {
 	 * Finds combined multi-stat upgrades on a single machine.
 	 * @param {Object[]} formation
 	 * @param {Object}   machine
-	 * @param {number}   mission
-	 * @param {string}   difficulty
+	 * @param {MissionTarget[]} targets - All must be cleared
 	 * @returns {UpgradePath[]}
 	 */
-	findCombinedUpgradePaths(formation, machine, mission, difficulty) {
+	findCombinedUpgradePaths(formation, machine, targets) {
 		const paths = [];
 		const stats = machine.role === "tank" ? ["health", "armor"] : ["damage", "health"];
 
 		// Level + one blueprint
 		for (const stat of stats) {
-			const path = this.findMinimumCombinedUpgrade(formation, machine, ["level", stat], mission, difficulty);
+			const path = this.findMinimumCombinedUpgrade(formation, machine, ["level", stat], targets);
 			if (path) paths.push(path);
 		}
 
 		// Both primary blueprints together
 		if (stats.length >= 2) {
-			const path = this.findMinimumCombinedUpgrade(formation, machine, stats, mission, difficulty);
+			const path = this.findMinimumCombinedUpgrade(formation, machine, stats, targets);
 			if (path) paths.push(path);
 		}
 
@@ -218,11 +452,10 @@ export class UpgradeAnalyzer {
 	 *
 	 * @param {Object[]} formation
 	 * @param {Object[]} topMachines - Exactly 2 machines
-	 * @param {number}   mission
-	 * @param {string}   difficulty
+	 * @param {MissionTarget[]} targets - All must be cleared
 	 * @returns {UpgradePath[]}
 	 */
-	findOptimalMultiMachineUpgrades(formation, topMachines, mission, difficulty) {
+	findOptimalMultiMachineUpgrades(formation, topMachines, targets) {
 		const [m1, m2] = topMachines;
 		const s1 = m1.role === "tank" ? "health" : "damage";
 		const s2 = m2.role === "tank" ? "health" : "damage";
@@ -240,7 +473,7 @@ export class UpgradeAnalyzer {
 		// Generate all unique subsets of size 2–4 from the atom list
 		for (let size = 4; size >= 2; size--) {
 			for (const combo of this._combinations(atoms, size)) {
-				const result = this.findOptimalIncrementDistribution(formation, combo, mission, difficulty);
+				const result = this.findOptimalIncrementDistribution(formation, combo, targets);
 				if (result) paths.push(result);
 			}
 		}
@@ -254,20 +487,54 @@ export class UpgradeAnalyzer {
 
 	/**
 	 * Finds the cheapest increment distribution across a set of upgrade specs
-	 * that allows the formation to pass the mission.
+	 * that allows the formation to pass every target.
 	 * @param {Object[]} formation
 	 * @param {Array<{machine: Object, type: string}>} upgradeSpecs
-	 * @param {number}   mission
-	 * @param {string}   difficulty
+	 * @param {MissionTarget[]} targets - All must be cleared
 	 * @returns {UpgradePath|null}
 	 */
-	findOptimalIncrementDistribution(formation, upgradeSpecs, mission, difficulty) {
-		const MAX_COST = 200;
+	findOptimalIncrementDistribution(formation, upgradeSpecs, targets) {
+		return this._searchDistribution(formation, upgradeSpecs, targets)?.path ?? null;
+	}
 
-		for (let targetCost = upgradeSpecs.length; targetCost <= MAX_COST; targetCost++) {
-			for (const distribution of this._generateDistributions(targetCost, upgradeSpecs)) {
-				const result = this._applyDistribution(formation, upgradeSpecs, distribution, mission, difficulty);
-				if (result) return result;
+	/**
+	 * Best-first search over increment vectors ordered by resource cost: each
+	 * step raises one spec by one. Costs only grow along a step, so the first
+	 * passing distribution taken off the frontier is the cheapest one.
+	 * At most MAX_EVALUATIONS distributions are tested.
+	 * @param {Object[]} formation
+	 * @param {Array<{machine: Object, type: string}>} upgradeSpecs
+	 * @param {MissionTarget[]} targets
+	 * @param {Object}   [options]
+	 * @param {number[]} [options.start]  - First distribution tried (default +1 on every spec)
+	 * @param {number[]} [options.limits] - Highest increment per spec (default 100)
+	 * @returns {{distribution: number[], path: UpgradePath}|null}
+	 * @private
+	 */
+	_searchDistribution(formation, upgradeSpecs, targets, { start = upgradeSpecs.map(() => 1), limits = upgradeSpecs.map(() => 100) } = {}) {
+		const MAX_EVALUATIONS = 400;
+
+		const frontier = [{ distribution: start, cost: this._distributionCost(upgradeSpecs, start) }];
+		const seen = new Set([start.join(",")]);
+
+		for (let evaluated = 0; evaluated < MAX_EVALUATIONS && frontier.length > 0; evaluated++) {
+			let cheapest = 0;
+			for (let i = 1; i < frontier.length; i++) {
+				if (frontier[i].cost < frontier[cheapest].cost) cheapest = i;
+			}
+			const [{ distribution }] = frontier.splice(cheapest, 1);
+
+			const path = this._applyDistribution(formation, upgradeSpecs, distribution, targets);
+			if (path) return { distribution, path };
+
+			for (let i = 0; i < distribution.length; i++) {
+				if (distribution[i] >= limits[i]) continue;
+				const next = [...distribution];
+				next[i]++;
+				const key = next.join(",");
+				if (seen.has(key)) continue;
+				seen.add(key);
+				frontier.push({ distribution: next, cost: this._distributionCost(upgradeSpecs, next) });
 			}
 		}
 
@@ -276,10 +543,11 @@ export class UpgradeAnalyzer {
 
 	/**
 	 * Applies one increment distribution to the formation, tests it, and returns
-	 * an UpgradePath if it passes — null otherwise.
+	 * an UpgradePath if it passes every target — null otherwise.
+	 * Specs with a zero increment are left out of the path.
 	 * @private
 	 */
-	_applyDistribution(formation, upgradeSpecs, distribution, mission, difficulty) {
+	_applyDistribution(formation, upgradeSpecs, distribution, targets) {
 		const machineUpgradeMap = new Map();
 		const upgradesList = [];
 		let exceedsCap = false;
@@ -287,6 +555,7 @@ export class UpgradeAnalyzer {
 		for (let i = 0; i < upgradeSpecs.length; i++) {
 			const { machine, type } = upgradeSpecs[i];
 			const increment = distribution[i];
+			if (increment === 0) continue;
 
 			if (!machineUpgradeMap.has(machine.id)) {
 				machineUpgradeMap.set(machine.id, { machine, upgrade: {}, upgrades: [] });
@@ -321,52 +590,29 @@ export class UpgradeAnalyzer {
 			upgradesList.push(...upgrades);
 		}
 
-		if (!this.canPassWithUpgrades(formation, machineUpgrades, mission, difficulty)) return null;
+		if (!this._canPassAll(formation, machineUpgrades, targets)) return null;
 
 		let totalPowerGain = new Decimal(0);
 		for (const { machine, upgrade } of machineUpgrades) {
 			totalPowerGain = totalPowerGain.add(this.calculateUpgradePowerGain(machine, upgrade));
 		}
 
-		const actualCost = upgradesList.reduce((sum, u) => {
-			return sum + (u.requiredValue - u.currentValue) * (u.upgradeType === "level" ? 2 : 1);
-		}, 0);
-
-		return { upgrades: upgradesList, totalPowerGain, totalUpgradeAmount: actualCost };
+		return { upgrades: upgradesList, totalPowerGain, cost: this.costModel.pathCost(upgradesList) };
 	}
 
 	/**
-	 * Generates all increment distributions that sum to `targetCost`,
-	 * accounting for the 2× cost of level upgrades.
-	 * Uses backtracking with an in-place array — the array is copied
-	 * on each valid solution push so callers receive independent arrays.
-	 * @param {number} targetCost
-	 * @param {Array<{type: string}>} upgradeSpecs
-	 * @returns {number[][]}
+	 * Weighted resource cost of one increment distribution.
+	 * @param {Array<{machine: Object, type: string}>} upgradeSpecs
+	 * @param {number[]} distribution
+	 * @returns {number}
 	 * @private
 	 */
-	_generateDistributions(targetCost, upgradeSpecs) {
-		const distributions = [];
-		const n = upgradeSpecs.length;
-		const multipliers = upgradeSpecs.map((s) => (s.type === "level" ? 2 : 1));
-		const current = new Array(n).fill(0);
-
-		const recurse = (index, remaining) => {
-			if (index === n) {
-				if (remaining === 0) distributions.push([...current]);
-				return;
-			}
-
-			const max = Math.floor(remaining / multipliers[index]);
-			for (let inc = 1; inc <= max; inc++) {
-				current[index] = inc;
-				recurse(index + 1, remaining - inc * multipliers[index]);
-			}
-			current[index] = 0; // explicit backtrack for clarity
-		};
-
-		recurse(0, targetCost);
-		return distributions;
+	_distributionCost(upgradeSpecs, distribution) {
+		const upgrades = upgradeSpecs.map(({ machine, type }, i) => {
+			const current = type === "level" ? machine.level : machine.blueprints[type];
+			return { upgradeType: type, currentValue: current, requiredValue: current + distribution[i] };
+		});
+		return this.costModel.pathCost(upgrades).total;
 	}
 
 	// ─────────────────────────────────────────────
@@ -374,60 +620,19 @@ export class UpgradeAnalyzer {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Finds the minimum combined increment on a set of upgrade types for one machine
-	 * that allows passing the mission.
+	 * Finds the cheapest combination of increments on a set of upgrade types for
+	 * one machine that allows passing the mission.
 	 * Single-type upgrades call this with a one-element array, eliminating the
 	 * separate `findMinimumUpgrade` function.
 	 * @param {Object[]}  formation
 	 * @param {Object}    machine
 	 * @param {string[]}  upgradeTypes
-	 * @param {number}    mission
-	 * @param {string}    difficulty
+	 * @param {MissionTarget[]} targets - All must be cleared
 	 * @returns {UpgradePath|null}
 	 */
-	findMinimumCombinedUpgrade(formation, machine, upgradeTypes, mission, difficulty) {
-		for (let increment = 1; increment <= 100; increment++) {
-			const upgrades = [];
-			const upgrade = {};
-			let exceedsCap = false;
-
-			for (const type of upgradeTypes) {
-				if (type === "level") {
-					const newLevel = machine.level + increment;
-					upgrade.level = newLevel;
-					upgrades.push({ machineId: machine.id, machineName: machine.name, upgradeType: "level", currentValue: machine.level, requiredValue: newLevel });
-				} else {
-					const current = machine.blueprints[type];
-					const newValue = current + increment;
-					const checkLevel = upgrade.level ?? machine.level;
-
-					if (newValue > Calculator.getMaxBlueprintLevel(checkLevel)) {
-						exceedsCap = true;
-						break;
-					}
-
-					if (!upgrade.blueprints) upgrade.blueprints = { ...machine.blueprints };
-					upgrade.blueprints[type] = newValue;
-					upgrades.push({ machineId: machine.id, machineName: machine.name, upgradeType: type, currentValue: current, requiredValue: newValue });
-				}
-			}
-
-			if (exceedsCap) continue;
-
-			if (this.canPassWithUpgrades(formation, [{ machine, upgrade }], mission, difficulty)) {
-				const actualCost = upgrades.reduce((sum, u) => {
-					return sum + (u.requiredValue - u.currentValue) * (u.upgradeType === "level" ? 2 : 1);
-				}, 0);
-
-				return {
-					upgrades,
-					totalPowerGain: this.calculateUpgradePowerGain(machine, upgrade),
-					totalUpgradeAmount: actualCost,
-				};
-			}
-		}
-
-		return null;
+	findMinimumCombinedUpgrade(formation, machine, upgradeTypes, targets) {
+		const upgradeSpecs = upgradeTypes.map((type) => ({ machine, type }));
+		return this.findOptimalIncrementDistribution(formation, upgradeSpecs, targets);
 	}
 
 	// ─────────────────────────────────────────────
@@ -476,6 +681,60 @@ export class UpgradeAnalyzer {
 		return false;
 	}
 
+	/**
+	 * Returns true if the formation (with upgrades applied) can pass every target.
+	 * Later targets are checked first since they are usually the hardest.
+	 * @param {Object[]} formation
+	 * @param {Array<{machine: Object, upgrade: Object}>} machineUpgrades
+	 * @param {MissionTarget[]} targets
+	 * @returns {boolean}
+	 * @private
+	 */
+	_canPassAll(formation, machineUpgrades, targets) {
+		for (let i = targets.length - 1; i >= 0; i--) {
+			if (!this.canPassWithUpgrades(formation, machineUpgrades, targets[i].mission, targets[i].difficulty)) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Simulates the formation against the next target mission (see findNextTarget)
+	 * until it loses, recording the full event log of that losing battle.
+	 * Battles run on the WASM engine's run_battle_logged when `wasm` is given.
+	 * @param {Object[]} formation
+	 * @param {Object}   lastCleared
+	 * @param {number}   [maxAttempts=50]
+	 * @param {{WmoEngine: Function}|null} [wasm=null] - From loadWasmEngine()
+	 * @returns {{difficulty: string, mission: number, battle: import('../battleengine.js').BattleResult|null, wins: number, attempts: number}|null}
+	 *          null when there is no next target; `battle` is null when every attempt was won
+	 */
+	replayNextTargetLoss(formation, lastCleared, maxAttempts = 50, wasm = null) {
+		if (!formation?.length) return null;
+
+		const target = this.findNextTarget(lastCleared, formation);
+		if (!target) return null;
+
+		const enemies = Calculator.getEnemyTeamForMission(target.mission, target.difficulty);
+		const runner = wasm
+			? createLoggedBattleRunner(wasm, formation, enemies, this.seed)
+			: { run: () => this.battleEngine.runBattle(formation, enemies, AppConfig.MAX_BATTLE_ROUNDS, true, { recordLog: true }), dispose() {} };
+
+		try {
+			let wins = 0;
+			for (let i = 1; i <= maxAttempts; i++) {
+				const battle = runner.run();
+				if (!battle.playerWon) {
+					return { difficulty: target.difficulty, mission: target.mission, battle, wins, attempts: i };
+				}
+				wins++;
+			}
+
+			return { difficulty: target.difficulty, mission: target.mission, battle: null, wins, attempts: maxAttempts };
+		} finally {
+			runner.dispose();
+		}
+	}
+
 	// ─────────────────────────────────────────────
 	// Helpers
 	// ─────────────────────────────────────────────
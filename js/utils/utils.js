@@ -54,3 +54,29 @@ export function isConfiguredMachine({ rarity, level, blueprints }) {
 export function isConfiguredHero({ percentages }) {
 	return Object.values(percentages).some((v) => v > 0);
 }
+
+// ─────────────────────────────────────────────
+// Hashing
+// ─────────────────────────────────────────────
+
+/**
+ * Hashes a JSON-compatible value to 8 hex characters (FNV-1a, 32-bit).
+ * Object keys are sorted first, so key order does not change the hash.
+ * Used to tell whether inputs changed since a stored result was computed;
+ * not suitable for anything security-related.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function hashObject(value) {
+	const text = JSON.stringify(value, (_key, val) =>
+		val && typeof val === "object" && !Array.isArray(val) ? Object.fromEntries(Object.keys(val).sort().map((k) => [k, val[k]])) : val,
+	);
+
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, "0");
+}
@@ -0,0 +1,123 @@
+// js/wasmCodec.js
+//
+// Conversions between JS engine objects and the DTOs the WASM engine reads
+// and returns (see src/types.rs). Shared by the optimizer worker and the
+// battle replay, which both talk to the engine loaded by wasmLoader.js.
+
+import Decimal from "./vendor/break_eternity.esm.js";
+import { AppConfig } from "./config.js";
+import { Calculator } from "./calculator.js";
+
+// ─────────────────────────────────────────────
+// Decimals
+// ─────────────────────────────────────────────
+
+/**
+ * @param {number|string|Decimal|{sign: number, layer: number, mag: number}|null} value
+ * @returns {{sign: number, layer: number, mag: number}}
+ */
+export function toDecimalDto(value) {
+	if (value === null || value === undefined) return { sign: 0, layer: 0, mag: 0 };
+	if (typeof value === "number") {
+		const d = new Decimal(value);
+		return { sign: d.sign, layer: d.layer, mag: d.mag };
+	}
+	if (typeof value === "object" && "mag" in value) {
+		return { sign: Number(value.sign), layer: Number(value.layer), mag: Number(value.mag) };
+	}
+	const d = new Decimal(value);
+	return { sign: d.sign, layer: d.layer, mag: d.mag };
+}
+
+/**
+ * @param {{sign: number, layer: number, mag: number}|null} dto
+ * @returns {Decimal}
+ */
+export function dtoToDecimal(dto) {
+	if (!dto) return new Decimal(0);
+	return Decimal.fromComponents(dto.sign, dto.layer, dto.mag);
+}
+
+// ─────────────────────────────────────────────
+// Ability encoding — integer codes shared with FlatMachine / BattleUnitDto
+// ─────────────────────────────────────────────
+
+export function encodeEffect(e) {
+	return e === "damage" ? 1 : e === "heal" ? 2 : 0;
+}
+export function encodeTargeting(t) {
+	return t === "random" ? 0 : t === "all" ? 1 : t === "lowest" ? 2 : t === "last" ? 3 : t === "self" ? 4 : 0;
+}
+export function encodeScaleStat(s) {
+	return s === "health" ? 1 : 0;
+}
+
+// ─────────────────────────────────────────────
+// Battles
+// ─────────────────────────────────────────────
+
+/**
+ * Battle-ready machine or enemy (battleStats applied) → BattleUnitDto.
+ * @param {Object} unit
+ * @returns {Object}
+ */
+export function toBattleUnitDto(unit) {
+	const { battleStats: bs, ability: ab } = unit;
+	return {
+		damage: toDecimalDto(bs.damage),
+		health: toDecimalDto(bs.health),
+		max_health: toDecimalDto(bs.maxHealth || bs.health),
+		armor: toDecimalDto(bs.armor),
+
+		ability_effect: ab ? encodeEffect(ab.effect) : 0,
+		ability_targeting: ab ? encodeTargeting(ab.targeting) : 0,
+		ability_num_targets: ab?.numTargets ?? 0,
+		ability_scale_stat: ab ? encodeScaleStat(ab.scaleStat) : 0,
+		ability_multiplier: ab?.multiplier ?? 0,
+		overdrive_chance: Calculator.calculateOverdrive(unit),
+	};
+}
+
+/**
+ * Runs logged battles between two fixed teams on a WmoEngine. Each run()
+ * returns the same shape as BattleEngine.runBattle(..., { recordLog: true }),
+ * with the input teams standing in for the end-of-battle team copies.
+ * Call dispose() when done to free the engine.
+ * @param {{WmoEngine: Function}} wasm - From loadWasmEngine()
+ * @param {Object[]} playerTeam
+ * @param {Object[]} enemyTeam
+ * @param {number}   seed
+ * @returns {{run: () => import('./battleengine.js').BattleResult, dispose: () => void}}
+ */
+export function createLoggedBattleRunner(wasm, playerTeam, enemyTeam, seed) {
+	const engine = new wasm.WmoEngine(BigInt(seed));
+	const player = playerTeam.map(toBattleUnitDto);
+	const enemy = enemyTeam.map(toBattleUnitDto);
+
+	return {
+		run() {
+			const { playerWon, rounds, log } = engine.run_battle_logged(player, enemy, AppConfig.MAX_BATTLE_ROUNDS);
+			const decoded = log.map((round) => ({
+				round: round.round,
+				events: round.events.map((e) => ({ ...e, amount: dtoToDecimal(e.amount) })),
+				playerHP: round.playerHP.map(dtoToDecimal),
+				enemyHP: round.enemyHP.map(dtoToDecimal),
+			}));
+			const final = decoded.at(-1) ?? { playerHP: player.map((u) => dtoToDecimal(u.health)), enemyHP: enemy.map((u) => dtoToDecimal(u.health)) };
+			const sum = (hp) => hp.reduce((total, value) => total.add(value), new Decimal(0));
+
+			return {
+				playerWon,
+				rounds,
+				playerTeam,
+				enemyTeam,
+				playerTotalHP: sum(final.playerHP),
+				enemyTotalHP: sum(final.enemyHP),
+				log: decoded,
+			};
+		},
+		dispose() {
+			engine.free();
+		},
+	};
+}
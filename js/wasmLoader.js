@@ -0,0 +1,75 @@
+// js/wasmLoader.js
+//
+// Loads the WASM engine: in the optimizer worker, in each Monte Carlo pool
+// worker, and on the page for the battle replay. The module is fetched and
+// instantiated once per context; every caller shares the same promise.
+
+/**
+ * @typedef {Object} WasmExports
+ * @property {Function}      WmoEngine
+ * @property {Function|null} CampaignJob - Step-wise campaign export; absent from engine builds that predate it
+ */
+
+/**
+ * Interface version this code expects; must equal ENGINE_API_VERSION in
+ * src/lib.rs. A build reporting another version (or none) was compiled from
+ * older Rust sources and would silently ignore newer config fields, so it is
+ * not used — run build.sh to regenerate js/wasm/.
+ */
+const ENGINE_API_VERSION = 1;
+
+/** @type {Promise<WasmExports|null>|null} */
+let loading = null;
+
+/**
+ * Loads the WASM engine, or resolves null if it cannot be loaded or is out
+ * of date (callers then fall back to the JS engine).
+ * @returns {Promise<WasmExports|null>}
+ */
+export function loadWasmEngine() {
+	loading ??= load();
+	return loading;
+}
+
+async function load() {
+	try {
+		// ── Step 1: fetch the JS glue module as text and eval it as a blob ──
+		// fetch() goes through the service worker, unlike dynamic import().
+		// We convert it to a blob URL so we can import it as a module.
+		const jsUrl    = new URL("./wasm/wmo_engine.js", import.meta.url).href;
+		const jsResp   = await fetch(jsUrl);
+		if (!jsResp.ok) throw new Error(`Failed to fetch wmo_engine.js: ${jsResp.status}`);
+ 
+		const jsText   = await jsResp.text();
+		const blob     = new Blob([jsText], { type: "text/javascript" });
+		const blobUrl  = URL.createObjectURL(blob);
+ 
+		const { default: init, WmoEngine: WmoEngineClass, CampaignJob: CampaignJobClass, engine_api_version: engineApiVersion } = await import(blobUrl);
+		URL.revokeObjectURL(blobUrl);
+ 
+		// ── Step 2: fetch the WASM binary as an ArrayBuffer ──────────────────
+		// Also goes through the SW. Pass the buffer directly to init() so
+		// WebAssembly.instantiate receives bytes rather than a URL — this avoids
+		// a second fetch that might bypass the SW.
+		const wasmUrl  = new URL("./wasm/wmo_engine_bg.wasm", import.meta.url).href;
+		const wasmResp = await fetch(wasmUrl);
+		if (!wasmResp.ok) throw new Error(`Failed to fetch wmo_engine_bg.wasm: ${wasmResp.status}`);
+ 
+		const wasmBuffer = await wasmResp.arrayBuffer();
+ 
+		await init({ module_or_path: wasmBuffer });
+
+		const version = engineApiVersion?.() ?? 0;
+		if (version !== ENGINE_API_VERSION) {
+			console.warn(`[WMO] WASM engine build is out of date (interface v${version}, expected v${ENGINE_API_VERSION}); using JS fallback. Run build.sh to rebuild it.`);
+			return null;
+		}
+ 
+		console.log("[WMO] WASM engine loaded");
+		return { WmoEngine: WmoEngineClass, CampaignJob: CampaignJobClass ?? null };
+	} catch (err) {
+		console.warn("[WMO] WASM failed, using JS fallback:", err);
+		return null;
+	}
+}
+
@@ -1,21 +1,69 @@
 // workerManager.js
+import { AppConfig } from "./config.js";
 import { showToast } from "./ui/notifications.js";
 
 /**
- * Manages the lifecycle of the optimizer Web Worker.
+ * Rejection reason when a job runs past its time limit.
+ * The worker is terminated; no partial result is available.
+ */
+export class OptimizationTimeoutError extends Error {
+	/**
+	 * @param {number} timeoutMs
+	 */
+	constructor(timeoutMs) {
+		super(`Optimization timed out after ${Math.round(timeoutMs / 60000)} minute(s). Try fewer machines or a lower Monte Carlo count.`);
+		this.name = "OptimizationTimeoutError";
+		this.timeoutMs = timeoutMs;
+	}
+}
+
+/**
+ * @typedef {Object} JobOptions
+ * @property {Function} [onProgress] - Called with each progress snapshot from the worker
+ * @property {number}   [timeoutMs=AppConfig.WORKER_TIMEOUT_MS] - 0 disables the timeout
+ */
+
+/**
+ * @typedef {Object} QueuedJob
+ * @property {number}     id
+ * @property {Object}     payload
+ * @property {JobOptions} options
+ * @property {Function}   resolve
+ * @property {Function}   reject
+ * @property {"auto"|"js"} engine - "auto" first; "js" when retrying after a WASM failure
+ */
+
+/**
+ * Single gateway to the optimizer Web Worker.
  *
  * Responsibilities:
- *   - Creating and terminating Worker instances
- *   - Routing messages to caller-supplied callbacks
- *   - Ensuring only one optimization runs at a time
+ *   - Promise-based jobs: run(payload) resolves with the result
+ *   - Queueing: jobs run one after another (e.g. campaign then arena)
+ *   - Timeouts: a job past its limit rejects with OptimizationTimeoutError
+ *   - Fallback: a job that fails in the WASM engine is retried once on the JS engine
+ *   - Cancel: cooperative (best partial result) or hard (terminate)
  *
- * Previously this logic lived inline in app.js, mixing worker management
- * with app initialization and UI event wiring.
+ * The worker is created lazily and reused across jobs so the WASM module
+ * is only loaded once.
  */
 export class WorkerManager {
-	constructor() {
+	/**
+	 * @param {string} [workerUrl="./js/optimizerWorker.js"]
+	 */
+	constructor(workerUrl = "./js/optimizerWorker.js") {
+		this._workerUrl = workerUrl;
+
 		/** @type {Worker|null} */
 		this._worker = null;
+
+		/** @type {QueuedJob[]} */
+		this._queue = [];
+
+		/** @type {QueuedJob|null} */
+		this._current = null;
+
+		this._timer = null;
+		this._nextId = 1;
 	}
 
 	// ─────────────────────────────────────────────
@@ -23,43 +71,65 @@ export class WorkerManager {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * True while an optimization is running.
+	 * True while a job is running.
 	 * @returns {boolean}
 	 */
 	get isRunning() {
-		return this._worker !== null;
+		return this._current !== null;
 	}
 
 	/**
-	 * Starts an optimization run.
-	 * If a run is already active it is cancelled before starting the new one.
-	 * @param {Object}   payload          - Data to post to the worker
-	 * @param {Function} onResult         - Called with the deserialized result on success
-	 * @param {Function} onLoadingChange  - Called with `true` at start and `false` at finish
+	 * Number of jobs waiting behind the running one.
+	 * @returns {number}
 	 */
-	run(payload, onResult, onLoadingChange) {
-		this._cancelCurrent();
-		onLoadingChange(true);
+	get pendingCount() {
+		return this._queue.length;
+	}
 
-		const worker = new Worker("js/optimizerWorker.js", { type: "module" });
-		this._worker = worker;
+	/**
+	 * Queues an optimization run.
+	 * @param {Object}     payload - Data for the worker (see _buildWorkerPayload in app.js)
+	 * @param {JobOptions} [options]
+	 * @returns {Promise<Object>} Serialized result; `cancelled` is set if it was stopped early
+	 */
+	run(payload, options = {}) {
+		return new Promise((resolve, reject) => {
+			this._queue.push({ id: this._nextId++, payload, options, resolve, reject, engine: "auto" });
+			this._pump();
+		});
+	}
 
-		worker.onmessage = (e) => {
-			this._worker = null;
-			onLoadingChange(false);
-			this._handleMessage(e.data, onResult);
-			this._dispose(worker);
-		};
+	/**
+	 * Queues several runs back to back, e.g. campaign then arena.
+	 * @param {Object[]}   payloads
+	 * @param {JobOptions} [options] - Shared by every job
+	 * @returns {Promise<Object[]>} Results in payload order
+	 */
+	runAll(payloads, options = {}) {
+		return Promise.all(payloads.map((payload) => this.run(payload, options)));
+	}
 
-		worker.onerror = (err) => {
-			this._worker = null;
-			onLoadingChange(false);
-			console.error(new Error("Worker error", { cause: err }));
-			showToast("Optimization failed. Please try again.", "danger");
-			this._dispose(worker);
-		};
+	/**
+	 * Cooperative cancel: the running job stops after its current step and
+	 * resolves with its best partial result. Queued jobs are dropped.
+	 */
+	cancel() {
+		this._rejectQueued();
+		if (this._current) this._worker?.postMessage({ type: "cancel", id: this._current.id });
+	}
 
-		worker.postMessage(payload);
+	/**
+	 * Hard stop: terminates the worker and rejects the running and queued jobs
+	 * with an AbortError.
+	 */
+	terminate() {
+		this._rejectQueued();
+		if (this._current) {
+			const job = this._current;
+			this._disposeWorker();
+			this._settle();
+			job.reject(WorkerManager._abortError());
+		}
 	}
 
 	// ─────────────────────────────────────────────
@@ -67,39 +137,149 @@ export class WorkerManager {
 	// ─────────────────────────────────────────────
 
 	/**
-	 * Cancels and disposes the currently running worker, if any.
+	 * Starts the next queued job if the worker is idle.
 	 * @private
 	 */
-	_cancelCurrent() {
-		if (!this._worker) return;
-		showToast("Previous optimization cancelled", "info");
-		this._dispose(this._worker);
-		this._worker = null;
+	_pump() {
+		if (this._current || this._queue.length === 0) return;
+		this._current = this._queue.shift();
+		this._start(this._current);
 	}
 
 	/**
-	 * Removes event listeners and terminates a worker instance.
+	 * Posts a job to the worker (creating it if needed) and arms the timeout.
 	 * @private
-	 * @param {Worker} worker
+	 * @param {QueuedJob} job
 	 */
-	_dispose(worker) {
-		worker.onmessage = null;
-		worker.onerror = null;
-		worker.terminate();
+	_start(job) {
+		const worker = this._ensureWorker();
+		worker.onmessage = (e) => this._handleMessage(job, e.data);
+		worker.onerror = (err) => this._handleCrash(job, err);
+
+		clearTimeout(this._timer);
+		const timeoutMs = job.options.timeoutMs ?? AppConfig.WORKER_TIMEOUT_MS;
+		if (timeoutMs > 0) {
+			this._timer = setTimeout(() => this._handleTimeout(job, timeoutMs), timeoutMs);
+		}
+
+		worker.postMessage({ type: "start", id: job.id, payload: { ...job.payload, engine: job.engine } });
 	}
 
 	/**
-	 * Routes a worker message to the result handler or shows an error toast.
+	 * Routes a worker message for the running job.
 	 * @private
-	 * @param {Object}   data     - Raw message data from the worker
-	 * @param {Function} onResult - Success callback
-	 */
-	_handleMessage(data, onResult) {
-		if (data.error) {
-			console.error(new Error("Optimization failed", { cause: data.error }));
-			showToast("Optimization failed. Please try again.", "danger");
-			return;
+	 * @param {QueuedJob} job
+	 * @param {Object}    data - Raw message data from the worker
+	 */
+	_handleMessage(job, data) {
+		if (job !== this._current || data.id !== job.id) return;
+
+		switch (data.type) {
+			case "progress":
+				job.options.onProgress?.(data.progress);
+				return;
+			case "result":
+				this._settle();
+				job.resolve(data.result);
+				return;
+			case "error":
+				if (data.engine === "wasm" && this._retryOnJs(job)) return;
+				this._settle();
+				job.reject(new Error("Optimization failed", { cause: data.error }));
+				return;
 		}
-		onResult(data);
+	}
+
+	/**
+	 * Handles an uncaught worker error. The worker is discarded since its
+	 * state is unknown; the job is retried on the JS engine once.
+	 * @private
+	 * @param {QueuedJob}  job
+	 * @param {ErrorEvent} err
+	 */
+	_handleCrash(job, err) {
+		if (job !== this._current) return;
+		this._disposeWorker();
+		if (this._retryOnJs(job)) return;
+		this._settle();
+		job.reject(new Error("Worker error", { cause: err }));
+	}
+
+	/**
+	 * Terminates a job that ran past its time limit.
+	 * @private
+	 * @param {QueuedJob} job
+	 * @param {number}    timeoutMs
+	 */
+	_handleTimeout(job, timeoutMs) {
+		if (job !== this._current) return;
+		this._disposeWorker();
+		this._settle();
+		job.reject(new OptimizationTimeoutError(timeoutMs));
+	}
+
+	/**
+	 * Restarts a job on the JS engine unless it already ran there.
+	 * @private
+	 * @param {QueuedJob} job
+	 * @returns {boolean} True if a retry was started
+	 */
+	_retryOnJs(job) {
+		if (job.engine === "js") return false;
+		job.engine = "js";
+		console.warn(`[WMO] WASM engine failed on job ${job.id}, retrying with the JS engine`);
+		showToast("WASM engine failed — retrying with the JS engine", "info");
+		this._start(job);
+		return true;
+	}
+
+	/**
+	 * Clears the running job and moves on to the next one.
+	 * @private
+	 */
+	_settle() {
+		clearTimeout(this._timer);
+		this._timer = null;
+		this._current = null;
+		this._pump();
+	}
+
+	/**
+	 * Rejects and drops every queued (not yet started) job.
+	 * @private
+	 */
+	_rejectQueued() {
+		const queued = this._queue.splice(0);
+		for (const job of queued) job.reject(WorkerManager._abortError());
+	}
+
+	/**
+	 * Returns the live worker, creating one if needed.
+	 * @private
+	 * @returns {Worker}
+	 */
+	_ensureWorker() {
+		if (!this._worker) this._worker = new Worker(this._workerUrl, { type: "module" });
+		return this._worker;
+	}
+
+	/**
+	 * Removes event listeners and terminates the worker.
+	 * @private
+	 */
+	_disposeWorker() {
+		if (!this._worker) return;
+		this._worker.onmessage = null;
+		this._worker.onerror = null;
+		this._worker.terminate();
+		this._worker = null;
+	}
+
+	/**
+	 * @private
+	 * @returns {DOMException}
+	 */
+	static _abortError() {
+		return new DOMException("Optimization cancelled", "AbortError");
 	}
 }
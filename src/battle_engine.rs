@@ -2,11 +2,13 @@
 //
 // Exact port of battleengine.js.
 // Uses Xorshift64 RNG (same statistical quality as Math.random(), much faster).
+// js/utils/rng.js is a bit-for-bit JS port, so a given seed replays identically
+// in both engines — keep the two in sync.
 // All targeting modes, ability effects, and attack order match the JS exactly.
 
 use break_eternity::Decimal;
 use crate::calculator::{compute_damage_taken, ATTACK_ORDER, FORMATION_SIZE};
-use crate::types::CombatUnit;
+use crate::types::{BattleEvent, BattleRound, CombatUnit, DecimalDto};
 
 // ---------------------------------------------------------------------------
 // Xorshift64 RNG — fast, good enough for Monte Carlo
@@ -36,6 +38,7 @@ impl Xorshift64 {
     }
 
     /// Fisher-Yates shuffle of indices 0..len, in-place
+    /// (on wasm32 the `as usize` cast keeps the low 32 bits — JS nextIndex relies on this)
     pub fn shuffle(&mut self, arr: &mut [usize]) {
         let n = arr.len();
         for i in (1..n).rev() {
@@ -74,6 +77,40 @@ impl BattleEngine {
         enemy_len: usize,
         max_rounds: u32,
     ) -> bool {
+        self.run_battle_inner(player_template, player_len, enemy_template, enemy_len, max_rounds, None).0
+    }
+
+    // -----------------------------------------------------------------------
+    // run_battle_logged — matches JS runBattle(..., { recordLog: true })
+    //
+    // Same simulation (and same RNG draws) as run_battle, plus a per-round
+    // event log. Returns (player_won, rounds, log).
+    // -----------------------------------------------------------------------
+
+    pub fn run_battle_logged(
+        &mut self,
+        player_template: &[CombatUnit; FORMATION_SIZE],
+        player_len: usize,
+        enemy_template: &[CombatUnit; FORMATION_SIZE],
+        enemy_len: usize,
+        max_rounds: u32,
+    ) -> (bool, u32, Vec<BattleRound>) {
+        let mut log = Vec::new();
+        let (won, rounds) = self.run_battle_inner(
+            player_template, player_len, enemy_template, enemy_len, max_rounds, Some(&mut log),
+        );
+        (won, rounds, log)
+    }
+
+    fn run_battle_inner(
+        &mut self,
+        player_template: &[CombatUnit; FORMATION_SIZE],
+        player_len: usize,
+        enemy_template: &[CombatUnit; FORMATION_SIZE],
+        enemy_len: usize,
+        max_rounds: u32,
+        mut log: Option<&mut Vec<BattleRound>>,
+    ) -> (bool, u32) {
         // Clone teams so we can mutate health without touching the templates
         let mut players = *player_template;
         let mut enemies = *enemy_template;
@@ -88,13 +125,25 @@ impl BattleEngine {
 
         let mut round = 0u32;
         while round < max_rounds && has_alive(&players) && has_alive(&enemies) {
-            self.attack_phase(&mut players, &mut enemies, true);
-            if !has_alive(&enemies) { break; }
-            self.attack_phase(&mut enemies, &mut players, false);
+            let mut events: Option<Vec<BattleEvent>> = log.as_ref().map(|_| Vec::new());
+            self.attack_phase(&mut players, &mut enemies, true, events.as_mut());
+            let enemies_down = !has_alive(&enemies);
+            if !enemies_down {
+                self.attack_phase(&mut enemies, &mut players, false, events.as_mut());
+            }
+            if let (Some(rounds), Some(events)) = (log.as_mut(), events) {
+                rounds.push(BattleRound {
+                    round: round + 1,
+                    events,
+                    player_hp: players[..player_len].iter().map(|u| DecimalDto::from_decimal(u.health)).collect(),
+                    enemy_hp: enemies[..enemy_len].iter().map(|u| DecimalDto::from_decimal(u.health)).collect(),
+                });
+            }
+            if enemies_down { break; }
             round += 1;
         }
 
-        !has_alive(&enemies) && has_alive(&players)
+        (!has_alive(&enemies) && has_alive(&players), round)
     }
 
     // -----------------------------------------------------------------------
@@ -106,7 +155,9 @@ impl BattleEngine {
         attackers: &mut [CombatUnit; FORMATION_SIZE],
         defenders: &mut [CombatUnit; FORMATION_SIZE],
         attackers_are_players: bool,
+        mut log: Option<&mut Vec<BattleEvent>>,
     ) {
+        let side = side_name(attackers_are_players);
         for &attacker_idx in &ATTACK_ORDER {
             if !has_alive_arr(defenders) { break; }
             if attacker_idx >= FORMATION_SIZE || attackers[attacker_idx].is_dead { continue; }
@@ -124,16 +175,22 @@ impl BattleEngine {
             if !damage.eq(&zero()) {
                 apply_single_damage(&mut defenders[target_idx], damage);
             }
+            if let Some(events) = log.as_mut() {
+                events.push(event("attack", side, attacker_idx, Some(target_idx), damage));
+                if defenders[target_idx].is_dead {
+                    events.push(event("death", side, attacker_idx, Some(target_idx), zero()));
+                }
+            }
 
-            // Ability trigger — only for player machines (matches JS: attackersTeam === players)
-            if attackers_are_players && attackers[attacker_idx].ability_effect != 0 {
+            // Ability trigger — either side (uniform enemies have ability_effect 0)
+            if attackers[attacker_idx].ability_effect != 0 {
                 let overdrive = attackers[attacker_idx].overdrive_chance;
                 if self.rng.next_f64() < overdrive {
                     let caster_idx = attacker_idx;
                     // We need to execute ability — pass both teams mutably
                     // Rust borrow checker: extract caster values first
                     let caster = attackers[caster_idx];
-                    self.execute_ability(&caster, attackers, defenders);
+                    self.execute_ability(&caster, caster_idx, side, attackers, defenders, log.as_deref_mut());
                 }
             }
         }
@@ -146,8 +203,11 @@ impl BattleEngine {
     fn execute_ability(
         &mut self,
         caster: &CombatUnit,
+        caster_idx: usize,
+        side: &'static str,
         player_team: &mut [CombatUnit; FORMATION_SIZE],
         enemy_team: &mut [CombatUnit; FORMATION_SIZE],
+        mut log: Option<&mut Vec<BattleEvent>>,
     ) {
         let effect     = caster.ability_effect;
         let targeting  = caster.ability_targeting;
@@ -165,15 +225,15 @@ impl BattleEngine {
 
         // ability.targets in JS: "ally"/"self" → player_team, "enemy" → enemy_team
         // In our encoding: effect=damage → target enemy_team, effect=heal → target player_team
-        // (matches JS: damage → enemy, heal → ally)
-        let target_team: &mut [CombatUnit; FORMATION_SIZE] = if effect == 2 {
-            player_team  // heal → allies
+        // (matches JS: damage → enemy, heal → ally); "self" is always the caster's own team
+        let target_team: &mut [CombatUnit; FORMATION_SIZE] = if effect == 2 || targeting == 4 {
+            player_team  // heal / self → allies
         } else {
             enemy_team   // damage → enemies
         };
 
-        // Select targets
-        match targeting {
+        // Select targets — matches JS selectAbilityTargets
+        let targets: Vec<usize> = match targeting {
             0 => {
                 // random
                 let count = num_targets.max(1);
@@ -181,24 +241,15 @@ impl BattleEngine {
                     .filter(|&i| !target_team[i].is_dead)
                     .collect();
                 self.rng.shuffle(&mut alive);
-                let selected: Vec<usize> = alive.into_iter().take(count).collect();
-                for idx in selected {
-                    apply_ability_to_target(&mut target_team[idx], effect, ability_value);
-                }
+                alive.into_iter().take(count).collect()
             }
             1 => {
                 // all
-                for i in 0..FORMATION_SIZE {
-                    if !target_team[i].is_dead {
-                        apply_ability_to_target(&mut target_team[i], effect, ability_value);
-                    }
-                }
+                (0..FORMATION_SIZE).filter(|&i| !target_team[i].is_dead).collect()
             }
             2 => {
                 // lowest HP
-                if let Some(idx) = lowest_hp_index(target_team) {
-                    apply_ability_to_target(&mut target_team[idx], effect, ability_value);
-                }
+                lowest_hp_index(target_team).into_iter().collect()
             }
             3 => {
                 // last N alive
@@ -207,29 +258,39 @@ impl BattleEngine {
                     .filter(|&i| !target_team[i].is_dead)
                     .collect();
                 let start = if alive.len() > count { alive.len() - count } else { 0 };
-                for &idx in &alive[start..] {
-                    apply_ability_to_target(&mut target_team[idx], effect, ability_value);
-                }
+                alive[start..].to_vec()
             }
             4 => {
-                // self — caster is in player_team; find its slot by pointer comparison
-                // We search player_team for the matching overdrive_chance + damage as proxy
-                // (In practice "self" abilities are heals so player_team is already target_team)
-                // Simplest: heal the caster directly
-                // We can't mutably borrow player_team here if target_team already borrows it.
-                // For "self" targeting we always target player_team regardless of effect.
-                // Re-find caster by matching stats — safe because caster values are Copy
-                for i in 0..FORMATION_SIZE {
-                    if !player_team[i].is_dead
-                        && player_team[i].damage == caster.damage
-                        && player_team[i].max_health == caster.max_health
-                    {
-                        apply_ability_to_target(&mut player_team[i], effect, ability_value);
-                        break;
-                    }
+                // self — re-find the caster in its team by matching stats
+                // (safe because caster values are Copy)
+                (0..FORMATION_SIZE)
+                    .find(|&i| {
+                        !target_team[i].is_dead
+                            && target_team[i].damage == caster.damage
+                            && target_team[i].max_health == caster.max_health
+                    })
+                    .into_iter()
+                    .collect()
+            }
+            _ => Vec::new(),
+        };
+
+        // Like JS executeAbility, a proc that finds no target is not logged
+        if targets.is_empty() { return; }
+
+        if let Some(events) = log.as_mut() {
+            events.push(event("ability", side, caster_idx, None, ability_value));
+        }
+        for idx in targets {
+            // Per-target outcome — mirrors the JS onApply callback
+            let outcome = apply_ability_to_target(&mut target_team[idx], effect, ability_value);
+            if let (Some(events), Some((amount, killed))) = (log.as_mut(), outcome) {
+                let kind = if effect == 2 { "heal" } else { "damage" };
+                events.push(event(kind, side, caster_idx, Some(idx), amount));
+                if killed {
+                    events.push(event("death", side, caster_idx, Some(idx), zero()));
                 }
             }
-            _ => {}
         }
     }
 }
@@ -289,17 +350,34 @@ fn apply_single_damage(target: &mut CombatUnit, damage: Decimal) {
     }
 }
 
-fn apply_ability_to_target(target: &mut CombatUnit, effect: u8, value: Decimal) {
-    if target.is_dead { return; }
+/// Applies a heal or damage ability to one unit.
+/// Returns (amount actually healed/dealt, killed) when the unit was affected —
+/// same cases in which the JS applyHealing/applyDamage call onApply.
+fn apply_ability_to_target(target: &mut CombatUnit, effect: u8, value: Decimal) -> Option<(Decimal, bool)> {
+    if target.is_dead { return None; }
     if effect == 2 {
         // heal — cap at maxHealth
+        let before = target.health;
         let new_hp = target.health + value;
         target.health = if new_hp > target.max_health { target.max_health } else { new_hp };
+        Some((target.health - before, false))
     } else if effect == 1 {
         // damage — goes through armor
         let actual = compute_damage_taken(value, target.armor);
-        if !actual.eq(&zero()) {
-            apply_single_damage(target, actual);
-        }
+        if actual.eq(&zero()) { return None; }
+        apply_single_damage(target, actual);
+        Some((actual, target.is_dead))
+    } else {
+        None
     }
+}
+
+#[inline]
+fn side_name(is_player: bool) -> &'static str {
+    if is_player { "player" } else { "enemy" }
+}
+
+#[inline]
+fn event(kind: &'static str, side: &'static str, source: usize, target: Option<usize>, amount: Decimal) -> BattleEvent {
+    BattleEvent { kind, side, source, target, amount: DecimalDto::from_decimal(amount) }
 }
\ No newline at end of file
@@ -7,14 +7,26 @@ mod calculator;
 mod battle_engine;
 mod optimizer;
 
-use types::{FlatMachine, OptimizeConfig};
+use types::{BattleLogResult, BattleUnitDto, CombatUnit, FlatMachine, OptimizeConfig};
+use calculator::{FORMATION_SIZE, MAX_BATTLE_ROUNDS};
 use battle_engine::BattleEngine;
-use optimizer::{optimize_campaign, optimize_arena};
+use optimizer::{optimize_campaign, optimize_arena, CampaignRun};
+
+// Version of the JS <-> WASM interface: the exports and the OptimizeConfig /
+// result fields. js/wasmLoader.js only uses a build whose version matches its
+// own ENGINE_API_VERSION, so bump both whenever either side changes.
+const ENGINE_API_VERSION: u32 = 1;
 
 fn js_err(msg: &str) -> JsValue {
     JsValue::from_str(msg)
 }
 
+/// Interface version of this build (see ENGINE_API_VERSION)
+#[wasm_bindgen]
+pub fn engine_api_version() -> u32 {
+    ENGINE_API_VERSION
+}
+
 #[wasm_bindgen]
 pub struct WmoEngine {
     engine: BattleEngine,
@@ -42,8 +54,7 @@ impl WmoEngine {
         let config: OptimizeConfig = from_value(config_js)
             .map_err(|e| js_err(&format!("config deserialize: {e}")))?;
 
-        let heroes = config.heroes.clone();
-        let result = optimize_campaign(&machines, &config, &heroes, &mut self.engine);
+        let result = optimize_campaign(machines, config, &mut self.engine);
 
         to_value(&result).map_err(|e| js_err(&format!("serialize result: {e}")))
     }
@@ -65,4 +76,130 @@ impl WmoEngine {
 
         to_value(&result).map_err(|e| js_err(&format!("serialize result: {e}")))
     }
+
+    /// Run one battle with an event log — returns BattleLogResult as JS object.
+    /// Teams are already-computed units (battle stats, crew applied), max 5 each.
+    #[wasm_bindgen]
+    pub fn run_battle_logged(
+        &mut self,
+        player_js: JsValue,
+        enemy_js: JsValue,
+        max_rounds: u32,
+    ) -> Result<JsValue, JsValue> {
+        let player: Vec<BattleUnitDto> = from_value(player_js)
+            .map_err(|e| js_err(&format!("player team deserialize: {e}")))?;
+        let enemy: Vec<BattleUnitDto> = from_value(enemy_js)
+            .map_err(|e| js_err(&format!("enemy team deserialize: {e}")))?;
+        if player.is_empty() || enemy.is_empty() {
+            return Err(js_err("Teams must have at least one member"));
+        }
+
+        let (player_arr, player_len) = to_combat_array(&player, true);
+        let (enemy_arr, enemy_len) = to_combat_array(&enemy, false);
+
+        let (player_won, rounds, log) = self.engine.run_battle_logged(
+            &player_arr, player_len, &enemy_arr, enemy_len, max_rounds,
+        );
+
+        to_value(&BattleLogResult { player_won, rounds, log })
+            .map_err(|e| js_err(&format!("serialize battle log: {e}")))
+    }
+
+    /// Run `count` battles between already-computed teams and return the wins.
+    /// Used by the Monte Carlo worker pool; each pool worker owns an engine
+    /// seeded independently.
+    #[wasm_bindgen]
+    pub fn simulate(
+        &mut self,
+        player_js: JsValue,
+        enemy_js: JsValue,
+        count: u32,
+    ) -> Result<u32, JsValue> {
+        let player: Vec<BattleUnitDto> = from_value(player_js)
+            .map_err(|e| js_err(&format!("player team deserialize: {e}")))?;
+        let enemy: Vec<BattleUnitDto> = from_value(enemy_js)
+            .map_err(|e| js_err(&format!("enemy team deserialize: {e}")))?;
+        if player.is_empty() || enemy.is_empty() {
+            return Err(js_err("Teams must have at least one member"));
+        }
+
+        let (player_arr, player_len) = to_combat_array(&player, true);
+        let (enemy_arr, enemy_len) = to_combat_array(&enemy, false);
+
+        let mut wins = 0u32;
+        for _ in 0..count {
+            if self.engine.run_battle(&player_arr, player_len, &enemy_arr, enemy_len, MAX_BATTLE_ROUNDS) {
+                wins += 1;
+            }
+        }
+        Ok(wins)
+    }
+}
+
+/// Step-wise campaign optimization, for progress reporting and cooperative
+/// cancel. Call step() until it returns false — or stop early — then
+/// finish() for the result (flagged `cancelled` when stopped early).
+#[wasm_bindgen]
+pub struct CampaignJob {
+    run: CampaignRun,
+    engine: BattleEngine,
+}
+
+#[wasm_bindgen]
+impl CampaignJob {
+    #[wasm_bindgen(constructor)]
+    pub fn new(machines_js: JsValue, config_js: JsValue, seed: u64) -> Result<CampaignJob, JsValue> {
+        let machines: Vec<FlatMachine> = from_value(machines_js)
+            .map_err(|e| js_err(&format!("machines deserialize: {e}")))?;
+        let config: OptimizeConfig = from_value(config_js)
+            .map_err(|e| js_err(&format!("config deserialize: {e}")))?;
+
+        Ok(CampaignJob {
+            run: CampaignRun::new(machines, config),
+            engine: BattleEngine::new(seed),
+        })
+    }
+
+    /// Runs one mission (or one Monte Carlo estimate). False once complete.
+    #[wasm_bindgen]
+    pub fn step(&mut self) -> bool {
+        self.run.step(&mut self.engine)
+    }
+
+    /// SimulationRequest left by the last step when the config asks for
+    /// parallel Monte Carlo, or null
+    #[wasm_bindgen]
+    pub fn pending_simulation(&self) -> Result<JsValue, JsValue> {
+        match self.run.pending_simulation() {
+            Some(request) => to_value(request).map_err(|e| js_err(&format!("serialize simulation request: {e}"))),
+            None => Ok(JsValue::NULL),
+        }
+    }
+
+    /// Completes the pending simulation with the merged pool counts
+    #[wasm_bindgen]
+    pub fn resolve_simulation(&mut self, wins: u32, simulations: u32) {
+        self.run.resolve_simulation(wins, simulations);
+    }
+
+    /// CampaignProgress after the last step, as a JS object
+    #[wasm_bindgen]
+    pub fn progress(&self) -> Result<JsValue, JsValue> {
+        to_value(self.run.progress()).map_err(|e| js_err(&format!("serialize progress: {e}")))
+    }
+
+    /// Consumes the job and returns the CampaignResult found so far
+    #[wasm_bindgen]
+    pub fn finish(self) -> Result<JsValue, JsValue> {
+        to_value(&self.run.finish()).map_err(|e| js_err(&format!("serialize result: {e}")))
+    }
+}
+
+fn to_combat_array(units: &[BattleUnitDto], is_player: bool) -> ([CombatUnit; FORMATION_SIZE], usize) {
+    let mut arr = [CombatUnit::dead(); FORMATION_SIZE];
+    let len = units.len().min(FORMATION_SIZE);
+    for (i, u) in units.iter().take(len).enumerate() {
+        arr[i] = u.to_combat_unit(is_player);
+    }
+    (arr, len)
 }
\ No newline at end of file
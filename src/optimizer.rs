@@ -6,8 +6,9 @@
 //   - Hungarian assignment (kmAssignment — full Decimal weight matrix)
 //   - optimizeCrewGlobally (builds machine slots, runs KM, assigns crew)
 //   - arrangeByRole        (exact tank/DPS/useless categorization)
-//   - pushStarsWithMonteCarlo
-//   - optimizeCampaignMaxStars
+//   - searchTeam           (pruned five-machine subset search)
+//   - searchFormation      (slot-order permutation search)
+//   - optimizeCampaignMaxStars (step-wise CampaignRun, incl. pushStarsWithMonteCarlo)
 //   - optimizeForArena
 
 use break_eternity::Decimal;
@@ -23,8 +24,10 @@ use crate::calculator::{
 use crate::battle_engine::BattleEngine;
 use crate::types::{
     FlatMachine, HeroDto, ComputedMachine, MachineStats,
-    OptimizeConfig, HeroWeights,
+    OptimizeConfig, HeroWeights, CrewScoring,
     MachineResult, CampaignResult, ArenaResult, DifficultyClears, DecimalDto,
+    MonteCarloStar, WinEstimate, MissionPlanEntry, CampaignProgress,
+    BattleUnitDto, SimulationRequest,
 };
 
 fn zero() -> Decimal { Decimal::from_number(0.0) }
@@ -62,16 +65,23 @@ fn score_hero_for_machine(
     is_campaign: bool,
     weights_tank: HeroWeights,
     weights_dps: HeroWeights,
+    crew_scoring: CrewScoring,
 ) -> Decimal {
     let weights = if is_tank { weights_tank } else { weights_dps };
 
     let dmg_score = Decimal::from_number(hero.damage_pct / 100.0 * weights.damage);
     let hp_score  = Decimal::from_number(hero.health_pct / 100.0 * weights.health);
     let arm_score = Decimal::from_number(hero.armor_pct  / 100.0 * weights.armor);
-    let base_score = dmg_score + hp_score + arm_score;
+    let mut base_score = dmg_score + hp_score + arm_score;
 
     if base_score <= zero() { return zero(); }
 
+    if crew_scoring.role_model {
+        let affinity = if hero.is_tank == is_tank { crew_scoring.role_affinity } else { 1.0 };
+        let tiebreak = 1.0 + crew_scoring.tiebreak_weight * (1.0 + hero_stat_value(hero, is_tank)).log10();
+        base_score = base_score * Decimal::from_number(affinity * tiebreak);
+    }
+
     let power = compute_machine_power(current_stats);
     let log_power = if power > zero() {
         Decimal::log10(&power) + one()
@@ -86,6 +96,19 @@ fn score_hero_for_machine(
     }
 }
 
+// ---------------------------------------------------------------------------
+// heroStatValue  (matches JS Optimizer.heroStatValue)
+// ---------------------------------------------------------------------------
+
+fn hero_stat_value(hero: &HeroDto, is_tank: bool) -> f64 {
+    if is_tank {
+        let dodge = hero.dodge.min(0.95);
+        hero.base_health * (1.0 + hero.base_armor / 100.0) / (1.0 - dodge)
+    } else {
+        hero.base_attack * hero.attack_speed * (1.0 + hero.crit_chance * hero.crit_damage)
+    }
+}
+
 // ---------------------------------------------------------------------------
 // calculateAllStats  (matches JS Optimizer.calculateAllStats)
 // ---------------------------------------------------------------------------
@@ -109,20 +132,22 @@ fn calculate_all_stats(
 //
 // Kuhn-Munkres maximum weight perfect matching.
 // heroes: slice of heroes to assign
-// machine_slots: (machine_idx, slot_idx) pairs — each machine appears max_crew_slots times
+// slot_machines: machine index of each open crew slot — a machine appears once
+// per slot left after its pinned heroes
 // Returns: Vec<Vec<u32>> — for each machine index, list of assigned hero IDs
 // ---------------------------------------------------------------------------
 
 fn km_assignment(
     heroes: &[HeroDto],
     machines: &[ComputedMachine],
-    max_crew_slots: usize,
+    slot_machines: &[usize],
     is_campaign: bool,
     weights_tank: HeroWeights,
     weights_dps: HeroWeights,
+    crew_scoring: CrewScoring,
 ) -> Vec<Vec<u32>> {
     let n = heroes.len();
-    let m = machines.len() * max_crew_slots;
+    let m = slot_machines.len();
     let size = n.max(m);
 
     if size == 0 {
@@ -140,17 +165,17 @@ fn km_assignment(
     let mut pre = vec![0usize; sz1];
     let mut vis_y = vec![false; sz1];
 
-    // Build weights — each slot j maps to a (machine_idx, _slot) pair
+    // Build weights — each slot j maps to slot_machines[j - 1]
     for i in 1..=n {
         for j in 1..=m {
-            let machine_idx = (j - 1) / max_crew_slots;
+            let machine_idx = slot_machines[j - 1];
             if machine_idx >= machines.len() { continue; }
             let machine = &machines[machine_idx];
             let is_tank = machine.flat.is_tank;
             let current_stats = if is_campaign { &machine.battle } else { &machine.arena };
             let score = score_hero_for_machine(
                 &heroes[i - 1], is_tank, current_stats,
-                is_campaign, weights_tank, weights_dps,
+                is_campaign, weights_tank, weights_dps, crew_scoring,
             );
             weight[i * sz1 + j] = score;
             if score > lx[i] { lx[i] = score; }
@@ -215,7 +240,7 @@ fn km_assignment(
     for j in 1..=m {
         let hero_idx = if match_y[j] == 0 { continue } else { match_y[j] - 1 };
         if hero_idx >= n { continue; }
-        let machine_idx = (j - 1) / max_crew_slots;
+        let machine_idx = slot_machines[j - 1];
         if machine_idx < machines.len() {
             machine_crew[machine_idx].push(heroes[hero_idx].id);
         }
@@ -238,8 +263,30 @@ fn optimize_crew_globally(
     }
 
     let max_slots = config.max_crew_slots as usize;
-    let required = machines.len() * max_slots + 20;
-    let heroes_slice = &heroes_sorted[..required.min(heroes_sorted.len())];
+
+    // Excluded heroes crew nothing; pinned heroes crew only their machine,
+    // ahead of the matching, and only when it is in this team
+    let pinned_machine = |hero_id: u32| config.hero_pins.iter().find(|p| p.hero_id == hero_id).map(|p| p.machine_id);
+    let available: Vec<&HeroDto> = heroes_sorted.iter()
+        .filter(|h| !config.excluded_hero_ids.contains(&h.id))
+        .collect();
+    let pinned: Vec<Vec<HeroDto>> = machines.iter().map(|m| {
+        available.iter()
+            .filter(|h| pinned_machine(h.id) == Some(m.flat.id))
+            .take(max_slots)
+            .map(|h| (*h).clone())
+            .collect()
+    }).collect();
+    let free: Vec<HeroDto> = available.iter()
+        .filter(|h| pinned_machine(h.id).is_none())
+        .map(|h| (*h).clone())
+        .collect();
+
+    let slot_machines: Vec<usize> = pinned.iter().enumerate()
+        .flat_map(|(idx, crew)| std::iter::repeat(idx).take(max_slots - crew.len()))
+        .collect();
+    let required = slot_machines.len() + 20;
+    let heroes_slice = &free[..required.min(free.len())];
 
     let weights_tank = if is_campaign {
         config.hero_scoring_campaign_tank
@@ -253,14 +300,14 @@ fn optimize_crew_globally(
     };
 
     let crew_assignments = km_assignment(
-        heroes_slice, machines, max_slots, is_campaign, weights_tank, weights_dps,
+        heroes_slice, machines, &slot_machines, is_campaign, weights_tank, weights_dps,
+        config.crew_scoring,
     );
 
     machines.iter().enumerate().map(|(idx, m)| {
         let hero_ids = &crew_assignments[idx];
-        let crew: Vec<HeroDto> = hero_ids.iter()
-            .filter_map(|&id| heroes_sorted.iter().find(|h| h.id == id).cloned())
-            .collect();
+        let mut crew = pinned[idx].clone();
+        crew.extend(hero_ids.iter().filter_map(|&id| free.iter().find(|h| h.id == id).cloned()));
         let (battle, arena) = calculate_all_stats(&m.flat, &crew, config);
         ComputedMachine {
             flat: m.flat.clone(),
@@ -273,7 +320,8 @@ fn optimize_crew_globally(
 
 // ---------------------------------------------------------------------------
 // selectBestFive  (matches JS Optimizer.selectBestFive)
-// Sorts by level descending, takes top 5, computes stats with empty crew.
+// Sorts locked machines first, then by level descending, takes top 5,
+// computes stats with empty crew.
 // ---------------------------------------------------------------------------
 
 fn select_best_five(
@@ -284,8 +332,9 @@ fn select_best_five(
     if machines.is_empty() { return vec![]; }
 
     let mut indexed: Vec<(usize, &FlatMachine)> = machines.iter().enumerate().collect();
-    // JS: sort by level descending
-    indexed.sort_by(|a, b| b.1.level.cmp(&a.1.level));
+    // JS: locked machines first, then by level descending
+    let locked = |flat: &FlatMachine| config.locked_machine_ids.contains(&flat.id);
+    indexed.sort_by(|a, b| locked(b.1).cmp(&locked(a.1)).then(b.1.level.cmp(&a.1.level)));
 
     indexed.iter().take(5).map(|(_, flat)| {
         let (battle, arena) = calculate_all_stats(flat, &[], config);
@@ -430,48 +479,267 @@ fn enemy_team_array(
     (arr, FORMATION_SIZE)
 }
 
+/// getEnemyTeamForMission — the mission's roster when one exists,
+/// otherwise five uniform enemies (matches JS Calculator.getEnemyTeamForMission)
+fn enemy_team_for(
+    mission: u32,
+    diff: usize,
+    enemy_stats: &MachineStats,
+    config: &OptimizeConfig,
+) -> ([crate::types::CombatUnit; FORMATION_SIZE], usize) {
+    let roster = config.enemy_rosters.iter()
+        .find(|r| r.difficulty as usize == diff && r.mission == mission && !r.units.is_empty());
+
+    let roster = match roster {
+        Some(r) => r,
+        None => return enemy_team_array(enemy_stats),
+    };
+
+    let mut arr = [crate::types::CombatUnit::dead(); FORMATION_SIZE];
+    let len = roster.units.len().min(FORMATION_SIZE);
+    for (i, u) in roster.units.iter().take(len).enumerate() {
+        let health = enemy_stats.health * Decimal::from_number(u.health_scale);
+        arr[i] = crate::types::CombatUnit {
+            damage: enemy_stats.damage * Decimal::from_number(u.damage_scale),
+            health,
+            max_health: health,
+            armor: enemy_stats.armor * Decimal::from_number(u.armor_scale),
+            is_dead: false,
+            ability_effect: u.ability_effect,
+            ability_targeting: u.ability_targeting,
+            ability_num_targets: u.ability_num_targets,
+            ability_scale_stat: u.ability_scale_stat,
+            ability_multiplier: u.ability_multiplier,
+            overdrive_chance: u.overdrive_chance,
+            is_player: false,
+        };
+    }
+    (arr, len)
+}
+
+/// Snapshot of a formation for the mission plan (matches JS Optimizer._planEntry)
+fn plan_entry(diff: usize, mission: u32, formation: &[ComputedMachine], win_rate: Option<f64>) -> MissionPlanEntry {
+    MissionPlanEntry {
+        difficulty: diff as u32,
+        mission,
+        machine_ids: formation.iter().map(|m| m.flat.id).collect(),
+        hero_ids: formation.iter().map(|m| m.crew.iter().map(|h| h.id).collect()).collect(),
+        win_rate,
+    }
+}
+
 // ---------------------------------------------------------------------------
-// pushStarsWithMonteCarlo  (matches JS Optimizer.pushStarsWithMonteCarlo)
+// searchTeam  (matches JS Optimizer.searchTeam)
+//
+// Subsets come from the team_search_pool_size strongest machines, locked
+// machines first and in every subset; subsets under team_search_power_ratio
+// of the strongest are pruned and at most team_search_max_candidates are
+// crewed and simulated.
+// Returns the best arranged team and its screening wins.
 // ---------------------------------------------------------------------------
 
-fn push_stars_with_monte_carlo(
-    formation: &[ComputedMachine],
-    last_cleared: &mut DifficultyClears,
+fn search_team(
+    machines: &[FlatMachine],
+    heroes_sorted: &[HeroDto],
     config: &OptimizeConfig,
     engine: &mut BattleEngine,
-) -> u32 {
-    if formation.is_empty() { return 0; }
+    mission: u32,
+    diff: usize,
+    enemies: &[crate::types::CombatUnit; FORMATION_SIZE],
+    enemy_len: usize,
+) -> Option<(Vec<ComputedMachine>, u32)> {
+    let mut pool: Vec<(ComputedMachine, Decimal)> = machines.iter().map(|flat| {
+        let (battle, arena) = calculate_all_stats(flat, &[], config);
+        let power = compute_machine_power(&battle);
+        (ComputedMachine { flat: flat.clone(), crew: vec![], battle, arena }, power)
+    }).collect();
+    let locked = |m: &ComputedMachine| config.locked_machine_ids.contains(&m.flat.id);
+    pool.sort_by(|a, b| {
+        locked(&b.0).cmp(&locked(&a.0))
+            .then(b.1.partial_cmp(&a.1).unwrap_or(std::cmp::Ordering::Equal))
+    });
+    pool.truncate(config.team_search_pool_size as usize);
+
+    if pool.len() <= FORMATION_SIZE { return None; }
+
+    // Locked machines sit at the front of the pool; fill the rest of each subset
+    let fixed = pool.iter().take_while(|(m, _)| locked(m)).count().min(FORMATION_SIZE);
+    let mut subsets: Vec<(Vec<usize>, Decimal)> = combinations(pool.len() - fixed, FORMATION_SIZE - fixed)
+        .into_iter()
+        .map(|rest| {
+            let members: Vec<usize> = (0..fixed).chain(rest.into_iter().map(|i| i + fixed)).collect();
+            let mut power = zero();
+            for &i in &members { power = power + pool[i].1; }
+            (members, power)
+        })
+        .collect();
+    subsets.sort_by(|a, b| b.1.partial_cmp(&a.1).unwrap_or(std::cmp::Ordering::Equal));
+    if subsets.is_empty() { return None; }
+
+    let power_floor = subsets[0].1 * Decimal::from_number(config.team_search_power_ratio);
+    let enemy_stats = enemy_attributes(mission, diff, MILESTONE_SCALE_FACTOR);
+    let required = req_power(mission, diff);
+    let max_rounds = config.max_battle_rounds();
+
+    let mut best: Option<(Vec<ComputedMachine>, u32)> = None;
+    let candidates = subsets.iter()
+        .filter(|(_, power)| *power >= power_floor)
+        .take(config.team_search_max_candidates as usize);
+
+    for (members, _) in candidates {
+        let team: Vec<ComputedMachine> = members.iter().map(|&i| pool[i].0.clone()).collect();
+        let crewed = optimize_crew_globally(&team, heroes_sorted, config, true);
+        let arranged = arrange_by_role(&crewed, &enemy_stats);
+        if compute_squad_power(&arranged, false) < required { continue; }
+
+        let (players, player_len) = team_to_combat_array(&arranged);
+        let mut wins = 0u32;
+        for _ in 0..config.team_search_simulations {
+            if engine.run_battle(&players, player_len, enemies, enemy_len, max_rounds) {
+                wins += 1;
+            }
+        }
+
+        // equal simulation counts, so comparing wins == comparing win rates
+        if best.as_ref().map_or(true, |(_, best_wins)| wins > *best_wins) {
+            best = Some((arranged, wins));
+        }
+    }
 
-    let mut additional_stars = 0u32;
-    let our_power = compute_squad_power(formation, false);
+    best
+}
 
-    for diff in 0..NUM_DIFFICULTIES {
-        let last_mission = last_cleared.get(diff);
+/// Every k-element subset of 0..n in lexicographic order
+/// (matches JS Optimizer._combinations)
+fn combinations(n: usize, k: usize) -> Vec<Vec<usize>> {
+    fn recurse(start: usize, n: usize, k: usize, current: &mut Vec<usize>, out: &mut Vec<Vec<usize>>) {
+        if current.len() == k {
+            out.push(current.clone());
+            return;
+        }
+        for i in start..=(n - (k - current.len())) {
+            current.push(i);
+            recurse(i + 1, n, k, current, out);
+            current.pop();
+        }
+    }
 
-        for mission in (last_mission + 1)..=MAX_MISSIONS {
-            let required = req_power(mission, diff);
-            if our_power < required { break; }
+    let mut out = Vec::new();
+    if k <= n { recurse(0, n, k, &mut Vec::with_capacity(k), &mut out); }
+    out
+}
 
-            let enemy_stats = enemy_attributes(mission, diff, MILESTONE_SCALE_FACTOR);
-            let arranged = arrange_by_role(formation, &enemy_stats);
-            let (player_arr, player_len) = team_to_combat_array(&arranged);
-            let (enemy_arr, enemy_len) = enemy_team_array(&enemy_stats);
+/// Team identity regardless of order or crew (matches JS Optimizer._teamKey)
+fn team_key(team: &[ComputedMachine]) -> Vec<u32> {
+    let mut ids: Vec<u32> = team.iter().map(|m| m.flat.id).collect();
+    ids.sort_unstable();
+    ids
+}
 
-            let won = run_monte_carlo(
-                engine, &player_arr, player_len, &enemy_arr, enemy_len,
-                config.max_battle_rounds(), config.monte_carlo_simulations,
-            );
+// ---------------------------------------------------------------------------
+// searchFormation  (matches JS Optimizer.searchFormation)
+//
+// Screens every ordering of the arranged team, then gives the best
+// formation_search_finalists (plus the input ordering) more battles.
+// Ties keep the input ordering.
+// ---------------------------------------------------------------------------
+
+struct FormationCandidate {
+    order: Vec<usize>,
+    wins: u32,
+    simulations: u32,
+}
+
+impl FormationCandidate {
+    fn win_rate(&self) -> f64 {
+        if self.simulations == 0 { 0.0 } else { self.wins as f64 / self.simulations as f64 }
+    }
+}
 
-            if won {
-                additional_stars += 1;
-                last_cleared.set(diff, mission);
+fn search_formation(
+    engine: &mut BattleEngine,
+    arranged: &[ComputedMachine],
+    enemies: &[crate::types::CombatUnit; FORMATION_SIZE],
+    enemy_len: usize,
+    config: &OptimizeConfig,
+) -> Vec<ComputedMachine> {
+    let max_rounds = config.max_battle_rounds();
+    let mut candidates: Vec<FormationCandidate> = permutations(arranged.len().min(FORMATION_SIZE))
+        .into_iter()
+        .map(|order| FormationCandidate { order, wins: 0, simulations: 0 })
+        .collect();
+
+    let simulate = |engine: &mut BattleEngine, c: &mut FormationCandidate, count: u32| {
+        let team: Vec<ComputedMachine> = c.order.iter().map(|&i| arranged[i].clone()).collect();
+        let (players, player_len) = team_to_combat_array(&team);
+        for _ in 0..count {
+            if engine.run_battle(&players, player_len, enemies, enemy_len, max_rounds) {
+                c.wins += 1;
             }
         }
+        c.simulations += count;
+    };
+
+    for c in candidates.iter_mut() {
+        simulate(engine, c, config.formation_search_screen_simulations);
     }
 
-    additional_stars
+    // stable sort by screening wins, descending — same order as JS toSorted
+    let mut ranked: Vec<usize> = (0..candidates.len()).collect();
+    ranked.sort_by(|&a, &b| candidates[b].wins.cmp(&candidates[a].wins));
+
+    // candidate 0 is the identity permutation, i.e. the arrange_by_role order
+    if ranked.is_empty() || candidates[ranked[0]].wins == 0 {
+        return arranged.to_vec();
+    }
+
+    let mut finalists: Vec<usize> = ranked.into_iter()
+        .take(config.formation_search_finalists as usize)
+        .collect();
+    if !finalists.contains(&0) { finalists.push(0); }
+
+    for &i in &finalists {
+        simulate(engine, &mut candidates[i], config.formation_search_simulations);
+    }
+
+    let mut best = 0usize;
+    for &i in &finalists {
+        if candidates[i].win_rate() > candidates[best].win_rate() { best = i; }
+    }
+
+    candidates[best].order.iter().map(|&i| arranged[i].clone()).collect()
 }
 
+/// Every ordering of 0..n in lexicographic order, identity first
+/// (matches JS Optimizer._permutations)
+fn permutations(n: usize) -> Vec<Vec<usize>> {
+    fn recurse(n: usize, current: &mut Vec<usize>, used: &mut Vec<bool>, out: &mut Vec<Vec<usize>>) {
+        if current.len() == n {
+            out.push(current.clone());
+            return;
+        }
+        for i in 0..n {
+            if used[i] { continue; }
+            used[i] = true;
+            current.push(i);
+            recurse(n, current, used, out);
+            current.pop();
+            used[i] = false;
+        }
+    }
+
+    let mut out = Vec::new();
+    recurse(n, &mut Vec::with_capacity(n), &mut vec![false; n], &mut out);
+    out
+}
+
+// ---------------------------------------------------------------------------
+// runMonteCarloSimulation  (matches JS Optimizer.runMonteCarloSimulation)
+//
+// Runs at least monte_carlo_min_simulations battles, then stops as soon as
+// the Wilson interval lies entirely above or below the threshold.
+// ---------------------------------------------------------------------------
+
 fn run_monte_carlo(
     engine: &mut BattleEngine,
     players: &[crate::types::CombatUnit; FORMATION_SIZE],
@@ -479,14 +747,54 @@ fn run_monte_carlo(
     enemies: &[crate::types::CombatUnit; FORMATION_SIZE],
     enemy_len: usize,
     max_rounds: u32,
-    simulations: u32,
-) -> bool {
-    for _ in 0..simulations {
+    config: &OptimizeConfig,
+    threshold: f64,
+) -> WinEstimate {
+    let max_simulations = config.monte_carlo_simulations;
+    let min_simulations = config.monte_carlo_min_simulations.min(max_simulations);
+
+    let mut wins = 0u32;
+    let mut simulations = 0u32;
+    while simulations < max_simulations {
         if engine.run_battle(players, player_len, enemies, enemy_len, max_rounds) {
-            return true;
+            wins += 1;
         }
+        simulations += 1;
+
+        if simulations >= min_simulations {
+            let (lower, upper) = wilson_interval(wins, simulations);
+            if lower > threshold || upper < threshold { break; }
+        }
+    }
+
+    estimate_from_counts(wins, simulations)
+}
+
+/// WinEstimate for a win count, with its Wilson interval
+pub fn estimate_from_counts(wins: u32, simulations: u32) -> WinEstimate {
+    let (lower, upper) = wilson_interval(wins, simulations);
+    WinEstimate {
+        wins,
+        simulations,
+        win_rate: if simulations > 0 { wins as f64 / simulations as f64 } else { 0.0 },
+        lower,
+        upper,
     }
-    false
+}
+
+/// Wilson score interval (matches JS Optimizer.wilsonInterval, z = 1.96)
+fn wilson_interval(wins: u32, n: u32) -> (f64, f64) {
+    if n == 0 { return (0.0, 1.0); }
+
+    const Z: f64 = 1.96;
+    let n = n as f64;
+    let p = wins as f64 / n;
+    let z2 = Z * Z;
+    let denom = 1.0 + z2 / n;
+    let centre = (p + z2 / (2.0 * n)) / denom;
+    let margin = Z * (p * (1.0 - p) / n + z2 / (4.0 * n * n)).sqrt() / denom;
+
+    ((centre - margin).max(0.0), (centre + margin).min(1.0))
 }
 
 // ---------------------------------------------------------------------------
@@ -494,69 +802,190 @@ fn run_monte_carlo(
 // ---------------------------------------------------------------------------
 
 pub fn optimize_campaign(
-    machines: &[FlatMachine],
-    config: &OptimizeConfig,
-    heroes_sorted: &[HeroDto],
+    machines: Vec<FlatMachine>,
+    config: OptimizeConfig,
     engine: &mut BattleEngine,
 ) -> CampaignResult {
-    let empty_result = || CampaignResult {
-        total_stars: 0,
-        last_cleared: DifficultyClears::zero(),
-        formation: vec![],
-        battle_power: DecimalDto::zero(),
-        arena_power: DecimalDto::zero(),
-        mode: "campaign".to_string(),
-    };
+    let mut run = CampaignRun::new(machines, config);
+    while run.step(engine) {}
+    run.finish()
+}
 
-    if machines.is_empty() { return empty_result(); }
+// ---------------------------------------------------------------------------
+// CampaignRun  (matches JS Optimizer.campaignRun / _monteCarloRun)
+//
+// Step-wise campaign optimization. Each step() is one mission of the
+// deterministic sweep or one Monte Carlo estimate (pushStarsWithMonteCarlo),
+// so the worker can stream progress and cancel between steps. finish()
+// builds the result from whatever has been found so far.
+//
+// With config.parallel_monte_carlo a Monte Carlo step stops after the
+// formation search and leaves a pending SimulationRequest; the worker runs
+// it on its pool and hands the merged win count to resolve_simulation().
+// ---------------------------------------------------------------------------
 
-    let max_mission = config.max_mission.min(MAX_MISSIONS);
-    let reoptimize_interval = config.reoptimize_interval;
+#[derive(Clone, Copy)]
+enum Phase {
+    Campaign { mission: u32 },
+    MonteCarlo { diff: usize, mission: u32 },
+    Done,
+}
 
-    let mut total_stars = 0u32;
-    let mut last_winning_team: Vec<ComputedMachine> = vec![];
-    let mut last_cleared = DifficultyClears::zero();
+// Monte Carlo estimate waiting on the JS worker pool
+struct PendingEstimate {
+    diff: usize,
+    mission: u32,
+    ordered: Vec<ComputedMachine>,
+    request: SimulationRequest,
+}
 
-    let mut current_best_team: Option<Vec<ComputedMachine>> = None;
-    let mut last_optimized_mission = 0u32;
+pub struct CampaignRun {
+    machines: Vec<FlatMachine>,
+    config: OptimizeConfig,
+    // heroes — sorted by JS before passing in
+    heroes: Vec<HeroDto>,
+    phase: Phase,
+    progress: CampaignProgress,
+
+    total_stars: u32,
+    last_winning_team: Vec<ComputedMachine>,
+    last_cleared: DifficultyClears,
+    current_best_team: Option<Vec<ComputedMachine>>,
+    last_optimized_mission: u32,
+    // difficulties already team-searched in this reoptimization window
+    team_searched: [bool; NUM_DIFFICULTIES],
+    mission_plan: Vec<MissionPlanEntry>,
+
+    // Monte Carlo phase
+    monte_carlo_stars: Vec<MonteCarloStar>,
+    mc_power: Decimal,
+    pending: Option<PendingEstimate>,
+}
 
-    for mission in 1..=max_mission {
-        let should_reoptimize = current_best_team.is_none()
-            || mission - last_optimized_mission >= reoptimize_interval;
+impl CampaignRun {
+    pub fn new(machines: Vec<FlatMachine>, config: OptimizeConfig) -> Self {
+        let heroes = config.heroes.clone();
+        let max_mission = config.max_mission.min(MAX_MISSIONS);
+        let phase = if machines.is_empty() || max_mission == 0 {
+            Phase::Done
+        } else {
+            Phase::Campaign { mission: 1 }
+        };
+
+        CampaignRun {
+            machines,
+            config,
+            heroes,
+            phase,
+            progress: CampaignProgress {
+                phase: "campaign",
+                difficulty: None,
+                mission: 0,
+                stars: 0,
+                monte_carlo_iterations: 0,
+                completed: 0,
+                total: max_mission,
+            },
+            total_stars: 0,
+            last_winning_team: vec![],
+            last_cleared: DifficultyClears::zero(),
+            current_best_team: None,
+            last_optimized_mission: 0,
+            team_searched: [false; NUM_DIFFICULTIES],
+            mission_plan: vec![],
+            monte_carlo_stars: vec![],
+            mc_power: zero(),
+            pending: None,
+        }
+    }
+
+    /// Progress after the last step (matches JS CampaignProgress)
+    pub fn progress(&self) -> &CampaignProgress {
+        &self.progress
+    }
+
+    /// Does one unit of work. Returns false once the run is complete.
+    /// A no-op while a simulation is pending.
+    pub fn step(&mut self, engine: &mut BattleEngine) -> bool {
+        if self.pending.is_some() { return true; }
+
+        match self.phase {
+            Phase::Campaign { mission } => self.step_campaign(mission, engine),
+            Phase::MonteCarlo { diff, mission } => self.step_monte_carlo(diff, mission, engine),
+            Phase::Done => {}
+        }
+        !matches!(self.phase, Phase::Done)
+    }
+
+    /// One mission of the deterministic sweep, every difficulty in order
+    fn step_campaign(&mut self, mission: u32, engine: &mut BattleEngine) {
+        let config = &self.config;
+        let max_mission = config.max_mission.min(MAX_MISSIONS);
+
+        let should_reoptimize = self.current_best_team.is_none()
+            || mission - self.last_optimized_mission >= config.reoptimize_interval;
 
         if should_reoptimize {
-            let top5 = select_best_five(machines, config, false);
-            let optimized = optimize_crew_globally(&top5, heroes_sorted, config, true);
-            if optimized.is_empty() { break; }
-            current_best_team = Some(optimized);
-            last_optimized_mission = mission;
+            let top5 = select_best_five(&self.machines, config, false);
+            let optimized = optimize_crew_globally(&top5, &self.heroes, config, true);
+            if optimized.is_empty() {
+                self.start_monte_carlo();
+                return;
+            }
+            self.current_best_team = Some(optimized);
+            self.last_optimized_mission = mission;
+            self.team_searched = [false; NUM_DIFFICULTIES];
         }
 
-        let team = current_best_team.as_ref().unwrap();
         let mut mission_has_clears = false;
+        let mut last_diff = 0usize;
 
         for diff in 0..NUM_DIFFICULTIES {
+            last_diff = diff;
             let enemy_stats = enemy_attributes(mission, diff, MILESTONE_SCALE_FACTOR);
-            let arranged = arrange_by_role(team, &enemy_stats);
+            let mut arranged = arrange_by_role(self.current_best_team.as_ref().unwrap(), &enemy_stats);
 
             let required = req_power(mission, diff);
             let our_power = compute_squad_power(&arranged, false);
             if our_power < required { break; }
 
             let (player_arr, player_len) = team_to_combat_array(&arranged);
-            let (enemy_arr, enemy_len) = enemy_team_array(&enemy_stats);
+            let (enemy_arr, enemy_len) = enemy_team_for(mission, diff, &enemy_stats, config);
 
-            let result = engine.run_battle(
+            let mut result = engine.run_battle(
                 &player_arr, player_len,
                 &enemy_arr, enemy_len,
                 config.max_battle_rounds(),
             );
 
+            if !result && !self.team_searched[diff] {
+                self.team_searched[diff] = true;
+                let alternative = search_team(
+                    &self.machines, &self.heroes, config, engine,
+                    mission, diff, &enemy_arr, enemy_len,
+                );
+                if let Some((alt_team, alt_wins)) = alternative {
+                    if alt_wins > 0 && team_key(&alt_team) != team_key(&arranged) {
+                        let (alt_arr, alt_len) = team_to_combat_array(&alt_team);
+                        result = engine.run_battle(
+                            &alt_arr, alt_len,
+                            &enemy_arr, enemy_len,
+                            config.max_battle_rounds(),
+                        );
+                        if result {
+                            self.current_best_team = Some(alt_team.clone());
+                            arranged = alt_team;
+                        }
+                    }
+                }
+            }
+
             if result {
-                total_stars += 1;
+                self.total_stars += 1;
                 mission_has_clears = true;
-                last_cleared.set(diff, mission);
-                last_winning_team = arranged.iter().map(|m| ComputedMachine {
+                self.last_cleared.set(diff, mission);
+                self.mission_plan.push(plan_entry(diff, mission, &arranged, None));
+                self.last_winning_team = arranged.iter().map(|m| ComputedMachine {
                     flat: m.flat.clone(),
                     crew: m.crew.clone(),
                     battle: m.battle,
@@ -567,25 +996,144 @@ pub fn optimize_campaign(
             }
         }
 
-        if !mission_has_clears && mission > 1 { break; }
+        if (!mission_has_clears && mission > 1) || mission >= max_mission {
+            self.start_monte_carlo();
+            return;
+        }
+
+        self.progress = CampaignProgress {
+            phase: "campaign",
+            difficulty: Some(last_diff as u32),
+            mission,
+            stars: self.total_stars,
+            monte_carlo_iterations: 0,
+            completed: mission,
+            total: max_mission,
+        };
+        self.phase = Phase::Campaign { mission: mission + 1 };
     }
 
-    // pushStarsWithMonteCarlo
-    let additional = push_stars_with_monte_carlo(
-        &last_winning_team, &mut last_cleared, config, engine,
-    );
-    total_stars += additional;
+    /// Switches to the Monte Carlo phase with the last winning team
+    fn start_monte_carlo(&mut self) {
+        if self.last_winning_team.is_empty() {
+            self.phase = Phase::Done;
+            return;
+        }
 
-    let battle_power = compute_squad_power(&last_winning_team, false);
-    let arena_power  = compute_squad_power(&last_winning_team, true);
+        self.mc_power = compute_squad_power(&self.last_winning_team, false);
 
-    CampaignResult {
-        total_stars,
-        last_cleared,
-        formation: last_winning_team.iter().map(machine_to_result).collect(),
-        battle_power: DecimalDto::from_decimal(battle_power),
-        arena_power:  DecimalDto::from_decimal(arena_power),
-        mode: "campaign".to_string(),
+        // candidate count is known up front: the power gate does not depend on results
+        let mut total = 0u32;
+        for diff in 0..NUM_DIFFICULTIES {
+            for mission in (self.last_cleared.get(diff) + 1)..=MAX_MISSIONS {
+                if self.mc_power < req_power(mission, diff) { break; }
+                total += 1;
+            }
+        }
+
+        self.progress = CampaignProgress {
+            phase: "monteCarlo",
+            difficulty: None,
+            mission: 0,
+            stars: self.total_stars,
+            monte_carlo_iterations: 0,
+            completed: 0,
+            total,
+        };
+        self.phase = self.next_monte_carlo_candidate(0, self.last_cleared.get(0) + 1);
+    }
+
+    /// First (diff, mission) at or after the given one that passes the power gate
+    fn next_monte_carlo_candidate(&self, mut diff: usize, mut mission: u32) -> Phase {
+        while diff < NUM_DIFFICULTIES {
+            if mission <= MAX_MISSIONS && self.mc_power >= req_power(mission, diff) {
+                return Phase::MonteCarlo { diff, mission };
+            }
+            diff += 1;
+            if diff < NUM_DIFFICULTIES { mission = self.last_cleared.get(diff) + 1; }
+        }
+        Phase::Done
+    }
+
+    /// One pushStarsWithMonteCarlo mission: formation search, then estimate
+    fn step_monte_carlo(&mut self, diff: usize, mission: u32, engine: &mut BattleEngine) {
+        let config = &self.config;
+
+        let enemy_stats = enemy_attributes(mission, diff, MILESTONE_SCALE_FACTOR);
+        let arranged = arrange_by_role(&self.last_winning_team, &enemy_stats);
+        let (enemy_arr, enemy_len) = enemy_team_for(mission, diff, &enemy_stats, config);
+        let ordered = search_formation(engine, &arranged, &enemy_arr, enemy_len, config);
+        let (player_arr, player_len) = team_to_combat_array(&ordered);
+
+        if config.parallel_monte_carlo {
+            let request = SimulationRequest {
+                difficulty: diff as u32,
+                mission,
+                player: player_arr[..player_len].iter().map(BattleUnitDto::from_combat_unit).collect(),
+                enemy: enemy_arr[..enemy_len].iter().map(BattleUnitDto::from_combat_unit).collect(),
+            };
+            self.pending = Some(PendingEstimate { diff, mission, ordered, request });
+            return;
+        }
+
+        let estimate = run_monte_carlo(
+            engine, &player_arr, player_len, &enemy_arr, enemy_len,
+            config.max_battle_rounds(), config, config.win_threshold,
+        );
+        self.apply_estimate(diff, mission, &ordered, estimate);
+    }
+
+    /// The Monte Carlo estimate the worker pool should run, if any
+    pub fn pending_simulation(&self) -> Option<&SimulationRequest> {
+        self.pending.as_ref().map(|p| &p.request)
+    }
+
+    /// Completes the pending Monte Carlo step with the pool's merged counts
+    pub fn resolve_simulation(&mut self, wins: u32, simulations: u32) {
+        if let Some(p) = self.pending.take() {
+            self.apply_estimate(p.diff, p.mission, &p.ordered, estimate_from_counts(wins, simulations));
+        }
+    }
+
+    /// Records a Monte Carlo estimate and moves to the next candidate
+    fn apply_estimate(&mut self, diff: usize, mission: u32, ordered: &[ComputedMachine], estimate: WinEstimate) {
+        let config = &self.config;
+
+        if estimate.wins > 0 && estimate.win_rate >= config.win_threshold {
+            self.total_stars += 1;
+            self.last_cleared.set(diff, mission);
+            self.monte_carlo_stars.push(MonteCarloStar::new(diff as u32, mission, estimate));
+            self.mission_plan.push(plan_entry(diff, mission, ordered, Some(estimate.win_rate)));
+        }
+
+        self.progress.difficulty = Some(diff as u32);
+        self.progress.mission = mission;
+        self.progress.stars = self.total_stars;
+        self.progress.monte_carlo_iterations += estimate.simulations;
+        self.progress.completed += 1;
+        self.phase = self.next_monte_carlo_candidate(diff, mission + 1);
+    }
+
+    /// Builds the result; `cancelled` when called before the run completed
+    pub fn finish(mut self) -> CampaignResult {
+        let cancelled = !matches!(self.phase, Phase::Done);
+        self.mission_plan.sort_by_key(|e| (e.difficulty, e.mission));
+
+        let battle_power = compute_squad_power(&self.last_winning_team, false);
+        let arena_power  = compute_squad_power(&self.last_winning_team, true);
+
+        CampaignResult {
+            total_stars: self.total_stars,
+            last_cleared: self.last_cleared,
+            formation: self.last_winning_team.iter().map(machine_to_result).collect(),
+            battle_power: DecimalDto::from_decimal(battle_power),
+            arena_power:  DecimalDto::from_decimal(arena_power),
+            monte_carlo_stars: self.monte_carlo_stars,
+            win_threshold: self.config.win_threshold,
+            mission_plan: self.mission_plan,
+            cancelled,
+            mode: "campaign".to_string(),
+        }
     }
 }
 
@@ -36,6 +36,25 @@ pub struct HeroDto {
     pub damage_pct: f64,
     pub health_pct: f64,
     pub armor_pct: f64,
+
+    // own stats for the "role" crew-scoring model (matches Optimizer.heroStatValue);
+    // older payloads leave them at 0, which makes the tiebreak neutral
+    #[serde(default)]
+    pub is_tank: bool,
+    #[serde(default)]
+    pub base_attack: f64,
+    #[serde(default)]
+    pub base_health: f64,
+    #[serde(default)]
+    pub base_armor: f64,
+    #[serde(default)]
+    pub attack_speed: f64,
+    #[serde(default)]
+    pub crit_chance: f64,
+    #[serde(default)]
+    pub crit_damage: f64,
+    #[serde(default)]
+    pub dodge: f64,
 }
 
 // ---------------------------------------------------------------------------
@@ -109,6 +128,60 @@ impl CombatUnit {
     }
 }
 
+// ---------------------------------------------------------------------------
+// BattleUnitDto — one already-computed combatant, used by run_battle_logged
+// ---------------------------------------------------------------------------
+
+#[derive(Serialize, Deserialize, Clone, Debug)]
+pub struct BattleUnitDto {
+    pub damage: DecimalDto,
+    pub health: DecimalDto,
+    pub max_health: DecimalDto,
+    pub armor: DecimalDto,
+
+    // same integer encoding as FlatMachine
+    pub ability_effect: u8,
+    pub ability_targeting: u8,
+    pub ability_num_targets: u32,
+    pub ability_scale_stat: u8,
+    pub ability_multiplier: f64,
+    pub overdrive_chance: f64,
+}
+
+impl BattleUnitDto {
+    pub fn to_combat_unit(&self, is_player: bool) -> CombatUnit {
+        CombatUnit {
+            damage: self.damage.to_decimal(),
+            health: self.health.to_decimal(),
+            max_health: self.max_health.to_decimal(),
+            armor: self.armor.to_decimal(),
+            is_dead: false,
+            ability_effect: self.ability_effect,
+            ability_targeting: self.ability_targeting,
+            ability_num_targets: self.ability_num_targets,
+            ability_scale_stat: self.ability_scale_stat,
+            ability_multiplier: self.ability_multiplier,
+            overdrive_chance: self.overdrive_chance,
+            is_player,
+        }
+    }
+
+    pub fn from_combat_unit(u: &CombatUnit) -> Self {
+        BattleUnitDto {
+            damage: DecimalDto::from_decimal(u.damage),
+            health: DecimalDto::from_decimal(u.health),
+            max_health: DecimalDto::from_decimal(u.max_health),
+            armor: DecimalDto::from_decimal(u.armor),
+            ability_effect: u.ability_effect,
+            ability_targeting: u.ability_targeting,
+            ability_num_targets: u.ability_num_targets,
+            ability_scale_stat: u.ability_scale_stat,
+            ability_multiplier: u.ability_multiplier,
+            overdrive_chance: u.overdrive_chance,
+        }
+    }
+}
+
 // ---------------------------------------------------------------------------
 // MachineStats
 // ---------------------------------------------------------------------------
@@ -146,6 +219,34 @@ pub struct OptimizeConfig {
     pub rift_bonus: f64,
     pub max_mission: u32,
     pub monte_carlo_simulations: u32,
+    #[serde(default = "default_monte_carlo_min_simulations")]
+    pub monte_carlo_min_simulations: u32,
+    // minimum win rate (0–1) for a Monte Carlo star; 0 = "won at least once"
+    #[serde(default)]
+    pub win_threshold: f64,
+    // hand Monte Carlo estimates to the JS worker pool instead of simulating
+    // inline (CampaignRun::pending_simulation / resolve_simulation)
+    #[serde(default)]
+    pub parallel_monte_carlo: bool,
+
+    // formation permutation search (matches AppConfig.FORMATION_SEARCH_*)
+    #[serde(default = "default_formation_search_screen_simulations")]
+    pub formation_search_screen_simulations: u32,
+    #[serde(default = "default_formation_search_finalists")]
+    pub formation_search_finalists: u32,
+    #[serde(default = "default_formation_search_simulations")]
+    pub formation_search_simulations: u32,
+
+    // team composition search (matches AppConfig.TEAM_SEARCH_*)
+    #[serde(default = "default_team_search_pool_size")]
+    pub team_search_pool_size: u32,
+    #[serde(default = "default_team_search_power_ratio")]
+    pub team_search_power_ratio: f64,
+    #[serde(default = "default_team_search_max_candidates")]
+    pub team_search_max_candidates: u32,
+    #[serde(default = "default_team_search_simulations")]
+    pub team_search_simulations: u32,
+
     pub max_crew_slots: u32,
     pub reoptimize_interval: u32,
 
@@ -160,11 +261,71 @@ pub struct OptimizeConfig {
     pub hero_scoring_arena_tank: HeroWeights,
     pub hero_scoring_arena_dps: HeroWeights,
 
+    // crew scoring model (matches AppConfig.CREW_SCORING); off when absent
+    #[serde(default)]
+    pub crew_scoring: CrewScoring,
+
+    // user constraints (matches the worker payload's `constraints`); none when absent
+    // locked machines are always fielded, excluded heroes never crew, and
+    // pinned heroes crew only their machine
+    #[serde(default)]
+    pub locked_machine_ids: Vec<u32>,
+    #[serde(default)]
+    pub excluded_hero_ids: Vec<u32>,
+    #[serde(default)]
+    pub hero_pins: Vec<HeroPin>,
+
     // heroes — sorted by JS before passing in (descending damage+health sum)
     // sliced to (num_machines * max_crew_slots + 20) by JS
     pub heroes: Vec<HeroDto>,
+
+    // per-mission enemy rosters; missions without one use uniform enemies
+    #[serde(default)]
+    pub enemy_rosters: Vec<EnemyRosterDto>,
 }
 
+// ---------------------------------------------------------------------------
+// Enemy rosters — flattened from Calculator.getEnemyRosters() (data/enemies.js
+// plus the user's overrides) by the worker
+// ---------------------------------------------------------------------------
+
+#[derive(Serialize, Deserialize, Clone, Debug)]
+pub struct EnemyUnitDto {
+    // multipliers on the mission's uniform enemy stats
+    pub damage_scale: f64,
+    pub health_scale: f64,
+    pub armor_scale: f64,
+
+    // same integer encoding as FlatMachine
+    pub ability_effect: u8,
+    pub ability_targeting: u8,
+    pub ability_num_targets: u32,
+    pub ability_scale_stat: u8,
+    pub ability_multiplier: f64,
+    pub overdrive_chance: f64,
+}
+
+#[derive(Serialize, Deserialize, Clone, Debug)]
+pub struct EnemyRosterDto {
+    pub difficulty: u32,
+    pub mission: u32,
+    pub units: Vec<EnemyUnitDto>,
+}
+
+// matches AppConfig.MONTE_CARLO_MIN_SIMULATIONS
+fn default_monte_carlo_min_simulations() -> u32 { 500 }
+
+// matches AppConfig.FORMATION_SEARCH_*
+fn default_formation_search_screen_simulations() -> u32 { 20 }
+fn default_formation_search_finalists() -> u32 { 8 }
+fn default_formation_search_simulations() -> u32 { 200 }
+
+// matches AppConfig.TEAM_SEARCH_*
+fn default_team_search_pool_size() -> u32 { 10 }
+fn default_team_search_power_ratio() -> f64 { 0.8 }
+fn default_team_search_max_candidates() -> u32 { 12 }
+fn default_team_search_simulations() -> u32 { 20 }
+
 #[derive(Serialize, Deserialize, Debug, Clone, Copy)]
 pub struct HeroWeights {
     pub damage: f64,
@@ -172,6 +333,20 @@ pub struct HeroWeights {
     pub armor: f64,
 }
 
+#[derive(Serialize, Deserialize, Debug, Clone, Copy)]
+pub struct HeroPin {
+    pub hero_id: u32,
+    pub machine_id: u32,
+}
+
+#[derive(Serialize, Deserialize, Debug, Clone, Copy, Default)]
+pub struct CrewScoring {
+    // false = "percentages" model, true = "role" model
+    pub role_model: bool,
+    pub role_affinity: f64,
+    pub tiebreak_weight: f64,
+}
+
 // ---------------------------------------------------------------------------
 // Results
 // ---------------------------------------------------------------------------
@@ -225,6 +400,50 @@ pub struct MachineResult {
     pub assigned_hero_ids: Vec<u32>,
 }
 
+// Win-rate estimate with a Wilson score interval (matches JS WinEstimate)
+#[derive(Serialize, Deserialize, Debug, Clone, Copy)]
+pub struct WinEstimate {
+    pub wins: u32,
+    pub simulations: u32,
+    pub win_rate: f64,
+    pub lower: f64,
+    pub upper: f64,
+}
+
+// A star gained by Monte Carlo (matches JS MonteCarloStar); difficulty is an index.
+// Fields are inlined rather than #[serde(flatten)] — flatten serializes as a
+// map, which serde_wasm_bindgen turns into a JS Map instead of a plain object.
+#[derive(Serialize, Deserialize, Debug, Clone)]
+pub struct MonteCarloStar {
+    pub difficulty: u32,
+    pub mission: u32,
+    pub wins: u32,
+    pub simulations: u32,
+    pub win_rate: f64,
+    pub lower: f64,
+    pub upper: f64,
+}
+
+impl MonteCarloStar {
+    pub fn new(difficulty: u32, mission: u32, e: WinEstimate) -> Self {
+        MonteCarloStar {
+            difficulty, mission,
+            wins: e.wins, simulations: e.simulations,
+            win_rate: e.win_rate, lower: e.lower, upper: e.upper,
+        }
+    }
+}
+
+// What to field for one cleared (difficulty, mission) (matches JS MissionPlanEntry)
+#[derive(Serialize, Deserialize, Debug, Clone)]
+pub struct MissionPlanEntry {
+    pub difficulty: u32,
+    pub mission: u32,
+    pub machine_ids: Vec<u32>,   // slot order
+    pub hero_ids: Vec<Vec<u32>>, // crew per slot
+    pub win_rate: Option<f64>,   // None for a deterministic clear
+}
+
 #[derive(Serialize, Deserialize, Debug)]
 pub struct CampaignResult {
     pub total_stars: u32,
@@ -232,9 +451,68 @@ pub struct CampaignResult {
     pub formation: Vec<MachineResult>,
     pub battle_power: DecimalDto,
     pub arena_power: DecimalDto,
+    pub monte_carlo_stars: Vec<MonteCarloStar>,
+    pub win_threshold: f64,
+    pub mission_plan: Vec<MissionPlanEntry>,
+    // true when the run was stopped early; the result is the best found so far
+    pub cancelled: bool,
     pub mode: String,
 }
 
+// Snapshot reported after each CampaignRun step (matches JS CampaignProgress)
+#[derive(Serialize, Debug, Clone)]
+pub struct CampaignProgress {
+    pub phase: &'static str, // "campaign" | "monteCarlo"
+    pub difficulty: Option<u32>,
+    pub mission: u32,
+    pub stars: u32,
+    pub monte_carlo_iterations: u32,
+    pub completed: u32,
+    pub total: u32,
+}
+
+// A Monte Carlo estimate handed to the JS worker pool (parallel_monte_carlo);
+// teams are already computed, in slot order
+#[derive(Serialize, Debug, Clone)]
+pub struct SimulationRequest {
+    pub difficulty: u32,
+    pub mission: u32,
+    pub player: Vec<BattleUnitDto>,
+    pub enemy: Vec<BattleUnitDto>,
+}
+
+// ---------------------------------------------------------------------------
+// Battle log — shapes match the JS BattleEvent / BattleRound typedefs
+// ---------------------------------------------------------------------------
+
+#[derive(Serialize, Debug, Clone)]
+pub struct BattleEvent {
+    #[serde(rename = "type")]
+    pub kind: &'static str,    // "attack" | "ability" | "damage" | "heal" | "death"
+    pub side: &'static str,    // side of the acting unit: "player" | "enemy"
+    pub source: usize,
+    pub target: Option<usize>, // None for "ability" (the proc itself)
+    pub amount: DecimalDto,
+}
+
+#[derive(Serialize, Debug, Clone)]
+pub struct BattleRound {
+    pub round: u32,
+    pub events: Vec<BattleEvent>,
+    #[serde(rename = "playerHP")]
+    pub player_hp: Vec<DecimalDto>,
+    #[serde(rename = "enemyHP")]
+    pub enemy_hp: Vec<DecimalDto>,
+}
+
+#[derive(Serialize, Debug)]
+pub struct BattleLogResult {
+    #[serde(rename = "playerWon")]
+    pub player_won: bool,
+    pub rounds: u32,
+    pub log: Vec<BattleRound>,
+}
+
 #[derive(Serialize, Deserialize, Debug)]
 pub struct ArenaResult {
     pub formation: Vec<MachineResult>,
@@ -49,28 +49,51 @@ precacheAndRoute([
 	{ url: "./js/battleengine.js", revision: REVISION },
 	{ url: "./js/optimizer.js", revision: REVISION },
 	{ url: "./js/optimizerWorker.js", revision: REVISION },
+	{ url: "./js/simulationPool.js", revision: REVISION },
+	{ url: "./js/simulationWorker.js", revision: REVISION },
+	{ url: "./js/wasmLoader.js", revision: REVISION },
+	{ url: "./js/wasmCodec.js", revision: REVISION },
 	{ url: "./js/guardianCalculator.js", revision: REVISION },
+	{ url: "./js/guardianDps.js", revision: REVISION },
 	{ url: "./js/saveload.js", revision: REVISION },
+	{ url: "./js/saveSchema.js", revision: REVISION },
 	{ url: "./js/storage.js", revision: REVISION },
 	{ url: "./js/profiles.js", revision: REVISION },
 	{ url: "./js/workerManager.js", revision: REVISION },
 	{ url: "./js/db.js", revision: REVISION },
 	{ url: "./js/utils/utils.js", revision: REVISION },
 	{ url: "./js/utils/ranks.js", revision: REVISION },
+	{ url: "./js/utils/rng.js", revision: REVISION },
+	{ url: "./js/utils/resultDiff.js", revision: REVISION },
+	{ url: "./js/utils/saveDiff.js", revision: REVISION },
+	{ url: "./js/utils/schema.js", revision: REVISION },
+	{ url: "./js/utils/shareCodec.js", revision: REVISION },
 	{ url: "./js/utils/upgradeAnalyzer.js", revision: REVISION },
+	{ url: "./js/utils/costModel.js", revision: REVISION },
 	{ url: "./js/ui/machines.js", revision: REVISION },
 	{ url: "./js/ui/heroes.js", revision: REVISION },
 	{ url: "./js/ui/artifacts.js", revision: REVISION },
 	{ url: "./js/ui/tavern.js", revision: REVISION },
 	{ url: "./js/ui/results.js", revision: REVISION },
 	{ url: "./js/ui/guardian.js", revision: REVISION },
+	{ url: "./js/ui/guardianRoster.js", revision: REVISION },
+	{ url: "./js/ui/guardianDps.js", revision: REVISION },
 	{ url: "./js/ui/settings.js", revision: REVISION },
 	{ url: "./js/ui/notifications.js", revision: REVISION },
 	{ url: "./js/ui/upgradeSuggestions.js", revision: REVISION },
+	{ url: "./js/ui/battleReplay.js", revision: REVISION },
+	{ url: "./js/ui/missionPlan.js", revision: REVISION },
+	{ url: "./js/ui/optimizeProgress.js", revision: REVISION },
+	{ url: "./js/ui/resultHistory.js", revision: REVISION },
+	{ url: "./js/ui/importPreview.js", revision: REVISION },
+	{ url: "./js/ui/profileComparison.js", revision: REVISION },
+	{ url: "./js/sandbox.js", revision: REVISION },
+	{ url: "./js/ui/sandbox.js", revision: REVISION },
 	{ url: "./js/ui/formHelpers.js", revision: REVISION },
 	{ url: "./js/data/machines.js", revision: REVISION },
 	{ url: "./js/data/heroes.js", revision: REVISION },
 	{ url: "./js/data/abilities.js", revision: REVISION },
+	{ url: "./js/data/enemies.js", revision: REVISION },
 	{ url: "./js/data/patchNotes.js", revision: REVISION },
 	// JS — vendor (revision: null = URL is stable, never re-fetch)
 	{ url: "./js/vendor/bootstrap.bundle.min.js", revision: null },